@@ -0,0 +1,55 @@
+const { connect, FeedSocket } = require('..');
+
+/**
+ * This example ingests records into a local AsterixDB server through a socket_adapter feed.
+ * It creates a scratch dataverse, a dataset and a feed listening on 127.0.0.1:10001,
+ * pushes a few records over the socket, reads them back and cleans everything up.
+ */
+async function example() {
+  const client = connect();
+  const db = client.db('FeedDemo');
+
+  try {
+    await client._connector.executeQuery(`
+      DROP DATAVERSE FeedDemo IF EXISTS;
+      CREATE DATAVERSE FeedDemo;
+      USE FeedDemo;
+      CREATE TYPE MessageType AS { id: int, text: string };
+      CREATE DATASET Messages(MessageType) PRIMARY KEY id;
+    `);
+
+    await db.createFeed('MessageFeed', {
+      adapter: 'socket_adapter',
+      format: 'adm',
+      type: 'MessageType',
+      config: { sockets: '127.0.0.1:10001' }
+    });
+    await db.connectFeed('MessageFeed', 'Messages');
+    await db.startFeed('MessageFeed');
+    console.log('Feeds:', JSON.stringify(await db.listFeeds(), null, 2));
+
+    // Push records through the feed socket
+    const socket = await FeedSocket.connect('127.0.0.1:10001');
+    await socket.write([
+      { id: 1, text: 'first' },
+      { id: 2, text: 'second' },
+      { id: 3, text: 'third' }
+    ]);
+    await socket.end();
+
+    // Ingestion is asynchronous; give it a moment before reading back
+    await new Promise(resolve => setTimeout(resolve, 2000));
+    console.log('Ingested:', await db.collection('Messages').find({}));
+
+    await db.stopFeed('MessageFeed');
+    await db.disconnectFeed('MessageFeed', 'Messages');
+    await db.dropFeed('MessageFeed');
+  } catch (error) {
+    console.error('Feed example failed:', error.message);
+  } finally {
+    await client._connector.executeQuery('DROP DATAVERSE FeedDemo IF EXISTS;').catch(() => {});
+    await client.close();
+  }
+}
+
+example();
@@ -0,0 +1,331 @@
+const AdmTypes = require('./AdmTypes');
+
+const {
+  AdmValue,
+  AdmDate,
+  AdmTime,
+  AdmDatetime,
+  AdmDuration,
+  AdmYearMonthDuration,
+  AdmDayTimeDuration,
+  AdmInterval,
+  AdmPoint,
+  AdmLine,
+  AdmRectangle,
+  AdmCircle,
+  AdmPolygon,
+  AdmUuid,
+  AdmBinary,
+} = AdmTypes;
+
+/**
+ * Converts between JavaScript values and ADM: writes SQL++ literals and parameters for
+ * queries, and reads result values back into the ADM value classes (see AdmTypes).
+ *
+ * Encoding is used by QueryTranslator and QueryBuilder whenever a value is spliced into a
+ * statement, and by QueryParameters when it is bound:
+ * ```
+ * AdmCodec.encode({ at: new Date(0), loc: new AdmPoint(1, 2) });
+ * // '{ "at": datetime("1970-01-01T00:00:00.000Z"), "loc": point("1.0,2.0") }'
+ * ```
+ *
+ * Decoding reads a value either by ADM type name (plain JSON results carry only the
+ * string form, so the type comes from a signature) or from its lossless ADM JSON wrapper:
+ * ```
+ * AdmCodec.decodeRecord(row, { sendTime: 'datetime', 'user.location': 'point' });
+ * AdmCodec.decodeLossless({ datetime: 0 }); // AdmDatetime 1970-01-01T00:00:00.000Z
+ * ```
+ */
+class AdmCodec {
+  /**
+   * Encodes a value as a SQL++ literal.
+   *
+   * `null` becomes NULL, `undefined` becomes MISSING, a BigInt an exact integer literal, a Date
+   * a `datetime` literal, a Buffer or Uint8Array a `hex` literal, and an AdmValue its constructor call.
+   *
+   * @param {*} value - The value
+   * @returns {string}
+   */
+  static encode(value) {
+    if (value === null) {
+      return 'NULL';
+    }
+    if (value === undefined) {
+      return 'MISSING';
+    }
+    if (value instanceof AdmValue) {
+      return value.toAdm();
+    }
+    if (value instanceof Date) {
+      return new AdmDatetime(value).toAdm();
+    }
+    if (Buffer.isBuffer(value) || value instanceof Uint8Array) {
+      return new AdmBinary(value).toAdm();
+    }
+
+    switch (typeof value) {
+      case 'string':
+        // SQL++ string literals use the same escapes as JSON.
+        return JSON.stringify(value);
+      case 'number':
+        if (Number.isNaN(value)) {
+          return 'double("NaN")';
+        }
+        if (!Number.isFinite(value)) {
+          return value > 0 ? 'double("INF")' : 'double("-INF")';
+        }
+        return String(value);
+      case 'bigint':
+      case 'boolean':
+        return String(value);
+      default:
+        break;
+    }
+
+    if (Array.isArray(value)) {
+      return `[${value.map(element => AdmCodec.encode(element)).join(', ')}]`;
+    }
+    if (typeof value === 'object') {
+      const fields = Object.entries(value)
+        .map(([key, val]) => `${JSON.stringify(key)}: ${AdmCodec.encode(val)}`);
+      return fields.length > 0 ? `{ ${fields.join(', ')} }` : '{}';
+    }
+    throw new Error(`Cannot encode a ${typeof value} value as ADM`);
+  }
+
+  /**
+   * Prepares a value for binding as a request parameter.
+   *
+   * Parameters travel as JSON, so typed values are sent in their string form and the
+   * statement wraps the placeholder in the type's constructor (`datetime($1)`). Values
+   * that have no single-string form, such as intervals, cannot be bound and are inlined.
+   *
+   * @param {*} value - The value
+   * @returns {{value: *, wrap: (string|null), inline: (string|undefined)}} - The JSON value to send
+   *   and the constructor to wrap the placeholder in, or `inline` with the literal to use instead
+   */
+  static parameter(value) {
+    if (value instanceof AdmInterval) {
+      return { value: undefined, wrap: null, inline: value.toAdm() };
+    }
+    if (value instanceof AdmValue) {
+      return { value: value.toString(), wrap: value.constructorName };
+    }
+    if (value instanceof Date) {
+      return { value: value.toISOString(), wrap: 'datetime' };
+    }
+    if (Buffer.isBuffer(value) || value instanceof Uint8Array) {
+      return { value: Buffer.from(value).toString('hex'), wrap: 'hex' };
+    }
+    return { value, wrap: null };
+  }
+
+  /**
+   * Reads a value of a known ADM type from a plain JSON result.
+   *
+   * Values that are already decoded, `null`, `undefined` and types without a class
+   * (strings, numbers, records, ...) are returned unchanged.
+   *
+   * @param {*} value - The value as returned in the results
+   * @param {string} type - The ADM type name, e.g. 'datetime' or 'point'
+   * @returns {*}
+   */
+  static decode(value, type) {
+    const Type = AdmCodec.TYPES[type];
+    if (!Type || value === null || value === undefined || value instanceof AdmValue) {
+      return value;
+    }
+    if (Type === AdmBinary && type === 'base64') {
+      return new AdmBinary(value, 'base64');
+    }
+    if (typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 1 && value[type] !== undefined) {
+      // Spatial values come back wrapped even in plain JSON, e.g. `{ "line": [{ "point": [0, 0] }, ...] }`.
+      return AdmCodec.decodeLossless(value);
+    }
+    return Type.from(value);
+  }
+
+  /**
+   * Reads a lossless ADM JSON value, e.g. `{ "datetime": 1356998400000 }`, into an ADM value
+   * class. Values that are not wrapped in a typed field are returned unchanged.
+   *
+   * @param {*} value - A lossless ADM JSON value
+   * @returns {*}
+   */
+  static decodeLossless(value) {
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+      return value;
+    }
+    const keys = Object.keys(value);
+    if (keys.length !== 1 || !AdmCodec.TYPES[keys[0]]) {
+      return value;
+    }
+    return AdmCodec.decode(value[keys[0]], keys[0]);
+  }
+
+  /**
+   * Reads the typed fields of a plain JSON record.
+   *
+   * The signature maps field names to ADM type names. Nested fields are addressed with dots
+   * (`'user.location'`), and a `[]` suffix decodes every element of a list (`'tags[]'`).
+   * The record is copied, not modified.
+   *
+   * @param {Object} record - A result row
+   * @param {Object<string, string>} signature - Field name to ADM type name
+   * @returns {Object}
+   */
+  static decodeRecord(record, signature) {
+    if (record === null || typeof record !== 'object' || Array.isArray(record)) {
+      return record;
+    }
+    let result = record;
+    for (const [path, type] of Object.entries(signature || {})) {
+      if (AdmCodec.TYPES[type]) {
+        result = decodePath(result, path.split('.'), type);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Converts a GeoJSON geometry to an ADM spatial value.
+   *
+   * A `Point` becomes an AdmPoint, a two-position `LineString` an AdmLine, and a `Polygon`
+   * without holes an AdmPolygon (the closing position of its ring is dropped). A `Feature` is
+   * read through its geometry. Coordinates keep their `[x, y]` (longitude, latitude) order.
+   *
+   * @param {Object} geometry - A GeoJSON geometry or Feature
+   * @returns {AdmPoint|AdmLine|AdmPolygon}
+   * @throws {Error} If the geometry has no ADM equivalent
+   */
+  static fromGeoJSON(geometry) {
+    if (geometry && geometry.type === 'Feature') {
+      geometry = geometry.geometry;
+    }
+    const coordinates = geometry && geometry.coordinates;
+    switch (geometry && geometry.type) {
+      case 'Point':
+        return new AdmPoint(coordinates);
+      case 'LineString':
+        if (!Array.isArray(coordinates) || coordinates.length !== 2) {
+          throw new Error('Only GeoJSON LineStrings with two positions have an ADM equivalent (line)');
+        }
+        return new AdmLine(coordinates);
+      case 'Polygon': {
+        if (!Array.isArray(coordinates) || coordinates.length !== 1) {
+          throw new Error('Only GeoJSON Polygons with a single ring (no holes) have an ADM equivalent (polygon)');
+        }
+        const ring = [...coordinates[0]];
+        const [first, last] = [ring[0], ring[ring.length - 1]];
+        if (ring.length > 3 && first && last && first[0] === last[0] && first[1] === last[1]) {
+          ring.pop();
+        }
+        return new AdmPolygon(ring);
+      }
+      default:
+        throw new Error(`Unsupported GeoJSON geometry "${geometry && geometry.type}": use Point, LineString or Polygon`);
+    }
+  }
+
+  /**
+   * Whether a value looks like a GeoJSON geometry or Feature.
+   *
+   * @param {*} value - The value
+   * @returns {boolean}
+   */
+  static isGeoJSON(value) {
+    return Boolean(value) && typeof value === 'object' && typeof value.type === 'string' &&
+      (Array.isArray(value.coordinates) || (value.type === 'Feature' && Boolean(value.geometry)));
+  }
+
+  /**
+   * Replaces the GeoJSON geometries in a document with their ADM values, so that they are
+   * stored as points, lines and polygons the spatial functions can read. Features keep their
+   * other fields, and geometries without an ADM equivalent are left as they are.
+   *
+   * @param {*} value - A document, array or value
+   * @returns {*} - A copy with the geometries converted, or the value itself if there are none
+   */
+  static geoJSONToAdm(value) {
+    if (Array.isArray(value)) {
+      return value.map(element => AdmCodec.geoJSONToAdm(element));
+    }
+    if (!value || typeof value !== 'object' || Object.getPrototypeOf(value) !== Object.prototype) {
+      return value;
+    }
+    if (typeof value.type === 'string' && Array.isArray(value.coordinates)) {
+      try {
+        return AdmCodec.fromGeoJSON(value);
+      } catch (error) {
+        return value;
+      }
+    }
+    const converted = {};
+    for (const [key, field] of Object.entries(value)) {
+      converted[key] = AdmCodec.geoJSONToAdm(field);
+    }
+    return converted;
+  }
+
+  /**
+   * Whether a response `signature` carries field types that decodeRecord() can use,
+   * rather than the `{ "*": "*" }` the query service sends by default.
+   *
+   * @param {*} signature - The response signature
+   * @returns {boolean}
+   */
+  static isTypedSignature(signature) {
+    return Boolean(signature) && typeof signature === 'object' && !Array.isArray(signature) &&
+      Object.values(signature).some(type => typeof type === 'string' && AdmCodec.TYPES[type]);
+  }
+}
+
+/**
+ * Decodes the field at a path inside a record, copying the records along the way.
+ *
+ * @param {*} value - The current value
+ * @param {Array<string>} path - Remaining path segments
+ * @param {string} type - The ADM type name
+ * @returns {*}
+ */
+function decodePath(value, path, type) {
+  if (value === null || typeof value !== 'object' || Array.isArray(value) || value instanceof AdmValue) {
+    return value;
+  }
+  const [segment, ...rest] = path;
+  const list = segment.endsWith('[]');
+  const key = list ? segment.slice(0, -2) : segment;
+  if (!Object.prototype.hasOwnProperty.call(value, key)) {
+    return value;
+  }
+
+  const read = item => (rest.length > 0 ? decodePath(item, rest, type) : AdmCodec.decode(item, type));
+  const field = value[key];
+  return { ...value, [key]: list && Array.isArray(field) ? field.map(read) : read(field) };
+}
+
+/**
+ * ADM value classes by ADM type name. `hex` and `base64` are the lossless names of binary values.
+ */
+AdmCodec.TYPES = {
+  date: AdmDate,
+  time: AdmTime,
+  datetime: AdmDatetime,
+  duration: AdmDuration,
+  'year-month-duration': AdmYearMonthDuration,
+  year_month_duration: AdmYearMonthDuration,
+  'day-time-duration': AdmDayTimeDuration,
+  day_time_duration: AdmDayTimeDuration,
+  interval: AdmInterval,
+  point: AdmPoint,
+  line: AdmLine,
+  rectangle: AdmRectangle,
+  circle: AdmCircle,
+  polygon: AdmPolygon,
+  uuid: AdmUuid,
+  binary: AdmBinary,
+  hex: AdmBinary,
+  base64: AdmBinary,
+};
+
+module.exports = AdmCodec;
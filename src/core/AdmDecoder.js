@@ -0,0 +1,125 @@
+const AdmCodec = require('./AdmCodec');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Decodes results returned in lossless ADM JSON (`Accept: application/json; lossless=true`).
+ *
+ * In that format every value whose type JSON cannot express is wrapped in a
+ * single-field object named after its ADM type:
+ * ```
+ * { "id": { "int64": 42 }, "at": { "datetime": 1356998400000 }, "tags": { "unorderedlist": ["a", "b"] } }
+ * ```
+ * The decoder unwraps them into JavaScript values:
+ *
+ * | ADM type                              | JavaScript value                     |
+ * |---------------------------------------|--------------------------------------|
+ * | int8, int16, int32, int64, float, double | number (int64: BigInt or string in int64 modes) |
+ * | datetime, date                        | Date (UTC)                           |
+ * | time                                  | string `HH:MM:SS.mmm`                |
+ * | duration, year-month / day-time duration | `{ months, milliseconds }`        |
+ * | point                                 | `{ x, y }`                           |
+ * | orderedlist, unorderedlist            | Array                                |
+ * | uuid, string, hex, base64             | string                               |
+ *
+ * With `typed: true`, temporal, spatial, UUID and binary values are decoded into the
+ * ADM value classes instead (AdmDatetime, AdmPoint, AdmUuid, ...; see AdmCodec), so they
+ * keep their exact type and can be written back into queries unchanged.
+ *
+ * Objects that do not have exactly one field named after an ADM type are treated as records.
+ */
+class AdmDecoder {
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.typed=false] - Decode temporal, spatial, UUID and binary values into ADM value classes
+   * @param {Object<string, Function>} [options.types] - Extra or replacement decoders, keyed by ADM type name
+   */
+  constructor(options = {}) {
+    this.typed = options.typed === true;
+    this.types = {
+      ...AdmDecoder.TYPES,
+      ...(this.typed ? AdmDecoder.TYPED : {}),
+      ...(options.types || {}),
+    };
+  }
+
+  /**
+   * Decodes a lossless ADM JSON value.
+   *
+   * @param {*} value - A value from the `results` array
+   * @returns {*} - The decoded value
+   */
+  decode(value) {
+    if (Array.isArray(value)) {
+      return value.map(item => this.decode(item));
+    }
+    if (value === null || typeof value !== 'object') {
+      return value;
+    }
+
+    const keys = Object.keys(value);
+    if (keys.length === 1 && Object.prototype.hasOwnProperty.call(this.types, keys[0])) {
+      return this.types[keys[0]](value[keys[0]], this);
+    }
+
+    const record = {};
+    for (const key of keys) {
+      record[key] = this.decode(value[key]);
+    }
+    return record;
+  }
+}
+
+/**
+ * Formats milliseconds since midnight as `HH:MM:SS.mmm`.
+ *
+ * @param {number} ms - Milliseconds since midnight
+ * @returns {string}
+ */
+function formatTime(ms) {
+  return new Date(ms).toISOString().substring(11, 23);
+}
+
+/**
+ * Converts a chronon (milliseconds since the epoch) or an ISO string to a Date.
+ *
+ * @param {number|string} value - The encoded value
+ * @returns {Date}
+ */
+function toDate(value) {
+  return new Date(value);
+}
+
+AdmDecoder.TYPES = {
+  int8: Number,
+  int16: Number,
+  int32: Number,
+  // BigInts and strings come from the int64 'bigint' and 'string' modes and are kept exact.
+  int64: value => (typeof value === 'bigint' || typeof value === 'string' ? value : Number(value)),
+  float: Number,
+  double: Number,
+  string: String,
+  uuid: String,
+  hex: String,
+  base64: String,
+  boolean: Boolean,
+  datetime: toDate,
+  // Dates are encoded as days since the epoch.
+  date: value => (typeof value === 'number' ? new Date(value * MS_PER_DAY) : toDate(value)),
+  time: value => (typeof value === 'number' ? formatTime(value) : String(value)),
+  duration: value => ({ months: value.months || 0, milliseconds: value.milliseconds || 0 }),
+  'year-month-duration': value => ({ months: Number(value), milliseconds: 0 }),
+  'day-time-duration': value => ({ months: 0, milliseconds: Number(value) }),
+  point: value => (Array.isArray(value) ? { x: value[0], y: value[1] } : { x: value.x, y: value.y }),
+  orderedlist: (value, decoder) => decoder.decode(value),
+  unorderedlist: (value, decoder) => decoder.decode(value),
+};
+
+/**
+ * Decoders used with `typed: true`: every type that has an ADM value class.
+ */
+AdmDecoder.TYPED = Object.fromEntries(
+  Object.keys(AdmCodec.TYPES).map(type => [type, value => AdmCodec.decode(value, type)])
+);
+
+module.exports = AdmDecoder;
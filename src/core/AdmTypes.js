@@ -0,0 +1,618 @@
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const MS_PER_HOUR = 60 * 60 * 1000;
+const MS_PER_MINUTE = 60 * 1000;
+
+/**
+ * Base class of the JavaScript representations of ADM values that JSON cannot express.
+ *
+ * Each value knows its ADM type, its string form (what the type's constructor function
+ * accepts) and its SQL++ constructor literal:
+ * ```
+ * const at = new AdmDatetime('2024-03-01T12:00:00Z');
+ * at.toString(); // '2024-03-01T12:00:00.000Z'
+ * at.toAdm();    // 'datetime("2024-03-01T12:00:00.000Z")'
+ * ```
+ *
+ * `JSON.stringify` writes the string form, so values can also be sent as parameters and
+ * wrapped in their constructor in the statement (see AdmCodec.parameter()).
+ */
+class AdmValue {
+  /**
+   * The ADM type name, e.g. 'datetime' or 'year-month-duration'.
+   *
+   * @returns {string}
+   */
+  get type() {
+    return this.constructor.TYPE;
+  }
+
+  /**
+   * The SQL++ function that constructs the value, e.g. 'datetime' or 'year_month_duration'.
+   *
+   * @returns {string}
+   */
+  get constructorName() {
+    return this.constructor.CONSTRUCTOR || this.constructor.TYPE;
+  }
+
+  /**
+   * Returns the SQL++ literal for the value.
+   *
+   * @returns {string}
+   */
+  toAdm() {
+    return `${this.constructorName}(${JSON.stringify(this.toString())})`;
+  }
+
+  /**
+   * Returns the string form of the value.
+   *
+   * @returns {string}
+   */
+  toJSON() {
+    return this.toString();
+  }
+
+  /**
+   * Whether another value is of the same type and has the same string form.
+   *
+   * @param {*} other - The other value
+   * @returns {boolean}
+   */
+  equals(other) {
+    return other instanceof this.constructor && other.toString() === this.toString();
+  }
+
+  /**
+   * Creates a value from an instance, its string form, or its lossless ADM JSON payload.
+   *
+   * @param {*} value - The value
+   * @returns {AdmValue}
+   */
+  static from(value) {
+    return value instanceof this ? value : new this(value);
+  }
+}
+
+/**
+ * An ADM `date`: a calendar day, without time zone.
+ */
+class AdmDate extends AdmValue {
+  /**
+   * @param {Date|string|number} value - A Date (its UTC day), 'YYYY-MM-DD', or days since 1970-01-01
+   */
+  constructor(value) {
+    super();
+    if (value instanceof Date) {
+      this.days = Math.floor(checkDate(value, 'date').getTime() / MS_PER_DAY);
+    } else if (typeof value === 'number' && Number.isInteger(value)) {
+      this.days = value;
+    } else {
+      const match = typeof value === 'string' && value.match(/^(-?\d{4,})-(\d{2})-(\d{2})(?:T.*)?$/);
+      if (!match) {
+        throw new Error(`Invalid ADM date "${value}": expected YYYY-MM-DD`);
+      }
+      const time = Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+      this.days = Math.floor(checkDate(new Date(time), 'date').getTime() / MS_PER_DAY);
+    }
+  }
+
+  /**
+   * Returns the day as a Date at midnight UTC.
+   *
+   * @returns {Date}
+   */
+  toDate() {
+    return new Date(this.days * MS_PER_DAY);
+  }
+
+  toString() {
+    return this.toDate().toISOString().slice(0, 10);
+  }
+}
+AdmDate.TYPE = 'date';
+
+/**
+ * An ADM `time`: a time of day with millisecond precision, in UTC.
+ */
+class AdmTime extends AdmValue {
+  /**
+   * @param {Date|string|number} value - A Date (its UTC time of day), 'HH:MM:SS[.mmm][Z]', or milliseconds since midnight
+   */
+  constructor(value) {
+    super();
+    if (value instanceof Date) {
+      this.milliseconds = checkDate(value, 'time').getTime() - Math.floor(value.getTime() / MS_PER_DAY) * MS_PER_DAY;
+    } else if (typeof value === 'number' && Number.isInteger(value) && value >= 0 && value < MS_PER_DAY) {
+      this.milliseconds = value;
+    } else {
+      const match = typeof value === 'string' && value.match(/^(\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?Z?$/);
+      if (!match || Number(match[1]) > 23 || Number(match[2]) > 59 || Number(match[3] || 0) > 59) {
+        throw new Error(`Invalid ADM time "${value}": expected HH:MM:SS[.mmm]`);
+      }
+      this.milliseconds = Number(match[1]) * MS_PER_HOUR + Number(match[2]) * MS_PER_MINUTE +
+        Number(match[3] || 0) * 1000 + Number((match[4] || '0').padEnd(3, '0'));
+    }
+  }
+
+  toString() {
+    return new Date(this.milliseconds).toISOString().slice(11, 23);
+  }
+}
+AdmTime.TYPE = 'time';
+
+/**
+ * An ADM `datetime`: an instant with millisecond precision. Strings without a zone are read as UTC.
+ */
+class AdmDatetime extends AdmValue {
+  /**
+   * @param {Date|string|number} value - A Date, an ISO 8601 string, or milliseconds since the epoch
+   */
+  constructor(value) {
+    super();
+    if (value instanceof Date) {
+      this.chronon = checkDate(value, 'datetime').getTime();
+    } else if (typeof value === 'number' && Number.isFinite(value)) {
+      this.chronon = value;
+    } else if (typeof value === 'string' && /^-?\d{4,}-\d{2}-\d{2}T\d{2}:\d{2}/.test(value)) {
+      const zoned = /(?:[zZ]|[+-]\d{2}:?\d{2})$/.test(value) ? value : `${value}Z`;
+      this.chronon = checkDate(new Date(zoned), 'datetime').getTime();
+    } else {
+      throw new Error(`Invalid ADM datetime "${value}": expected an ISO 8601 date and time`);
+    }
+  }
+
+  /**
+   * Returns the instant as a Date.
+   *
+   * @returns {Date}
+   */
+  toDate() {
+    return new Date(this.chronon);
+  }
+
+  toString() {
+    return this.toDate().toISOString();
+  }
+}
+AdmDatetime.TYPE = 'datetime';
+
+/**
+ * An ADM `duration`: a number of months plus a number of milliseconds, e.g. P1Y2M3DT4H.
+ */
+class AdmDuration extends AdmValue {
+  /**
+   * @param {string|Object} value - An ISO 8601 duration ('P1Y2M3DT4H5M6.789S') or `{ months, milliseconds }`
+   */
+  constructor(value) {
+    super();
+    if (value && typeof value === 'object') {
+      this.months = Number(value.months || 0);
+      this.milliseconds = Number(value.milliseconds || 0);
+      if (!Number.isInteger(this.months) || !Number.isInteger(this.milliseconds)) {
+        throw new Error('ADM duration months and milliseconds must be integers');
+      }
+    } else {
+      Object.assign(this, parseDuration(value, this.constructor.TYPE));
+    }
+  }
+
+  toString() {
+    const negative = this.months < 0 || this.milliseconds < 0;
+    let months = Math.abs(this.months);
+    let ms = Math.abs(this.milliseconds);
+    let text = negative ? '-P' : 'P';
+    const years = Math.floor(months / 12);
+    months %= 12;
+    const days = Math.floor(ms / MS_PER_DAY);
+    ms %= MS_PER_DAY;
+    if (years) text += `${years}Y`;
+    if (months) text += `${months}M`;
+    if (days) text += `${days}D`;
+    if (ms) {
+      const hours = Math.floor(ms / MS_PER_HOUR);
+      const minutes = Math.floor((ms % MS_PER_HOUR) / MS_PER_MINUTE);
+      const seconds = (ms % MS_PER_MINUTE) / 1000;
+      text += 'T';
+      if (hours) text += `${hours}H`;
+      if (minutes) text += `${minutes}M`;
+      if (seconds) text += `${seconds}S`;
+    }
+    return text === 'P' || text === '-P' ? 'PT0S' : text;
+  }
+}
+AdmDuration.TYPE = 'duration';
+
+/**
+ * An ADM `year_month_duration`: a duration made of years and months only.
+ */
+class AdmYearMonthDuration extends AdmDuration {
+  /**
+   * @param {string|number|Object} value - 'P1Y2M', a number of months, or `{ months }`
+   */
+  constructor(value) {
+    super(typeof value === 'number' ? { months: value } : value);
+    if (this.milliseconds !== 0) {
+      throw new Error(`Invalid ADM year_month_duration "${value}": it cannot have days or a time part`);
+    }
+  }
+}
+AdmYearMonthDuration.TYPE = 'year-month-duration';
+AdmYearMonthDuration.CONSTRUCTOR = 'year_month_duration';
+
+/**
+ * An ADM `day_time_duration`: a duration made of days, hours, minutes and seconds only.
+ */
+class AdmDayTimeDuration extends AdmDuration {
+  /**
+   * @param {string|number|Object} value - 'P3DT4H', a number of milliseconds, or `{ milliseconds }`
+   */
+  constructor(value) {
+    super(typeof value === 'number' ? { milliseconds: value } : value);
+    if (this.months !== 0) {
+      throw new Error(`Invalid ADM day_time_duration "${value}": it cannot have years or months`);
+    }
+  }
+}
+AdmDayTimeDuration.TYPE = 'day-time-duration';
+AdmDayTimeDuration.CONSTRUCTOR = 'day_time_duration';
+
+/**
+ * An ADM `interval` between two dates, times or datetimes of the same type.
+ */
+class AdmInterval extends AdmValue {
+  /**
+   * @param {AdmDate|AdmTime|AdmDatetime|Date|Object} start - The start (a Date is taken as a datetime),
+   *   or `{ start, end }`
+   * @param {AdmDate|AdmTime|AdmDatetime|Date} [end] - The end
+   */
+  constructor(start, end) {
+    super();
+    if (end === undefined && start && typeof start === 'object' && !(start instanceof Date) && 'start' in start) {
+      ({ start, end } = start);
+    }
+    this.start = AdmInterval._point(start);
+    this.end = AdmInterval._point(end);
+    if (this.start.constructor !== this.end.constructor) {
+      throw new Error(`ADM interval bounds must have the same type, got ${this.start.type} and ${this.end.type}`);
+    }
+    if (AdmInterval._order(this.start) > AdmInterval._order(this.end)) {
+      throw new Error(`ADM interval start ${this.start} is after its end ${this.end}`);
+    }
+  }
+
+  toAdm() {
+    return `interval(${this.start.toAdm()}, ${this.end.toAdm()})`;
+  }
+
+  toString() {
+    return `[${this.start}, ${this.end})`;
+  }
+
+  toJSON() {
+    return { start: this.start.toJSON(), end: this.end.toJSON() };
+  }
+
+  /** @private */
+  static _point(value) {
+    if (value instanceof AdmDate || value instanceof AdmTime || value instanceof AdmDatetime) {
+      return value;
+    }
+    if (value instanceof Date) {
+      return new AdmDatetime(value);
+    }
+    // String bounds, as written by toJSON(), are typed by their shape.
+    if (typeof value === 'string') {
+      if (value.includes('T')) {
+        return new AdmDatetime(value);
+      }
+      return /^\d{2}:/.test(value) ? new AdmTime(value) : new AdmDate(value);
+    }
+    // Lossless payloads wrap each bound: { "datetime": 1356998400000 }
+    if (value && typeof value === 'object') {
+      const [type] = Object.keys(value);
+      const Type = { date: AdmDate, time: AdmTime, datetime: AdmDatetime }[type];
+      if (Type) {
+        return new Type(value[type]);
+      }
+    }
+    throw new Error(`Invalid ADM interval bound "${value}": expected a date, time or datetime`);
+  }
+
+  /** @private */
+  static _order(value) {
+    return value instanceof AdmDate ? value.days : (value instanceof AdmTime ? value.milliseconds : value.chronon);
+  }
+}
+AdmInterval.TYPE = 'interval';
+
+/**
+ * An ADM `point`.
+ */
+class AdmPoint extends AdmValue {
+  /**
+   * @param {number|string|Array<number>|Object} x - The x coordinate, 'x,y', `[x, y]` or `{ x, y }`
+   * @param {number} [y] - The y coordinate
+   */
+  constructor(x, y) {
+    super();
+    if (y === undefined) {
+      ({ x, y } = parsePoint(x));
+    }
+    if (typeof x !== 'number' || typeof y !== 'number' || !Number.isFinite(x) || !Number.isFinite(y)) {
+      throw new Error(`Invalid ADM point (${x}, ${y}): coordinates must be finite numbers`);
+    }
+    this.x = x;
+    this.y = y;
+  }
+
+  toString() {
+    return `${formatNumber(this.x)},${formatNumber(this.y)}`;
+  }
+}
+AdmPoint.TYPE = 'point';
+
+/**
+ * An ADM `line` segment between two points.
+ */
+class AdmLine extends AdmValue {
+  /**
+   * @param {AdmPoint|Array|Object|string} first - The first point, or 'x1,y1 x2,y2'
+   * @param {AdmPoint|Array|Object} [second] - The second point
+   */
+  constructor(first, second) {
+    super();
+    [this.first, this.second] = pointList(second === undefined ? first : [first, second], 'line', 2, 2);
+  }
+
+  toString() {
+    return `${this.first} ${this.second}`;
+  }
+}
+AdmLine.TYPE = 'line';
+
+/**
+ * An ADM `rectangle`, given by its lower-left and upper-right corners.
+ */
+class AdmRectangle extends AdmValue {
+  /**
+   * @param {AdmPoint|Array|Object|string} lowerLeft - The lower-left corner, or 'x1,y1 x2,y2'
+   * @param {AdmPoint|Array|Object} [upperRight] - The upper-right corner
+   */
+  constructor(lowerLeft, upperRight) {
+    super();
+    [this.lowerLeft, this.upperRight] = pointList(upperRight === undefined ? lowerLeft : [lowerLeft, upperRight], 'rectangle', 2, 2);
+    if (this.lowerLeft.x > this.upperRight.x || this.lowerLeft.y > this.upperRight.y) {
+      throw new Error(`Invalid ADM rectangle "${this}": the first corner must be the lower-left one`);
+    }
+  }
+
+  toString() {
+    return `${this.lowerLeft} ${this.upperRight}`;
+  }
+}
+AdmRectangle.TYPE = 'rectangle';
+
+/**
+ * An ADM `circle`, given by its center and radius.
+ */
+class AdmCircle extends AdmValue {
+  /**
+   * @param {AdmPoint|Array|Object|string} center - The center, 'x,y r', `{ center, radius }` or `[center, radius]`
+   * @param {number} [radius] - The radius
+   */
+  constructor(center, radius) {
+    super();
+    if (radius === undefined) {
+      if (typeof center === 'string') {
+        const [point, r] = center.trim().split(/\s+/);
+        center = point;
+        radius = Number(r);
+      } else if (Array.isArray(center) && center.length === 2 && typeof center[1] === 'number' && typeof center[0] === 'object') {
+        [center, radius] = center;
+      } else if (center && typeof center === 'object' && 'radius' in center) {
+        ({ center, radius } = center);
+      }
+    }
+    this.center = toPoint(center);
+    if (typeof radius !== 'number' || !Number.isFinite(radius) || radius < 0) {
+      throw new Error(`Invalid ADM circle radius "${radius}": expected a non-negative number`);
+    }
+    this.radius = radius;
+  }
+
+  toString() {
+    return `${this.center} ${formatNumber(this.radius)}`;
+  }
+}
+AdmCircle.TYPE = 'circle';
+
+/**
+ * An ADM `polygon`, given by at least three points.
+ */
+class AdmPolygon extends AdmValue {
+  /**
+   * @param {Array|string} points - The points, or 'x1,y1 x2,y2 x3,y3 ...'
+   */
+  constructor(points) {
+    super();
+    this.points = pointList(points, 'polygon', 3, Infinity);
+  }
+
+  toString() {
+    return this.points.join(' ');
+  }
+}
+AdmPolygon.TYPE = 'polygon';
+
+/**
+ * An ADM `uuid`.
+ */
+class AdmUuid extends AdmValue {
+  /**
+   * @param {string} value - The UUID in its 8-4-4-4-12 hex form
+   */
+  constructor(value) {
+    super();
+    if (typeof value !== 'string' || !/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value)) {
+      throw new Error(`Invalid ADM uuid "${value}"`);
+    }
+    this.value = value.toLowerCase();
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+AdmUuid.TYPE = 'uuid';
+
+/**
+ * An ADM `binary` value. Written as a `hex("...")` literal.
+ */
+class AdmBinary extends AdmValue {
+  /**
+   * @param {Buffer|Uint8Array|string} value - The bytes, or their hex encoding
+   * @param {string} [encoding='hex'] - Encoding of a string value: 'hex' or 'base64'
+   */
+  constructor(value, encoding = 'hex') {
+    super();
+    if (Buffer.isBuffer(value) || value instanceof Uint8Array) {
+      this.bytes = Buffer.from(value);
+    } else if (typeof value === 'string' && encoding === 'hex' && /^([0-9a-f]{2})*$/i.test(value)) {
+      this.bytes = Buffer.from(value, 'hex');
+    } else if (typeof value === 'string' && encoding === 'base64' && /^[A-Za-z0-9+/]*={0,2}$/.test(value)) {
+      this.bytes = Buffer.from(value, 'base64');
+    } else {
+      throw new Error(`Invalid ADM binary value "${value}": expected bytes or a ${encoding} string`);
+    }
+  }
+
+  get constructorName() {
+    return 'hex';
+  }
+
+  /**
+   * Returns the bytes encoded as base64.
+   *
+   * @returns {string}
+   */
+  toBase64() {
+    return this.bytes.toString('base64');
+  }
+
+  toString() {
+    return this.bytes.toString('hex').toUpperCase();
+  }
+}
+AdmBinary.TYPE = 'binary';
+
+/**
+ * Checks that a Date is valid.
+ *
+ * @param {Date} date - The date
+ * @param {string} type - ADM type name, for the error message
+ * @returns {Date}
+ */
+function checkDate(date, type) {
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid ADM ${type}: the date is invalid`);
+  }
+  return date;
+}
+
+/**
+ * Parses an ISO 8601 duration into months and milliseconds.
+ *
+ * @param {string} text - The duration, e.g. 'P1Y2M3DT4H5M6.789S' or '-P3D'
+ * @param {string} type - ADM type name, for the error message
+ * @returns {{months: number, milliseconds: number}}
+ */
+function parseDuration(text, type) {
+  const match = typeof text === 'string' &&
+    text.match(/^(-)?P(?:(\d+)Y)?(?:(\d+)M)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?)?$/);
+  if (!match || text === 'P' || text.endsWith('T')) {
+    throw new Error(`Invalid ADM ${type} "${text}": expected an ISO 8601 duration such as P1Y2M3DT4H`);
+  }
+  const sign = match[1] ? -1 : 1;
+  const months = Number(match[2] || 0) * 12 + Number(match[3] || 0);
+  const milliseconds = Number(match[4] || 0) * MS_PER_DAY + Number(match[5] || 0) * MS_PER_HOUR +
+    Number(match[6] || 0) * MS_PER_MINUTE + Math.round(Number(match[7] || 0) * 1000);
+  return { months: sign * months || 0, milliseconds: sign * milliseconds || 0 };
+}
+
+/**
+ * Reads a point given as 'x,y', `[x, y]`, `{ x, y }` or a lossless `{ point: [x, y] }`.
+ *
+ * @param {*} value - The point
+ * @returns {{x: number, y: number}}
+ */
+function parsePoint(value) {
+  if (typeof value === 'string') {
+    const parts = value.split(',').map(part => part.trim());
+    if (parts.length === 2 && parts.every(part => part !== '' && !Number.isNaN(Number(part)))) {
+      return { x: Number(parts[0]), y: Number(parts[1]) };
+    }
+  } else if (Array.isArray(value) && value.length === 2) {
+    return { x: value[0], y: value[1] };
+  } else if (value && typeof value === 'object') {
+    if (Array.isArray(value.point)) {
+      return { x: value.point[0], y: value.point[1] };
+    }
+    if ('x' in value && 'y' in value) {
+      return { x: value.x, y: value.y };
+    }
+  }
+  throw new Error(`Invalid ADM point "${JSON.stringify(value)}": expected "x,y", [x, y] or { x, y }`);
+}
+
+/** @private */
+function toPoint(value) {
+  return value instanceof AdmPoint ? value : new AdmPoint(value);
+}
+
+/**
+ * Reads a list of points given as an array or as space-separated 'x,y' pairs.
+ *
+ * @param {Array|string} value - The points
+ * @param {string} type - ADM type name, for the error message
+ * @param {number} min - Fewest points allowed
+ * @param {number} max - Most points allowed
+ * @returns {Array<AdmPoint>}
+ */
+function pointList(value, type, min, max) {
+  const items = typeof value === 'string' ? value.trim().split(/\s+/) : value;
+  if (!Array.isArray(items) || items.length < min || items.length > max) {
+    const count = min === max ? `${min}` : `at least ${min}`;
+    throw new Error(`Invalid ADM ${type} "${JSON.stringify(value)}": expected ${count} points`);
+  }
+  return items.map(toPoint);
+}
+
+/**
+ * Formats a coordinate so that it reads back as a double.
+ *
+ * @param {number} value - The number
+ * @returns {string}
+ */
+function formatNumber(value) {
+  return Number.isInteger(value) ? `${value}.0` : String(value);
+}
+
+module.exports = AdmValue;
+Object.assign(module.exports, {
+  AdmValue,
+  AdmDate,
+  AdmTime,
+  AdmDatetime,
+  AdmDuration,
+  AdmYearMonthDuration,
+  AdmDayTimeDuration,
+  AdmInterval,
+  AdmPoint,
+  AdmLine,
+  AdmRectangle,
+  AdmCircle,
+  AdmPolygon,
+  AdmUuid,
+  AdmBinary,
+});
@@ -0,0 +1,234 @@
+const AsterixError = require('./AsterixError');
+
+/**
+ * Client for the AsterixDB admin API (`/admin/...`), for health checks and operations work.
+ * Obtain one with `client.admin()`.
+ *
+ * ```
+ * const admin = client.admin();
+ * const health = await admin.ping();
+ * if (health.status === 'nc_down') {
+ *   console.warn('Nodes down:', health.downNodes);
+ * }
+ * const running = await admin.activeRequests();
+ * await admin.cancelRequest(running[0].clientContextID);
+ * ```
+ *
+ * Requests go through the connector, so they share its retry policy, interceptors and
+ * concurrency limit. The admin API is served by the cluster controller; with several
+ * endpoints configured, any node that proxies it will do.
+ */
+class AdminClient {
+  /**
+   * @param {Connector|OfflineEnabledConnector} connector - The connector used to reach the server
+   */
+  constructor(connector) {
+    this._connector = connector;
+  }
+
+  /**
+   * Returns the cluster state and its node controllers (`GET /admin/cluster`).
+   *
+   * @param {Object} [options] - Request options (`timeout`, `retry`, `signal`, `headers`)
+   * @returns {Promise<Object>} - `state` (e.g. 'ACTIVE'), `metadataNode`, `nodes` (see nodes())
+   *   and `raw`, the response as sent by the server
+   */
+  async clusterState(options = {}) {
+    const raw = await this._get('/admin/cluster', options);
+    return {
+      state: raw.state || null,
+      metadataNode: raw.metadata_node || null,
+      nodes: (raw.ncs || []).map(nc => AdminClient._node(nc)),
+      raw,
+    };
+  }
+
+  /**
+   * Lists the cluster's node controllers.
+   *
+   * @param {Object} [options] - Request options
+   * @returns {Promise<Array<Object>>} - `nodeId`, `state`, `partitions`, `configUri`, `statsUri`, `threadDumpUri`
+   */
+  async nodes(options = {}) {
+    return (await this.clusterState(options)).nodes;
+  }
+
+  /**
+   * Returns the details of one node controller: its cluster entry plus its configuration
+   * and runtime statistics (`GET /admin/cluster/node/{id}/config` and `.../stats`).
+   *
+   * @param {string} nodeId - The node id, e.g. 'asterix_nc1'
+   * @param {Object} [options] - Request options
+   * @returns {Promise<Object>} - The node entry with `config` and `stats`
+   * @throws {AsterixError} If the node is not part of the cluster
+   */
+  async node(nodeId, options = {}) {
+    const nodes = await this.nodes(options);
+    const node = nodes.find(entry => entry.nodeId === nodeId);
+    if (!node) {
+      throw new AsterixError(`Unknown node "${nodeId}". Cluster nodes: ${nodes.map(entry => entry.nodeId).join(', ')}`);
+    }
+
+    const base = `/admin/cluster/node/${encodeURIComponent(nodeId)}`;
+    const [config, stats] = await Promise.all([
+      this._get(`${base}/config`, options),
+      this._get(`${base}/stats`, options),
+    ]);
+    return { ...node, config, stats };
+  }
+
+  /**
+   * Returns the server's build information (`GET /admin/version`).
+   *
+   * @param {Object} [options] - Request options
+   * @returns {Promise<Object>} - Build properties such as `git.build.version`, plus `version`
+   */
+  async version(options = {}) {
+    const raw = await this._get('/admin/version', options);
+    return { version: raw['git.build.version'] || raw.version || null, ...raw };
+  }
+
+  /**
+   * Lists the requests running on the server (`GET /admin/requests/running`).
+   *
+   * @param {Object} [options] - Request options
+   * @returns {Promise<Array<Object>>} - Request entries (`requestId`, `clientContextID`, `statement`, `state`, ...)
+   */
+  async activeRequests(options = {}) {
+    return AdminClient._list(await this._get('/admin/requests/running', options));
+  }
+
+  /**
+   * Lists recently completed requests (`GET /admin/requests/completed`).
+   *
+   * @param {Object} [options] - Request options
+   * @returns {Promise<Array<Object>>} - Request entries
+   */
+  async completedRequests(options = {}) {
+    return AdminClient._list(await this._get('/admin/requests/completed', options));
+  }
+
+  /**
+   * Cancels a running request by its client_context_id. Requests issued by this client
+   * are also aborted locally.
+   *
+   * @param {string} clientContextId - The request's client_context_id
+   * @returns {Promise<boolean>} - True if the server acknowledged the cancellation
+   */
+  async cancelRequest(clientContextId) {
+    if (!clientContextId) {
+      throw new Error('cancelRequest requires a client_context_id');
+    }
+    return this._connector.cancel(clientContextId);
+  }
+
+  /**
+   * Checks the health of the cluster controller and the node controllers. Never throws.
+   *
+   * `status` is:
+   * - `ok`: the cluster is ACTIVE and every node controller is ACTIVE;
+   * - `cc_down`: the cluster controller could not be reached;
+   * - `nc_down`: the cluster controller answered but some node controllers are not ACTIVE;
+   * - `degraded`: the cluster is not ACTIVE (e.g. still starting) although no node is reported down;
+   * - `error`: the cluster controller answered with an error (e.g. HTTP 401).
+   *
+   * @param {Object} [options]
+   * @param {number} [options.timeout=5000] - Milliseconds to wait for the cluster controller
+   * @returns {Promise<Object>} - `ok`, `status`, `cc` ('up' or 'down'), `state`, `nodes`
+   *   (`nodeId` and `state`), `downNodes` (node ids), `latency` (ms) and `error` (or null)
+   */
+  async ping(options = {}) {
+    const started = Date.now();
+    let cluster;
+    try {
+      cluster = await this.clusterState({ timeout: 5000, ...options, retry: false });
+    } catch (error) {
+      // An HTTP status means the cluster controller answered.
+      const answered = error.status !== null && error.status !== undefined;
+      return {
+        ok: false,
+        status: answered ? 'error' : 'cc_down',
+        cc: answered ? 'up' : 'down',
+        state: null,
+        nodes: [],
+        downNodes: [],
+        latency: Date.now() - started,
+        error,
+      };
+    }
+
+    const nodes = cluster.nodes.map(node => ({ nodeId: node.nodeId, state: node.state }));
+    const downNodes = nodes.filter(node => node.state !== 'ACTIVE').map(node => node.nodeId);
+    let status = 'ok';
+    if (downNodes.length > 0) {
+      status = 'nc_down';
+    } else if (cluster.state !== 'ACTIVE') {
+      status = 'degraded';
+    }
+    return {
+      ok: status === 'ok',
+      status,
+      cc: 'up',
+      state: cluster.state,
+      nodes,
+      downNodes,
+      latency: Date.now() - started,
+      error: null,
+    };
+  }
+
+  /**
+   * Sends a GET request to the admin API.
+   *
+   * @private
+   * @param {string} endpoint - The admin endpoint
+   * @param {Object} options - Request options
+   * @returns {Promise<any>} - The response body
+   */
+  async _get(endpoint, options) {
+    const data = await this._connector.get(endpoint, options);
+    if (typeof data !== 'string') {
+      return data;
+    }
+    // Some endpoints are served as text/plain.
+    try {
+      return JSON.parse(data);
+    } catch (error) {
+      return data;
+    }
+  }
+
+  /**
+   * Normalizes a node controller entry of `/admin/cluster`.
+   *
+   * @private
+   * @param {Object} nc - The entry
+   * @returns {Object}
+   */
+  static _node(nc) {
+    return {
+      nodeId: nc.node_id,
+      state: nc.state || null,
+      partitions: nc.partitions || [],
+      configUri: nc.configUri || null,
+      statsUri: nc.statsUri || null,
+      threadDumpUri: nc.threadDumpUri || null,
+    };
+  }
+
+  /**
+   * Returns the request list of a `/admin/requests/...` response.
+   *
+   * @private
+   * @param {*} data - The response body
+   * @returns {Array<Object>}
+   */
+  static _list(data) {
+    if (Array.isArray(data)) {
+      return data;
+    }
+    return data && Array.isArray(data.requests) ? data.requests : [];
+  }
+}
+
+module.exports = AdminClient;
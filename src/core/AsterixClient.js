@@ -1,4 +1,8 @@
+const EventEmitter = require('events');
 const Connector = require('./Connector');
+const ConnectionConfig = require('./ConnectionConfig');
+const QueryMetrics = require('./QueryMetrics');
+const AdminClient = require('./AdminClient');
 const OfflineEnabledConnector = require('../offline/OfflineEnabledConnector');
 const AsterixDatabase = require('../mongo/AsterixDatabase');
 
@@ -14,29 +18,69 @@ const AsterixDatabase = require('../mongo/AsterixDatabase');
  * // Find documents
  * const results = await users.find({ screenName: 'NathanGiesen@211' });
  * ```
+ * 
+ * Events emitted by the underlying connector (`retry`, `giveUp` and, with offline
+ * support enabled, the sync events) are re-emitted by the client.
  */
-class AsterixClient {
+class AsterixClient extends EventEmitter {
   /**
    * Creates a new AsterixClient.
    * 
-   * @param {string} config - The URL of the AsterixDB HTTP API endpoint or configuration object
+   * @param {string|Object} config - The URL of the AsterixDB HTTP API endpoint or configuration object
+   * @param {string|Array<string>} [config.astxUrl] - The URL of the AsterixDB HTTP API endpoint, or a list of node URLs
+   * @param {Array<string>} [config.endpoints] - Query service URLs of the cluster nodes (alternative to astxUrl)
+   * @param {string} [config.loadBalancing] - Node selection: 'round-robin' (default) or 'least-in-flight'
+   * @param {Object} [config.healthCheck] - `unhealthyThreshold` (consecutive failures) and `probeInterval` (ms)
+   * @param {number} [config.timeout] - Request timeout in milliseconds
+   * @param {Object} [config.headers] - Extra headers sent with every request
+   * @param {Object} [config.auth] - `{ username, password }` for basic auth or `{ token }` for bearer auth
+   * @param {Object} [config.tls] - TLS options such as `ca` and `rejectUnauthorized`
+   * @param {RetryPolicy|Object|boolean} [config.retry] - Retry policy (`maxAttempts`, `initialDelay`, `maxDelay`,
+   *   `multiplier`, `jitter`, `retryOn`) for every request; false disables retries. Can be overridden per call.
+   * @param {number} [config.maxGetLength] - Longest query string sent with GET (default 2048); longer reads are POSTed
+   * @param {Object|boolean} [config.pool] - Keep-alive agent options (`maxSockets`, `maxFreeSockets`, ...); false disables reuse
+   * @param {Object} [config.concurrency] - Caps requests in flight: `maxConcurrent`, `maxQueued`, `queueTimeout`, `priorities`
+   * @param {ReplayTransport|Object} [config.transport] - Records requests to, or replays them from, a fixture file
+   * @param {string} [config.int64='number'] - Returns integers beyond 2^53 as 'bigint' or 'string' instead of rounding them
+   * @param {Array<Function>} [config.interceptors] - Interceptors to register, in order (see use())
+   * @param {QueryMetrics|Object|boolean} [config.metrics] - Collects query metrics into `client.metrics`;
+   *   pass true, QueryMetrics options or a QueryMetrics instance
    */
   constructor(config = {}) {
-    const DEFAULT_URL = 'http://localhost:19002';
+    super();
+    const DEFAULT_URL = ConnectionConfig.DEFAULT_URL;
     let actualUrl;
     let clientProvidedOptions = {};
 
     if (typeof config === 'string') {
       actualUrl = config;
     } else if (typeof config === 'object' && config !== null) {
-      actualUrl = config.astxUrl || DEFAULT_URL;
+      actualUrl = config.endpoints || config.astxUrl || DEFAULT_URL;
       clientProvidedOptions = { ...config };
       delete clientProvidedOptions.astxUrl;
+      delete clientProvidedOptions.endpoints;
     } else {
       actualUrl = DEFAULT_URL;
     }
 
-    this.url = actualUrl;
+    // Connection settings shared by every connector, validator and sync manager this client creates
+    this.connection = new ConnectionConfig({
+      endpoints: actualUrl,
+      loadBalancing: clientProvidedOptions.loadBalancing,
+      healthCheck: clientProvidedOptions.healthCheck,
+      timeout: clientProvidedOptions.timeout,
+      headers: clientProvidedOptions.headers,
+      auth: clientProvidedOptions.auth,
+      tls: clientProvidedOptions.tls,
+      retry: clientProvidedOptions.retry,
+      maxGetLength: clientProvidedOptions.maxGetLength,
+      pool: clientProvidedOptions.pool,
+      concurrency: clientProvidedOptions.concurrency,
+      transport: clientProvidedOptions.transport,
+      int64: clientProvidedOptions.int64,
+    });
+    this.url = this.connection.baseURL;
+    this.endpoints = this.connection.endpoints;
 
     // Start with all defaults
     this.options = {
@@ -67,6 +111,18 @@ class AsterixClient {
     
     this._connector = null;
     this._databases = {};
+    this._admin = null;
+    this._interceptors = [];
+    (clientProvidedOptions.interceptors || []).forEach(interceptor => this.use(interceptor));
+
+    // Query metrics, when enabled
+    this.metrics = null;
+    if (clientProvidedOptions.metrics) {
+      this.metrics = clientProvidedOptions.metrics instanceof QueryMetrics
+        ? clientProvidedOptions.metrics
+        : new QueryMetrics(clientProvidedOptions.metrics === true ? {} : clientProvidedOptions.metrics);
+      this.use(this.metrics.interceptor());
+    }
 
     if (this.options.autoConnect) {
       this.connect();
@@ -85,16 +141,65 @@ class AsterixClient {
     
     if (this.options.offlineEnabled === true) {
       this._connector = new OfflineEnabledConnector({
-        astxUrl: this.url,
+        connection: this.connection,
         cacheTTL: this.options.cacheTTL,
         debug: this.options.debug,
         enableOfflineQueue: this.options.enableOfflineQueue
       });
     } else {
-      this._connector = new Connector({ astxUrl: this.url });
+      this._connector = new Connector(this.connection);
+    }
+    this._interceptors.forEach(interceptor => this._connector.use(interceptor));
+    if (this.metrics) {
+      this.metrics.watch(this._connector.limiter);
     }
+    this._forwardConnectorEvents();
     return this;
   }
+
+  /**
+   * Adds an interceptor that runs around every request sent through this client, including
+   * those made by its databases and collections. See Connector.use() for the context an
+   * interceptor receives.
+   *
+   * ```
+   * client.use(async (ctx, next) => {
+   *   ctx.options.headers = { ...ctx.options.headers, 'X-Tenant': tenantId };
+   *   await next();
+   * });
+   * ```
+   *
+   * Interceptors are kept across close() and connect().
+   *
+   * @param {Function} interceptor - `async (ctx, next) => void`
+   * @returns {AsterixClient} - The client instance for chaining
+   */
+  use(interceptor) {
+    if (typeof interceptor !== 'function') {
+      throw new Error('Interceptor must be a function (ctx, next) => Promise');
+    }
+    this._interceptors.push(interceptor);
+    if (this._connector) {
+      this._connector.use(interceptor);
+    }
+    return this;
+  }
+  
+  /**
+   * Re-emits the connector's events on the client.
+   * 
+   * @private
+   */
+  _forwardConnectorEvents() {
+    const events = ['retry', 'giveUp', 'failover', 'nodeDown', 'nodeUp', 'cancel', 'backpressure'];
+    if (this.options.offlineEnabled === true) {
+      events.push('online', 'offline', 'syncStart', 'syncProgress', 'syncComplete',
+        'syncError', 'syncSkipped', 'syncConflict', 'operationQueued');
+    }
+    events.forEach(eventName => {
+      this._connector.on(eventName, (...args) => this.emit(eventName, ...args));
+    });
+  }
   
   /**
    * Gets a database instance.
@@ -117,6 +222,25 @@ class AsterixClient {
     return this._databases[name];
   }
   
+  /**
+   * Gets the admin API client, for cluster state, versions, running requests and health checks.
+   * 
+   * ```
+   * const { status, downNodes } = await client.admin().ping();
+   * ```
+   * 
+   * @returns {AdminClient} - The admin client
+   */
+  admin() {
+    if (!this._connector) {
+      this.connect();
+    }
+    if (!this._admin) {
+      this._admin = new AdminClient(this._connector);
+    }
+    return this._admin;
+  }
+  
   /**
    * Checks if the server is reachable.
    * 
@@ -136,16 +260,20 @@ class AsterixClient {
   }
   
   /**
-   * Closes the client connection.
+   * Closes the client connection, cancelling every in-flight request it owns
+   * (both the HTTP requests and the statements running on the server).
    * 
    * @returns {Promise<void>}
    */
   async close() {
     if (this.options.offlineEnabled && this._connector && this._connector.syncManager) {
-      this._connector.syncManager.destroy();
+      await this._connector.destroy();
+    } else if (this._connector) {
+      await this._connector.close();
     }
     this._connector = null;
     this._databases = {};
+    this._admin = null;
   }
 }
 
@@ -0,0 +1,230 @@
+const TIMEOUT_ERROR_CODES = ['ECONNABORTED', 'ETIMEDOUT'];
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ENOTFOUND', 'EHOSTUNREACH', 'ENETUNREACH', 'EAI_AGAIN', 'EPIPE', 'ERR_NETWORK'];
+
+/**
+ * Base class for errors raised while talking to AsterixDB.
+ *
+ * Server errors are parsed from the `errors[]` array of the query service response:
+ * ```
+ * try {
+ *   await connector.executeQuery('SELECT * FROM Nope;');
+ * } catch (error) {
+ *   if (error instanceof UnknownDatasetError) {
+ *     console.log(error.code, error.msg, error.line, error.column, error.status);
+ *   }
+ * }
+ * ```
+ */
+class AsterixError extends Error {
+  /**
+   * @param {string} message - Human-readable message
+   * @param {Object} [details]
+   * @param {string} [details.code] - AsterixDB error code (e.g. ASX1077)
+   * @param {string} [details.msg] - The server's error message, without the code prefix
+   * @param {number} [details.line] - Line of the statement the error refers to
+   * @param {number} [details.column] - Column of the statement the error refers to
+   * @param {number} [details.status] - HTTP status code of the response
+   * @param {string} [details.statement] - The SQL++ statement that failed
+   * @param {string} [details.clientContextId] - The client_context_id of the request
+   * @param {Array<Object>} [details.errors] - Every entry of the response's `errors[]` array
+   * @param {Error} [details.cause] - The underlying error
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = details.code || null;
+    this.msg = details.msg || message;
+    this.line = details.line !== undefined ? details.line : null;
+    this.column = details.column !== undefined ? details.column : null;
+    this.status = details.status !== undefined ? details.status : null;
+    this.statement = details.statement || null;
+    this.clientContextId = details.clientContextId || null;
+    this.errors = details.errors || [];
+    this.cause = details.cause;
+  }
+
+  /**
+   * Creates the appropriate AsterixError for any failure.
+   * AsterixErrors are returned unchanged, apart from filling in missing request details.
+   *
+   * @param {Error} error - An axios error, AsterixError or any other error
+   * @param {Object} [details] - Request details (`statement`, `clientContextId`)
+   * @returns {AsterixError}
+   */
+  static from(error, details = {}) {
+    if (error instanceof AsterixError) {
+      if (!error.statement && details.statement) error.statement = details.statement;
+      if (!error.clientContextId && details.clientContextId) error.clientContextId = details.clientContextId;
+      return error;
+    }
+
+    const context = { ...details, cause: error };
+
+    if (error && (error.code === 'ERR_CANCELED' || error.name === 'CanceledError')) {
+      return new QueryCancelledError('Request was cancelled', context);
+    }
+
+    if (error && error.response) {
+      const { status, data } = error.response;
+      const body = typeof data === 'string' ? AsterixError._tryParse(data) : data;
+      if (body && Array.isArray(body.errors) && body.errors.length > 0) {
+        return AsterixError.fromResponse(body, { ...context, status });
+      }
+      const text = body === undefined || body === null || body === ''
+        ? error.message
+        : (typeof body === 'string' ? body : JSON.stringify(body));
+      return new AsterixError(`HTTP ${status}: ${text}`, { ...context, status, msg: text });
+    }
+
+    if (error && TIMEOUT_ERROR_CODES.includes(error.code)) {
+      return new QueryTimeoutError(`Request timed out: ${error.message}`, { ...context, code: error.code, msg: error.message });
+    }
+
+    if (error && (NETWORK_ERROR_CODES.includes(error.code) || error.request)) {
+      return new NetworkError(`Network error: ${error.message}`, { ...context, code: error.code || null, msg: error.message });
+    }
+
+    return new AsterixError(error && error.message ? error.message : String(error), context);
+  }
+
+  /**
+   * Wraps the failure of a higher-level operation (e.g. a collection method).
+   * AsterixErrors are returned unchanged so callers can inspect their type, code and
+   * position; anything else becomes an AsterixError with the operation prefix and the
+   * original error as its `cause`.
+   *
+   * @param {string} prefix - Message prefix (e.g. 'Find operation failed')
+   * @param {Error} error - The failure
+   * @returns {AsterixError} - The error to throw
+   */
+  static wrap(prefix, error) {
+    if (error instanceof AsterixError) {
+      return error;
+    }
+    const msg = error && error.message ? error.message : String(error);
+    return new AsterixError(`${prefix}: ${msg}`, { msg, cause: error });
+  }
+
+  /**
+   * Creates the appropriate AsterixError from a query service response body with `errors[]`.
+   *
+   * @param {Object} body - The response body (`{ errors: [{ code, msg }], status, clientContextID, ... }`)
+   * @param {Object} [details] - Request details (`status`, `statement`, `clientContextId`, `cause`)
+   * @returns {AsterixError}
+   */
+  static fromResponse(body, details = {}) {
+    const errors = (body && Array.isArray(body.errors)) ? body.errors : [];
+    const first = errors[0] || {};
+    const rawMsg = String(first.msg || first.message || (body && body.status) || 'Unknown error');
+
+    // The server reports codes as a prefix of the message, e.g. "ASX1077: Cannot find dataset ...".
+    const prefixed = rawMsg.match(/^([A-Z]{3}\d{4}):\s*([\s\S]*)$/);
+    const code = prefixed ? prefixed[1] : (first.code !== undefined ? String(first.code) : null);
+    const msg = prefixed ? prefixed[2] : rawMsg;
+
+    const lineMatch = msg.match(/\bline (\d+)/i);
+    const columnMatch = msg.match(/\bcolumn (\d+)/i);
+
+    const more = errors.length > 1 ? ` (and ${errors.length - 1} more error(s))` : '';
+    const message = `${code ? `${code}: ` : ''}${msg}${more}`;
+
+    const ErrorClass = AsterixError._classify(code, msg, body && body.status);
+    return new ErrorClass(message, {
+      ...details,
+      code,
+      msg,
+      line: lineMatch ? Number(lineMatch[1]) : null,
+      column: columnMatch ? Number(columnMatch[1]) : null,
+      clientContextId: details.clientContextId || (body && body.clientContextID) || null,
+      errors,
+    });
+  }
+
+  /**
+   * Picks the error class for a server error.
+   *
+   * @private
+   * @param {string} code - The error code
+   * @param {string} msg - The error message
+   * @param {string} [status] - The response status
+   * @returns {Function} - The AsterixError subclass
+   */
+  static _classify(code, msg, status) {
+    if (code === 'ASX1001' || /syntax error/i.test(msg)) {
+      return AsterixSyntaxError;
+    }
+    if (code === 'ASX1077' || /cannot find (dataset|collection|view)/i.test(msg)) {
+      return UnknownDatasetError;
+    }
+    if (/cannot (find|resolve)[\w\s]*(field|identifier|alias|variable)/i.test(msg)) {
+      return UnknownFieldError;
+    }
+    if (/duplicate key/i.test(msg)) {
+      return DuplicateKeyError;
+    }
+    if (status === 'timeout' || /timed? ?out/i.test(msg)) {
+      return QueryTimeoutError;
+    }
+    return AsterixError;
+  }
+
+  /**
+   * Parses JSON text, returning the text itself if it is not JSON.
+   *
+   * @private
+   * @param {string} text - The text to parse
+   * @returns {*}
+   */
+  static _tryParse(text) {
+    try {
+      return JSON.parse(text);
+    } catch (e) {
+      return text;
+    }
+  }
+}
+
+/** The statement is not valid SQL++ (e.g. ASX1001). */
+class AsterixSyntaxError extends AsterixError {}
+
+/** The statement refers to a dataset that does not exist (e.g. ASX1077). */
+class UnknownDatasetError extends AsterixError {}
+
+/** The statement refers to a field, alias or variable that cannot be resolved. */
+class UnknownFieldError extends AsterixError {}
+
+/** An insert would create a second record with an existing primary key. */
+class DuplicateKeyError extends AsterixError {}
+
+/** The request timed out, on the client or on the server. */
+class QueryTimeoutError extends AsterixError {}
+
+/** The server could not be reached or the connection failed. */
+class NetworkError extends AsterixError {}
+
+/** The operation needs the server but the client is offline. */
+class OfflineError extends AsterixError {}
+
+/** The request was cancelled by an AbortSignal, cancel() or close(). */
+class QueryCancelledError extends AsterixError {}
+
+/** The client-side request queue is full, or the request waited in it longer than `queueTimeout`. */
+class BackpressureError extends AsterixError {}
+
+/** A replaying transport has no recorded response for the request. */
+class ReplayMismatchError extends AsterixError {}
+
+module.exports = AsterixError;
+Object.assign(module.exports, {
+  AsterixError,
+  AsterixSyntaxError,
+  UnknownDatasetError,
+  UnknownFieldError,
+  DuplicateKeyError,
+  QueryTimeoutError,
+  NetworkError,
+  OfflineError,
+  QueryCancelledError,
+  BackpressureError,
+  ReplayMismatchError,
+});
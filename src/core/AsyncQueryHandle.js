@@ -0,0 +1,211 @@
+const AsterixError = require('./AsterixError');
+const ResultFormat = require('./ResultFormat');
+
+const { QueryTimeoutError } = AsterixError;
+
+const DEFAULT_BACKOFF = { initialDelay: 250, maxDelay: 5000, multiplier: 1.5 };
+
+/**
+ * Handle to a statement submitted in "async" or "deferred" mode (see `Connector.submit()`).
+ *
+ * In async mode the server answers right away with a status handle, which is polled until
+ * the statement completes. In deferred mode the server answers when the statement has
+ * completed, with a handle to its results. Either way the results are then read from
+ * the result handle.
+ *
+ * ```
+ * const handle = await connector.submit(longQuery, { mode: 'async' });
+ * await handle.wait({ timeout: 10 * 60 * 1000 });
+ * const rows = await handle.results();
+ * ```
+ *
+ * A handle serializes to a string, so another process (or a later run) can pick it up:
+ * ```
+ * fs.writeFileSync('job.handle', String(handle));
+ * // later
+ * const handle = connector.resumeQuery(fs.readFileSync('job.handle', 'utf8'));
+ * ```
+ *
+ * Handles are only valid on the node that accepted the statement, and the server lets
+ * results be read a limited number of times (once, by default).
+ */
+class AsyncQueryHandle {
+  /**
+   * @param {Connector} connector - The connector used to poll and fetch results
+   * @param {Object} state - The handle state
+   * @param {string} state.mode - 'async' or 'deferred'
+   * @param {string} state.node - Base URL of the node that accepted the statement
+   * @param {string} [state.statusHandle] - Status URL (async mode)
+   * @param {string} [state.resultHandle] - Result URL, once known
+   * @param {string} [state.status='running'] - Last known status
+   * @param {string} [state.clientContextId] - The statement's client_context_id
+   * @param {string} [state.requestID] - The server's request id
+   * @param {string} [state.statement] - The SQL++ statement
+   * @param {Object} [state.format] - Result format options (`format`, `header`, `delimiter`, `typed`, `signature`)
+   * @param {Object} [state.headers] - Extra HTTP headers for polls and result fetches (not serialized)
+   * @param {string} [state.priority] - Queue priority of polls and result fetches (not serialized)
+   * @param {number} [state.timeout] - HTTP timeout of each poll and result fetch (not serialized)
+   */
+  constructor(connector, state) {
+    this.connector = connector;
+    this.mode = state.mode;
+    this.node = state.node;
+    this.statusHandle = state.statusHandle || null;
+    this.resultHandle = state.resultHandle || null;
+    this.lastStatus = state.status || (this.resultHandle ? 'success' : 'running');
+    this.clientContextId = state.clientContextId || null;
+    this.requestID = state.requestID || null;
+    this.statement = state.statement || null;
+    this.format = state.format || {};
+    this.headers = state.headers || {};
+    this.priority = state.priority;
+    this.timeout = state.timeout;
+  }
+
+  /**
+   * Restores a handle serialized with `toString()`.
+   *
+   * @param {string|Object} serialized - The serialized handle, or its parsed state
+   * @param {Connector} connector - The connector used to poll and fetch results
+   * @returns {AsyncQueryHandle}
+   */
+  static parse(serialized, connector) {
+    const state = typeof serialized === 'string' ? JSON.parse(serialized) : serialized;
+    if (!state || !state.node || (!state.statusHandle && !state.resultHandle)) {
+      throw new Error('Invalid serialized query handle');
+    }
+    return new AsyncQueryHandle(connector, state);
+  }
+
+  /**
+   * Asks the server for the statement's status.
+   *
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Aborts the status request
+   * @returns {Promise<string>} - 'running', 'success', ...
+   * @throws {AsterixError} If the statement failed
+   */
+  async status(options = {}) {
+    if (this.resultHandle || !this.statusHandle) {
+      return this.lastStatus;
+    }
+
+    const data = await this.connector._fetchHandle(this.statusHandle, this.node, {
+      signal: options.signal,
+      headers: this.headers,
+      priority: this.priority,
+      timeout: this.timeout,
+      statement: this.statement,
+      clientContextId: this.clientContextId,
+    });
+    const status = String(data.status || 'running').toLowerCase();
+
+    if (status === 'failed' || status === 'fatal' || status === 'timeout' || (data.errors && data.errors.length > 0)) {
+      this.lastStatus = status;
+      throw AsterixError.fromResponse(data, { statement: this.statement, clientContextId: this.clientContextId });
+    }
+    if (status === 'success' && data.handle) {
+      this.resultHandle = data.handle;
+    }
+    this.lastStatus = status;
+    return status;
+  }
+
+  /**
+   * Polls until the statement has completed, backing off between polls.
+   *
+   * @param {Object} [options]
+   * @param {number} [options.timeout] - Give up after this many milliseconds (no limit by default)
+   * @param {number} [options.maxAttempts] - Give up after this many polls (no limit by default)
+   * @param {Object} [options.backoff] - `initialDelay` (250), `maxDelay` (5000) and `multiplier` (1.5)
+   * @param {AbortSignal} [options.signal] - Stops waiting; the statement keeps running on the server
+   * @returns {Promise<AsyncQueryHandle>} - This handle, once results can be fetched
+   * @throws {QueryTimeoutError} If the statement did not complete in time; the handle stays usable
+   */
+  async wait(options = {}) {
+    const backoff = { ...DEFAULT_BACKOFF, ...(options.backoff || {}) };
+    const deadline = options.timeout !== undefined ? Date.now() + options.timeout : Infinity;
+
+    for (let attempt = 1; ; attempt++) {
+      const status = await this.status(options);
+      if (status === 'success' && this.resultHandle) {
+        return this;
+      }
+
+      const delay = Math.min(
+        backoff.maxDelay,
+        backoff.initialDelay * Math.pow(backoff.multiplier, attempt - 1),
+        deadline - Date.now()
+      );
+      if (delay <= 0 || (options.maxAttempts !== undefined && attempt >= options.maxAttempts)) {
+        throw new QueryTimeoutError('Asynchronous query did not complete within the expected time.', {
+          statement: this.statement,
+          clientContextId: this.clientContextId,
+        });
+      }
+      await this.connector._sleep(delay, options.signal);
+    }
+  }
+
+  /**
+   * Waits for the statement to complete and fetches its results.
+   *
+   * @param {Object} [options] - Wait options (`timeout`, `maxAttempts`, `backoff`, `signal`)
+   * @returns {Promise<any>} - The result response, in the format the statement was submitted with
+   */
+  async results(options = {}) {
+    await this.wait(options);
+    const format = ResultFormat.from(this.format);
+    const data = await this.connector._fetchHandle(this.resultHandle, this.node, {
+      signal: options.signal,
+      statement: this.statement,
+      clientContextId: this.clientContextId,
+      headers: this.headers,
+      priority: this.priority,
+      timeout: this.timeout,
+      accept: format.accept,
+    });
+    return Array.isArray(data) ? data.map(row => format.transformRow(row)) : format.apply(data);
+  }
+
+  /**
+   * Cancels the statement on the server.
+   *
+   * @returns {Promise<boolean>} - True if the server acknowledged the cancellation
+   */
+  cancel() {
+    return this.connector._cancelOnServer({ clientContextId: this.clientContextId, node: { url: this.node } });
+  }
+
+  /**
+   * Returns the serializable state of the handle.
+   *
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      mode: this.mode,
+      node: this.node,
+      statusHandle: this.statusHandle,
+      resultHandle: this.resultHandle,
+      status: this.lastStatus,
+      clientContextId: this.clientContextId,
+      requestID: this.requestID,
+      statement: this.statement,
+      format: this.format,
+    };
+  }
+
+  /**
+   * Serializes the handle; restore it with `AsyncQueryHandle.parse()` or `connector.resumeQuery()`.
+   *
+   * @returns {string}
+   */
+  toString() {
+    return JSON.stringify(this);
+  }
+}
+
+AsyncQueryHandle.DEFAULT_BACKOFF = DEFAULT_BACKOFF;
+
+module.exports = AsyncQueryHandle;
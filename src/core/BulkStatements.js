@@ -0,0 +1,226 @@
+const FeedStatements = require('./FeedStatements');
+
+// Formats each statement accepts, mapped to the server's format name.
+const LOAD_FORMATS = { json: 'json', adm: 'adm', csv: 'delimited-text', tsv: 'delimited-text' };
+const COPY_TO_FORMATS = ['json', 'csv', 'parquet'];
+const COPY_INTO_FORMATS = ['json', 'csv', 'tsv', 'parquet'];
+
+const NODE_NAME = /^[A-Za-z0-9_.-]+$/;
+
+/**
+ * Builds and validates the SQL++ statements that move files in and out of datasets
+ * through the `localfs` adapter: LOAD DATASET, COPY ... TO and COPY INTO.
+ *
+ * ```
+ * BulkStatements.load('Events', { path: '/data/events.json', format: 'json', nodeName: 'asterix_nc1' });
+ * // LOAD DATASET Events USING localfs (("path"="asterix_nc1:///data/events.json"), ("format"="json"));
+ *
+ * BulkStatements.copyTo('Events', { path: '/backup/events', format: 'json' });
+ * // COPY Events TO localfs PATH("localhost:///backup/events") WITH { "format": "json" };
+ * ```
+ *
+ * Paths are absolute paths on the node given by `nodeName` (default 'localhost'), not on the
+ * machine running the client. A path that already has the `node://` prefix is used as given.
+ */
+class BulkStatements {
+  /**
+   * Builds a LOAD DATASET statement. The dataset must be empty.
+   *
+   * @param {string} dataset - The target dataset
+   * @param {Object} options
+   * @param {string|Array<string>} options.path - File path, or several paths loaded together
+   * @param {string} options.format - 'json', 'adm', 'csv' or 'tsv'
+   * @param {string} [options.nodeName='localhost'] - Node the files are on
+   * @param {string} [options.delimiter] - Field delimiter for CSV (default ',')
+   * @param {boolean} [options.header=false] - Whether CSV/TSV files start with a header line
+   * @returns {string}
+   * @throws {Error} If an option is invalid
+   */
+  static load(dataset, options = {}) {
+    FeedStatements.checkName(dataset, 'dataset');
+    const format = BulkStatements._format(options.format, Object.keys(LOAD_FORMATS), 'load');
+    const paths = BulkStatements.paths(options);
+    if (paths.some(path => path.includes(','))) {
+      throw new Error('Load paths must not contain commas');
+    }
+
+    const settings = { path: paths.join(','), format: LOAD_FORMATS[format] };
+    if (format === 'csv' || format === 'tsv') {
+      settings.delimiter = BulkStatements._delimiter(options.delimiter, format === 'tsv' ? '\t' : ',');
+      settings.header = String(Boolean(options.header));
+    } else if (options.delimiter !== undefined || options.header !== undefined) {
+      throw new Error(`Load options "delimiter" and "header" only apply to csv and tsv, not ${format}`);
+    }
+
+    const entries = Object.entries(settings).map(([key, value]) => `(${JSON.stringify(key)}=${JSON.stringify(value)})`);
+    return `LOAD DATASET ${dataset} USING localfs (${entries.join(', ')});`;
+  }
+
+  /**
+   * Builds a COPY ... TO statement that writes a dataset, or the results of a query, to files.
+   *
+   * @param {string} dataset - The source dataset (ignored when `query` is given)
+   * @param {Object} options
+   * @param {string} options.path - Output directory
+   * @param {string} [options.format='json'] - 'json', 'csv' or 'parquet'
+   * @param {string} [options.nodeName='localhost'] - Node to write the files on
+   * @param {string} [options.query] - SQL++ query whose results are written instead of the dataset
+   * @param {boolean} [options.header] - Whether CSV files start with a header line
+   * @param {Object} [options.config] - Further writer settings (e.g. `compression`, `max-objects-per-file`)
+   * @returns {string}
+   * @throws {Error} If an option is invalid
+   */
+  static copyTo(dataset, options = {}) {
+    const format = BulkStatements._format(options.format || 'json', COPY_TO_FORMATS, 'copyTo');
+    const paths = BulkStatements.paths(options);
+    if (paths.length !== 1) {
+      throw new Error('copyTo writes to a single output path');
+    }
+
+    let source;
+    if (options.query !== undefined) {
+      if (typeof options.query !== 'string' || options.query.trim() === '') {
+        throw new Error('copyTo query must be a non-empty SQL++ string');
+      }
+      source = `(${options.query.trim().replace(/;\s*$/, '')})`;
+    } else {
+      FeedStatements.checkName(dataset, 'dataset');
+      source = dataset;
+    }
+
+    const settings = BulkStatements._with(format, options);
+    return `COPY ${source} TO localfs PATH(${JSON.stringify(paths[0])}) WITH ${settings};`;
+  }
+
+  /**
+   * Builds a COPY INTO statement that adds the records of a file to a dataset.
+   *
+   * @param {string} dataset - The target dataset
+   * @param {Object} options
+   * @param {string} options.path - File path (use paths() to expand a list into one statement each)
+   * @param {string} [options.format='json'] - 'json', 'csv', 'tsv' or 'parquet'
+   * @param {string} [options.nodeName='localhost'] - Node the file is on
+   * @param {boolean} [options.header] - Whether CSV/TSV files start with a header line
+   * @param {Object} [options.config] - Further reader settings (e.g. `delimiter`, `null`)
+   * @returns {string}
+   * @throws {Error} If an option is invalid
+   */
+  static copyInto(dataset, options = {}) {
+    FeedStatements.checkName(dataset, 'dataset');
+    const format = BulkStatements._format(options.format || 'json', COPY_INTO_FORMATS, 'copyInto');
+    const paths = BulkStatements.paths(options);
+    if (paths.length !== 1) {
+      throw new Error('copyInto reads a single path per statement');
+    }
+
+    const settings = BulkStatements._with(format, options);
+    return `COPY INTO ${dataset} FROM localfs PATH(${JSON.stringify(paths[0])}) WITH ${settings};`;
+  }
+
+  /**
+   * Resolves `options.path` to `node://` URIs.
+   *
+   * @param {Object} options - `path` (a path or list of paths) and `nodeName`
+   * @returns {Array<string>}
+   * @throws {Error} If a path is missing, relative or malformed
+   */
+  static paths(options = {}) {
+    const list = Array.isArray(options.path) ? options.path : [options.path];
+    if (list.length === 0) {
+      throw new Error('At least one path is required');
+    }
+
+    const nodeName = options.nodeName !== undefined ? options.nodeName : 'localhost';
+    if (typeof nodeName !== 'string' || !NODE_NAME.test(nodeName)) {
+      throw new Error(`Invalid node name "${nodeName}"`);
+    }
+
+    return list.map(path => {
+      if (typeof path !== 'string' || path === '') {
+        throw new Error('Path must be a non-empty string');
+      }
+      if (/[\r\n]/.test(path)) {
+        throw new Error(`Invalid path "${path}"`);
+      }
+      if (/^[A-Za-z0-9_.-]+:\/\/\//.test(path)) {
+        return path;
+      }
+      if (!path.startsWith('/')) {
+        throw new Error(`Path "${path}" must be absolute (it is resolved on node "${nodeName}")`);
+      }
+      return `${nodeName}://${path}`;
+    });
+  }
+
+  /**
+   * Checks a format name.
+   *
+   * @private
+   * @param {string} format - The format
+   * @param {Array<string>} allowed - Accepted formats
+   * @param {string} operation - The operation, for the error message
+   * @returns {string}
+   */
+  static _format(format, allowed, operation) {
+    if (!allowed.includes(format)) {
+      throw new Error(`Unknown ${operation} format "${format}". Use one of: ${allowed.join(', ')}`);
+    }
+    return format;
+  }
+
+  /**
+   * Checks a field delimiter.
+   *
+   * @private
+   * @param {string} [delimiter] - The delimiter
+   * @param {string} fallback - Delimiter used when none is given
+   * @returns {string}
+   */
+  static _delimiter(delimiter, fallback) {
+    if (delimiter === undefined) {
+      return fallback;
+    }
+    if (typeof delimiter !== 'string' || delimiter.length !== 1) {
+      throw new Error('Delimiter must be a single character');
+    }
+    return delimiter;
+  }
+
+  /**
+   * Builds the `WITH` record of a COPY statement.
+   *
+   * @private
+   * @param {string} format - The format
+   * @param {Object} options - `header` and `config`
+   * @returns {string}
+   */
+  static _with(format, options) {
+    const settings = { format };
+    if (options.header !== undefined) {
+      if (format !== 'csv' && format !== 'tsv') {
+        throw new Error(`Option "header" only applies to csv and tsv, not ${format}`);
+      }
+      settings.header = Boolean(options.header);
+    }
+    for (const [key, value] of Object.entries(options.config || {})) {
+      if (value === undefined || value === null) {
+        continue;
+      }
+      if (typeof value === 'object') {
+        throw new Error(`Copy setting "${key}" must be a string, number or boolean`);
+      }
+      if (key === 'format' || key === 'path') {
+        throw new Error(`Copy setting "${key}" is set through its own option`);
+      }
+      settings[key] = value;
+    }
+    const fields = Object.entries(settings).map(([key, value]) => `${JSON.stringify(key)}: ${JSON.stringify(value)}`);
+    return `{ ${fields.join(', ')} }`;
+  }
+}
+
+BulkStatements.LOAD_FORMATS = Object.keys(LOAD_FORMATS);
+BulkStatements.COPY_TO_FORMATS = COPY_TO_FORMATS;
+BulkStatements.COPY_INTO_FORMATS = COPY_INTO_FORMATS;
+
+module.exports = BulkStatements;
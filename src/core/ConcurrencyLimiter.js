@@ -0,0 +1,239 @@
+const EventEmitter = require('events');
+const { BackpressureError, QueryCancelledError } = require('./AsterixError');
+
+const DEFAULT_PRIORITIES = ['interactive', 'batch'];
+
+/**
+ * Limits how many requests a connector has in flight at once.
+ *
+ * Requests beyond `maxConcurrent` wait in a queue, one per priority level. When a slot frees
+ * up, the oldest request of the highest priority level (the first in `priorities`) goes next,
+ * so interactive requests overtake queued batch work. Once `maxQueued` requests are waiting,
+ * further requests are rejected with a BackpressureError instead of piling up.
+ *
+ * ```
+ * const limiter = new ConcurrencyLimiter({ maxConcurrent: 8, maxQueued: 200, queueTimeout: 30000 });
+ * const release = await limiter.acquire({ priority: 'batch' });
+ * try {
+ *   // send the request
+ * } finally {
+ *   release();
+ * }
+ * ```
+ *
+ * Emits `backpressure` with `{ priority, reason, queued }` when a request is rejected
+ * (`reason` is 'queueFull' or 'queueTimeout').
+ */
+class ConcurrencyLimiter extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxConcurrent=Infinity] - Requests allowed in flight at once
+   * @param {number} [options.maxQueued=Infinity] - Requests allowed to wait for a slot
+   * @param {number} [options.queueTimeout] - Milliseconds a request may wait for a slot (no limit by default)
+   * @param {Array<string>} [options.priorities=['interactive', 'batch']] - Priority levels, highest first;
+   *   requests without a priority get the first one
+   */
+  constructor(options = {}) {
+    super();
+    this.maxConcurrent = options.maxConcurrent !== undefined ? options.maxConcurrent : Infinity;
+    this.maxQueued = options.maxQueued !== undefined ? options.maxQueued : Infinity;
+    this.queueTimeout = options.queueTimeout !== undefined ? options.queueTimeout : null;
+    this.priorities = [...(options.priorities || DEFAULT_PRIORITIES)];
+
+    if (!(this.maxConcurrent >= 1)) {
+      throw new Error('Concurrency maxConcurrent must be at least 1');
+    }
+    if (!(this.maxQueued >= 0)) {
+      throw new Error('Concurrency maxQueued must be zero or more');
+    }
+    if (this.queueTimeout !== null && !(this.queueTimeout > 0)) {
+      throw new Error('Concurrency queueTimeout must be a positive number of milliseconds');
+    }
+    if (this.priorities.length === 0) {
+      throw new Error('Concurrency priorities must list at least one level');
+    }
+
+    this.active = 0;
+    this._queues = new Map(this.priorities.map(priority => [priority, []]));
+    this._stats = new Map(this.priorities.map(priority => [priority, {
+      started: 0,
+      rejected: 0,
+      waited: 0,
+      queueTime: 0,
+      maxQueueTime: 0,
+    }]));
+  }
+
+  /**
+   * Number of requests waiting for a slot.
+   *
+   * @returns {number}
+   */
+  get queued() {
+    let total = 0;
+    for (const queue of this._queues.values()) {
+      total += queue.length;
+    }
+    return total;
+  }
+
+  /**
+   * Waits for a free slot.
+   *
+   * @param {Object} [options]
+   * @param {string} [options.priority] - One of `priorities` (default: the highest)
+   * @param {AbortSignal} [options.signal] - Gives up waiting once aborted
+   * @returns {Promise<Function>} - Resolves with a function that frees the slot; call it exactly once
+   * @throws {BackpressureError} If the queue is full or the wait exceeded `queueTimeout`
+   * @throws {QueryCancelledError} If the signal was aborted while waiting
+   */
+  acquire(options = {}) {
+    const priority = options.priority || this.priorities[0];
+    const queue = this._queues.get(priority);
+    if (!queue) {
+      return Promise.reject(new Error(`Unknown priority "${priority}". Use one of: ${this.priorities.join(', ')}`));
+    }
+    if (options.signal && options.signal.aborted) {
+      return Promise.reject(new QueryCancelledError('Request was cancelled'));
+    }
+
+    const stats = this._stats.get(priority);
+    if (this.active < this.maxConcurrent && this.queued === 0) {
+      stats.started++;
+      return Promise.resolve(this._grant());
+    }
+    if (this.queued >= this.maxQueued) {
+      return Promise.reject(this._reject(priority, 'queueFull',
+        `Request queue is full (${this.queued} waiting, ${this.active} in flight)`));
+    }
+
+    return new Promise((resolve, reject) => {
+      const entry = { enqueuedAt: Date.now(), timer: null, onAbort: null };
+      const leave = () => {
+        queue.splice(queue.indexOf(entry), 1);
+        clearTimeout(entry.timer);
+        if (options.signal) {
+          options.signal.removeEventListener('abort', entry.onAbort);
+        }
+      };
+
+      entry.start = () => {
+        leave();
+        const waited = Date.now() - entry.enqueuedAt;
+        stats.started++;
+        stats.waited++;
+        stats.queueTime += waited;
+        stats.maxQueueTime = Math.max(stats.maxQueueTime, waited);
+        resolve(this._grant());
+      };
+      if (this.queueTimeout !== null) {
+        entry.timer = setTimeout(() => {
+          leave();
+          reject(this._reject(priority, 'queueTimeout',
+            `Request waited more than ${this.queueTimeout} ms for a free connection slot`));
+        }, this.queueTimeout);
+      }
+      if (options.signal) {
+        entry.onAbort = () => {
+          leave();
+          reject(new QueryCancelledError('Request was cancelled'));
+        };
+        options.signal.addEventListener('abort', entry.onAbort, { once: true });
+      }
+      queue.push(entry);
+    });
+  }
+
+  /**
+   * Runs a task once a slot is free, freeing the slot when it settles.
+   *
+   * @param {Function} task - `async () => any`
+   * @param {Object} [options] - `priority` and `signal`, as for acquire()
+   * @returns {Promise<any>} - The task's result
+   */
+  async run(task, options = {}) {
+    const release = await this.acquire(options);
+    try {
+      return await task();
+    } finally {
+      release();
+    }
+  }
+
+  /**
+   * Returns the limiter's state and queue-time statistics.
+   *
+   * @returns {Object} - `active`, `queued`, `maxConcurrent`, `maxQueued`, and per priority
+   *   `queued`, `started`, `rejected`, `waited` (requests that had to queue), `queueTime`
+   *   (total milliseconds spent queued) and `maxQueueTime`
+   */
+  stats() {
+    const priorities = {};
+    for (const [priority, stats] of this._stats) {
+      priorities[priority] = { queued: this._queues.get(priority).length, ...stats };
+    }
+    return {
+      active: this.active,
+      queued: this.queued,
+      maxConcurrent: this.maxConcurrent,
+      maxQueued: this.maxQueued,
+      priorities,
+    };
+  }
+
+  /**
+   * Takes a slot.
+   *
+   * @private
+   * @returns {Function} - Frees the slot; later calls do nothing
+   */
+  _grant() {
+    this.active++;
+    let released = false;
+    return () => {
+      if (released) {
+        return;
+      }
+      released = true;
+      this.active--;
+      this._next();
+    };
+  }
+
+  /**
+   * Starts the next queued request, highest priority first.
+   *
+   * @private
+   */
+  _next() {
+    if (this.active >= this.maxConcurrent) {
+      return;
+    }
+    for (const priority of this.priorities) {
+      const queue = this._queues.get(priority);
+      if (queue.length > 0) {
+        queue[0].start();
+        return;
+      }
+    }
+  }
+
+  /**
+   * Counts and reports a rejected request.
+   *
+   * @private
+   * @param {string} priority - The request's priority
+   * @param {string} reason - 'queueFull' or 'queueTimeout'
+   * @param {string} message - The error message
+   * @returns {BackpressureError}
+   */
+  _reject(priority, reason, message) {
+    this._stats.get(priority).rejected++;
+    this.emit('backpressure', { priority, reason, queued: this.queued, active: this.active });
+    return new BackpressureError(message, { code: reason === 'queueFull' ? 'QUEUE_FULL' : 'QUEUE_TIMEOUT' });
+  }
+}
+
+ConcurrencyLimiter.DEFAULT_PRIORITIES = DEFAULT_PRIORITIES;
+
+module.exports = ConcurrencyLimiter;
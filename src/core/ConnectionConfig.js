@@ -0,0 +1,221 @@
+const axios = require('axios');
+const RetryPolicy = require('./RetryPolicy');
+const ReplayTransport = require('./ReplayTransport');
+const Int64Json = require('./Int64Json');
+
+const DEFAULT_URL = 'http://localhost:19002';
+const DEFAULT_TIMEOUT = 5000;
+const DEFAULT_MAX_GET_LENGTH = 2048;
+const DEFAULT_POOL = { keepAlive: true, keepAliveMsecs: 1000, maxSockets: 64, maxFreeSockets: 16 };
+
+/**
+ * Normalized connection settings shared by every component that talks to AsterixDB.
+ *
+ * Accepts either a URL string or a configuration object:
+ * ```
+ * {
+ *   astxUrl: 'https://asterix.example.com:19002',
+ *   timeout: 10000,
+ *   headers: { 'X-Tenant': 'analytics' },
+ *   auth: { username: 'admin', password: 'secret' }, // or { token: '...' } for bearer auth
+ *   tls: { ca: fs.readFileSync('ca.pem'), rejectUnauthorized: true },
+ *   retry: { maxAttempts: 5, initialDelay: 200 }
+ * }
+ * ```
+ *
+ * For a multi-node cluster, `astxUrl` (or `endpoints`) may be a list of node URLs:
+ * ```
+ * {
+ *   endpoints: ['http://nc1:19002', 'http://nc2:19002'],
+ *   loadBalancing: 'least-in-flight',
+ *   healthCheck: { unhealthyThreshold: 2, probeInterval: 5000 }
+ * }
+ * ```
+ *
+ * Connections are kept alive and reused (`pool`); `concurrency` caps the requests in flight:
+ * ```
+ * {
+ *   pool: { maxSockets: 32 },
+ *   concurrency: { maxConcurrent: 16, maxQueued: 500, queueTimeout: 60000 }
+ * }
+ * ```
+ *
+ * Requests can be recorded to, or replayed from, a fixture file (see ReplayTransport):
+ * ```
+ * { transport: { mode: 'replay', fixture: 'test/fixtures/users.json' } }
+ * ```
+ *
+ * `int64` keeps integers beyond 2^53 exact by returning them as BigInts or strings (see Int64Json):
+ * ```
+ * { int64: 'bigint' }
+ * ```
+ */
+class ConnectionConfig {
+  /**
+   * @param {string|Object} [config] - The AsterixDB URL or a configuration object
+   * @param {string|Array<string>} [config.astxUrl] - Base URL of the AsterixDB HTTP API, or a list of node URLs
+   *   (aliases: baseURL, endpoints)
+   * @param {number} [config.timeout] - Request timeout in milliseconds
+   * @param {Object} [config.headers] - Extra headers sent with every request
+   * @param {Object} [config.auth] - `{ username, password }` for basic auth or `{ token }` for bearer auth
+   * @param {Object} [config.tls] - TLS options (`ca`, `cert`, `key`, `passphrase`, `rejectUnauthorized`, `servername`)
+   * @param {RetryPolicy|Object|boolean} [config.retry] - Retry policy or its options; false disables retries
+   * @param {string} [config.loadBalancing='round-robin'] - Node selection: 'round-robin' or 'least-in-flight'
+   * @param {Object} [config.healthCheck] - `unhealthyThreshold` (consecutive failures) and `probeInterval` (ms)
+   * @param {number} [config.maxGetLength=2048] - Longest query string sent with GET; longer reads are POSTed
+   * @param {Object|boolean} [config.pool] - Keep-alive agent options (`keepAlive`, `keepAliveMsecs`, `maxSockets`,
+   *   `maxFreeSockets`); false disables connection reuse
+   * @param {Object} [config.concurrency] - Request limiter options (`maxConcurrent`, `maxQueued`, `queueTimeout`,
+   *   `priorities`); see ConcurrencyLimiter. Unlimited by default
+   * @param {ReplayTransport|Object} [config.transport] - Records or replays requests instead of only sending them;
+   *   a ReplayTransport or its options (`mode`, `fixture`, `strict`, `idFields`)
+   * @param {string} [config.int64='number'] - How responses return integers beyond 2^53: 'number' (rounded, as
+   *   JSON.parse does), 'bigint' or 'string'
+   */
+  constructor(config = {}) {
+    if (typeof config === 'string') {
+      config = { astxUrl: config };
+    } else if (config === null || typeof config !== 'object') {
+      config = {};
+    }
+
+    const urls = [].concat(config.endpoints || config.astxUrl || config.baseURL || DEFAULT_URL);
+    this.endpoints = urls.map(url => String(url).replace(/\/+$/, ''));
+    this.baseURL = this.endpoints[0];
+    this.loadBalancing = config.loadBalancing || 'round-robin';
+    this.healthCheck = { unhealthyThreshold: 2, probeInterval: 5000, ...(config.healthCheck || {}) };
+    this.timeout = config.timeout !== undefined ? config.timeout : DEFAULT_TIMEOUT;
+    this.headers = { ...(config.headers || {}) };
+    this.auth = config.auth ? { ...config.auth } : null;
+    this.tls = config.tls ? { ...config.tls } : null;
+    this.retry = RetryPolicy.from(config.retry);
+    this.maxGetLength = config.maxGetLength !== undefined ? config.maxGetLength : DEFAULT_MAX_GET_LENGTH;
+    this.pool = config.pool === false ? null : { ...DEFAULT_POOL, ...(config.pool || {}) };
+    this.concurrency = { ...(config.concurrency || {}) };
+    this.transport = config.transport ? ReplayTransport.from(config.transport) : null;
+    this.int64 = config.int64 || 'number';
+
+    this._validate();
+  }
+
+  /**
+   * Returns the given value as a ConnectionConfig, creating one if needed.
+   *
+   * @param {ConnectionConfig|string|Object} config - An existing config, URL or configuration object
+   * @returns {ConnectionConfig}
+   */
+  static from(config) {
+    return config instanceof ConnectionConfig ? config : new ConnectionConfig(config);
+  }
+
+  /**
+   * Builds the axios instance options for this configuration.
+   *
+   * @returns {Object} Options suitable for `axios.create()`
+   */
+  toAxiosConfig() {
+    const headers = {
+      'Content-Type': 'application/json',
+      ...this.headers,
+    };
+
+    const axiosConfig = {
+      baseURL: this.baseURL,
+      timeout: this.timeout,
+      headers,
+    };
+
+    if (this.auth) {
+      if (this.auth.token) {
+        headers.Authorization = `Bearer ${this.auth.token}`;
+      } else {
+        axiosConfig.auth = {
+          username: this.auth.username,
+          password: this.auth.password || '',
+        };
+      }
+    }
+
+    // One agent per connector, so that close() can release its sockets.
+    if (this.pool) {
+      const http = require('http');
+      axiosConfig.httpAgent = new http.Agent({ ...this.pool });
+    }
+    if ((this.pool || this.tls) && this.endpoints.some(url => url.startsWith('https:'))) {
+      const https = require('https');
+      axiosConfig.httpsAgent = new https.Agent({ ...(this.pool || {}), ...(this.tls || {}) });
+    }
+
+    if (this.transport) {
+      axiosConfig.adapter = this.transport.adapter();
+    }
+
+    // BigInts in request bodies (e.g. bound `args`) are written as exact integer literals.
+    axiosConfig.transformRequest = [
+      data => (Int64Json.hasBigInt(data) ? Int64Json.stringify(data) : data),
+      ...[].concat(axios.defaults.transformRequest),
+    ];
+    if (this.int64 !== 'number') {
+      axiosConfig.transformResponse = [Int64Json.responseTransformer(this.int64)];
+    }
+
+    return axiosConfig;
+  }
+
+  /**
+   * Returns a plain-object copy of the configuration, suitable for passing to constructors.
+   *
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      astxUrl: this.endpoints.length > 1 ? [...this.endpoints] : this.baseURL,
+      loadBalancing: this.loadBalancing,
+      healthCheck: { ...this.healthCheck },
+      timeout: this.timeout,
+      headers: { ...this.headers },
+      auth: this.auth ? { ...this.auth } : null,
+      tls: this.tls ? { ...this.tls } : null,
+      retry: this.retry,
+      maxGetLength: this.maxGetLength,
+      pool: this.pool ? { ...this.pool } : false,
+      concurrency: { ...this.concurrency },
+      transport: this.transport,
+      int64: this.int64,
+    };
+  }
+
+  /**
+   * Validates the normalized settings.
+   *
+   * @private
+   */
+  _validate() {
+    for (const url of this.endpoints) {
+      if (!/^https?:\/\//i.test(url)) {
+        throw new Error(`Invalid AsterixDB URL "${url}": must start with http:// or https://`);
+      }
+    }
+    if (typeof this.timeout !== 'number' || this.timeout < 0) {
+      throw new Error('Connection timeout must be a non-negative number of milliseconds');
+    }
+    if (typeof this.maxGetLength !== 'number' || this.maxGetLength < 0) {
+      throw new Error('maxGetLength must be a non-negative number of characters');
+    }
+    if (this.pool && (!Number.isInteger(this.pool.maxSockets) || this.pool.maxSockets < 1) &&
+      this.pool.maxSockets !== Infinity) {
+      throw new Error('Connection pool maxSockets must be a positive integer');
+    }
+    if (this.auth && !this.auth.token && !this.auth.username) {
+      throw new Error('Connection auth requires either a username (basic) or a token (bearer)');
+    }
+    Int64Json.mode(this.int64);
+  }
+}
+
+ConnectionConfig.DEFAULT_URL = DEFAULT_URL;
+ConnectionConfig.DEFAULT_TIMEOUT = DEFAULT_TIMEOUT;
+ConnectionConfig.DEFAULT_MAX_GET_LENGTH = DEFAULT_MAX_GET_LENGTH;
+ConnectionConfig.DEFAULT_POOL = DEFAULT_POOL;
+
+module.exports = ConnectionConfig;
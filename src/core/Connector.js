@@ -1,177 +1,1183 @@
 const axios = require('axios');
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const ConnectionConfig = require('./ConnectionConfig');
+const QueryParameters = require('./QueryParameters');
+const RetryPolicy = require('./RetryPolicy');
+const EndpointPool = require('./EndpointPool');
+const ConcurrencyLimiter = require('./ConcurrencyLimiter');
+const ResultStream = require('./ResultStream');
+const ResultFormat = require('./ResultFormat');
+const Int64Json = require('./Int64Json');
+const QueryPlan = require('./QueryPlan');
+const AsyncQueryHandle = require('./AsyncQueryHandle');
+const SqlppTokenizer = require('./SqlppTokenizer');
+const StatementClassifier = require('./StatementClassifier');
+const AsterixError = require('./AsterixError');
+const { QueryCancelledError } = AsterixError;
+
+// Connection errors raised before a request reaches the server; safe to send elsewhere.
+const CONNECT_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EHOSTUNREACH', 'ENETUNREACH', 'EAI_AGAIN'];
 
 /**
  * Connector class to handle HTTP communication with AsterixDB.
+ *
+ * Emits `retry` before each retried request and `giveUp` when a request fails after
+ * its retries are exhausted (or its error is not retryable).
+ *
+ * When configured with several endpoints, each request is sent to a node chosen by the
+ * endpoint pool. Requests that cannot connect fail over to another node immediately;
+ * `failover`, `nodeDown` and `nodeUp` events report node changes.
+ *
+ * Every statement carries a `client_context_id` so that it can be cancelled on the
+ * server with cancel(), through an AbortSignal, or by close().
+ *
+ * Connections are reused through keep-alive agents. With `concurrency` configured, requests
+ * beyond `maxConcurrent` wait in a priority queue (see ConcurrencyLimiter); a full queue
+ * rejects them with a BackpressureError and emits `backpressure`.
  */
-class Connector {
+class Connector extends EventEmitter {
   /**
-   * Initializes the Connector with a hardcoded base URL for AsterixDB.
+   * Initializes the Connector from a connection configuration.
+   *
+   * @param {ConnectionConfig|string|Object} [config] - The AsterixDB URL or connection options
+   *   (`astxUrl`, `timeout`, `headers`, `auth`, `tls`, `retry`). Defaults to `http://localhost:19002`.
    */
-  constructor() {
-    this.baseURL = 'http://localhost:19002';
-    this.httpClient = axios.create({
-      baseURL: this.baseURL,
-      timeout: 5000,
-      headers: {
-        'Content-Type': 'application/json',
-      },
+  constructor(config = {}) {
+    super();
+    this.config = ConnectionConfig.from(config);
+    this.baseURL = this.config.baseURL;
+    this.retryPolicy = this.config.retry;
+    this.httpClient = axios.create(this.config.toAxiosConfig());
+    this.endpoints = new EndpointPool(this.config.endpoints, {
+      strategy: this.config.loadBalancing,
+      unhealthyThreshold: this.config.healthCheck.unhealthyThreshold,
+      probeInterval: this.config.healthCheck.probeInterval,
+      probe: node => this.httpClient.get('/query/service', {
+        baseURL: node.url,
+        params: { statement: 'SELECT 1;' },
+      }),
+    });
+    ['nodeDown', 'nodeUp'].forEach(eventName => {
+      this.endpoints.on(eventName, (...args) => this.emit(eventName, ...args));
     });
+    this.limiter = new ConcurrencyLimiter(this.config.concurrency);
+    this.limiter.on('backpressure', event => this.emit('backpressure', event));
+    // In-flight requests by client_context_id
+    this._inFlight = new Map();
+    this._interceptors = [];
+  }
+
+  /**
+   * Adds an interceptor to the chain that runs around executeQuery, executeQueryAsync,
+   * submit, explain, get, post and each statement of executeScript.
+   *
+   * Interceptors run in the order they were added, Koa-style: each receives a context and a
+   * `next` function that runs the rest of the chain (and finally the request) and resolves
+   * once `ctx.response` is set. An interceptor can:
+   * - change `ctx.statement`, `ctx.options` (including `args`, `params` and `headers`),
+   *   `ctx.endpoint` or `ctx.data` before calling `next()`;
+   * - inspect or replace `ctx.response` after `next()` resolves;
+   * - catch the error thrown by `next()` (also available as `ctx.error`), and rethrow it or
+   *   recover by setting `ctx.response`;
+   * - skip the request by setting `ctx.response` without calling `next()`.
+   *
+   * ```
+   * connector.use(async (ctx, next) => {
+   *   ctx.options.headers = { ...ctx.options.headers, 'X-Tenant': 'analytics' };
+   *   const started = Date.now();
+   *   try {
+   *     await next();
+   *   } finally {
+   *     console.log(ctx.operation, Date.now() - started, 'ms');
+   *   }
+   * });
+   * ```
+   *
+   * The context also has `operation` (the method name), `connector` and `state`, an object
+   * interceptors can use to pass data to each other. Besides the public methods, interceptors
+   * see the `cancel` request that stops a statement on the server.
+   *
+   * @param {Function} interceptor - `async (ctx, next) => void`
+   * @returns {Connector} This connector, for chaining.
+   */
+  use(interceptor) {
+    if (typeof interceptor !== 'function') {
+      throw new Error('Interceptor must be a function (ctx, next) => Promise');
+    }
+    this._interceptors.push(interceptor);
+    return this;
+  }
+
+  /**
+   * Cancels every in-flight request and stops background work (node health probes).
+   * A recording transport writes its fixture. The connector must not be used afterwards.
+   *
+   * @returns {Promise<void>} Resolves once the server-side cancellations have been sent.
+   */
+  async close() {
+    this.endpoints.stop();
+    await this.cancelAll();
+    [this.httpClient.defaults.httpAgent, this.httpClient.defaults.httpsAgent].forEach(agent => {
+      if (agent) {
+        agent.destroy();
+      }
+    });
+    if (this.config.transport) {
+      await this.config.transport.close();
+    }
+  }
+
+  /**
+   * Cancels an in-flight request: aborts the HTTP request and asks the server to stop
+   * the statement (`DELETE /admin/requests/running?client_context_id=...`).
+   *
+   * Requests not issued by this connector can be cancelled on the server too, as long
+   * as their client_context_id is known.
+   *
+   * @param {string} clientContextId - The client_context_id of the request.
+   * @returns {Promise<boolean>} True if the server acknowledged the cancellation.
+   */
+  async cancel(clientContextId) {
+    const entry = this._inFlight.get(clientContextId);
+    if (entry) {
+      entry.abort();
+      return entry.serverCancellation;
+    }
+    return this._cancelOnServer({ clientContextId, node: null });
+  }
+
+  /**
+   * Cancels every in-flight request issued by this connector.
+   *
+   * @returns {Promise<void>}
+   */
+  async cancelAll() {
+    await Promise.all([...this._inFlight.keys()].map(clientContextId => this.cancel(clientContextId)));
+  }
+
+  /**
+   * Generates a client_context_id for a request.
+   *
+   * @returns {string}
+   */
+  static generateClientContextId() {
+    return crypto.randomUUID ?
+      crypto.randomUUID() :
+      `ctx_${Date.now()}_${Math.random().toString(36).substring(2, 11)}`;
   }
 
   /**
    * Executes a SQL++ query in synchronous mode.
    *
-   * For SELECT queries, a GET request is sent to `/query/service`.
-   * For DML queries (INSERT/UPDATE/DELETE), a POST request is sent to `/query/service`.
+   * Read-only requests (queries, EXPLAIN and their USE/SET prologue) are sent to `/query/service`
+   * with GET, or with POST and `readonly=true` when the URL would exceed `maxGetLength`.
+   * Everything else (DML, DDL, LOAD, COPY, ...) is sent with POST. See StatementClassifier.
+   *
+   * Values can be bound to the statement instead of being spliced into its text:
+   * ```
+   * await connector.executeQuery('SELECT VALUE u FROM ChirpUsers u WHERE u.lang = $1;', { args: ['en'] });
+   * await connector.executeQuery('SELECT VALUE u FROM ChirpUsers u WHERE u.lang = $lang;', { params: { $lang: 'en' } });
+   * ```
    *
    * @param {string} query - The SQL++ query string.
+   * @param {Object} [options] - Execution options.
+   * @param {Array} [options.args] - Positional parameter values, referenced as `$1`, `$2`, ... (or `?`).
+   * @param {Object} [options.params] - Named parameter values, keyed by `$name`.
+   * @param {RetryPolicy|Object|boolean} [options.retry] - Overrides the connector's retry policy for this call.
+   * @param {boolean} [options.idempotent] - Marks a DML statement (e.g. UPSERT) as safe to retry.
+   * @param {AbortSignal} [options.signal] - Aborts the request and cancels the statement on the server.
+   * @param {string} [options.clientContextId] - The statement's client_context_id; generated when omitted.
+   * @param {string} [options.format='json'] - Result format: 'json', 'lossless' (typed ADM values), 'csv' or 'tsv'.
+   * @param {boolean} [options.header] - Whether CSV/TSV results start with a header line.
+   * @param {string} [options.delimiter] - CSV field delimiter.
+   * @param {boolean} [options.typed] - Decode lossless results into ADM value classes (AdmDatetime, AdmPoint, ...).
+   * @param {Object<string, string>} [options.signature] - Field name to ADM type, for decoding JSON results
+   *   into ADM value classes (see AdmCodec.decodeRecord()).
+   * @param {Object} [options.headers] - Extra HTTP headers for this request.
+   * @param {number} [options.timeout] - Overrides the connection timeout for this call (0 for none).
+   * @param {string} [options.priority] - Queue priority ('interactive' or 'batch' by default) when
+   *   the concurrency limit is reached.
    * @returns {Promise<any>} The JSON response data from AsterixDB.
-   * @throws {Error} If the HTTP request fails.
-   */
-  async executeQuery(query) {
-    // Determine if the query is a DML query.
-    const trimmedQuery = query.trim();
-    let isDML = false;
-
-    // Check for a USE statement and then for DML keywords.
-    if (trimmedQuery.toUpperCase().startsWith("USE")) {
-      const parts = trimmedQuery.split(";");
-      isDML = parts.slice(1).some(
-        part => part.trim().length > 0 &&
-          ["INSERT", "UPDATE", "DELETE"].some(keyword =>
-            part.trim().toUpperCase().startsWith(keyword)
-          )
-      );
-    } else {
-      isDML = ["INSERT", "UPDATE", "DELETE"].some(keyword =>
-        trimmedQuery.toUpperCase().startsWith(keyword)
-      );
+   * @throws {AsterixError} If the request fails; the subclass tells why (syntax, unknown dataset, network, ...).
+   */
+  async executeQuery(query, options = {}) {
+    return this._intercept('executeQuery', { statement: query, options: { ...options } },
+      ctx => this._execute(ctx.statement, ctx.options, StatementClassifier.isReadOnly(ctx.statement)));
+  }
+
+  /**
+   * Runs a SQL++ script statement by statement and reports the outcome of each one.
+   *
+   * The script is split at top-level semicolons (semicolons in strings, quoted identifiers
+   * and comments are ignored). Statements run in order, one request each. Prologue statements
+   * (`USE`, `SET` and `DECLARE`) are not sent on their own: they are carried forward and sent
+   * ahead of every statement after them, with a later `USE` replacing an earlier one and a later
+   * `SET` of the same parameter or `DECLARE` of the same name replacing the earlier one.
+   *
+   * ```
+   * const { ok, statements } = await connector.executeScript(`
+   *   DROP DATAVERSE Test IF EXISTS;
+   *   CREATE DATAVERSE Test;
+   *   USE Test;
+   *   CREATE TYPE UserType AS { id: int };
+   *   CREATE DATASET Users(UserType) PRIMARY KEY id;
+   *   INSERT INTO Users ([{ "id": 1 }, { "id": 2 }]);
+   *   SELECT COUNT(*) AS n FROM Users;
+   * `);
+   * statements[6].results; // [{ n: 2 }]
+   * ```
+   *
+   * @param {string} script - The SQL++ script.
+   * @param {Object} [options] - Execution options, as for executeQuery, applied to every statement.
+   * @param {boolean} [options.stopOnError=true] - Skip the remaining statements after a failure.
+   * @param {string} [options.dataverse] - Dataverse to start in (as if the script began with `USE`).
+   * @returns {Promise<{ok: boolean, statements: Array<Object>}>} `ok` is false if any statement failed.
+   *   Each entry has `index`, `statement`, `status` ('success', 'failed' or 'skipped'), `results`,
+   *   `metrics`, `warnings` and `error`.
+   * @throws {QueryCancelledError} If the script is aborted through `options.signal`.
+   */
+  async executeScript(script, options = {}) {
+    const { stopOnError = true, dataverse: initialDataverse, ...queryOptions } = options;
+    const entries = [];
+    // Prologue statements in effect, by what they set, e.g. 'USE' or 'SET `compiler.parallelism`'.
+    const prologue = new Map();
+    let dataverse = initialDataverse || null;
+    let failed = false;
+
+    if (initialDataverse) {
+      const name = String(initialDataverse).split('.').map(part => `\`${part.replace(/`/g, '\\`')}\``).join('.');
+      prologue.set('USE', `USE ${name}`);
     }
 
-    if (isDML) {
-      // For DML queries, use POST on the /query/service endpoint.
+    const statements = SqlppTokenizer.splitStatements(script);
+    for (let index = 0; index < statements.length; index++) {
+      const statement = statements[index];
+      const entry = { index, statement, status: 'skipped', results: [], metrics: null, warnings: [], error: null };
+      entries.push(entry);
+
+      if (failed && stopOnError) {
+        continue;
+      }
+
+      const classification = StatementClassifier.classifyStatement(statement, dataverse);
+      if (['USE', 'SET', 'DECLARE'].includes(classification.kind)) {
+        if (classification.kind === 'USE') {
+          dataverse = classification.dataverse;
+        }
+        const key = this._prologueKey(classification);
+        prologue.delete(key);
+        prologue.set(key, classification.text);
+        entry.status = 'success';
+        continue;
+      }
+
+      const text = `${[...prologue.values(), statement].join('; ')};`;
+      const statementOptions = { ...queryOptions };
+      if (queryOptions.clientContextId) {
+        statementOptions.clientContextId = `${queryOptions.clientContextId}-${index}`;
+      }
+
       try {
-        const response = await this.httpClient.post('/query/service', { statement: query });
-        return response.data;
+        const response = await this._intercept('executeScript', { statement: text, options: statementOptions },
+          ctx => this._execute(ctx.statement, ctx.options, StatementClassifier.isReadOnly(ctx.statement)));
+        entry.status = 'success';
+        entry.results = (response && response.results) || [];
+        entry.metrics = (response && response.metrics) || null;
+        entry.warnings = (response && response.warnings) || [];
       } catch (error) {
-        const errorMsg = error.response && error.response.data
-          ? JSON.stringify(error.response.data)
-          : error.message;
-        throw new Error(`Query execution failed: ${errorMsg}`);
+        if (error instanceof QueryCancelledError) {
+          throw error;
+        }
+        entry.status = 'failed';
+        entry.error = error;
+        failed = true;
       }
-    } else {
-      // For read-only queries, use GET on the /query/service endpoint.
+    }
+
+    return { ok: !failed, statements: entries };
+  }
+
+  /**
+   * Identifies what a prologue statement sets, so that a later statement setting the same
+   * thing replaces it: the dataverse for `USE`, the parameter for `SET` and the declared
+   * name for `DECLARE`.
+   *
+   * @private
+   * @param {Object} classification - The statement, as classified by StatementClassifier
+   * @returns {string}
+   */
+  _prologueKey(classification) {
+    if (classification.kind === 'USE') {
+      return 'USE';
+    }
+    const tokens = SqlppTokenizer.significantTokens(classification.text);
+    const count = classification.kind === 'SET' ? 2 : 3;
+    return tokens.slice(0, count).map(token => (token.type === 'word' ? token.text.toUpperCase() : token.text)).join(' ');
+  }
+
+  /**
+   * Sends a statement to the query service: reads with GET (or POST with `readonly=true` when
+   * the URL would be too long), everything else with POST.
+   *
+   * @private
+   * @param {string} query - The SQL++ query string.
+   * @param {Object} options - Execution options (see executeQuery).
+   * @param {boolean} readOnly - Whether the statement only reads; other statements are only
+   *   retried when marked idempotent.
+   * @returns {Promise<any>} The response data.
+   */
+  async _execute(query, options, readOnly) {
+    const format = ResultFormat.from(options);
+    const request = this._beginRequest(options);
+    options = { ...options, clientContextId: request.clientContextId };
+    // Read-only statements are always safe to retry; others only when the caller marks them idempotent.
+    const retryContext = {
+      retryable: readOnly || options.idempotent === true,
+      retry: options.retry,
+      priority: options.priority,
+      signal: request.signal,
+      statement: query,
+    };
+
+    const queryParams = this._buildRequestParams(query, options, true);
+    const useGet = readOnly && new URLSearchParams(queryParams).toString().length <= this.config.maxGetLength;
+
+    try {
+      const response = await this._withRetry(
+        node => {
+          request.node = node;
+          const requestConfig = {
+            baseURL: node.url,
+            headers: { ...options.headers, Accept: format.accept },
+            signal: request.signal,
+          };
+          if (options.timeout !== undefined) {
+            requestConfig.timeout = options.timeout;
+          }
+          if (useGet) {
+            return this.httpClient.get('/query/service', { ...requestConfig, params: queryParams });
+          }
+          const body = this._buildRequestParams(query, options, false);
+          if (readOnly) {
+            // Lets the server reject anything but reads, as it does for GET.
+            body.readonly = true;
+          }
+          return this.httpClient.post('/query/service', body, requestConfig);
+        },
+        retryContext
+      );
+      return format.apply(this._checkResponse(response.data, query, request.clientContextId));
+    } catch (error) {
+      throw AsterixError.from(error, { statement: query, clientContextId: request.clientContextId });
+    } finally {
+      request.end();
+    }
+  }
+
+  /**
+   * Executes a SQL++ query in asynchronous mode and returns its results.
+   *
+   * The statement is submitted with submit() and its status is polled until it completes;
+   * the results are then fetched from the result handle. Polls are pinned to the node
+   * that accepted the submission, since handles are only valid there.
+   *
+   * Options may be passed as an object in place of `pollInterval`:
+   * `executeQueryAsync(query, { mode, waitTimeout, backoff, maxAttempts, pollInterval, args, params, retry,
+   * idempotent, signal, clientContextId, format, headers, priority, timeout })`. Given a `waitTimeout` or `backoff`,
+   * polling backs off as in AsyncQueryHandle.wait(); otherwise it polls every `pollInterval` ms, up to `maxAttempts`
+   * times. Status and result polls are always retried; the submission follows the same rules as executeQuery.
+   *
+   * `waitTimeout` limits how long to wait for the statement as a whole. `timeout` is, as in executeQuery,
+   * the HTTP timeout of each request (the submission, every poll and the result fetch).
+   *
+   * @param {string} query - The SQL++ query string.
+   * @param {number|Object} pollInterval - The interval (in milliseconds) between status polls, or an options object.
+   * @param {number} maxAttempts - Maximum number of polling attempts.
+   * @returns {Promise<any>} The final query result.
+   * @throws {AsterixError} If the asynchronous query fails, times out or is cancelled.
+   */
+  async executeQueryAsync(query, pollInterval = 1000, maxAttempts = 10) {
+    let options = { pollInterval, maxAttempts };
+    if (typeof pollInterval === 'object' && pollInterval !== null) {
+      options = { ...pollInterval };
+    }
+    return this._intercept('executeQueryAsync', { statement: query, options },
+      ctx => this._executeAsync(ctx.statement, ctx.options));
+  }
+
+  /**
+   * Submits a statement in async mode, waits for it and fetches its results.
+   *
+   * @private
+   * @param {string} query - The SQL++ query string.
+   * @param {Object} options - Execution and polling options (see executeQueryAsync).
+   * @returns {Promise<any>} The final query result.
+   */
+  async _executeAsync(query, options) {
+    const pollInterval = options.pollInterval !== undefined ? options.pollInterval : 1000;
+    const maxAttempts = options.maxAttempts !== undefined ? options.maxAttempts : 10;
+    const waitOptions = options.waitTimeout !== undefined || options.backoff
+      ? { timeout: options.waitTimeout, backoff: options.backoff, maxAttempts: options.maxAttempts }
+      : { backoff: { initialDelay: pollInterval, maxDelay: pollInterval, multiplier: 1 }, maxAttempts };
+
+    const request = this._beginRequest(options);
+    options = { ...options, clientContextId: request.clientContextId };
+
+    try {
+      const handle = await this._submit(query, options, request);
+      return await handle.results({ ...waitOptions, signal: request.signal });
+    } catch (error) {
+      throw AsterixError.from(error, { statement: query, clientContextId: request.clientContextId });
+    } finally {
+      request.end();
+    }
+  }
+
+  /**
+   * Submits a SQL++ statement in "async" or "deferred" mode and returns a handle to it.
+   *
+   * In async mode the call returns as soon as the server has accepted the statement. In
+   * deferred mode it returns once the statement has completed, with its results kept on
+   * the server. See AsyncQueryHandle for polling, fetching results and serializing the handle.
+   *
+   * ```
+   * const handle = await connector.submit(reportQuery, { mode: 'async', format: 'csv' });
+   * const rows = await handle.results({ timeout: 30 * 60 * 1000 });
+   * ```
+   *
+   * @param {string} query - The SQL++ query string.
+   * @param {Object} [options] - Execution options, as for executeQuery.
+   * @param {string} [options.mode='async'] - 'async' or 'deferred'.
+   * @param {number} [options.timeout] - HTTP timeout of the submission and of the handle's polls and result
+   *   fetches; how long to wait for the statement is set by `handle.wait({ timeout })`.
+   * @returns {Promise<AsyncQueryHandle>} The handle to the statement.
+   * @throws {AsterixError} If the statement is rejected.
+   */
+  async submit(query, options = {}) {
+    return this._intercept('submit', { statement: query, options: { ...options } }, async ctx => {
+      const request = this._beginRequest(ctx.options);
       try {
-        const response = await this.httpClient.get('/query/service', {
-          params: { statement: query }
-        });
-        return response.data;
+        return await this._submit(ctx.statement, { ...ctx.options, clientContextId: request.clientContextId }, request);
       } catch (error) {
-        const errorMsg = error.response && error.response.data
-          ? JSON.stringify(error.response.data)
-          : error.message;
-        throw new Error(`Query execution failed: ${errorMsg}`);
+        throw AsterixError.from(error, { statement: ctx.statement, clientContextId: request.clientContextId });
+      } finally {
+        request.end();
+      }
+    });
+  }
+
+  /**
+   * Restores a handle serialized with `String(handle)`, e.g. in another process.
+   *
+   * @param {string|Object} serialized - The serialized handle.
+   * @returns {AsyncQueryHandle} The handle, bound to this connector.
+   */
+  resumeQuery(serialized) {
+    return AsyncQueryHandle.parse(serialized, this);
+  }
+
+  /**
+   * Executes a SQL++ query and streams its result rows.
+   *
+   * The response is parsed incrementally, so rows can be processed without buffering
+   * the whole result in memory. The statement is sent with POST, which avoids URL
+   * length limits for large queries. Streaming requires Node.js.
+   *
+   * ```
+   * const stream = connector.stream('USE TinySocial; SELECT VALUE u FROM ChirpUsers u;');
+   * for await (const user of stream) {
+   *   console.log(user.screenName);
+   * }
+   * console.log(stream.status, stream.metrics.resultCount);
+   * ```
+   *
+   * The request is sent when iteration starts and stays in flight until iteration ends, so
+   * `signal`, cancel(), cancelAll() and close() stop a streaming scan on the server too.
+   * Interceptors run around the whole stream: `next()` resolves once iteration has ended, with
+   * `ctx.response` holding the stream's `status`, `metrics`, `signature`, `warnings` and `requestID`.
+   *
+   * @param {string} query - The SQL++ query string.
+   * @param {Object} [options] - Execution options, as for executeQuery (`args`, `params`, `retry`, `idempotent`,
+   *   `signal`, `clientContextId`, `format`, `header`, `delimiter`, `headers`, `priority`).
+   * @returns {ResultStream} An async iterable of result rows; `status` and `metrics` are set when it ends.
+   */
+  stream(query, options = {}) {
+    const format = ResultFormat.from(options);
+    let request = null;
+    let finish = null;
+    const ended = new Promise((resolve, reject) => {
+      finish = error => (error ? reject(error) : resolve());
+    });
+    // Observed by the interceptor chain only once the stream has been opened.
+    ended.catch(() => {});
+
+    const stream = new ResultStream(() => new Promise((resolve, reject) => {
+      let opened = false;
+      this._intercept('stream', { statement: query, options: { ...options } }, async ctx => {
+        request = this._beginRequest(ctx.options);
+        const body = await this._openStream(ctx.statement,
+          { ...ctx.options, clientContextId: request.clientContextId }, format, request);
+        opened = true;
+        resolve(body);
+        await ended;
+        const { status, metrics, signature, warnings, requestID } = stream;
+        return { status, metrics, signature, warnings, requestID };
+      }).then(response => {
+        if (!opened) {
+          // An interceptor answered without sending the request.
+          const { Readable } = require('stream');
+          resolve(Readable.from([JSON.stringify(response || {})]));
+        }
+      }, reject);
+    }), {
+      transform: row => format.transformRow(row),
+      int64: this.config.int64,
+      cancelled: () => Boolean(request && request.signal && request.signal.aborted),
+      onEnd: error => {
+        if (request) {
+          // The concurrency slot is held until the body has been read (see _openStream).
+          if (request.releaseSlot) {
+            request.releaseSlot();
+          }
+          request.end();
+        }
+        finish(error);
+      },
+    });
+    return stream;
+  }
+
+  /**
+   * Sends a streamed query and returns the response body stream. The request keeps its
+   * concurrency slot until `request.releaseSlot()` is called, once the body has been read.
+   *
+   * @private
+   * @param {string} query - The SQL++ query string.
+   * @param {Object} options - Execution options (see stream).
+   * @param {ResultFormat} format - The result format.
+   * @param {Object} request - The in-flight entry from _beginRequest().
+   * @returns {Promise<Readable>} The response body.
+   */
+  async _openStream(query, options, format, request) {
+    const readOnly = StatementClassifier.isReadOnly(query);
+    const body = this._buildRequestParams(query, options, false);
+    if (readOnly) {
+      body.readonly = true;
+    }
+    const retryContext = {
+      retryable: readOnly || options.idempotent === true,
+      retry: options.retry,
+      priority: options.priority,
+      signal: request.signal,
+      statement: query,
+      hold: true,
+    };
+    try {
+      const response = await this._withRetry(
+        node => {
+          request.node = node;
+          const requestConfig = {
+            baseURL: node.url,
+            headers: { ...options.headers, Accept: format.accept },
+            responseType: 'stream',
+            signal: request.signal,
+          };
+          if (options.timeout !== undefined) {
+            requestConfig.timeout = options.timeout;
+          }
+          return this.httpClient.post('/query/service', body, requestConfig);
+        },
+        retryContext
+      );
+      request.releaseSlot = retryContext.release;
+      return response.data;
+    } catch (error) {
+      // Error bodies of streamed requests arrive as streams too.
+      if (error.response && error.response.data) {
+        error.response.data = await this._readStream(error.response.data);
       }
+      throw AsterixError.from(error, { statement: query, clientContextId: request.clientContextId });
     }
   }
 
+  /**
+   * Compiles a SQL++ statement and returns its query plans, without running it.
+   *
+   * ```
+   * const plan = await connector.explain('USE TinySocial; SELECT VALUE u FROM ChirpUsers u WHERE u.lang = $1;', {
+   *   args: ['en'],
+   *   logical: true,
+   * });
+   * console.log(plan.usesIndex('langIdx'), plan.optimized);
+   * ```
+   *
+   * @param {string} query - The SQL++ query string.
+   * @param {Object} [options] - Plan options, plus the execution options of executeQuery (`args`, `params`, ...).
+   * @param {boolean} [options.logical=false] - Include the logical plan.
+   * @param {boolean} [options.optimized=true] - Include the optimized logical plan.
+   * @param {boolean} [options.jobSpec=false] - Include the Hyracks job specification.
+   * @param {string} [options.format='json'] - Plan format: 'json' (parsed operator trees) or 'string' (text).
+   * @returns {Promise<QueryPlan>} The requested plans.
+   * @throws {AsterixError} If the statement cannot be compiled.
+   */
+  async explain(query, options = {}) {
+    return this._intercept('explain', { statement: query, options: { ...options } },
+      ctx => this._explain(ctx.statement, ctx.options));
+  }
+
+  /**
+   * Requests the plans of a statement.
+   *
+   * @private
+   * @param {string} query - The SQL++ query string.
+   * @param {Object} options - Plan and execution options (see explain).
+   * @returns {Promise<QueryPlan>}
+   */
+  async _explain(query, options) {
+    const format = String(options.format || 'json').toLowerCase();
+    if (!['json', 'string'].includes(format)) {
+      throw new Error(`Unknown plan format "${options.format}". Use 'json' or 'string'`);
+    }
+
+    const request = this._beginRequest(options);
+    const params = {
+      ...this._buildRequestParams(query, { ...options, clientContextId: request.clientContextId }, false),
+      'logical-plan': options.logical === true,
+      'optimized-logical-plan': options.optimized !== false,
+      'job': options.jobSpec === true,
+      'plan-format': format.toUpperCase(),
+      'execute-query': false,
+    };
 
-/**
- * Executes a SQL++ query in asynchronous mode.
- *
- * This method sends the query using a POST request to `/query/service` with mode "async"
- * and additional parameters. It expects an initial response with status "running" and a "handle"
- * which is a URL. It then polls that URL until the query is complete. When the status returns
- * "success" with a new handle, it uses that handle as the URL to fetch the final result.
- *
- * @param {string} query - The SQL++ query string.
- * @param {number} pollInterval - The interval (in milliseconds) between status polls.
- * @param {number} maxAttempts - Maximum number of polling attempts.
- * @returns {Promise<any>} The final query result.
- * @throws {Error} If the asynchronous query fails or times out.
- */
-async executeQueryAsync(query, pollInterval = 1000, maxAttempts = 10) {
     try {
-      // Prepare payload
-      const payload = {
-        statement: query.trim(),
-        mode: "async",
-        pretty: false
-      };
-      // console.debug("Submitting async query with payload:", JSON.stringify(payload, null, 2));
-  
-      // Submit query in async mode.
-      const submitResponse = await this.httpClient.post('/query/service', payload);
-      // console.debug("Async submit response status:", submitResponse.status);
-      // console.debug("Async submit response data:", submitResponse.data);
-      const initialResponse = submitResponse.data;
-  
-      // Verify the initial async response.
-      if (initialResponse.status !== "running" || !initialResponse.handle) {
-        // console.error("Unexpected async response:", initialResponse);
-        throw new Error("Invalid async query response: " + JSON.stringify(initialResponse));
-      }
-      const statusUrl = initialResponse.handle;
-      // console.debug("Received initial async handle (status URL):", statusUrl);
-  
-      let attempts = 0;
-      let statusResponse;
-      while (attempts < maxAttempts) {
-        await new Promise(resolve => setTimeout(resolve, pollInterval));
-        // console.debug(`Polling async status (attempt ${attempts + 1}/${maxAttempts}) at URL: ${statusUrl}...`);
-  
-        // Use the handle URL directly.
-        statusResponse = await this.httpClient.get(statusUrl);
-        // console.debug("Status response status code:", statusResponse.status);
-        // console.debug("Status response data:", statusResponse.data);
-        const statusData = statusResponse.data;
-  
-        // If status indicates success and provides a new handle, use it for results.
-        if (statusData.status && statusData.status.toLowerCase() === "success" && statusData.handle) {
-          // console.debug("Async query successful; new result handle received:", statusData.handle);
-          // Use the new handle URL directly.
-          const resultResponse = await this.httpClient.get(statusData.handle);
-          // console.debug("Result response data:", resultResponse.data);
-          return resultResponse.data;
-        } else if (statusData.status && 
-                   (statusData.status.toLowerCase() === "failed" || statusData.status.toLowerCase() === "fatal")) {
-          // console.error("Async query failed with status:", statusData.status, "and data:", statusData);
-          throw new Error("Asynchronous query failed: " + JSON.stringify(statusData));
+      const response = await this._withRetry(
+        node => {
+          request.node = node;
+          return this.httpClient.post('/query/service', params, {
+            baseURL: node.url,
+            headers: options.headers,
+            signal: request.signal,
+          });
+        },
+        {
+          retryable: StatementClassifier.isReadOnly(query) || options.idempotent === true,
+          retry: options.retry,
+          priority: options.priority,
+          signal: request.signal,
+          statement: query,
         }
-        attempts++;
-      }
-      throw new Error("Asynchronous query did not complete within the expected time.");
+      );
+      const data = this._checkResponse(response.data, query, request.clientContextId);
+      return new QueryPlan(data.plans || {}, { format });
     } catch (error) {
-      if (error.response) {
-        // console.error("Error response status:", error.response.status);
-        // console.error("Error response data:", error.response.data);
-      }
-      const errorMsg = error.response && error.response.data
-        ? JSON.stringify(error.response.data)
-        : error.message;
-      throw new Error(`Asynchronous query execution failed: ${errorMsg}`);
+      throw AsterixError.from(error, { statement: query, clientContextId: request.clientContextId });
+    } finally {
+      request.end();
     }
   }
-  
-  
-  
+
+  /**
+   * Performs a generic GET request, such as a call to the admin API. GETs are always retryable.
+   *
+   * @param {string} endpoint - The API endpoint (relative to the base URL).
+   * @param {Object} [options] - Request options.
+   * @param {Object} [options.params] - Query string parameters.
+   * @param {string} [options.node] - Base URL of the node to send the request to (default: any node).
+   * @param {RetryPolicy|Object|boolean} [options.retry] - Overrides the connector's retry policy for this call.
+   * @param {number} [options.timeout] - Overrides the connection timeout for this call.
+   * @param {Object} [options.headers] - Extra HTTP headers for this request.
+   * @param {AbortSignal} [options.signal] - Aborts the request.
+   * @returns {Promise<any>} The JSON response data.
+   * @throws {AsterixError} If the GET request fails.
+   */
+  async get(endpoint, options = {}) {
+    return this._intercept('get', { endpoint, options: { ...options } }, async ctx => {
+      const pinned = ctx.options.node ? this._nodeFor(ctx.options.node) : undefined;
+      try {
+        const response = await this._withRetry(
+          node => this.httpClient.get(ctx.endpoint, {
+            baseURL: node.url,
+            params: ctx.options.params,
+            headers: ctx.options.headers,
+            timeout: ctx.options.timeout,
+            signal: ctx.options.signal,
+          }),
+          {
+            retryable: true,
+            retry: ctx.options.retry,
+            priority: ctx.options.priority,
+            signal: ctx.options.signal,
+            endpoint: ctx.endpoint,
+            node: pinned,
+          }
+        );
+        return response.data;
+      } catch (error) {
+        throw AsterixError.from(error);
+      }
+    });
+  }
+
   /**
    * Performs a generic POST request.
    *
    * @param {string} endpoint - The API endpoint (relative to the base URL).
    * @param {object} data - The data to send in the POST request.
+   * @param {Object} [options] - Request options.
+   * @param {RetryPolicy|Object|boolean} [options.retry] - Overrides the connector's retry policy for this call.
+   * @param {boolean} [options.idempotent] - Marks the request as safe to retry (POSTs are not retried otherwise).
+   * @param {Object} [options.headers] - Extra HTTP headers for this request.
    * @returns {Promise<any>} The JSON response data.
-   * @throws {Error} If the POST request fails.
+   * @throws {AsterixError} If the POST request fails.
+   */
+  async post(endpoint, data, options = {}) {
+    return this._intercept('post', { endpoint, data, options: { ...options } }, async ctx => {
+      try {
+        const response = await this._withRetry(
+          node => this.httpClient.post(ctx.endpoint, ctx.data, { baseURL: node.url, headers: ctx.options.headers }),
+          {
+            retryable: ctx.options.idempotent === true,
+            retry: ctx.options.retry,
+            priority: ctx.options.priority,
+            endpoint: ctx.endpoint,
+          }
+        );
+        return response.data;
+      } catch (error) {
+        throw AsterixError.from(error);
+      }
+    });
+  }
+
+  /**
+   * Sends a statement in async or deferred mode and wraps the server's handle.
+   *
+   * @private
+   * @param {string} query - The SQL++ query string.
+   * @param {Object} options - Execution options with `mode` and `clientContextId`.
+   * @param {Object} request - The in-flight entry of the submission.
+   * @returns {Promise<AsyncQueryHandle>}
    */
-  async post(endpoint, data) {
+  async _submit(query, options, request) {
+    const mode = options.mode || 'async';
+    if (!['async', 'deferred'].includes(mode)) {
+      throw new Error(`Unknown submission mode "${mode}". Use 'async' or 'deferred'`);
+    }
+    const format = ResultFormat.from(options);
+    const payload = {
+      ...this._buildRequestParams(query.trim(), options, false),
+      mode,
+      pretty: false
+    };
+
+    let handleNode = null;
+    const response = await this._withRetry(
+      node => {
+        handleNode = node;
+        request.node = node;
+        const requestConfig = {
+          baseURL: node.url,
+          headers: { ...options.headers, Accept: format.accept },
+          signal: request.signal,
+        };
+        if (options.timeout !== undefined) {
+          requestConfig.timeout = options.timeout;
+        }
+        return this.httpClient.post('/query/service', payload, requestConfig);
+      },
+      {
+        retryable: StatementClassifier.isReadOnly(query) || options.idempotent === true,
+        retry: options.retry,
+        priority: options.priority,
+        signal: request.signal,
+        statement: query,
+      }
+    );
+
+    const data = this._checkResponse(response.data, query, request.clientContextId);
+    if (!data || !data.handle) {
+      throw new AsterixError('Invalid async query response: ' + JSON.stringify(data));
+    }
+    return new AsyncQueryHandle(this, {
+      mode,
+      node: handleNode.url,
+      statusHandle: mode === 'async' ? data.handle : null,
+      resultHandle: mode === 'deferred' ? data.handle : null,
+      status: mode === 'deferred' ? 'success' : String(data.status || 'running').toLowerCase(),
+      clientContextId: request.clientContextId,
+      requestID: data.requestID,
+      statement: query,
+      format: {
+        format: format.name,
+        header: format.header,
+        delimiter: format.delimiter,
+        typed: Boolean(format.decoder && format.decoder.typed),
+        signature: format.signature,
+      },
+      headers: options.headers,
+      priority: options.priority,
+      timeout: options.timeout,
+    });
+  }
+
+  /**
+   * Reads a status or result handle from the node that issued it.
+   *
+   * @private
+   * @param {string} handle - The handle URL (absolute or relative to the node).
+   * @param {string} nodeUrl - Base URL of the node that issued the handle.
+   * @param {Object} [options] - `signal`, `accept`, `headers`, `priority`, `timeout`, plus `statement` and
+   *   `clientContextId` for errors.
+   * @returns {Promise<any>} The response body.
+   */
+  async _fetchHandle(handle, nodeUrl, options = {}) {
+    // A resumed handle may come from a node this connector was not configured with.
+    const node = this._nodeFor(nodeUrl);
     try {
-      const response = await this.httpClient.post(endpoint, data);
+      const response = await this._withRetry(
+        target => this.httpClient.get(handle, {
+          baseURL: target.url,
+          headers: { ...options.headers, ...(options.accept ? { Accept: options.accept } : {}) },
+          signal: options.signal,
+          ...(options.timeout !== undefined ? { timeout: options.timeout } : {}),
+        }),
+        { retryable: true, priority: options.priority, signal: options.signal, statement: options.statement, node }
+      );
       return response.data;
     } catch (error) {
-      const errorMsg = error.response && error.response.data
-        ? JSON.stringify(error.response.data)
-        : error.message;
-      throw new Error(`POST request failed: ${errorMsg}`);
+      throw AsterixError.from(error, { statement: options.statement, clientContextId: options.clientContextId });
+    }
+  }
+
+  /**
+   * Returns the pool's node for a base URL, or a stand-alone node for URLs outside the pool.
+   *
+   * @private
+   * @param {string} url - Base URL of the node.
+   * @returns {Object} The node.
+   */
+  _nodeFor(url) {
+    const normalized = String(url).replace(/\/+$/, '');
+    return this.endpoints.getNode(normalized) ||
+      { url: normalized, healthy: true, inFlight: 0, consecutiveFailures: 0, lastError: null, probing: false };
+  }
+
+  /**
+   * Runs the interceptor chain around a call.
+   *
+   * @private
+   * @param {string} operation - The public method being called.
+   * @param {Object} context - Call details (`statement`, `options`, `endpoint`, `data`).
+   * @param {Function} handler - `async (ctx) => response` performing the call itself.
+   * @returns {Promise<any>} `ctx.response` once the chain has finished.
+   */
+  async _intercept(operation, context, handler) {
+    const ctx = { operation, connector: this, state: {}, response: undefined, error: null, ...context };
+    const interceptors = this._interceptors;
+
+    const dispatch = async index => {
+      if (index >= interceptors.length) {
+        try {
+          ctx.response = await handler(ctx);
+        } catch (error) {
+          ctx.error = error;
+          throw error;
+        }
+        return;
+      }
+      let called = false;
+      await interceptors[index](ctx, () => {
+        if (called) {
+          return Promise.reject(new Error('next() called more than once by an interceptor'));
+        }
+        called = true;
+        return dispatch(index + 1);
+      });
+    };
+
+    await dispatch(0);
+    return ctx.response;
+  }
+
+  /**
+   * Builds the query service request parameters for a statement and its bound values.
+   *
+   * In a JSON body the values are sent as-is; in a query string (GET) they are
+   * JSON-encoded, as the query service expects.
+   *
+   * @private
+   * @param {string} query - The SQL++ query string.
+   * @param {Object} options - Execution options with optional `args`, `params` and `clientContextId`.
+   * @param {boolean} encode - Whether to JSON-encode parameter values.
+   * @returns {Object} The request parameters.
+   */
+  _buildRequestParams(query, options = {}, encode = false) {
+    const requestParams = { statement: query };
+    const encodeValue = value => (encode ? Int64Json.stringify(value) : value);
+
+    if (options.args !== undefined) {
+      if (!Array.isArray(options.args)) {
+        throw new Error('Query option "args" must be an array of positional parameter values');
+      }
+      requestParams.args = encodeValue(options.args);
+    }
+
+    if (options.params) {
+      for (const [name, value] of Object.entries(options.params)) {
+        requestParams[QueryParameters.normalizeName(name)] = encodeValue(value);
+      }
+    }
+
+    if (options.clientContextId) {
+      requestParams.client_context_id = options.clientContextId;
+    }
+
+    return requestParams;
+  }
+
+  /**
+   * Registers an in-flight request so it can be cancelled.
+   *
+   * The returned entry carries the request's client_context_id, an AbortSignal that
+   * fires when either the caller's signal or cancel() aborts it, `abort()`, and `end()`,
+   * which must be called once the request settles.
+   *
+   * Runtimes without AbortController (Node.js before 15) get no signal: the HTTP request
+   * is not aborted, but cancel() still cancels the statement on the server.
+   *
+   * @private
+   * @param {Object} options - Execution options with optional `signal` and `clientContextId`.
+   * @returns {Object} The in-flight entry.
+   */
+  _beginRequest(options) {
+    const clientContextId = options.clientContextId || Connector.generateClientContextId();
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    const entry = {
+      clientContextId,
+      controller,
+      signal: controller ? controller.signal : undefined,
+      node: null,
+      serverCancellation: null,
+    };
+    entry.abort = () => {
+      if (controller) {
+        controller.abort();
+      } else if (!entry.serverCancellation) {
+        entry.serverCancellation = this._cancelOnServer(entry);
+      }
+    };
+    if (!controller) {
+      this._inFlight.set(clientContextId, entry);
+      entry.end = () => this._inFlight.delete(clientContextId);
+      return entry;
+    }
+
+    const onCallerAbort = () => controller.abort();
+    if (options.signal) {
+      if (options.signal.aborted) {
+        controller.abort();
+      } else {
+        options.signal.addEventListener('abort', onCallerAbort, { once: true });
+      }
+    }
+    controller.signal.addEventListener('abort', () => {
+      entry.serverCancellation = this._cancelOnServer(entry);
+    }, { once: true });
+    if (controller.signal.aborted) {
+      entry.serverCancellation = Promise.resolve(false);
+    }
+
+    entry.end = () => {
+      this._inFlight.delete(clientContextId);
+      if (options.signal) {
+        options.signal.removeEventListener('abort', onCallerAbort);
+      }
+    };
+    this._inFlight.set(clientContextId, entry);
+    return entry;
+  }
+
+  /**
+   * Asks the server to cancel a running statement by its client_context_id.
+   *
+   * @private
+   * @param {Object} entry - The in-flight entry (`clientContextId` and the `node` it was sent to).
+   * @returns {Promise<boolean>} True if the server acknowledged the cancellation.
+   */
+  async _cancelOnServer(entry) {
+    const context = {
+      endpoint: '/admin/requests/running',
+      options: { clientContextId: entry.clientContextId, node: entry.node ? entry.node.url : this.baseURL },
+    };
+    try {
+      // Not queued behind the concurrency limit: the request being cancelled may hold the last slot.
+      await this._intercept('cancel', context, ctx => this.httpClient.delete(ctx.endpoint, {
+        baseURL: ctx.options.node,
+        headers: ctx.options.headers,
+        params: { client_context_id: ctx.options.clientContextId },
+      }));
+      this.emit('cancel', { clientContextId: entry.clientContextId });
+      return true;
+    } catch (error) {
+      // 404: the statement already finished (or never started) on the server.
+      return false;
+    }
+  }
+
+  /**
+   * Waits for the given time, stopping early if the signal is aborted.
+   *
+   * @private
+   * @param {number} ms - Milliseconds to wait.
+   * @param {AbortSignal} [signal] - Aborts the wait.
+   * @returns {Promise<void>} Rejects if the signal is aborted.
+   */
+  _sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(new QueryCancelledError('Request was cancelled'));
+        return;
+      }
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(new QueryCancelledError('Request was cancelled'));
+      };
+      const timer = setTimeout(() => {
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+        resolve();
+      }, ms);
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    });
+  }
+
+  /**
+   * Raises the errors reported in a response body that came back with a success HTTP status.
+   *
+   * @private
+   * @param {Object} data - The response body.
+   * @param {string} statement - The SQL++ statement.
+   * @param {string} clientContextId - The request's client_context_id.
+   * @returns {Object} The response body, if it reports no errors.
+   * @throws {AsterixError} If the body reports a failed statement.
+   */
+  _checkResponse(data, statement, clientContextId) {
+    if (data && Array.isArray(data.errors) && data.errors.length > 0 && data.status !== 'success') {
+      throw AsterixError.fromResponse(data, { statement, clientContextId });
+    }
+    return data;
+  }
+
+  /**
+   * Reads a response body stream into a string (used for error bodies of streamed requests).
+   *
+   * @private
+   * @param {Readable|string} body - The response body.
+   * @returns {Promise<string>} The body text.
+   */
+  async _readStream(body) {
+    if (typeof body === 'string' || typeof body[Symbol.asyncIterator] !== 'function') {
+      return typeof body === 'string' ? body : JSON.stringify(body);
+    }
+    let text = '';
+    for await (const chunk of body) {
+      text += chunk.toString('utf8');
+    }
+    return text;
+  }
+
+  /**
+   * Runs a request on a cluster node, retrying it according to the retry policy.
+   *
+   * Each attempt takes a slot from the concurrency limiter, then goes to a node chosen by
+   * the endpoint pool unless `context.node` pins it. Slots are not held between attempts.
+   * A request that could not connect is sent to another untried node right away, since
+   * it never reached the server; other retryable failures back off as the policy says.
+   *
+   * With `context.hold`, the successful attempt keeps its slot (and its place in the node's
+   * in-flight count) until the caller calls `context.release()`, e.g. once a streamed body
+   * has been read.
+   *
+   * @private
+   * @param {Function} request - Function performing one attempt on the given node and returning a promise.
+   * @param {Object} context - Retry context.
+   * @param {boolean} context.retryable - Whether the request may be retried at all.
+   * @param {RetryPolicy|Object|boolean} [context.retry] - Per-call policy overrides.
+   * @param {Object} [context.node] - Node the request is pinned to (e.g. for async-mode handles).
+   * @param {string} [context.priority] - Queue priority when the concurrency limiter is full.
+   * @param {AbortSignal} [context.signal] - Stops further attempts once aborted.
+   * @param {string} [context.statement] - The SQL++ statement, reported in events.
+   * @param {string} [context.endpoint] - The endpoint, reported in events.
+   * @param {boolean} [context.hold] - Keep the slot of the successful attempt until `context.release()`.
+   * @returns {Promise<any>} The response of the first successful attempt.
+   */
+  async _withRetry(request, context) {
+    const configured = this.retryPolicy.with(context.retry);
+    const policy = context.retryable ? configured : RetryPolicy.from(false);
+    const tried = new Set();
+    let attempt = 1;
+
+    for (;;) {
+      if (context.signal && context.signal.aborted) {
+        throw new QueryCancelledError('Request was cancelled');
+      }
+      const release = await this.limiter.acquire({ priority: context.priority, signal: context.signal });
+      const node = context.node || this.endpoints.select(tried);
+      tried.add(node);
+      this.endpoints.acquire(node);
+      let delay = null;
+      let held = false;
+      try {
+        const response = await request(node);
+        this.endpoints.markSuccess(node);
+        if (context.hold) {
+          held = true;
+          let released = false;
+          context.release = () => {
+            if (!released) {
+              released = true;
+              this.endpoints.release(node);
+              release();
+            }
+          };
+        }
+        return response;
+      } catch (error) {
+        if (RetryPolicy.isRetryableError(error)) {
+          this.endpoints.markFailure(node, error);
+        }
+
+        const event = { attempt, error, node: node.url, statement: context.statement, endpoint: context.endpoint };
+        if (!context.node && CONNECT_ERROR_CODES.includes(error.code) && tried.size < this.endpoints.size) {
+          this.emit('failover', { ...event, from: node.url });
+          continue;
+        }
+        if (axios.isCancel(error) || !policy.shouldRetry(error, attempt)) {
+          // Only report give-ups for failures the policy would otherwise have retried.
+          if (attempt > 1 || configured.retryOn(error, attempt)) {
+            this.emit('giveUp', { ...event, attempts: attempt });
+          }
+          throw error;
+        }
+        delay = policy.getDelay(attempt);
+        this.emit('retry', { ...event, delay });
+      } finally {
+        if (!held) {
+          this.endpoints.release(node);
+          release();
+        }
+      }
+
+      await this._sleep(delay, context.signal);
+      attempt++;
+      // Retries may go back to nodes already tried once every node has been attempted.
+      if (tried.size >= this.endpoints.size) {
+        tried.clear();
+      }
     }
   }
 }
@@ -0,0 +1,201 @@
+const EventEmitter = require('events');
+
+const STRATEGIES = ['round-robin', 'least-in-flight'];
+
+/**
+ * Tracks the query service endpoints of a multi-node AsterixDB cluster and picks
+ * the node each request goes to.
+ *
+ * Nodes are marked unhealthy after `unhealthyThreshold` consecutive failures and are
+ * re-probed in the background every `probeInterval` milliseconds until they recover.
+ *
+ * Emits `nodeDown` and `nodeUp` with the affected node.
+ */
+class EndpointPool extends EventEmitter {
+  /**
+   * @param {Array<string>} urls - Base URLs of the nodes
+   * @param {Object} [options]
+   * @param {string} [options.strategy='round-robin'] - 'round-robin' or 'least-in-flight'
+   * @param {number} [options.unhealthyThreshold=2] - Consecutive failures before a node is marked unhealthy
+   * @param {number} [options.probeInterval=5000] - Milliseconds between background probes of unhealthy nodes
+   * @param {Function} [options.probe] - `async (node) => void` that throws if the node is still down
+   */
+  constructor(urls, options = {}) {
+    super();
+    if (!Array.isArray(urls) || urls.length === 0) {
+      throw new Error('EndpointPool requires at least one endpoint URL');
+    }
+
+    this.strategy = options.strategy || 'round-robin';
+    if (!STRATEGIES.includes(this.strategy)) {
+      throw new Error(`Unknown load balancing strategy "${this.strategy}". Use one of: ${STRATEGIES.join(', ')}`);
+    }
+    this.unhealthyThreshold = options.unhealthyThreshold || 2;
+    this.probeInterval = options.probeInterval || 5000;
+    this.probe = options.probe || null;
+
+    this.nodes = urls.map(url => ({
+      url,
+      healthy: true,
+      inFlight: 0,
+      consecutiveFailures: 0,
+      lastError: null,
+      probing: false,
+    }));
+    this._nextIndex = 0;
+    this._probeTimer = null;
+  }
+
+  /**
+   * Number of nodes in the pool.
+   *
+   * @returns {number}
+   */
+  get size() {
+    return this.nodes.length;
+  }
+
+  /**
+   * Finds the node with the given base URL.
+   *
+   * @param {string} url - The node's base URL
+   * @returns {Object|undefined}
+   */
+  getNode(url) {
+    return this.nodes.find(node => node.url === url);
+  }
+
+  /**
+   * Picks the node for the next request, preferring healthy nodes not in `exclude`.
+   * Falls back to unhealthy nodes when no healthy node is left, so requests still go somewhere.
+   *
+   * @param {Set<Object>} [exclude] - Nodes already tried for this request
+   * @returns {Object} - The selected node
+   */
+  select(exclude = new Set()) {
+    const untried = this.nodes.filter(node => !exclude.has(node));
+    const candidates = [
+      untried.filter(node => node.healthy),
+      untried,
+      this.nodes.filter(node => node.healthy),
+      this.nodes,
+    ].find(list => list.length > 0);
+
+    if (this.strategy === 'least-in-flight') {
+      return candidates.reduce((best, node) => (node.inFlight < best.inFlight ? node : best));
+    }
+
+    // Round-robin over the pool order, skipping nodes that are not candidates.
+    for (let i = 0; i < this.nodes.length; i++) {
+      const node = this.nodes[(this._nextIndex + i) % this.nodes.length];
+      if (candidates.includes(node)) {
+        this._nextIndex = (this.nodes.indexOf(node) + 1) % this.nodes.length;
+        return node;
+      }
+    }
+    return candidates[0];
+  }
+
+  /**
+   * Records the start of a request on a node.
+   *
+   * @param {Object} node - The node
+   */
+  acquire(node) {
+    node.inFlight++;
+  }
+
+  /**
+   * Records the end of a request on a node.
+   *
+   * @param {Object} node - The node
+   */
+  release(node) {
+    node.inFlight = Math.max(0, node.inFlight - 1);
+  }
+
+  /**
+   * Records a successful request, restoring the node's health.
+   *
+   * @param {Object} node - The node
+   */
+  markSuccess(node) {
+    node.consecutiveFailures = 0;
+    node.lastError = null;
+    if (!node.healthy) {
+      node.healthy = true;
+      this.emit('nodeUp', { url: node.url });
+    }
+  }
+
+  /**
+   * Records a failed request; marks the node unhealthy once the threshold is reached.
+   *
+   * @param {Object} node - The node
+   * @param {Error} error - The failure
+   */
+  markFailure(node, error) {
+    node.consecutiveFailures++;
+    node.lastError = error;
+    if (node.healthy && node.consecutiveFailures >= this.unhealthyThreshold) {
+      node.healthy = false;
+      this.emit('nodeDown', { url: node.url, error });
+      this._startProbing();
+    }
+  }
+
+  /**
+   * Stops background probing.
+   */
+  stop() {
+    if (this._probeTimer) {
+      clearInterval(this._probeTimer);
+      this._probeTimer = null;
+    }
+  }
+
+  /**
+   * Starts probing unhealthy nodes in the background, if a probe is configured.
+   *
+   * @private
+   */
+  _startProbing() {
+    if (this._probeTimer || !this.probe) {
+      return;
+    }
+    this._probeTimer = setInterval(() => this._probeUnhealthyNodes(), this.probeInterval);
+    // Do not keep the process alive just to probe nodes.
+    if (typeof this._probeTimer.unref === 'function') {
+      this._probeTimer.unref();
+    }
+  }
+
+  /**
+   * Probes every unhealthy node once and stops probing when all nodes are healthy.
+   *
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _probeUnhealthyNodes() {
+    const unhealthy = this.nodes.filter(node => !node.healthy && !node.probing);
+    await Promise.all(unhealthy.map(async node => {
+      node.probing = true;
+      try {
+        await this.probe(node);
+        this.markSuccess(node);
+      } catch (error) {
+        node.lastError = error;
+      } finally {
+        node.probing = false;
+      }
+    }));
+
+    if (this.nodes.every(node => node.healthy)) {
+      this.stop();
+    }
+  }
+}
+
+EndpointPool.STRATEGIES = STRATEGIES;
+
+module.exports = EndpointPool;
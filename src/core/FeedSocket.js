@@ -0,0 +1,151 @@
+const AdmCodec = require('./AdmCodec');
+const { AdmValue } = require('./AdmTypes');
+
+/**
+ * Writes records to a feed created with the `socket_adapter`, e.g. to load test data
+ * into a local server. Node.js only.
+ *
+ * ```
+ * await db.createFeed('ChirpFeed', {
+ *   adapter: 'socket_adapter', format: 'adm', type: 'ChirpMessageType',
+ *   config: { sockets: '127.0.0.1:10001' },
+ * });
+ * await db.connectFeed('ChirpFeed', 'ChirpMessages');
+ * await db.startFeed('ChirpFeed');
+ *
+ * const socket = await FeedSocket.connect('127.0.0.1:10001');
+ * await socket.write({ chirpId: '1', text: 'hello' });
+ * await socket.end();
+ * ```
+ *
+ * Records are sent one per line, as ADM: ADM values, Dates and Buffers are written as their
+ * constructors (`point("1.0,2.0")`, `datetime("...")`), so they are ingested with their type
+ * rather than as strings. Strings are sent as given. Use a feed with `format: 'adm'` for
+ * records holding such values; plain records are also valid JSON.
+ */
+class FeedSocket {
+  /**
+   * @param {net.Socket} socket - A connected socket
+   */
+  constructor(socket) {
+    this.socket = socket;
+    this.written = 0;
+    this.error = null;
+    // Keep the failure instead of letting an unhandled 'error' event end the process;
+    // pending and later writes reject with it.
+    this.socket.on('error', error => {
+      this.error = error;
+    });
+  }
+
+  /**
+   * Opens a connection to a feed socket.
+   *
+   * @param {string|Object} address - `host:port`, or `{ host, port }`
+   * @param {Object} [options]
+   * @param {number} [options.timeout=5000] - Milliseconds to wait for the connection
+   * @returns {Promise<FeedSocket>}
+   */
+  static async connect(address, options = {}) {
+    const net = require('net');
+    const { host, port } = FeedSocket._parseAddress(address);
+    const timeout = options.timeout !== undefined ? options.timeout : 5000;
+
+    return new Promise((resolve, reject) => {
+      const socket = net.createConnection({ host, port });
+      const timer = setTimeout(() => {
+        socket.destroy();
+        reject(new Error(`Timed out connecting to feed socket ${host}:${port}`));
+      }, timeout);
+      const onError = error => {
+        clearTimeout(timer);
+        reject(new Error(`Cannot connect to feed socket ${host}:${port}: ${error.message}`));
+      };
+      socket.once('error', onError);
+      socket.once('connect', () => {
+        clearTimeout(timer);
+        socket.removeListener('error', onError);
+        resolve(new FeedSocket(socket));
+      });
+    });
+  }
+
+  /**
+   * Sends one or more records.
+   *
+   * @param {Object|string|Array<Object|string>} records - A record or a list of records
+   * @returns {Promise<void>} - Resolves once the data has been handed to the OS
+   */
+  write(records) {
+    const list = Array.isArray(records) ? records : [records];
+    const text = list.map(record => (typeof record === 'string' ? record : encodeRecord(record))).join('\n');
+    if (this.error) {
+      return Promise.reject(this.error);
+    }
+    return new Promise((resolve, reject) => {
+      this.socket.write(`${text}\n`, error => {
+        if (error) {
+          reject(error);
+          return;
+        }
+        this.written += list.length;
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Closes the connection once everything written has been sent.
+   *
+   * @returns {Promise<void>}
+   */
+  end() {
+    return new Promise(resolve => {
+      this.socket.end(resolve);
+    });
+  }
+
+  /**
+   * Splits a socket address.
+   *
+   * @private
+   * @param {string|Object} address - `host:port` or `{ host, port }`
+   * @returns {{host: string, port: number}}
+   */
+  static _parseAddress(address) {
+    if (address && typeof address === 'object') {
+      return { host: address.host || '127.0.0.1', port: Number(address.port) };
+    }
+    const match = String(address).match(/^(.+):(\d+)$/);
+    if (!match) {
+      throw new Error(`Invalid feed socket address "${address}": expected host:port`);
+    }
+    return { host: match[1], port: Number(match[2]) };
+  }
+}
+
+/**
+ * Writes a record in ADM. Typed values go through AdmCodec; everything else is written as
+ * JSON would write it, so `null` stays `null` and undefined fields are left out.
+ *
+ * @param {*} value - The record or value
+ * @returns {string}
+ */
+function encodeRecord(value) {
+  if (value instanceof AdmValue || value instanceof Date || Buffer.isBuffer(value) || value instanceof Uint8Array ||
+    typeof value === 'bigint') {
+    return AdmCodec.encode(value);
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(element => (element === undefined ? 'null' : encodeRecord(element))).join(', ')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const fields = Object.entries(value)
+      .filter(([, field]) => field !== undefined)
+      .map(([key, field]) => `${JSON.stringify(key)}: ${encodeRecord(field)}`);
+    return fields.length > 0 ? `{ ${fields.join(', ')} }` : '{}';
+  }
+  return JSON.stringify(value);
+}
+
+module.exports = FeedSocket;
@@ -0,0 +1,216 @@
+// Adapter configuration keys AsterixDB requires, by adapter name.
+const ADAPTERS = {
+  socket_adapter: { required: ['sockets', 'address-type', 'type-name', 'format'] },
+  localfs: { required: ['path', 'type-name', 'format'] },
+  http_adapter: { required: ['addresses', 'type-name', 'format'] },
+  twitter_pull: {
+    required: ['type-name', 'consumer.key', 'consumer.secret', 'access.token', 'access.token.secret'],
+  },
+  twitter_push: {
+    required: ['type-name', 'consumer.key', 'consumer.secret', 'access.token', 'access.token.secret'],
+  },
+};
+
+const FORMATS = ['adm', 'json', 'delimited-text'];
+
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const QUALIFIED = /^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z_][A-Za-z0-9_]*)?$/;
+
+/**
+ * Builds and validates the SQL++ DDL for data feeds.
+ *
+ * ```
+ * FeedStatements.createFeed('ChirpFeed', {
+ *   adapter: 'socket_adapter',
+ *   format: 'adm',
+ *   type: 'ChirpMessageType',
+ *   config: { sockets: '127.0.0.1:10001', 'address-type': 'IP' },
+ * });
+ * // CREATE FEED ChirpFeed WITH { "adapter-name": "socket_adapter", "sockets": "127.0.0.1:10001", ... };
+ * ```
+ *
+ * Known adapters (socket_adapter, localfs, http_adapter, twitter_pull, twitter_push) are
+ * checked for their required settings; other adapter names are passed through unchecked.
+ */
+class FeedStatements {
+  /**
+   * Builds a CREATE FEED statement.
+   *
+   * @param {string} name - The feed name
+   * @param {Object} options
+   * @param {string} options.adapter - Adapter name, e.g. 'socket_adapter'
+   * @param {string} [options.format] - Record format: 'adm', 'json' or 'delimited-text'
+   * @param {string} [options.type] - Name of the record type (sets `type-name`)
+   * @param {Object} [options.config] - Further adapter settings; arrays are joined with commas
+   * @returns {string}
+   * @throws {Error} If the adapter configuration is invalid
+   */
+  static createFeed(name, options = {}) {
+    FeedStatements.checkName(name, 'feed');
+    const config = FeedStatements.adapterConfig(options);
+    const fields = Object.entries(config).map(([key, value]) => `${JSON.stringify(key)}: ${JSON.stringify(value)}`);
+    return `CREATE FEED ${name} WITH { ${fields.join(', ')} };`;
+  }
+
+  /**
+   * Builds a CONNECT FEED statement.
+   *
+   * @param {string} feed - The feed name
+   * @param {string} dataset - The target dataset
+   * @param {Object} [options]
+   * @param {string} [options.applyFunction] - Function applied to each record before it is stored
+   * @param {string} [options.policy] - Ingestion policy name
+   * @returns {string}
+   */
+  static connectFeed(feed, dataset, options = {}) {
+    FeedStatements.checkName(feed, 'feed');
+    FeedStatements.checkName(dataset, 'dataset');
+    let statement = `CONNECT FEED ${feed} TO DATASET ${dataset}`;
+    if (options.applyFunction) {
+      FeedStatements.checkName(options.applyFunction, 'function', true);
+      statement += ` APPLY FUNCTION ${options.applyFunction}`;
+    }
+    if (options.policy) {
+      FeedStatements.checkName(options.policy, 'policy');
+      statement += ` USING POLICY ${options.policy}`;
+    }
+    return `${statement};`;
+  }
+
+  /**
+   * Builds a DISCONNECT FEED statement.
+   *
+   * @param {string} feed - The feed name
+   * @param {string} dataset - The connected dataset
+   * @returns {string}
+   */
+  static disconnectFeed(feed, dataset) {
+    FeedStatements.checkName(feed, 'feed');
+    FeedStatements.checkName(dataset, 'dataset');
+    return `DISCONNECT FEED ${feed} FROM DATASET ${dataset};`;
+  }
+
+  /**
+   * Builds a START FEED statement.
+   *
+   * @param {string} feed - The feed name
+   * @returns {string}
+   */
+  static startFeed(feed) {
+    FeedStatements.checkName(feed, 'feed');
+    return `START FEED ${feed};`;
+  }
+
+  /**
+   * Builds a STOP FEED statement.
+   *
+   * @param {string} feed - The feed name
+   * @returns {string}
+   */
+  static stopFeed(feed) {
+    FeedStatements.checkName(feed, 'feed');
+    return `STOP FEED ${feed};`;
+  }
+
+  /**
+   * Builds a DROP FEED statement.
+   *
+   * @param {string} feed - The feed name
+   * @param {Object} [options]
+   * @param {boolean} [options.ifExists=false] - Do not fail if the feed does not exist
+   * @returns {string}
+   */
+  static dropFeed(feed, options = {}) {
+    FeedStatements.checkName(feed, 'feed');
+    return `DROP FEED ${feed}${options.ifExists ? ' IF EXISTS' : ''};`;
+  }
+
+  /**
+   * Builds and validates the adapter configuration of a feed.
+   *
+   * @param {Object} options - `adapter`, `format`, `type` and `config`, as for createFeed()
+   * @returns {Object} - The `WITH` record, all values as strings
+   * @throws {Error} If a setting is missing or malformed
+   */
+  static adapterConfig(options = {}) {
+    const adapter = options.adapter || (options.config && options.config['adapter-name']);
+    if (!adapter || typeof adapter !== 'string') {
+      throw new Error('Feed adapter is required (e.g. "socket_adapter")');
+    }
+
+    const config = { 'adapter-name': adapter };
+    for (const [key, value] of Object.entries(options.config || {})) {
+      if (value === undefined || value === null) {
+        continue;
+      }
+      if (typeof value === 'object' && !Array.isArray(value)) {
+        throw new Error(`Feed setting "${key}" must be a string, number, boolean or list`);
+      }
+      config[key] = Array.isArray(value) ? value.join(',') : String(value);
+    }
+    if (options.format !== undefined) config.format = String(options.format);
+    if (options.type !== undefined) config['type-name'] = String(options.type);
+    // The socket adapter reads sockets given as IP:port unless told otherwise.
+    if (adapter === 'socket_adapter' && config['address-type'] === undefined) {
+      config['address-type'] = 'IP';
+    }
+
+    FeedStatements._validate(adapter, config);
+    return config;
+  }
+
+  /**
+   * Checks that a name can be used in a statement without quoting.
+   *
+   * @param {string} name - The name
+   * @param {string} what - What the name refers to, for the error message
+   * @param {boolean} [qualified=false] - Whether the `dataverse.name` form is allowed
+   * @throws {Error} If the name is invalid
+   */
+  static checkName(name, what, qualified = false) {
+    if (typeof name !== 'string' || !(qualified ? QUALIFIED : IDENTIFIER).test(name)) {
+      throw new Error(`Invalid ${what} name "${name}"`);
+    }
+  }
+
+  /**
+   * Checks an adapter configuration.
+   *
+   * @private
+   * @param {string} adapter - The adapter name
+   * @param {Object} config - The configuration, values as strings
+   */
+  static _validate(adapter, config) {
+    const known = ADAPTERS[adapter];
+    if (known) {
+      const missing = known.required.filter(key => config[key] === undefined || config[key] === '');
+      if (missing.length > 0) {
+        throw new Error(`Feed adapter "${adapter}" requires ${missing.map(key => `"${key}"`).join(', ')}`);
+      }
+    }
+
+    if (config.format !== undefined && !FORMATS.includes(config.format)) {
+      throw new Error(`Unknown feed format "${config.format}". Use one of: ${FORMATS.join(', ')}`);
+    }
+    if (config.format === 'delimited-text' && !config.delimiter) {
+      throw new Error('Feed format "delimited-text" requires a "delimiter"');
+    }
+
+    if (adapter === 'socket_adapter') {
+      if (!['IP', 'NC'].includes(config['address-type'])) {
+        throw new Error('Feed setting "address-type" must be "IP" or "NC"');
+      }
+      for (const socket of config.sockets.split(',')) {
+        const match = socket.trim().match(/^(.+):(\d+)$/);
+        if (!match || Number(match[2]) < 1 || Number(match[2]) > 65535) {
+          throw new Error(`Invalid feed socket "${socket}": expected host:port (or nc:port with address-type NC)`);
+        }
+      }
+    }
+  }
+}
+
+FeedStatements.ADAPTERS = ADAPTERS;
+FeedStatements.FORMATS = FORMATS;
+
+module.exports = FeedStatements;
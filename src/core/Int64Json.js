@@ -0,0 +1,181 @@
+const crypto = require('crypto');
+
+const MODES = ['number', 'bigint', 'string'];
+
+/**
+ * JSON parsing and serialization that keep `int64` values exact.
+ *
+ * `JSON.parse` reads every number as a double, so integers beyond 2^53 (tweet IDs,
+ * counters, ...) silently lose their last digits. In `bigint` or `string` mode, parse()
+ * returns those integers as BigInts or as their decimal strings. Integers that fit in a
+ * double, and all other numbers, are still returned as numbers.
+ * ```
+ * Int64Json.parse('{"id": 1234567890123456789, "n": 1}', 'bigint'); // { id: 1234567890123456789n, n: 1 }
+ * Int64Json.parse('{"id": 1234567890123456789}', 'string');         // { id: '1234567890123456789' }
+ * Int64Json.stringify({ id: 1234567890123456789n });                // '{"id":1234567890123456789}'
+ * ```
+ */
+class Int64Json {
+  /**
+   * Parses JSON text.
+   *
+   * @param {string} text - The JSON text
+   * @param {string} [mode='number'] - How to return unsafe integers: 'number', 'bigint' or 'string'
+   * @returns {*}
+   * @throws {SyntaxError} If the text is not valid JSON
+   */
+  static parse(text, mode = 'number') {
+    if (Int64Json.mode(mode) === 'number') {
+      return JSON.parse(text);
+    }
+
+    // Unsafe integers are quoted behind a marker that cannot occur in the text, then revived.
+    const marker = Int64Json._marker(text);
+    const quoted = Int64Json._quoteUnsafeIntegers(text, marker);
+    if (quoted === null) {
+      return JSON.parse(text);
+    }
+    return JSON.parse(quoted, (key, value) => {
+      if (typeof value === 'string' && value.startsWith(marker)) {
+        const digits = value.slice(marker.length);
+        return mode === 'bigint' ? BigInt(digits) : digits;
+      }
+      return value;
+    });
+  }
+
+  /**
+   * Serializes a value to JSON, writing BigInts as plain integer literals.
+   *
+   * @param {*} value - The value
+   * @returns {string}
+   */
+  static stringify(value) {
+    let marker = null;
+    const text = JSON.stringify(value, (key, item) => {
+      if (typeof item !== 'bigint') {
+        return item;
+      }
+      marker = marker || Int64Json._marker('');
+      return `${marker}${item}`;
+    });
+    if (marker === null) {
+      return text;
+    }
+    return text.replace(new RegExp(`"${marker}(-?\\d+)"`, 'g'), '$1');
+  }
+
+  /**
+   * Whether a value contains a BigInt anywhere inside it.
+   *
+   * @param {*} value - The value
+   * @returns {boolean}
+   */
+  static hasBigInt(value) {
+    if (typeof value === 'bigint') {
+      return true;
+    }
+    if (Array.isArray(value)) {
+      return value.some(item => Int64Json.hasBigInt(item));
+    }
+    if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+      return Object.values(value).some(item => Int64Json.hasBigInt(item));
+    }
+    return false;
+  }
+
+  /**
+   * Validates an int64 mode.
+   *
+   * @param {string} [mode='number'] - 'number', 'bigint' or 'string'
+   * @returns {string}
+   */
+  static mode(mode = 'number') {
+    if (!MODES.includes(mode)) {
+      throw new Error(`Unknown int64 mode "${mode}". Use one of: ${MODES.join(', ')}`);
+    }
+    return mode;
+  }
+
+  /**
+   * Returns an axios `transformResponse` function that parses JSON bodies in the given mode.
+   * Bodies that are not JSON text (streams, CSV, error pages) are returned unchanged.
+   *
+   * @param {string} mode - 'number', 'bigint' or 'string'
+   * @returns {Function}
+   */
+  static responseTransformer(mode) {
+    Int64Json.mode(mode);
+    return data => {
+      if (typeof data !== 'string' || !/^\s*[{[]/.test(data)) {
+        return data;
+      }
+      try {
+        return Int64Json.parse(data, mode);
+      } catch (error) {
+        return data;
+      }
+    };
+  }
+
+  /**
+   * Quotes the integer literals of a JSON text that a double cannot hold exactly.
+   *
+   * @private
+   * @param {string} text - The JSON text
+   * @param {string} marker - Prefix for the quoted literals
+   * @returns {string|null} - The rewritten text, or null if it has no such integers
+   */
+  static _quoteUnsafeIntegers(text, marker) {
+    let out = '';
+    let last = 0;
+
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      if (ch === '"') {
+        // Skip the string, including escaped quotes.
+        for (i++; i < text.length && text[i] !== '"'; i++) {
+          if (text[i] === '\\') i++;
+        }
+        continue;
+      }
+      if (ch !== '-' && (ch < '0' || ch > '9')) {
+        continue;
+      }
+
+      let end = ch === '-' ? i + 1 : i;
+      while (end < text.length && text[end] >= '0' && text[end] <= '9') end++;
+      let next = end;
+      while (next < text.length && /[.eE+\-0-9]/.test(text[next])) next++;
+
+      const digits = text.slice(i, end);
+      // 16 or more digits may be past 2^53; fractions and exponents are doubles anyway.
+      if (next === end && digits.replace('-', '').length >= 16 && !Number.isSafeInteger(Number(digits))) {
+        out += `${text.slice(last, i)}"${marker}${digits}"`;
+        last = end;
+      }
+      i = next - 1;
+    }
+
+    return last === 0 ? null : out + text.slice(last);
+  }
+
+  /**
+   * Returns a marker that does not occur in the text.
+   *
+   * @private
+   * @param {string} text - The JSON text
+   * @returns {string}
+   */
+  static _marker(text) {
+    let marker;
+    do {
+      marker = `int64-${crypto.randomBytes(6).toString('hex')}:`;
+    } while (text.includes(marker));
+    return marker;
+  }
+}
+
+Int64Json.MODES = MODES;
+
+module.exports = Int64Json;
@@ -1,11 +1,23 @@
 const Validator = require('./Validator');
 const ASTNode = require('./ASTNode');
+const QueryParameters = require('./QueryParameters');
+const QueryTranslator = require('./QueryTranslator');
+const AdmCodec = require('./AdmCodec');
 
 class QueryBuilder {
+  /**
+   * @param {Object} [options]
+   * @param {Connector|OfflineEnabledConnector} [options.connector] - Connector used for schema validation
+   * @param {ConnectionConfig|string|Object} [options.connection] - Connection options, used when no connector is given
+   * @param {QueryParameters} [options.parameters] - Shared collector for bound values (used by subqueries)
+   */
   constructor(options = {}) {
+    this._connector = options.connector || null;
+    this._connection = options.connection;
     this._outerAliases = options.outerAliases || {};
     this._dataverseNodeFromParent = options.dataverseNodeFromParent; // For subqueries
     this._pendingSubQueries = []; // To store definitions for deferred subquery builds
+    this._parameters = options.parameters || new QueryParameters();
 
     this._setCommands = [];
     this._queryType = null;
@@ -24,7 +36,7 @@ class QueryBuilder {
     this.astInsertInto = null;
     this.astValues = null;
     
-    this.validator = new Validator();
+    this.validator = new Validator(this._connector || this._connection);
   }
 
   // Extract dataverse name from the USE node, e.g. from "USE TinySocial;"
@@ -90,7 +102,8 @@ class QueryBuilder {
         const parts = colExpr.split(/\s+AS\s+/i);
         const columnExpr = parts[0].trim();
 
-        if (columnExpr.startsWith('(')) {
+        // Subqueries and function calls (whose arguments may contain dots) are not column paths.
+        if (columnExpr.startsWith('(') || /^\w+\(.*\)$/.test(columnExpr)) {
           continue;
         }
 
@@ -121,7 +134,8 @@ class QueryBuilder {
     
     const whereClause = this._getWhereClause();
     if (whereClause) {
-      const potentialIdentifiers = whereClause.match(/\b[a-zA-Z_][a-zA-Z0-9_]*(?:\.[a-zA-Z_][a-zA-Z0-9_]*)*\b/g) || [];
+      // Bound parameter references ($1, $name) are not columns.
+      const potentialIdentifiers = whereClause.replace(/\$[A-Za-z0-9_]+/g, ' ').match(/\b[a-zA-Z_][a-zA-Z0-9_]*(?:\.[a-zA-Z_][a-zA-Z0-9_]*)*\b/g) || [];
       const sqlppKeywords = new Set([
         'AND', 'OR', 'NOT', 'IN', 'LIKE', 'BETWEEN', 'IS', 'NULL', 'MISSING', 'UNKNOWN',
         'VALUE', 'ELEMENT', 'FROM', 'WHERE', 'SELECT', 'GROUP', 'ORDER', 'BY', 'LIMIT',
@@ -267,11 +281,88 @@ class QueryBuilder {
   
   
 
-  where(condition) {
+  /**
+   * Sets the WHERE clause.
+   *
+   * Values can be bound rather than inlined:
+   * - `where('u.lang = ? AND u.friendsCount > ?', ['en', 10])` binds positional values to `?` placeholders.
+   * - `where('u.lang = $lang', { $lang: 'en' })` binds named values. Placeholders of Dates and ADM values
+   *   are wrapped in their constructor (`m.sendTime > $since` becomes `m.sendTime > datetime($since)`).
+   * - `where({ lang: 'en', friendsCount: { $gt: 10 } })` translates a MongoDB-style filter with bound values.
+   *   A `$similar` condition also adds the `simfunction` and `simthreshold` settings it needs with set().
+   *
+   * The bound values are available from getBindings() after building.
+   *
+   * @param {string|Object} condition - SQL++ condition or MongoDB-style filter
+   * @param {Array|Object} [bindings] - Positional values for `?` placeholders, or named `$name` values
+   * @returns {QueryBuilder}
+   */
+  where(condition, bindings) {
+    if (typeof condition === 'object' && condition !== null) {
+      const translator = new QueryTranslator();
+      for (const [name, value] of Object.entries(translator.similaritySettings(condition))) {
+        this.set(name, value);
+      }
+      condition = translator.toSQLPP(condition, this._parameters);
+    } else if (Array.isArray(bindings)) {
+      condition = this._parameters.bindPositional(condition, bindings);
+    } else if (bindings) {
+      condition = this._parameters.bindNamedIn(condition, bindings);
+    }
     this.astWhere = new ASTNode('WHERE', `WHERE ${condition}`);
     return this;
   }
+
+  /**
+   * Adds a full-text condition to the WHERE clause, ANDed with any condition already set.
+   *
+   * ```
+   * new QueryBuilder().use('TinySocial').select(['VALUE m']).from('ChirpMessages m')
+   *   .where('m.senderLocation IS NOT UNKNOWN')
+   *   .ftcontains('m.messageText', ['love', 'phone'], { mode: 'all' });
+   * // ... WHERE (m.senderLocation IS NOT UNKNOWN) AND ftcontains(m.messageText, ["love", "phone"], { "mode": "all" })
+   * ```
+   *
+   * A FULLTEXT index on the field (see AsterixCollection.createIndex()) lets the server use it instead of a scan.
+   *
+   * @param {string} field - The field to search
+   * @param {string|Array<string>} terms - A search string or a list of terms
+   * @param {Object} [options] - `{ mode: 'any' | 'all' }`; 'any' by default
+   * @returns {QueryBuilder}
+   */
+  ftcontains(field, terms, options = {}) {
+    const condition = new QueryTranslator().ftcontains(field, terms, options);
+    const existing = this._getWhereClause();
+    this.astWhere = new ASTNode('WHERE', `WHERE ${existing ? `(${existing}) AND ` : ''}${condition}`);
+    return this;
+  }
+
+  /**
+   * Returns the values bound to the query, in the form accepted by `Connector.executeQuery`.
+   *
+   * ```
+   * const qb = new QueryBuilder().use('TinySocial').select(['VALUE u']).from('ChirpUsers u').where('u.lang = ?', ['en']);
+   * const result = await connector.executeQuery(await qb.build(), qb.getBindings());
+   * ```
+   *
+   * @returns {{args?: Array, params?: Object}}
+   */
+  getBindings() {
+    return this._parameters.toOptions();
+  }
   
+  /**
+   * Builds the query and returns its plans without running it (see Connector.explain()).
+   *
+   * @param {Object} [options] - Plan options (`logical`, `optimized`, `jobSpec`, `format`)
+   * @returns {Promise<QueryPlan>}
+   */
+  async explain(options = {}) {
+    const sqlppQuery = await this.build();
+    const connector = this._connector || this.validator.connector;
+    return connector.explain(sqlppQuery, { ...options, ...this.getBindings() });
+  }
+
   groupBy(expression) {
     this.astGroupBy = new ASTNode('GROUP BY', `GROUP BY ${expression}`);
     return this;
@@ -323,51 +414,10 @@ class QueryBuilder {
   }
   
   _formatValueObject(obj) {
-    const parts = [];
-    
-    for (const [key, value] of Object.entries(obj)) {
-      let formattedValue;
-      
-      if (value === null) {
-        formattedValue = 'null'; // SQL++ null literal
-      } else if (value === undefined) {
-
-        formattedValue = 'null'; 
-      } else if (typeof value === 'string') {
-        // Escape double quotes in strings and ensure the string is double-quoted
-        formattedValue = `"${value.replace(/"/g, '\\"')}"`;
-      } else if (typeof value === 'number' || typeof value === 'boolean') {
-        formattedValue = value.toString();
-      } else if (value instanceof Date) {
-        // Format date as ISO string for datetime constructor
-        formattedValue = `datetime("${value.toISOString()}")`;
-      } else if (Array.isArray(value)) {
-        // Format array: [val1, val2, ...]
-        const elements = value.map(elem => {
-
-          if (typeof elem === 'string') {
-            return `"${elem.replace(/"/g, '\\"')}"`;
-          } else if (typeof elem === 'number' || typeof elem === 'boolean') {
-            return elem.toString();
-          } else if (elem === null) {
-            return 'null';
-          }
-          // For nested objects/arrays within arrays, JSON.stringify might be a shortcut,
-          // but a proper SQL++ formatter would be ideal.
-          return JSON.stringify(elem); // Fallback for complex array elements
-        });
-        formattedValue = `[${elements.join(', ')}]`;
-      } else if (typeof value === 'object') {
-        formattedValue = JSON.stringify(value); 
-      } else {
-
-        throw new Error(`Unsupported data type for field '${key}': ${typeof value}`);
-      }
-      
-      parts.push(`"${key}": ${formattedValue}`); // Keys must be double-quoted strings
+    if (obj === null || typeof obj !== 'object' || Array.isArray(obj)) {
+      throw new Error("VALUES data must be an object.");
     }
-    
-    return `{${parts.join(', ')}}`; // Return a SQL++ object constructor string: { "k1": v1, "k2": v2 }
+    return AdmCodec.encode(obj);
   }
 
   async build() {
@@ -380,6 +430,9 @@ class QueryBuilder {
           const { alias, builderFn } = subQueryDef;
 
           const nestedBuilder = new QueryBuilder({
+            connector: this._connector,
+            connection: this._connection,
+            parameters: this._parameters,
             outerAliases: { ...this._outerAliases },
             dataverseNodeFromParent: this.astUse 
           });
@@ -0,0 +1,413 @@
+const crypto = require('crypto');
+const SqlppTokenizer = require('./SqlppTokenizer');
+const StatementClassifier = require('./StatementClassifier');
+
+// Latency histogram bucket bounds, in milliseconds.
+const DEFAULT_BUCKETS = [5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000, 30000];
+
+const DEFAULT_MAX_SERIES = 1000;
+
+// Milliseconds per unit of the duration strings in the server's `metrics`.
+const DURATION_UNITS = {
+  ns: 1e-6,
+  us: 1e-3,
+  'µs': 1e-3,
+  'μs': 1e-3,
+  ms: 1,
+  s: 1000,
+  m: 60000,
+  h: 3600000,
+};
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/**
+ * Collects the `metrics` AsterixDB returns with every response and aggregates them per
+ * statement fingerprint, dataset and operation.
+ *
+ * A fingerprint identifies statements that differ only in their literal values: strings and
+ * numbers are replaced by `?`, lists of placeholders are collapsed and whitespace and comments
+ * are dropped, so `SELECT ... WHERE id = 1` and `SELECT ... WHERE id = 2` share one series.
+ *
+ * ```
+ * const metrics = new QueryMetrics();
+ * connector.use(metrics.interceptor());
+ *
+ * metrics.snapshot();        // { series: [{ fingerprint, statement, dataset, operation, count, elapsed, ... }] }
+ * metrics.toPrometheus();    // text exposition format
+ * ```
+ *
+ * Latencies are the server's `elapsedTime`, or the time measured by the client when the
+ * response has no metrics (failed requests, results fetched from a handle).
+ *
+ * With `watch(connector.limiter)` the output also covers the client-side request queue:
+ * requests in flight and queued, time spent queued and rejections, per priority.
+ */
+class QueryMetrics {
+  /**
+   * @param {Object} [options]
+   * @param {Array<number>} [options.buckets] - Latency histogram bucket bounds in milliseconds
+   * @param {number} [options.maxSeries=1000] - Most series kept; further statements are counted
+   *   under the fingerprint `other`
+   * @param {string} [options.prefix='asterixdb'] - Prefix of the Prometheus metric names
+   */
+  constructor(options = {}) {
+    this.buckets = [...(options.buckets || DEFAULT_BUCKETS)].sort((a, b) => a - b);
+    if (this.buckets.length === 0 || this.buckets.some(bound => typeof bound !== 'number' || !(bound > 0))) {
+      throw new Error('Metrics buckets must be a non-empty list of positive numbers');
+    }
+    this.maxSeries = options.maxSeries !== undefined ? options.maxSeries : DEFAULT_MAX_SERIES;
+    this.prefix = options.prefix || 'asterixdb';
+    this._series = new Map();
+    this._fingerprints = new Map();
+    this._limiter = null;
+  }
+
+  /**
+   * Parses a duration string from the server's metrics, such as `12.5ms`, `1.002s` or `1m2.5s`.
+   *
+   * @param {string|number} value - The duration
+   * @returns {number|null} - Milliseconds, or null if the value cannot be parsed
+   */
+  static parseDuration(value) {
+    if (typeof value === 'number') {
+      return Number.isFinite(value) ? value : null;
+    }
+    if (typeof value !== 'string') {
+      return null;
+    }
+
+    const text = value.trim();
+    const pattern = /(\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)\s*(ns|us|µs|μs|ms|s|m|h)/g;
+    let total = 0;
+    let consumed = 0;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      if (match.index !== consumed) {
+        return null;
+      }
+      total += parseFloat(match[1]) * DURATION_UNITS[match[2]];
+      consumed = pattern.lastIndex;
+    }
+    return consumed > 0 && consumed === text.length ? total : null;
+  }
+
+  /**
+   * Normalizes a statement so that statements differing only in literal values are equal.
+   *
+   * @param {string} statement - The SQL++ text
+   * @returns {string} - The normalized statement
+   */
+  static normalize(statement) {
+    const parts = [];
+    for (const token of SqlppTokenizer.tokenize(String(statement || ''))) {
+      if (token.type === 'whitespace' || token.type === 'comment') {
+        continue;
+      }
+      parts.push(['string', 'number', 'parameter'].includes(token.type) ? '?' : token.text);
+    }
+    return parts.join(' ')
+      .replace(/\? (, \? )*(?=[\])}])/g, '? ')
+      .replace(/ ;/g, ';');
+  }
+
+  /**
+   * Returns a short, stable identifier for a statement's normalized form.
+   *
+   * @param {string} statement - The SQL++ text
+   * @returns {string} - 16 hex characters
+   */
+  static fingerprint(statement) {
+    return crypto.createHash('sha1').update(QueryMetrics.normalize(statement)).digest('hex').slice(0, 16);
+  }
+
+  /**
+   * Records one request.
+   *
+   * @param {Object} entry
+   * @param {string} entry.statement - The SQL++ text
+   * @param {string} [entry.operation] - Operation label, such as `find` or `executeQuery`
+   * @param {string} [entry.dataset] - Dataset label; derived from the statement when omitted
+   * @param {Object} [entry.metrics] - The response's `metrics`
+   * @param {string} [entry.status] - The response's `status`
+   * @param {number} [entry.duration] - Client-measured duration in milliseconds
+   * @param {Error} [entry.error] - The error the request failed with
+   */
+  record(entry) {
+    const series = this._seriesFor(entry);
+    const metrics = entry.metrics || {};
+    const elapsed = QueryMetrics.parseDuration(metrics.elapsedTime);
+    const latency = elapsed !== null ? elapsed : entry.duration;
+
+    series.count++;
+    if (entry.error || metrics.errorCount > 0 || (entry.status && entry.status !== 'success')) {
+      series.errors++;
+    }
+    if (typeof latency === 'number' && Number.isFinite(latency)) {
+      series.elapsed.sum += latency;
+      series.elapsed.min = Math.min(series.elapsed.min, latency);
+      series.elapsed.max = Math.max(series.elapsed.max, latency);
+      const bucket = this.buckets.findIndex(bound => latency <= bound);
+      series.elapsed.buckets[bucket === -1 ? this.buckets.length : bucket]++;
+    }
+
+    const executionTime = QueryMetrics.parseDuration(metrics.executionTime);
+    if (executionTime !== null) {
+      series.executionTime += executionTime;
+    }
+    for (const field of ['resultCount', 'resultSize', 'processedObjects', 'mutationCount', 'warningCount']) {
+      if (typeof metrics[field] === 'number') {
+        series[field] += metrics[field];
+      }
+    }
+  }
+
+  /**
+   * Returns an interceptor (see Connector.use()) that records every request with a statement.
+   * The operation label is `options.operation` when the caller sets it (the MongoDB-like
+   * methods do), otherwise the connector method.
+   *
+   * @returns {Function} - `async (ctx, next) => void`
+   */
+  interceptor() {
+    return async (ctx, next) => {
+      const started = Date.now();
+      try {
+        await next();
+      } finally {
+        const statement = ctx.statement || (ctx.data && ctx.data.statement);
+        if (statement) {
+          const response = ctx.response && typeof ctx.response === 'object' && !Array.isArray(ctx.response)
+            ? ctx.response
+            : {};
+          this.record({
+            statement,
+            operation: (ctx.options && ctx.options.operation) || ctx.operation,
+            metrics: response.metrics,
+            status: ctx.error ? undefined : response.status,
+            duration: Date.now() - started,
+            error: ctx.error,
+          });
+        }
+      }
+    };
+  }
+
+  /**
+   * Includes the state of a connector's concurrency limiter in snapshots and Prometheus output.
+   *
+   * @param {ConcurrencyLimiter} limiter - The limiter, e.g. `connector.limiter`
+   * @returns {QueryMetrics} - This instance, for chaining
+   */
+  watch(limiter) {
+    this._limiter = limiter || null;
+    return this;
+  }
+
+  /**
+   * Returns the aggregated metrics. Latencies are in milliseconds.
+   *
+   * @returns {{buckets: Array<number>, series: Array<Object>}} - Each series has `fingerprint`,
+   *   `statement` (normalized), `dataset`, `operation`, `count`, `errors`, `elapsed` (`sum`,
+   *   `min`, `max`, `buckets` as cumulative counts per bound), `executionTime`, `resultCount`,
+   *   `resultSize`, `processedObjects`, `mutationCount` and `warningCount`; plus `queue`, the
+   *   watched limiter's stats (see ConcurrencyLimiter.stats()), or null
+   */
+  snapshot() {
+    return {
+      buckets: [...this.buckets],
+      queue: this._limiter ? this._limiter.stats() : null,
+      series: [...this._series.values()].map(series => ({
+        ...series,
+        elapsed: {
+          sum: series.elapsed.sum,
+          min: series.elapsed.min === Infinity ? null : series.elapsed.min,
+          max: series.elapsed.max === -Infinity ? null : series.elapsed.max,
+          buckets: this._cumulative(series.elapsed.buckets),
+        },
+      })),
+    };
+  }
+
+  /**
+   * Renders the metrics in the Prometheus text exposition format. Serve it with
+   * `QueryMetrics.CONTENT_TYPE`:
+   *
+   * ```
+   * http.createServer((req, res) => {
+   *   res.setHeader('Content-Type', QueryMetrics.CONTENT_TYPE);
+   *   res.end(metrics.toPrometheus());
+   * }).listen(9464);
+   * ```
+   *
+   * @returns {string}
+   */
+  toPrometheus() {
+    const name = suffix => `${this.prefix}_${suffix}`;
+    const lines = [];
+    const all = [...this._series.values()];
+    const labels = (series, extra = {}) => {
+      const pairs = { fingerprint: series.fingerprint, dataset: series.dataset, operation: series.operation, ...extra };
+      return `{${Object.entries(pairs).map(([key, value]) => `${key}="${QueryMetrics._escapeLabel(value)}"`).join(',')}}`;
+    };
+    // Rounded, so that float noise from summing milliseconds does not show up.
+    const seconds = ms => String(Number((ms / 1000).toPrecision(12)));
+
+    lines.push(`# HELP ${name('query_duration_seconds')} Query latency (server elapsed time).`);
+    lines.push(`# TYPE ${name('query_duration_seconds')} histogram`);
+    for (const series of all) {
+      const cumulative = this._cumulative(series.elapsed.buckets);
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${name('query_duration_seconds_bucket')}${labels(series, { le: seconds(bound) })} ${cumulative[i]}`);
+      });
+      lines.push(`${name('query_duration_seconds_bucket')}${labels(series, { le: '+Inf' })} ${cumulative[this.buckets.length]}`);
+      lines.push(`${name('query_duration_seconds_sum')}${labels(series)} ${seconds(series.elapsed.sum)}`);
+      lines.push(`${name('query_duration_seconds_count')}${labels(series)} ${cumulative[this.buckets.length]}`);
+    }
+
+    const counters = [
+      ['queries_total', 'Requests sent.', series => series.count],
+      ['query_errors_total', 'Requests that failed.', series => series.errors],
+      ['query_execution_seconds_total', 'Server execution time.', series => seconds(series.executionTime)],
+      ['query_result_rows_total', 'Result rows returned.', series => series.resultCount],
+      ['query_result_bytes_total', 'Result bytes returned.', series => series.resultSize],
+      ['query_processed_objects_total', 'Objects processed by the server.', series => series.processedObjects],
+      ['query_mutations_total', 'Records inserted, upserted or deleted.', series => series.mutationCount],
+      ['query_warnings_total', 'Warnings returned.', series => series.warningCount],
+    ];
+    for (const [suffix, help, value] of counters) {
+      lines.push(`# HELP ${name(suffix)} ${help}`);
+      lines.push(`# TYPE ${name(suffix)} counter`);
+      for (const series of all) {
+        lines.push(`${name(suffix)}${labels(series)} ${value(series)}`);
+      }
+    }
+
+    if (this._limiter) {
+      lines.push(...this._renderQueue(name, seconds));
+    }
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Renders the watched limiter's state.
+   *
+   * @private
+   * @param {Function} name - Prefixes a metric name
+   * @param {Function} seconds - Formats milliseconds as seconds
+   * @returns {Array<string>} - Lines of the exposition format
+   */
+  _renderQueue(name, seconds) {
+    const stats = this._limiter.stats();
+    const lines = [
+      `# HELP ${name('requests_in_flight')} Requests holding a concurrency slot.`,
+      `# TYPE ${name('requests_in_flight')} gauge`,
+      `${name('requests_in_flight')} ${stats.active}`,
+    ];
+    const perPriority = [
+      ['requests_queued', 'gauge', 'Requests waiting for a concurrency slot.', entry => entry.queued],
+      ['queue_wait_seconds_total', 'counter', 'Time requests spent waiting for a slot.', entry => seconds(entry.queueTime)],
+      ['queue_waits_total', 'counter', 'Requests that had to wait for a slot.', entry => entry.waited],
+      ['queue_rejected_total', 'counter', 'Requests rejected by back-pressure.', entry => entry.rejected],
+    ];
+    for (const [suffix, type, help, value] of perPriority) {
+      lines.push(`# HELP ${name(suffix)} ${help}`);
+      lines.push(`# TYPE ${name(suffix)} ${type}`);
+      for (const [priority, entry] of Object.entries(stats.priorities)) {
+        lines.push(`${name(suffix)}{priority="${QueryMetrics._escapeLabel(priority)}"} ${value(entry)}`);
+      }
+    }
+    return lines;
+  }
+
+  /**
+   * Discards everything recorded so far.
+   */
+  reset() {
+    this._series.clear();
+    this._fingerprints.clear();
+  }
+
+  /**
+   * Finds or creates the series a request belongs to.
+   *
+   * @private
+   * @param {Object} entry - The recorded request
+   * @returns {Object} - The series
+   */
+  _seriesFor(entry) {
+    let fingerprint = this._fingerprints.get(entry.statement);
+    if (fingerprint === undefined) {
+      fingerprint = { id: QueryMetrics.fingerprint(entry.statement), normalized: QueryMetrics.normalize(entry.statement) };
+      // Bounded, since every distinct statement text would otherwise be kept.
+      if (this._fingerprints.size < this.maxSeries * 10) {
+        this._fingerprints.set(entry.statement, fingerprint);
+      }
+    }
+
+    let dataset = entry.dataset;
+    if (dataset === undefined) {
+      const classification = StatementClassifier.classify(entry.statement);
+      dataset = classification.dataset
+        ? [classification.dataverse, classification.dataset].filter(Boolean).join('.')
+        : '';
+    }
+    const operation = entry.operation || 'executeQuery';
+
+    let key = [fingerprint.id, dataset, operation].join('\u0000');
+    if (!this._series.has(key) && this._series.size >= this.maxSeries) {
+      fingerprint = { id: 'other', normalized: null };
+      key = ['other', dataset, operation].join('\u0000');
+    }
+
+    let series = this._series.get(key);
+    if (!series) {
+      series = {
+        fingerprint: fingerprint.id,
+        statement: fingerprint.normalized,
+        dataset,
+        operation,
+        count: 0,
+        errors: 0,
+        elapsed: { sum: 0, min: Infinity, max: -Infinity, buckets: new Array(this.buckets.length + 1).fill(0) },
+        executionTime: 0,
+        resultCount: 0,
+        resultSize: 0,
+        processedObjects: 0,
+        mutationCount: 0,
+        warningCount: 0,
+      };
+      this._series.set(key, series);
+    }
+    return series;
+  }
+
+  /**
+   * Turns per-bucket counts into cumulative counts (the last entry is the total).
+   *
+   * @private
+   * @param {Array<number>} counts - Counts per bucket, plus one for values above the last bound
+   * @returns {Array<number>}
+   */
+  _cumulative(counts) {
+    let total = 0;
+    return counts.map(count => (total += count));
+  }
+
+  /**
+   * Escapes a Prometheus label value.
+   *
+   * @private
+   * @param {string} value - The label value
+   * @returns {string}
+   */
+  static _escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+  }
+}
+
+QueryMetrics.DEFAULT_BUCKETS = DEFAULT_BUCKETS;
+QueryMetrics.CONTENT_TYPE = CONTENT_TYPE;
+
+module.exports = QueryMetrics;
@@ -0,0 +1,177 @@
+const SqlppTokenizer = require('./SqlppTokenizer');
+const AdmCodec = require('./AdmCodec');
+
+/**
+ * Collects the values bound to a SQL++ statement so they can be sent to the
+ * query service as request parameters instead of being spliced into the query text.
+ *
+ * Positional values are referenced as `$1`, `$2`, ... and sent in the `args` array;
+ * named values are referenced as `$name` and sent as `$name` request parameters.
+ */
+class QueryParameters {
+  constructor() {
+    this.args = [];
+    this.named = {};
+  }
+
+  /**
+   * Binds a positional value and returns the SQL++ expression that references it.
+   *
+   * Dates, Buffers and ADM values are sent in their string form and wrapped in their
+   * constructor; intervals have no string form and are inlined (see AdmCodec.parameter()).
+   *
+   * @param {*} value - The value to bind
+   * @returns {string} - The placeholder expression (e.g. `$3`, or `datetime($3)` for dates)
+   */
+  bind(value) {
+    const { value: json, wrap, inline } = AdmCodec.parameter(value);
+    if (inline !== undefined) {
+      return inline;
+    }
+    this.args.push(json);
+    return wrap ? `${wrap}($${this.args.length})` : `$${this.args.length}`;
+  }
+
+  /**
+   * Binds a named value. Typed values (dates, Buffers, ADM values) are sent in their string
+   * form, so the statement must reference them through the type's constructor; the returned
+   * expression does (e.g. `datetime($since)`).
+   *
+   * @param {string} name - The parameter name, with or without the leading `$`
+   * @param {*} value - The value to bind
+   * @returns {string} - The placeholder expression (e.g. `$screenName`, or `datetime($since)` for dates)
+   */
+  bindNamed(name, value) {
+    const key = QueryParameters.normalizeName(name);
+    const { value: json, wrap, inline } = AdmCodec.parameter(value);
+    if (inline !== undefined) {
+      throw new Error(`Cannot bind ${value.type} values to named parameter ${key}: inline the literal instead`);
+    }
+    this.named[key] = json;
+    return wrap ? `${wrap}(${key})` : key;
+  }
+
+  /**
+   * Binds every entry of a `{ $name: value }` object.
+   *
+   * @param {Object} params - Named parameter values
+   * @returns {QueryParameters} - This instance for chaining
+   */
+  bindAllNamed(params) {
+    for (const [name, value] of Object.entries(params || {})) {
+      this.bindNamed(name, value);
+    }
+    return this;
+  }
+
+  /**
+   * Binds named values and rewrites the placeholders of typed values in a SQL++ fragment to
+   * go through the type's constructor: with a Date bound to `$since`, `t > $since` becomes
+   * `t > datetime($since)`, so it compares as a datetime rather than as a string. Placeholders
+   * already written as `datetime($since)` are left as they are.
+   *
+   * @param {string} fragment - SQL++ text containing `$name` placeholders
+   * @param {Object} params - Named parameter values
+   * @returns {string} - The rewritten fragment
+   */
+  bindNamedIn(fragment, params) {
+    const typed = new Map();
+    for (const [name, value] of Object.entries(params || {})) {
+      const key = QueryParameters.normalizeName(name);
+      const expression = this.bindNamed(key, value);
+      if (expression !== key) {
+        typed.set(key, expression.slice(0, expression.indexOf('(')));
+      }
+    }
+    if (typed.size === 0) {
+      return fragment;
+    }
+
+    let result = '';
+    const previous = [];
+    for (const token of SqlppTokenizer.tokenize(fragment)) {
+      const wrap = token.type === 'parameter' ? typed.get(token.text) : undefined;
+      const wrapped = wrap !== undefined && previous.length === 2 && previous[1] === '(' &&
+        previous[0].toLowerCase() === wrap;
+      result += wrap !== undefined && !wrapped ? `${wrap}(${token.text})` : token.text;
+      if (token.type !== 'whitespace' && token.type !== 'comment') {
+        previous.push(token.text);
+        if (previous.length > 2) {
+          previous.shift();
+        }
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Rewrites `?` placeholders in a SQL++ fragment to numbered positional parameters
+   * and binds the given values to them. Question marks inside string literals,
+   * quoted identifiers and comments are left untouched.
+   *
+   * @param {string} fragment - SQL++ text containing `?` placeholders
+   * @param {Array} values - Values for the placeholders, in order
+   * @returns {string} - The rewritten fragment
+   */
+  bindPositional(fragment, values) {
+    let result = '';
+    let used = 0;
+
+    for (const token of SqlppTokenizer.tokenize(fragment)) {
+      if (token.type === 'parameter' && token.text === '?') {
+        if (used >= values.length) {
+          throw new Error(`Not enough values for positional parameters: expected more than ${values.length}`);
+        }
+        result += this.bind(values[used++]);
+      } else {
+        result += token.text;
+      }
+    }
+
+    if (used !== values.length) {
+      throw new Error(`Too many values for positional parameters: ${values.length} given, ${used} used`);
+    }
+    return result;
+  }
+
+  /**
+   * Returns true if no values have been bound.
+   *
+   * @returns {boolean}
+   */
+  isEmpty() {
+    return this.args.length === 0 && Object.keys(this.named).length === 0;
+  }
+
+  /**
+   * Returns the bound values as `Connector.executeQuery` options.
+   *
+   * @returns {{args?: Array, params?: Object}}
+   */
+  toOptions() {
+    const options = {};
+    if (this.args.length > 0) {
+      options.args = [...this.args];
+    }
+    if (Object.keys(this.named).length > 0) {
+      options.params = { ...this.named };
+    }
+    return options;
+  }
+
+  /**
+   * Normalizes a parameter name to its `$name` form.
+   *
+   * @param {string} name - The parameter name
+   * @returns {string}
+   */
+  static normalizeName(name) {
+    const key = name.startsWith('$') ? name : `$${name}`;
+    if (!/^\$[A-Za-z_][A-Za-z0-9_]*$/.test(key)) {
+      throw new Error(`Invalid query parameter name: ${name}`);
+    }
+    return key;
+  }
+}
+
+module.exports = QueryParameters;
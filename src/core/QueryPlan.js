@@ -0,0 +1,105 @@
+/**
+ * The query plans returned by `Connector.explain()`.
+ *
+ * With the JSON plan format each plan is a tree of operator nodes:
+ * ```
+ * { operator: 'distribute-result', 'physical-operator': 'DISTRIBUTE_RESULT', expressions: [...], inputs: [ ... ] }
+ * ```
+ * With the string format each plan is the indented text shown by the web console.
+ *
+ * ```
+ * const plan = await connector.explain('USE TinySocial; SELECT VALUE u FROM ChirpUsers u WHERE u.screenName = "x";');
+ * plan.usesIndex();         // true if any index is searched
+ * plan.indexes();           // ['ChirpUsers'] (primary index) or secondary index names
+ * ```
+ */
+class QueryPlan {
+  /**
+   * @param {Object} plans - The `plans` field of the query service response
+   * @param {Object} [options]
+   * @param {string} [options.format='json'] - 'json' or 'string'
+   */
+  constructor(plans = {}, options = {}) {
+    this.format = options.format || 'json';
+    this.logical = this._parse(plans.logicalPlan);
+    this.optimized = this._parse(plans.optimizedLogicalPlan);
+    this.jobSpec = this._parse(plans.job);
+  }
+
+  /**
+   * Lists the operators of the optimized plan (or the logical plan), depth first.
+   * Only available with the JSON plan format.
+   *
+   * @returns {Array<Object>} - Operator nodes
+   */
+  operators() {
+    const root = this.optimized || this.logical;
+    if (!root || typeof root !== 'object') {
+      return [];
+    }
+
+    const operators = [];
+    const visit = node => {
+      operators.push(node);
+      (node.inputs || []).forEach(visit);
+    };
+    visit(root);
+    return operators;
+  }
+
+  /**
+   * Names of the indexes searched by the optimized plan (or the logical plan).
+   *
+   * @returns {Array<string>}
+   */
+  indexes() {
+    const plan = this.optimized || this.logical;
+    if (!plan) {
+      return [];
+    }
+
+    const text = typeof plan === 'string' ? plan : JSON.stringify(plan);
+    const names = new Set();
+    // Index access appears as index-search("IndexName", ...) in both plan formats.
+    const pattern = /index-search\(\\?"([^"\\]+)\\?"/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      names.add(match[1]);
+    }
+    return [...names];
+  }
+
+  /**
+   * Whether the plan searches an index, or the given index.
+   *
+   * @param {string} [name] - Index name
+   * @returns {boolean}
+   */
+  usesIndex(name) {
+    const indexes = this.indexes();
+    return name === undefined ? indexes.length > 0 : indexes.includes(name);
+  }
+
+  /**
+   * Parses a plan in the JSON format; plans in the string format are kept as text.
+   *
+   * @private
+   * @param {*} plan - The plan as returned by the server
+   * @returns {Object|string|null}
+   */
+  _parse(plan) {
+    if (plan === undefined || plan === null) {
+      return null;
+    }
+    if (this.format === 'json' && typeof plan === 'string') {
+      try {
+        return JSON.parse(plan);
+      } catch (error) {
+        return plan;
+      }
+    }
+    return plan;
+  }
+}
+
+module.exports = QueryPlan;
@@ -1,3 +1,13 @@
+const AdmCodec = require('./AdmCodec');
+const { AdmValue, AdmPoint, AdmLine, AdmRectangle, AdmCircle, AdmPolygon } = require('./AdmTypes');
+
+// Similarity functions of $similar: the `simfunction` setting, the scoring function and
+// the sort direction that puts the closest matches first.
+const SIMILARITY_FUNCTIONS = {
+  'edit-distance': { score: 'edit_distance', order: 'ASC' },
+  jaccard: { score: 'similarity_jaccard', order: 'DESC' },
+};
+
 /**
  * Translates MongoDB-style query expressions to SQL++ syntax for AsterixDB.
  */
@@ -5,10 +15,14 @@ class QueryTranslator {
   /**
    * Translates a MongoDB-style query to SQL++ WHERE clause.
    * 
+   * When a QueryParameters instance is given, values are bound as parameters and the
+   * clause references them by placeholder; otherwise values are inlined as literals.
+   * 
    * @param {Object} query - MongoDB-style query
+   * @param {QueryParameters} [params] - Collector for bound values
    * @returns {string} - SQL++ WHERE clause
    */
-  toSQLPP(query) {
+  toSQLPP(query, params = null) {
     if (!query || Object.keys(query).length === 0) {
       return '{}'; // Empty query
     }
@@ -20,20 +34,23 @@ class QueryTranslator {
       if (field.startsWith('$')) {
         switch (field) {
           case '$and':
-            conditions.push(this._handleLogicalAnd(value));
+            conditions.push(this._handleLogicalAnd(value, params));
             break;
           case '$or':
-            conditions.push(this._handleLogicalOr(value));
+            conditions.push(this._handleLogicalOr(value, params));
             break;
           case '$not':
-            conditions.push(this._handleLogicalNot(value));
+            conditions.push(this._handleLogicalNot(value, params));
+            break;
+          case '$text':
+            conditions.push(this._handleText(value));
             break;
           default:
             throw new Error(`Unsupported logical operator: ${field}`);
         }
       } else {
         // Handle field comparisons
-        const condition = this._handleFieldComparison(field, value);
+        const condition = this._handleFieldComparison(field, value, params);
         if (condition) {
           conditions.push(condition);
         }
@@ -47,9 +64,10 @@ class QueryTranslator {
    * Translates a MongoDB-style update document to SQL++ SET clause.
    * 
    * @param {Object} update - MongoDB-style update document
+   * @param {QueryParameters} [params] - Collector for bound values
    * @returns {string} - SQL++ SET clause
    */
-  updateToSQLPP(update) {
+  updateToSQLPP(update, params = null) {
     if (!update || Object.keys(update).length === 0) {
       throw new Error('Empty update document');
     }
@@ -60,17 +78,17 @@ class QueryTranslator {
       switch (op) {
         case '$set':
           for (const [field, value] of Object.entries(fields)) {
-            setExpressions.push(`${field} = ${this._valueToSQLPP(value)}`);
+            setExpressions.push(`${field} = ${this._operand(value, params)}`);
           }
           break;
         case '$inc':
           for (const [field, value] of Object.entries(fields)) {
-            setExpressions.push(`${field} = ${field} + ${this._valueToSQLPP(value)}`);
+            setExpressions.push(`${field} = ${field} + ${this._operand(value, params)}`);
           }
           break;
         case '$push':
           for (const [field, value] of Object.entries(fields)) {
-            setExpressions.push(`${field} = ARRAY_CONCAT(${field}, [${this._valueToSQLPP(value)}])`);
+            setExpressions.push(`${field} = ARRAY_CONCAT(${field}, [${this._operand(value, params)}])`);
           }
           break;
         case '$unset':
@@ -82,7 +100,7 @@ class QueryTranslator {
         default:
           // For direct field updates (not using operators)
           if (!op.startsWith('$')) {
-            setExpressions.push(`${op} = ${this._valueToSQLPP(fields)}`);
+            setExpressions.push(`${op} = ${this._operand(fields, params)}`);
           } else {
             throw new Error(`Unsupported update operator: ${op}`);
           }
@@ -97,14 +115,15 @@ class QueryTranslator {
    * 
    * @private
    * @param {Array} conditions - Array of conditions to AND
+   * @param {QueryParameters} [params] - Collector for bound values
    * @returns {string} - SQL++ AND expression
    */
-  _handleLogicalAnd(conditions) {
+  _handleLogicalAnd(conditions, params = null) {
     if (!Array.isArray(conditions) || conditions.length === 0) {
       throw new Error('$and requires a non-empty array');
     }
     
-    const sqlConditions = conditions.map(cond => `(${this.toSQLPP(cond)})`);
+    const sqlConditions = conditions.map(cond => `(${this.toSQLPP(cond, params)})`);
     return sqlConditions.join(' AND ');
   }
   
@@ -113,14 +132,15 @@ class QueryTranslator {
    * 
    * @private
    * @param {Array} conditions - Array of conditions to OR
+   * @param {QueryParameters} [params] - Collector for bound values
    * @returns {string} - SQL++ OR expression
    */
-  _handleLogicalOr(conditions) {
+  _handleLogicalOr(conditions, params = null) {
     if (!Array.isArray(conditions) || conditions.length === 0) {
       throw new Error('$or requires a non-empty array');
     }
     
-    const sqlConditions = conditions.map(cond => `(${this.toSQLPP(cond)})`);
+    const sqlConditions = conditions.map(cond => `(${this.toSQLPP(cond, params)})`);
     return sqlConditions.join(' OR ');
   }
   
@@ -129,10 +149,77 @@ class QueryTranslator {
    * 
    * @private
    * @param {Object} condition - Condition to negate
+   * @param {QueryParameters} [params] - Collector for bound values
    * @returns {string} - SQL++ NOT expression
    */
-  _handleLogicalNot(condition) {
-    return `NOT (${this.toSQLPP(condition)})`;
+  _handleLogicalNot(condition, params = null) {
+    return `NOT (${this.toSQLPP(condition, params)})`;
+  }
+  
+  /**
+   * Handles the `$text` operator: `{ $search, $mode, $fields }`.
+   * 
+   * `$search` is split into whitespace-separated terms; a term starting with `-` excludes
+   * documents that contain it. `$mode` is 'any' (the default, as in MongoDB) or 'all'. Each of
+   * `$fields` is searched with `ftcontains`, which a FULLTEXT index on the field can serve,
+   * and a document matches if any field does.
+   * 
+   * @private
+   * @param {Object} text - The `$text` specification
+   * @returns {string} - SQL++ full-text condition
+   */
+  _handleText(text) {
+    if (!text || typeof text !== 'object' || typeof text.$search !== 'string') {
+      throw new Error('$text requires a $search string');
+    }
+    const fields = [].concat(text.$fields || []);
+    if (fields.length === 0 || fields.some(field => typeof field !== 'string' || !field)) {
+      throw new Error('$text requires $fields: the field or fields to search');
+    }
+    const mode = text.$mode === undefined ? 'any' : text.$mode;
+    if (!['any', 'all'].includes(mode)) {
+      throw new Error(`Unknown $text $mode "${mode}". Use 'any' or 'all'`);
+    }
+    
+    const words = text.$search.split(/\s+/).filter(Boolean);
+    const terms = words.filter(word => !word.startsWith('-'));
+    const excluded = words.filter(word => word.startsWith('-') && word.length > 1).map(word => word.slice(1));
+    if (terms.length === 0) {
+      throw new Error('$text $search needs at least one term that is not excluded');
+    }
+    
+    const matches = fields.map(field => this.ftcontains(field, terms, { mode }));
+    const conditions = [fields.length > 1 ? `(${matches.join(' OR ')})` : matches[0]];
+    for (const field of fields) {
+      if (excluded.length > 0) {
+        conditions.push(`NOT ${this.ftcontains(field, excluded, { mode: 'any' })}`);
+      }
+    }
+    return conditions.join(' AND ');
+  }
+  
+  /**
+   * Returns an `ftcontains` full-text predicate.
+   * 
+   * The terms are always inlined as literals rather than bound, since the optimizer picks
+   * a FULLTEXT index only for constant search terms.
+   * 
+   * @param {string} field - The field to search
+   * @param {string|Array<string>} terms - A search string or a list of terms
+   * @param {Object} [options] - `{ mode: 'any' | 'all' }`
+   * @returns {string} - SQL++ expression, e.g. `ftcontains(messageText, ["love", "phone"], { "mode": "all" })`
+   */
+  ftcontains(field, terms, options = {}) {
+    const list = [].concat(terms);
+    if (list.length === 0 || list.some(term => typeof term !== 'string' || !term.trim())) {
+      throw new Error('ftcontains requires one or more non-empty search terms');
+    }
+    const mode = options.mode || 'any';
+    if (!['any', 'all'].includes(mode)) {
+      throw new Error(`Unknown ftcontains mode "${mode}". Use 'any' or 'all'`);
+    }
+    // The mode is always spelled out rather than relying on the server default.
+    return `ftcontains(${field}, ${AdmCodec.encode(list)}, ${AdmCodec.encode({ mode })})`;
   }
   
   /**
@@ -141,12 +228,13 @@ class QueryTranslator {
    * @private
    * @param {string} field - Field name
    * @param {*} value - Field value or comparison
+   * @param {QueryParameters} [params] - Collector for bound values
    * @returns {string} - SQL++ comparison expression
    */
-  _handleFieldComparison(field, value) {
-    // If value is a simple scalar, do an equality comparison
-    if (this._isScalar(value)) {
-      return `${field} = ${this._valueToSQLPP(value)}`;
+  _handleFieldComparison(field, value, params = null) {
+    // If value is a simple scalar (or a date or ADM value), do an equality comparison
+    if (this._isScalar(value) || value instanceof Date || value instanceof AdmValue) {
+      return `${field} = ${this._operand(value, params)}`;
     }
     
     // If value is an object, it may contain comparison operators
@@ -156,28 +244,28 @@ class QueryTranslator {
       for (const [op, opValue] of Object.entries(value)) {
         switch (op) {
           case '$eq':
-            conditions.push(`${field} = ${this._valueToSQLPP(opValue)}`);
+            conditions.push(`${field} = ${this._operand(opValue, params)}`);
             break;
           case '$ne':
-            conditions.push(`${field} != ${this._valueToSQLPP(opValue)}`);
+            conditions.push(`${field} != ${this._operand(opValue, params)}`);
             break;
           case '$gt':
-            conditions.push(`${field} > ${this._valueToSQLPP(opValue)}`);
+            conditions.push(`${field} > ${this._operand(opValue, params)}`);
             break;
           case '$gte':
-            conditions.push(`${field} >= ${this._valueToSQLPP(opValue)}`);
+            conditions.push(`${field} >= ${this._operand(opValue, params)}`);
             break;
           case '$lt':
-            conditions.push(`${field} < ${this._valueToSQLPP(opValue)}`);
+            conditions.push(`${field} < ${this._operand(opValue, params)}`);
             break;
           case '$lte':
-            conditions.push(`${field} <= ${this._valueToSQLPP(opValue)}`);
+            conditions.push(`${field} <= ${this._operand(opValue, params)}`);
             break;
           case '$in':
-            conditions.push(`${field} IN ${this._valueToSQLPP(opValue)}`);
+            conditions.push(`${field} IN ${this._operand(opValue, params)}`);
             break;
           case '$nin':
-            conditions.push(`${field} NOT IN ${this._valueToSQLPP(opValue)}`);
+            conditions.push(`${field} NOT IN ${this._operand(opValue, params)}`);
             break;
           case '$exists':
             if (opValue) {
@@ -186,6 +274,23 @@ class QueryTranslator {
               conditions.push(`${field} IS MISSING`);
             }
             break;
+          case '$geoWithin':
+          case '$geoIntersects':
+            // RTREE indexes serve spatial_intersect, which for a point field is also "within".
+            conditions.push(`spatial_intersect(${field}, ${this._operand(this._geoShape(opValue, op), params)})`);
+            break;
+          case '$near':
+            conditions.push(this._handleNear(field, opValue, value, params));
+            break;
+          case '$maxDistance':
+          case '$minDistance':
+            if (!Object.prototype.hasOwnProperty.call(value, '$near')) {
+              throw new Error(`${op} is only valid together with $near`);
+            }
+            break;
+          case '$similar':
+            conditions.push(this._handleSimilar(field, opValue, params));
+            break;
           case '$regex':
             // SQL++ uses LIKE for pattern matching
             let pattern = opValue;
@@ -201,7 +306,7 @@ class QueryTranslator {
             }
             // Replace regex pattern with SQL LIKE pattern
             pattern = pattern.replace(/\.\*/g, '%');
-            conditions.push(`${field} LIKE "${pattern}"`);
+            conditions.push(`${field} LIKE ${this._operand(pattern, params)}`);
             break;
           default:
             throw new Error(`Unsupported comparison operator: ${op}`);
@@ -215,55 +320,291 @@ class QueryTranslator {
   }
   
   /**
-   * Converts a JavaScript value to SQL++ literal syntax.
+   * Returns the `simfunction` and `simthreshold` settings the `$similar` conditions of a query
+   * need. AsterixDB applies `~=` with the settings of the whole statement, so they must be set
+   * in its prologue (`SET simfunction "edit-distance"; SET simthreshold "2";`), and all
+   * `$similar` conditions of one query must agree on them.
+   * 
+   * @param {Object} query - MongoDB-style query
+   * @returns {Object<string, string>} - `{ simfunction, simthreshold }`, or an empty object
+   *   if the query has no `$similar` condition
+   * @throws {Error} If `$similar` conditions use different functions or thresholds
+   */
+  similaritySettings(query) {
+    const specs = [];
+    const visit = node => {
+      for (const [field, value] of Object.entries(node || {})) {
+        if ((field === '$and' || field === '$or') && Array.isArray(value)) {
+          value.forEach(visit);
+        } else if (field === '$not') {
+          visit(value);
+        } else if (!field.startsWith('$') && value && typeof value === 'object' &&
+          Object.prototype.hasOwnProperty.call(value, '$similar')) {
+          specs.push(this._similarSpec(value.$similar));
+        }
+      }
+    };
+    visit(query);
+    
+    const settings = [...new Set(specs.map(({ func, threshold }) => `${func}:${threshold}`))];
+    if (settings.length === 0) {
+      return {};
+    }
+    if (settings.length > 1) {
+      throw new Error('All $similar conditions of a query must use the same func and threshold, ' +
+        'since AsterixDB reads them from the statement\'s simfunction and simthreshold settings');
+    }
+    return { simfunction: specs[0].func, simthreshold: String(specs[0].threshold) };
+  }
+  
+  /**
+   * Returns the SQL++ expression scoring how similar a field is to a value: the edit distance
+   * (lower is closer), or the Jaccard similarity of the words, or items, of both (higher is closer).
+   * 
+   * @param {string} field - The field
+   * @param {string|Array} value - The value to compare with
+   * @param {string} [func='jaccard'] - 'edit-distance' or 'jaccard'
+   * @param {QueryParameters} [params] - Collector for bound values; the value is inlined without one
+   * @returns {string} - SQL++ expression, e.g. `edit_distance(name, "jon")`
+   */
+  similarityExpression(field, value, func = 'jaccard', params = null) {
+    const spec = this._similarSpec({ value, func, threshold: 0 });
+    const [left, right] = this._similarOperands(field, spec, params);
+    return `${SIMILARITY_FUNCTIONS[spec.func].score}(${left}, ${right})`;
+  }
+  
+  /**
+   * Returns an ORDER BY term that puts the values most similar to a value first.
+   * 
+   * @param {string} field - The field
+   * @param {string|Array} value - The value to compare with
+   * @param {string} [func='jaccard'] - 'edit-distance' or 'jaccard'
+   * @param {QueryParameters} [params] - Collector for bound values
+   * @returns {string} - e.g. `edit_distance(name, "jon") ASC`
+   */
+  similaritySort(field, value, func = 'jaccard', params = null) {
+    return `${this.similarityExpression(field, value, func, params)} ${SIMILARITY_FUNCTIONS[func].order}`;
+  }
+  
+  /**
+   * Handles `$similar: { value, func, threshold }` as `field ~= value`; the function and threshold
+   * are applied through the statement's settings (see similaritySettings()).
    * 
    * @private
-   * @param {*} value - The value to convert
-   * @returns {string} - SQL++ literal representation
+   * @param {string} field - Field name
+   * @param {Object} similar - The `$similar` value
+   * @param {QueryParameters} [params] - Collector for bound values
+   * @returns {string} - SQL++ condition
    */
-  _valueToSQLPP(value) {
-    if (value === null) {
-      return 'NULL';
+  _handleSimilar(field, similar, params = null) {
+    const [left, right] = this._similarOperands(field, this._similarSpec(similar), params);
+    return `${left} ~= ${right}`;
+  }
+  
+  /**
+   * Reads and validates a `$similar` specification.
+   * 
+   * @private
+   * @param {Object} similar - `{ value, func = 'jaccard', threshold }`; the threshold is a number of
+   *   edits (required) for 'edit-distance' and a similarity from 0 to 1 (default 0.8) for 'jaccard'
+   * @returns {{value: (string|Array), func: string, threshold: number}}
+   */
+  _similarSpec(similar) {
+    if (!similar || typeof similar !== 'object' || Array.isArray(similar)) {
+      throw new Error('$similar requires { value, func, threshold }');
     }
-    
-    if (value === undefined) {
-      return 'MISSING';
+    const { value, func = 'jaccard' } = similar;
+    if (!SIMILARITY_FUNCTIONS[func]) {
+      throw new Error(`Unknown $similar func "${func}". Use one of: ${Object.keys(SIMILARITY_FUNCTIONS).join(', ')}`);
     }
-    
-    if (typeof value === 'string') {
-      // Escape quotes in strings
-      return `"${value.replace(/"/g, '\\"')}"`;
+    if (typeof value !== 'string' && !Array.isArray(value)) {
+      throw new Error('$similar value must be a string or an array');
     }
     
-    if (typeof value === 'number' || typeof value === 'boolean') {
-      return value.toString();
+    const threshold = similar.threshold === undefined && func === 'jaccard' ? 0.8 : similar.threshold;
+    if (func === 'edit-distance' && !(Number.isInteger(threshold) && threshold >= 0)) {
+      throw new Error('$similar edit-distance threshold must be a non-negative integer number of edits');
     }
-    
-    if (value instanceof Date) {
-      // Format date as ISO string and wrap in datetime constructor
-      return `datetime("${value.toISOString()}")`;
+    if (func === 'jaccard' && !(typeof threshold === 'number' && threshold >= 0 && threshold <= 1)) {
+      throw new Error('$similar jaccard threshold must be a number from 0 to 1');
     }
-    
-    if (Array.isArray(value)) {
-      const elements = value.map(element => this._valueToSQLPP(element));
-      return `[${elements.join(', ')}]`;
+    return { value, func, threshold };
+  }
+  
+  /**
+   * Returns the two sides of a similarity comparison. Jaccard compares sets, so string
+   * fields and values are compared by their words.
+   * 
+   * @private
+   * @param {string} field - Field name
+   * @param {Object} spec - A specification from _similarSpec()
+   * @param {QueryParameters} [params] - Collector for bound values
+   * @returns {Array<string>} - The left and right SQL++ operands
+   */
+  _similarOperands(field, spec, params = null) {
+    const value = this._operand(spec.value, params);
+    if (spec.func === 'jaccard' && typeof spec.value === 'string') {
+      return [`word_tokens(${field})`, `word_tokens(${value})`];
     }
-    
-    if (typeof value === 'object') {
-      const fields = [];
-      
-      for (const [key, val] of Object.entries(value)) {
-        fields.push(`"${key}": ${this._valueToSQLPP(val)}`);
+    return [field, value];
+  }
+  
+  /**
+   * Returns the distance expressions of the `$near` conditions of a query, in the order they
+   * appear. MongoDB returns `$near` matches nearest first, so callers sort by these.
+   * Only top-level fields and `$and` branches are considered.
+   * 
+   * @param {Object} query - MongoDB-style query
+   * @param {QueryParameters} [params] - Collector for bound values; the points are inlined without one
+   * @returns {Array<string>} - SQL++ expressions such as `spatial_distance(location, point($1))`
+   */
+  nearOrder(query, params = null) {
+    const expressions = [];
+    for (const [field, value] of Object.entries(query || {})) {
+      if (field === '$and' && Array.isArray(value)) {
+        value.forEach(branch => expressions.push(...this.nearOrder(branch, params)));
+      } else if (!field.startsWith('$') && value && typeof value === 'object' &&
+        Object.prototype.hasOwnProperty.call(value, '$near')) {
+        expressions.push(this.distanceExpression(field, this._nearPoint(value.$near), params));
       }
-      
-      return `{ ${fields.join(', ')} }`;
+    }
+    return expressions;
+  }
+  
+  /**
+   * Returns the SQL++ expression for the distance between a point field and a point.
+   * 
+   * @param {string} field - Field holding a point
+   * @param {*} point - The point: `[x, y]`, `{ x, y }`, a GeoJSON Point or an AdmPoint
+   * @param {QueryParameters} [params] - Collector for bound values; the point is inlined without one
+   * @returns {string} - SQL++ expression
+   */
+  distanceExpression(field, point, params = null) {
+    return `spatial_distance(${field}, ${this._operand(this._nearPoint(point), params)})`;
+  }
+  
+  /**
+   * Handles `$near` with optional `$maxDistance` and `$minDistance`, given either inside
+   * `$near` (`{ $near: { $geometry, $maxDistance } }`) or next to it (`{ $near: [x, y], $maxDistance }`).
+   * Distances are in the units of the coordinates.
+   * 
+   * @private
+   * @param {string} field - Field name
+   * @param {*} near - The `$near` value
+   * @param {Object} siblings - The operator object `$near` appears in
+   * @param {QueryParameters} [params] - Collector for bound values
+   * @returns {string} - SQL++ condition
+   */
+  _handleNear(field, near, siblings, params = null) {
+    const point = this._nearPoint(near);
+    const spec = near && typeof near === 'object' && near.$geometry !== undefined ? near : siblings;
+    const bounds = [['$maxDistance', '<='], ['$minDistance', '>=']]
+      .filter(([name]) => spec[name] !== undefined && spec[name] !== null);
+    const distance = this.distanceExpression(field, point, params);
+    if (bounds.length === 0) {
+      // No bounds: $near only orders the matches (see nearOrder()), but, as in MongoDB,
+      // documents without a point in the field have no distance and do not match.
+      return `${distance} IS NOT UNKNOWN`;
     }
     
-    throw new Error(`Unsupported value type: ${typeof value}`);
+    return bounds.map(([name, comparison]) => {
+      if (typeof spec[name] !== 'number' || spec[name] < 0) {
+        throw new Error(`${name} must be a non-negative number`);
+      }
+      return `${distance} ${comparison} ${this._operand(spec[name], params)}`;
+    }).join(' AND ');
   }
   
   /**
-   * Checks if a value is a scalar (string, number, boolean).
+   * Reads the point of a `$near` operator.
+   * 
+   * @private
+   * @param {*} near - `[x, y]`, `{ x, y }`, a GeoJSON Point, `{ $geometry: Point }` or an AdmPoint
+   * @returns {AdmPoint}
+   */
+  _nearPoint(near) {
+    if (near && typeof near === 'object' && near.$geometry !== undefined) {
+      near = near.$geometry;
+    }
+    const point = AdmCodec.isGeoJSON(near) ? AdmCodec.fromGeoJSON(near) : near;
+    if (point instanceof AdmValue && !(point instanceof AdmPoint)) {
+      throw new Error(`$near requires a point, got a ${point.type}`);
+    }
+    return AdmPoint.from(point);
+  }
+  
+  /**
+   * Reads the shape of a `$geoWithin` or `$geoIntersects` operator as an ADM spatial value.
+   * 
+   * @private
+   * @param {*} spec - `{ $box }`, `{ $center }`, `{ $polygon }`, `{ $geometry }`, a GeoJSON geometry or an ADM shape
+   * @param {string} op - The operator, for error messages
+   * @returns {AdmValue}
+   */
+  _geoShape(spec, op) {
+    if ([AdmPoint, AdmLine, AdmRectangle, AdmCircle, AdmPolygon].some(Type => spec instanceof Type)) {
+      return spec;
+    }
+    if (AdmCodec.isGeoJSON(spec)) {
+      return AdmCodec.fromGeoJSON(spec);
+    }
+    if (spec && typeof spec === 'object') {
+      if (spec.$geometry !== undefined) {
+        return AdmCodec.fromGeoJSON(spec.$geometry);
+      }
+      if (spec.$box !== undefined) {
+        const [a, b] = (Array.isArray(spec.$box) ? spec.$box : []).map(corner => AdmPoint.from(corner));
+        if (!a || !b) {
+          throw new Error(`${op} $box requires two corners`);
+        }
+        return new AdmRectangle([Math.min(a.x, b.x), Math.min(a.y, b.y)], [Math.max(a.x, b.x), Math.max(a.y, b.y)]);
+      }
+      if (spec.$center !== undefined) {
+        if (!Array.isArray(spec.$center) || spec.$center.length !== 2) {
+          throw new Error(`${op} $center requires [center, radius]`);
+        }
+        return new AdmCircle(spec.$center[0], spec.$center[1]);
+      }
+      if (spec.$polygon !== undefined) {
+        return new AdmPolygon(spec.$polygon);
+      }
+      if (spec.$centerSphere !== undefined) {
+        throw new Error(`${op} $centerSphere is not supported: AsterixDB spatial functions are planar`);
+      }
+    }
+    throw new Error(`${op} requires $box, $center, $polygon or $geometry`);
+  }
+  
+  /**
+   * Returns the SQL++ operand for a value: a bound parameter placeholder when a
+   * QueryParameters collector is given, otherwise an inline literal.
+   * NULL and MISSING are always inlined since they are keywords, not values.
+   * 
+   * @private
+   * @param {*} value - The value to reference
+   * @param {QueryParameters} [params] - Collector for bound values
+   * @returns {string} - SQL++ operand
+   */
+  _operand(value, params = null) {
+    if (!params || value === null || value === undefined) {
+      return this._valueToSQLPP(value);
+    }
+    return params.bind(value);
+  }
+  
+  /**
+   * Converts a JavaScript value to SQL++ literal syntax (see AdmCodec.encode()).
+   * 
+   * @private
+   * @param {*} value - The value to convert
+   * @returns {string} - SQL++ literal representation
+   */
+  _valueToSQLPP(value) {
+    return AdmCodec.encode(value);
+  }
+  
+  /**
+   * Checks if a value is a scalar (string, number, BigInt, boolean).
    * 
    * @private
    * @param {*} value - The value to check
@@ -272,10 +613,13 @@ class QueryTranslator {
   _isScalar(value) {
     return typeof value === 'string' || 
            typeof value === 'number' || 
+           typeof value === 'bigint' ||
            typeof value === 'boolean' ||
            value === null ||
            value === undefined;
   }
 }
 
+QueryTranslator.SIMILARITY_FUNCTIONS = SIMILARITY_FUNCTIONS;
+
 module.exports = QueryTranslator; 
\ No newline at end of file
@@ -0,0 +1,475 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const SqlppTokenizer = require('./SqlppTokenizer');
+const AsterixError = require('./AsterixError');
+const { ReplayMismatchError } = AsterixError;
+
+const MODES = ['record', 'replay', 'auto'];
+const FIXTURE_VERSION = 1;
+// Request parameters that change from run to run without changing the response.
+const IGNORED_PARAMS = ['client_context_id'];
+const ID_PLACEHOLDER = '<id>';
+
+/**
+ * Records the HTTP exchanges of a connector into a fixture file, or replays them from it,
+ * so that code using the connector can be tested deterministically without a server.
+ *
+ * ```
+ * // Once, against a real server:
+ * const transport = new ReplayTransport({ mode: 'record', fixture: 'test/fixtures/query3.json' });
+ * const client = connect({ astxUrl: 'http://localhost:19002', transport });
+ * await runQuery3(client);
+ * await client.close(); // writes the fixture
+ *
+ * // In tests:
+ * const client = connect({ transport: { mode: 'replay', fixture: 'test/fixtures/query3.json' } });
+ * ```
+ *
+ * Requests are matched by method, path, Accept header and a fingerprint of the statement and
+ * its parameters. The fingerprint ignores whitespace, comments and `client_context_id`, and
+ * masks generated ids: values of the `idFields` (default `_id`), whether they appear as
+ * literals in the statement or as the parameters bound to them.
+ *
+ * Requests with the same fingerprint get their recorded responses in order, and the last
+ * one is repeated after that, so polling the status handle of an async statement replays as
+ * recorded. Handles in replayed responses are the recorded ones, so the follow-up requests
+ * match too. Connection failures are recorded and replayed as well.
+ *
+ * In replay mode, a request with no recorded response fails with a ReplayMismatchError
+ * when `strict` (the default); otherwise it is sent to the server.
+ */
+class ReplayTransport {
+  /**
+   * @param {Object} options
+   * @param {string} options.fixture - Path of the fixture file
+   * @param {string} [options.mode='replay'] - 'record', 'replay', or 'auto' (replay if the fixture exists, record otherwise)
+   * @param {boolean} [options.strict=true] - Fail unmatched requests in replay mode instead of sending them
+   * @param {Array<string>} [options.idFields=['_id']] - Fields whose values are generated and ignored when matching
+   */
+  constructor(options = {}) {
+    if (typeof options.fixture !== 'string' || options.fixture === '') {
+      throw new Error('ReplayTransport requires a fixture path');
+    }
+    const mode = options.mode || 'replay';
+    if (!MODES.includes(mode)) {
+      throw new Error(`Unknown transport mode "${mode}". Use one of: ${MODES.join(', ')}`);
+    }
+    this.fixture = options.fixture;
+    this.strict = options.strict !== false;
+    this.idFields = [...(options.idFields || ['_id'])];
+    this.entries = [];
+    this.misses = [];
+    this._mode = mode;
+    this._loading = null;
+    this._queues = new Map();
+    this._served = new Set();
+    this._forward = null;
+  }
+
+  /**
+   * Returns the given value as a ReplayTransport, creating one from options if needed.
+   *
+   * @param {ReplayTransport|Object} transport - A transport or its options
+   * @returns {ReplayTransport}
+   */
+  static from(transport) {
+    return transport instanceof ReplayTransport ? transport : new ReplayTransport(transport);
+  }
+
+  /**
+   * The mode in effect: 'record' or 'replay'. An 'auto' transport decides on first use.
+   *
+   * @returns {string}
+   */
+  get mode() {
+    if (this._mode === 'auto') {
+      this._mode = require('fs').existsSync(this.fixture) ? 'replay' : 'record';
+    }
+    return this._mode;
+  }
+
+  /**
+   * Returns the axios adapter that routes requests through this transport.
+   *
+   * @returns {Function} - `(config) => Promise<response>`
+   */
+  adapter() {
+    return config => (this.mode === 'record' ? this._record(config) : this._replay(config));
+  }
+
+  /**
+   * Writes the recorded exchanges to the fixture file. Does nothing in replay mode.
+   *
+   * @returns {Promise<void>}
+   */
+  async save() {
+    if (this.mode !== 'record') {
+      return;
+    }
+    const fs = require('fs');
+    const path = require('path');
+    await fs.promises.mkdir(path.dirname(path.resolve(this.fixture)), { recursive: true });
+    const fixture = { version: FIXTURE_VERSION, entries: this.entries };
+    await fs.promises.writeFile(this.fixture, `${JSON.stringify(fixture, null, 2)}\n`);
+  }
+
+  /**
+   * Saves the fixture when recording. Called by Connector.close().
+   *
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await this.save();
+  }
+
+  /**
+   * Lists the recorded exchanges that were never replayed, e.g. to assert that a test
+   * still sends every request it used to.
+   *
+   * @returns {Array<Object>}
+   */
+  pending() {
+    return this.entries.filter(entry => !this._served.has(entry));
+  }
+
+  /**
+   * Describes a request the way fixtures store it.
+   *
+   * @param {Object} config - The axios request config
+   * @param {Array<string>} [idFields=['_id']] - Fields whose values are masked
+   * @returns {Object} - `fingerprint`, `method`, `path`, `accept`, `statement` and `params`
+   */
+  static describe(config, idFields = ['_id']) {
+    const url = new URL(config.url || '', config.baseURL || 'http://localhost');
+    const params = {};
+    for (const [name, value] of url.searchParams) {
+      params[name] = value;
+    }
+    Object.assign(params, config.params || {});
+    Object.assign(params, ReplayTransport._parseBody(config.data));
+    // GET requests carry JSON-encoded parameter values.
+    for (const [name, value] of Object.entries(params)) {
+      if ((name === 'args' || name.startsWith('$')) && typeof value === 'string') {
+        try {
+          params[name] = JSON.parse(value);
+        } catch (error) {
+          // Not JSON; keep the text.
+        }
+      }
+    }
+    IGNORED_PARAMS.forEach(name => delete params[name]);
+
+    const statement = typeof params.statement === 'string' ? params.statement : null;
+    delete params.statement;
+    const normalized = statement !== null ? ReplayTransport._normalize(statement, params, idFields) : null;
+    const masked = ReplayTransport._maskIds(params, idFields);
+
+    const request = {
+      method: String(config.method || 'get').toUpperCase(),
+      path: url.pathname,
+      accept: ReplayTransport._header(config.headers, 'Accept'),
+      statement,
+      params: masked,
+    };
+    const key = JSON.stringify([request.method, request.path, request.accept, normalized,
+      ReplayTransport._canonical(masked)]);
+    return { fingerprint: crypto.createHash('sha1').update(key).digest('hex').slice(0, 16), ...request };
+  }
+
+  /**
+   * Sends a request to the server and records the exchange.
+   *
+   * @private
+   * @param {Object} config - The axios request config
+   * @returns {Promise<Object>} - The response
+   */
+  async _record(config) {
+    const request = ReplayTransport.describe(config, this.idFields);
+    let response;
+    try {
+      response = await this._send(config);
+    } catch (error) {
+      if (axios.isCancel(error) || error.code === 'ERR_CANCELED') {
+        throw error;
+      }
+      if (!error.response) {
+        this.entries.push({ ...request, error: { code: error.code || null, message: error.message } });
+        throw error;
+      }
+      error.response.data = await this._capture(request, error.response, config);
+      throw error;
+    }
+    response.data = await this._capture(request, response, config);
+    return response;
+  }
+
+  /**
+   * Records a response and returns its data, re-created if it was a stream.
+   *
+   * @private
+   * @param {Object} request - The request description
+   * @param {Object} response - The axios response
+   * @param {Object} config - The axios request config
+   * @returns {Promise<*>} - The data to hand to the caller
+   */
+  async _capture(request, response, config) {
+    const streamed = config.responseType === 'stream';
+    const text = streamed ? await ReplayTransport._readStream(response.data) : response.data;
+    const contentType = ReplayTransport._header(response.headers, 'Content-Type');
+    this.entries.push({
+      ...request,
+      response: {
+        status: response.status,
+        headers: contentType ? { 'content-type': contentType } : {},
+        body: ReplayTransport._parseJson(text),
+      },
+    });
+    return streamed ? require('stream').Readable.from([text]) : response.data;
+  }
+
+  /**
+   * Answers a request from the fixture.
+   *
+   * @private
+   * @param {Object} config - The axios request config
+   * @returns {Promise<Object>} - The recorded response
+   */
+  async _replay(config) {
+    await this._load();
+    const request = ReplayTransport.describe(config, this.idFields);
+    const entry = this._take(request.fingerprint);
+    if (!entry) {
+      this.misses.push(request);
+      if (this.strict) {
+        throw new ReplayMismatchError(
+          `No recorded response for ${request.method} ${request.path}${request.statement ? `: ${request.statement.trim()}` : ''}`,
+          { statement: request.statement });
+      }
+      return this._send(config);
+    }
+
+    if (config.signal && config.signal.aborted) {
+      throw new axios.CanceledError(null, config);
+    }
+    if (entry.error) {
+      throw new axios.AxiosError(entry.error.message, entry.error.code, config, {});
+    }
+
+    let body = entry.response.body;
+    const clientContextId = ReplayTransport._parseBody(config.data).client_context_id ||
+      (config.params && config.params.client_context_id);
+    if (body && typeof body === 'object' && !Array.isArray(body) && body.clientContextID && clientContextId) {
+      body = { ...body, clientContextID: clientContextId };
+    }
+    const text = typeof body === 'string' ? body : JSON.stringify(body);
+    const response = {
+      data: config.responseType === 'stream' ? require('stream').Readable.from([text]) : text,
+      status: entry.response.status,
+      statusText: '',
+      headers: { ...entry.response.headers },
+      config,
+      request: {},
+    };
+    if (config.validateStatus && !config.validateStatus(response.status)) {
+      throw new axios.AxiosError(`Request failed with status code ${response.status}`,
+        response.status >= 500 ? axios.AxiosError.ERR_BAD_RESPONSE : axios.AxiosError.ERR_BAD_REQUEST,
+        config, response.request, response);
+    }
+    return response;
+  }
+
+  /**
+   * Returns the next recorded entry for a fingerprint; the last one repeats.
+   *
+   * @private
+   * @param {string} fingerprint - The request fingerprint
+   * @returns {Object|null}
+   */
+  _take(fingerprint) {
+    const queue = this._queues.get(fingerprint);
+    if (!queue) {
+      return null;
+    }
+    const entry = queue.entries[Math.min(queue.next, queue.entries.length - 1)];
+    queue.next++;
+    this._served.add(entry);
+    return entry;
+  }
+
+  /**
+   * Reads the fixture file, once.
+   *
+   * @private
+   * @returns {Promise<void>}
+   */
+  _load() {
+    if (!this._loading) {
+      this._loading = (async () => {
+        let fixture;
+        try {
+          fixture = JSON.parse(await require('fs').promises.readFile(this.fixture, 'utf8'));
+        } catch (error) {
+          throw new AsterixError(`Cannot read replay fixture ${this.fixture}: ${error.message}`, { cause: error });
+        }
+        if (!fixture || fixture.version !== FIXTURE_VERSION || !Array.isArray(fixture.entries)) {
+          throw new AsterixError(`Replay fixture ${this.fixture} is not a version ${FIXTURE_VERSION} fixture`);
+        }
+        this.entries = fixture.entries;
+        for (const entry of this.entries) {
+          if (!this._queues.has(entry.fingerprint)) {
+            this._queues.set(entry.fingerprint, { entries: [], next: 0 });
+          }
+          this._queues.get(entry.fingerprint).entries.push(entry);
+        }
+      })();
+    }
+    return this._loading;
+  }
+
+  /**
+   * Sends a request with axios's own adapter.
+   *
+   * @private
+   * @param {Object} config - The axios request config
+   * @returns {Promise<Object>}
+   */
+  _send(config) {
+    if (!this._forward) {
+      this._forward = axios.getAdapter(axios.defaults.adapter);
+    }
+    return this._forward(config);
+  }
+
+  /**
+   * Normalizes a statement for matching: drops whitespace and comments, and masks id values
+   * written as literals. Masks, in `params`, the parameters bound to id fields.
+   *
+   * @private
+   * @param {string} statement - The SQL++ text
+   * @param {Object} params - The request parameters (changed in place)
+   * @param {Array<string>} idFields - Fields whose values are masked
+   * @returns {string}
+   */
+  static _normalize(statement, params, idFields) {
+    const tokens = SqlppTokenizer.tokenize(statement).filter(token => token.type !== 'whitespace' && token.type !== 'comment');
+    const isIdField = token => ['word', 'identifier', 'string'].includes(token.type) &&
+      idFields.includes(token.type === 'word' ? token.text : token.text.slice(1, -1));
+
+    let positional = 0;
+    const parts = tokens.map((token, index) => {
+      const position = token.type === 'parameter' && token.text === '?' ? ++positional : null;
+      const before = tokens[index - 1];
+      const field = tokens[index - 2];
+      if (!before || !field || !(before.text === '=' || before.text === ':') || !isIdField(field)) {
+        return token.text;
+      }
+      if (token.type === 'string') {
+        return ID_PLACEHOLDER;
+      }
+      if (token.type === 'parameter') {
+        const match = token.text.match(/^\$(\d+)$/);
+        const argIndex = position !== null ? position - 1 : (match ? Number(match[1]) - 1 : null);
+        if (argIndex !== null && Array.isArray(params.args) && argIndex < params.args.length) {
+          params.args = params.args.map((value, i) => (i === argIndex ? ID_PLACEHOLDER : value));
+        } else if (argIndex === null && params[token.text] !== undefined) {
+          params[token.text] = ID_PLACEHOLDER;
+        }
+      }
+      return token.text;
+    });
+    return parts.join(' ');
+  }
+
+  /**
+   * Replaces the values of id fields anywhere in a value.
+   *
+   * @private
+   * @param {*} value - The value
+   * @param {Array<string>} idFields - Fields whose values are masked
+   * @returns {*}
+   */
+  static _maskIds(value, idFields) {
+    if (Array.isArray(value)) {
+      return value.map(item => ReplayTransport._maskIds(item, idFields));
+    }
+    if (value && typeof value === 'object') {
+      const masked = {};
+      for (const [key, item] of Object.entries(value)) {
+        masked[key] = idFields.includes(key) && item !== null && typeof item !== 'object'
+          ? ID_PLACEHOLDER
+          : ReplayTransport._maskIds(item, idFields);
+      }
+      return masked;
+    }
+    if (typeof value === 'string' && value.trim().startsWith('{')) {
+      // Statements built with inline values carry records as JSON text.
+      return idFields.reduce((text, field) => text.replace(
+        new RegExp(`("${field}"\\s*:\\s*)"(?:[^"\\\\]|\\\\.)*"`, 'g'), `$1"${ID_PLACEHOLDER}"`), value);
+    }
+    return value;
+  }
+
+  /** @private */
+  static _canonical(value) {
+    if (Array.isArray(value)) return `[${value.map(item => ReplayTransport._canonical(item)).join(',')}]`;
+    if (value && typeof value === 'object') {
+      return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${ReplayTransport._canonical(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+  }
+
+  /** @private */
+  static _parseBody(data) {
+    if (!data) {
+      return {};
+    }
+    if (typeof data === 'object' && !Buffer.isBuffer(data)) {
+      return { ...data };
+    }
+    const text = String(data);
+    const json = ReplayTransport._parseJson(text);
+    if (json && typeof json === 'object' && !Array.isArray(json)) {
+      return json;
+    }
+    return Object.fromEntries(new URLSearchParams(text));
+  }
+
+  /** @private */
+  static _parseJson(text) {
+    if (typeof text !== 'string') {
+      return text === undefined ? null : text;
+    }
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      return text;
+    }
+  }
+
+  /** @private */
+  static _header(headers, name) {
+    if (!headers) {
+      return null;
+    }
+    if (typeof headers.get === 'function') {
+      const value = headers.get(name);
+      return value === undefined || value === null ? null : String(value);
+    }
+    const key = Object.keys(headers).find(header => header.toLowerCase() === name.toLowerCase());
+    return key ? String(headers[key]) : null;
+  }
+
+  /** @private */
+  static _readStream(stream) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      stream.on('data', chunk => chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk)));
+      stream.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+      stream.on('error', reject);
+    });
+  }
+}
+
+ReplayTransport.MODES = MODES;
+
+module.exports = ReplayTransport;
@@ -0,0 +1,183 @@
+const AdmDecoder = require('./AdmDecoder');
+const AdmCodec = require('./AdmCodec');
+
+const FORMATS = ['json', 'lossless', 'csv', 'tsv'];
+
+/**
+ * The format the query service returns result rows in.
+ *
+ * - `json` (default): rows are plain JSON values.
+ * - `lossless`: rows are sent as lossless ADM JSON and decoded into typed values (see AdmDecoder).
+ * - `csv`: rows are CSV lines (strings, without line terminators). Only flat records can be
+ *   returned as CSV. With `header: true` the first row is the header line.
+ * - `tsv`: as `csv`, with tab as the delimiter.
+ *
+ * ```
+ * await connector.executeQuery(query, { format: 'csv', header: true, delimiter: ';' });
+ * ```
+ *
+ * JSON rows can be read into ADM value classes by giving a `signature` that maps fields to
+ * ADM types (see AdmCodec.decodeRecord()); a response signature that carries field types
+ * is used the same way. Lossless rows are read into the classes with `typed: true`.
+ * ```
+ * await connector.executeQuery(query, { signature: { sendTime: 'datetime', location: 'point' } });
+ * await connector.executeQuery(query, { format: 'lossless', typed: true });
+ * ```
+ */
+class ResultFormat {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.format='json'] - 'json', 'lossless', 'csv' or 'tsv'
+   * @param {boolean} [options.header=false] - Whether CSV/TSV output starts with a header line
+   * @param {string} [options.delimiter] - CSV field delimiter (default ',' for csv, '\t' for tsv)
+   * @param {AdmDecoder} [options.decoder] - Decoder for lossless results
+   * @param {boolean} [options.typed=false] - Decode lossless results into ADM value classes
+   * @param {Object<string, string>} [options.signature] - Field name to ADM type, for decoding JSON results
+   */
+  constructor(options = {}) {
+    this.name = String(options.format || 'json').toLowerCase();
+    if (!FORMATS.includes(this.name)) {
+      throw new Error(`Unknown result format "${options.format}". Use one of: ${FORMATS.join(', ')}`);
+    }
+    this.header = options.header === true;
+    this.delimiter = options.delimiter !== undefined ? options.delimiter : (this.name === 'tsv' ? '\t' : ',');
+    if (typeof this.delimiter !== 'string' || this.delimiter.length !== 1 || /["\r\n]/.test(this.delimiter)) {
+      throw new Error('CSV delimiter must be a single character other than a quote or line break');
+    }
+    this.decoder = this.name === 'lossless' ? (options.decoder || new AdmDecoder({ typed: options.typed })) : null;
+    this.signature = this.name === 'json' && options.signature ? options.signature : null;
+  }
+
+  /**
+   * Returns the result format for a set of execution options.
+   *
+   * @param {Object} [options] - Execution options with optional `format`, `header`, `delimiter`, `decoder`,
+   *   `typed` and `signature`
+   * @returns {ResultFormat}
+   */
+  static from(options = {}) {
+    if (options.format instanceof ResultFormat) {
+      return options.format;
+    }
+    return new ResultFormat(options);
+  }
+
+  /**
+   * Whether rows are returned as delimited text lines.
+   *
+   * @returns {boolean}
+   */
+  get isDelimited() {
+    return this.name === 'csv' || this.name === 'tsv';
+  }
+
+  /**
+   * The Accept header that asks the query service for this format.
+   *
+   * @returns {string}
+   */
+  get accept() {
+    if (this.isDelimited) {
+      return `text/csv; header=${this.header ? 'present' : 'absent'}`;
+    }
+    if (this.name === 'lossless') {
+      return 'application/json; lossless=true';
+    }
+    return 'application/json';
+  }
+
+  /**
+   * Converts one row of the `results` array to this format's output.
+   *
+   * @param {*} row - The row as returned by the server
+   * @param {Object<string, string>} [signature] - Field types to decode JSON rows with, instead of `this.signature`
+   * @returns {*} - The converted row
+   */
+  transformRow(row, signature = this.signature) {
+    if (this.decoder) {
+      return this.decoder.decode(row);
+    }
+    if (signature) {
+      return AdmCodec.decodeRecord(row, signature);
+    }
+    if (this.isDelimited && typeof row === 'string') {
+      const line = row.replace(/\r?\n$/, '');
+      // The server always writes commas; other delimiters are applied here.
+      return this.delimiter === ',' ? line : ResultFormat.redelimit(line, this.delimiter);
+    }
+    return row;
+  }
+
+  /**
+   * Converts the `results` of a complete response in place.
+   *
+   * @param {Object} response - The query service response
+   * @returns {Object} - The same response
+   */
+  apply(response) {
+    if (!response || !Array.isArray(response.results)) {
+      return response;
+    }
+    const signature = this.signature ||
+      (this.name === 'json' && AdmCodec.isTypedSignature(response.signature) ? response.signature : null);
+    if (this.name !== 'json' || signature) {
+      response.results = response.results.map(row => this.transformRow(row, signature));
+    }
+    return response;
+  }
+
+  /**
+   * Rewrites a comma-separated line with another delimiter, quoting fields as needed.
+   *
+   * @param {string} line - A CSV line
+   * @param {string} delimiter - The new delimiter
+   * @returns {string}
+   */
+  static redelimit(line, delimiter) {
+    return ResultFormat.parseLine(line, ',')
+      .map(field => (field.includes(delimiter) || /["\r\n]/.test(field)
+        ? `"${field.replace(/"/g, '""')}"`
+        : field))
+      .join(delimiter);
+  }
+
+  /**
+   * Splits a CSV line into its fields, honoring double-quoted fields.
+   *
+   * @param {string} line - A CSV line
+   * @param {string} [delimiter=','] - The field delimiter
+   * @returns {Array<string>}
+   */
+  static parseLine(line, delimiter = ',') {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+      const ch = line[i];
+      if (quoted) {
+        if (ch === '"' && line[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (ch === '"') {
+          quoted = false;
+        } else {
+          field += ch;
+        }
+      } else if (ch === '"') {
+        quoted = true;
+      } else if (ch === delimiter) {
+        fields.push(field);
+        field = '';
+      } else {
+        field += ch;
+      }
+    }
+    fields.push(field);
+    return fields;
+  }
+}
+
+ResultFormat.FORMATS = FORMATS;
+
+module.exports = ResultFormat;
@@ -0,0 +1,261 @@
+const AsterixError = require('./AsterixError');
+const Int64Json = require('./Int64Json');
+
+const { QueryCancelledError } = AsterixError;
+
+/**
+ * Incremental parser for query service responses.
+ *
+ * Feeds on response text chunk by chunk and returns each element of the top-level
+ * `results` array as soon as it is complete. Everything else in the response
+ * (status, metrics, signature, errors, ...) is kept and parsed when the input ends.
+ */
+class ResultStreamParser {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.int64='number'] - How to return integers beyond 2^53 (see Int64Json)
+   */
+  constructor(options = {}) {
+    this._int64 = Int64Json.mode(options.int64);
+    this._depth = 0;
+    this._inString = false;
+    this._escape = false;
+    this._expectKey = false;
+    this._keyToken = null;
+    this._currentKey = null;
+    this._inResults = false;
+    this._element = '';
+    this._rest = '';
+  }
+
+  /**
+   * Consumes a chunk of response text.
+   *
+   * @param {string} chunk - The next piece of the response body
+   * @returns {Array} - Result rows completed by this chunk
+   */
+  write(chunk) {
+    const rows = [];
+
+    for (let i = 0; i < chunk.length; i++) {
+      const ch = chunk[i];
+
+      if (this._inResults) {
+        this._consumeResultChar(ch, rows);
+        continue;
+      }
+
+      this._rest += ch;
+
+      if (this._inString) {
+        if (this._keyToken !== null) {
+          this._keyToken += ch;
+        }
+        if (this._escape) {
+          this._escape = false;
+        } else if (ch === '\\') {
+          this._escape = true;
+        } else if (ch === '"') {
+          this._inString = false;
+          if (this._keyToken !== null) {
+            this._currentKey = JSON.parse(this._keyToken);
+            this._keyToken = null;
+            this._expectKey = false;
+          }
+        }
+        continue;
+      }
+
+      if (ch === '"') {
+        this._inString = true;
+        if (this._depth === 1 && this._expectKey) {
+          this._keyToken = '"';
+        }
+      } else if (ch === '{' || ch === '[') {
+        this._depth++;
+        if (this._depth === 1) {
+          this._expectKey = ch === '{';
+        } else if (this._depth === 2 && ch === '[' && this._currentKey === 'results') {
+          // Rows are emitted instead of being kept; the rest of the document sees an empty array.
+          this._inResults = true;
+          this._element = '';
+        }
+      } else if (ch === '}' || ch === ']') {
+        this._depth--;
+      } else if (ch === ',' && this._depth === 1) {
+        this._expectKey = true;
+        this._currentKey = null;
+      }
+    }
+
+    return rows;
+  }
+
+  /**
+   * Finishes parsing and returns the response without its `results` rows.
+   *
+   * @returns {Object} - The remaining response fields (status, metrics, ...)
+   */
+  end() {
+    if (this._inResults || this._depth !== 0) {
+      throw new Error('Unexpected end of query response');
+    }
+    const text = this._rest.trim();
+    return text ? Int64Json.parse(text, this._int64) : {};
+  }
+
+  /**
+   * Consumes one character inside the `results` array.
+   *
+   * @private
+   * @param {string} ch - The character
+   * @param {Array} rows - Collector for completed rows
+   */
+  _consumeResultChar(ch, rows) {
+    if (this._inString) {
+      this._element += ch;
+      if (this._escape) {
+        this._escape = false;
+      } else if (ch === '\\') {
+        this._escape = true;
+      } else if (ch === '"') {
+        this._inString = false;
+      }
+      return;
+    }
+
+    if (this._depth === 2 && (ch === ',' || ch === ']')) {
+      const text = this._element.trim();
+      if (text) {
+        rows.push(Int64Json.parse(text, this._int64));
+      }
+      this._element = '';
+      if (ch === ']') {
+        this._depth--;
+        this._inResults = false;
+        this._rest += ']';
+      }
+      return;
+    }
+
+    this._element += ch;
+    if (ch === '"') {
+      this._inString = true;
+    } else if (ch === '{' || ch === '[') {
+      this._depth++;
+    } else if (ch === '}' || ch === ']') {
+      this._depth--;
+    }
+  }
+}
+
+/**
+ * Async iterable over the rows of a streamed query result.
+ *
+ * ```
+ * const stream = connector.stream('USE TinySocial; SELECT VALUE u FROM ChirpUsers u;');
+ * for await (const row of stream) {
+ *   // ...
+ * }
+ * console.log(stream.status, stream.metrics);
+ * ```
+ *
+ * Rows are read from the HTTP response only as fast as they are consumed. The
+ * response fields other than `results` (`status`, `metrics`, `signature`, `warnings`,
+ * `requestID`) are available once iteration has finished. A stream can be iterated once.
+ */
+class ResultStream {
+  /**
+   * @param {Function} open - `async () => Readable` that sends the request and returns the response body stream
+   * @param {Object} [options]
+   * @param {Function} [options.transform] - Converts each row before it is yielded (e.g. to decode a result format)
+   * @param {string} [options.int64='number'] - How to return integers beyond 2^53 (see Int64Json)
+   * @param {Function} [options.cancelled] - Tells whether the request was cancelled; a read that fails
+   *   after that throws a QueryCancelledError
+   * @param {Function} [options.onEnd] - Called once when iteration ends, whether the stream completed,
+   *   failed (with the error) or was left early
+   */
+  constructor(open, options = {}) {
+    this._open = open;
+    this._transform = options.transform || null;
+    this._int64 = options.int64 || 'number';
+    this._cancelled = options.cancelled || (() => false);
+    this._onEnd = options.onEnd || null;
+    this._started = false;
+    this.done = false;
+    this.status = null;
+    this.metrics = null;
+    this.signature = null;
+    this.warnings = [];
+    this.requestID = null;
+  }
+
+  /**
+   * Iterates over the result rows.
+   *
+   * @returns {AsyncIterator<*>}
+   */
+  async *[Symbol.asyncIterator]() {
+    if (this._started) {
+      throw new Error('A result stream can only be iterated once');
+    }
+    this._started = true;
+
+    let body = null;
+    let failure = null;
+    try {
+      body = await this._open();
+      const parser = new ResultStreamParser({ int64: this._int64 });
+      if (typeof body.setEncoding === 'function') {
+        body.setEncoding('utf8');
+      }
+      for await (const chunk of body) {
+        const rows = parser.write(typeof chunk === 'string' ? chunk : chunk.toString('utf8'));
+        for (const row of rows) {
+          yield this._transform ? this._transform(row) : row;
+        }
+      }
+
+      const response = parser.end();
+      this.status = response.status || null;
+      this.metrics = response.metrics || null;
+      this.signature = response.signature || null;
+      this.warnings = response.warnings || [];
+      this.requestID = response.requestID || null;
+      this.done = true;
+
+      if (response.errors && response.errors.length > 0) {
+        throw AsterixError.fromResponse(response);
+      }
+    } catch (error) {
+      failure = this._cancelled() && !(error instanceof AsterixError)
+        ? new QueryCancelledError('Request was cancelled')
+        : error;
+      throw failure;
+    } finally {
+      // Stop reading if the consumer broke out early or an error occurred.
+      if (body && !this.done && typeof body.destroy === 'function') {
+        body.destroy();
+      }
+      if (this._onEnd) {
+        this._onEnd(failure);
+      }
+    }
+  }
+
+  /**
+   * Reads the whole stream into an array.
+   *
+   * @returns {Promise<Array>} - All result rows
+   */
+  async toArray() {
+    const rows = [];
+    for await (const row of this) {
+      rows.push(row);
+    }
+    return rows;
+  }
+}
+
+module.exports = ResultStream;
+module.exports.ResultStreamParser = ResultStreamParser;
@@ -0,0 +1,118 @@
+const RETRYABLE_STATUS_CODES = [429, 502, 503, 504];
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'ENETUNREACH', 'ERR_NETWORK'];
+
+/**
+ * Retry policy with exponential backoff and jitter for requests to AsterixDB.
+ *
+ * ```
+ * const policy = new RetryPolicy({ maxAttempts: 5, initialDelay: 200, maxDelay: 5000 });
+ * ```
+ */
+class RetryPolicy {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxAttempts=3] - Total attempts, including the first one (1 disables retries)
+   * @param {number} [options.initialDelay=100] - Delay before the first retry, in milliseconds
+   * @param {number} [options.maxDelay=10000] - Upper bound for any single delay, in milliseconds
+   * @param {number} [options.multiplier=2] - Growth factor applied to the delay after each attempt
+   * @param {number} [options.jitter=0.5] - Fraction (0-1) of each delay that is randomized
+   * @param {Function} [options.retryOn] - `(error, attempt) => boolean` deciding whether an error is retryable;
+   *   defaults to network errors and HTTP 429/502/503/504
+   */
+  constructor(options = {}) {
+    this.maxAttempts = options.maxAttempts !== undefined ? options.maxAttempts : 3;
+    this.initialDelay = options.initialDelay !== undefined ? options.initialDelay : 100;
+    this.maxDelay = options.maxDelay !== undefined ? options.maxDelay : 10000;
+    this.multiplier = options.multiplier !== undefined ? options.multiplier : 2;
+    this.jitter = options.jitter !== undefined ? options.jitter : 0.5;
+    this.retryOn = options.retryOn || RetryPolicy.isRetryableError;
+
+    if (!Number.isInteger(this.maxAttempts) || this.maxAttempts < 1) {
+      throw new Error('Retry maxAttempts must be a positive integer');
+    }
+    if (this.jitter < 0 || this.jitter > 1) {
+      throw new Error('Retry jitter must be between 0 and 1');
+    }
+  }
+
+  /**
+   * Returns the given value as a RetryPolicy.
+   * `false` yields a policy that never retries; a plain object is used as constructor options.
+   *
+   * @param {RetryPolicy|Object|boolean} [policy] - A policy, policy options, or false
+   * @returns {RetryPolicy}
+   */
+  static from(policy) {
+    if (policy instanceof RetryPolicy) {
+      return policy;
+    }
+    if (policy === false) {
+      return new RetryPolicy({ maxAttempts: 1 });
+    }
+    return new RetryPolicy(policy && typeof policy === 'object' ? policy : {});
+  }
+
+  /**
+   * Returns a new policy with the given options overriding this one's.
+   *
+   * @param {RetryPolicy|Object|boolean} [overrides] - Per-call overrides, a full policy, or false to disable retries
+   * @returns {RetryPolicy}
+   */
+  with(overrides) {
+    if (overrides === undefined || overrides === null || overrides === true) {
+      return this;
+    }
+    if (overrides === false || overrides instanceof RetryPolicy) {
+      return RetryPolicy.from(overrides);
+    }
+    return new RetryPolicy({
+      maxAttempts: this.maxAttempts,
+      initialDelay: this.initialDelay,
+      maxDelay: this.maxDelay,
+      multiplier: this.multiplier,
+      jitter: this.jitter,
+      retryOn: this.retryOn,
+      ...overrides,
+    });
+  }
+
+  /**
+   * Decides whether a failed attempt should be retried.
+   *
+   * @param {Error} error - The error raised by the attempt
+   * @param {number} attempt - The 1-based number of the attempt that failed
+   * @returns {boolean}
+   */
+  shouldRetry(error, attempt) {
+    return attempt < this.maxAttempts && Boolean(this.retryOn(error, attempt));
+  }
+
+  /**
+   * Computes the delay before the next attempt.
+   *
+   * @param {number} attempt - The 1-based number of the attempt that failed
+   * @returns {number} - Delay in milliseconds
+   */
+  getDelay(attempt) {
+    const base = Math.min(this.maxDelay, this.initialDelay * Math.pow(this.multiplier, attempt - 1));
+    return Math.round(base * (1 - this.jitter * Math.random()));
+  }
+
+  /**
+   * Default retryable-error predicate: network failures and HTTP 429/502/503/504.
+   *
+   * @param {Error} error - The error to classify
+   * @returns {boolean}
+   */
+  static isRetryableError(error) {
+    if (!error) {
+      return false;
+    }
+    if (error.response) {
+      return RETRYABLE_STATUS_CODES.includes(error.response.status);
+    }
+    return RETRYABLE_ERROR_CODES.includes(error.code);
+  }
+}
+
+module.exports = RetryPolicy;
@@ -0,0 +1,135 @@
+/**
+ * Lexer for SQL++ text.
+ *
+ * Splits text into tokens without parsing it, which is enough to find statement
+ * boundaries, keywords and placeholders while ignoring anything inside string
+ * literals, quoted identifiers and comments.
+ *
+ * Token types:
+ * - `whitespace`
+ * - `comment` (`-- ...`, `// ...`, `/* ... *\/`)
+ * - `string` (`'...'` or `"..."`, with backslash escapes)
+ * - `identifier` (`` `...` ``)
+ * - `word` (keywords and unquoted names)
+ * - `number`
+ * - `parameter` (`$1`, `$name`, `?`)
+ * - `symbol` (anything else, one character at a time; `;` ends a statement)
+ */
+class SqlppTokenizer {
+  /**
+   * Splits SQL++ text into tokens.
+   *
+   * @param {string} text - The SQL++ text
+   * @returns {Array<{type: string, text: string, start: number, end: number}>}
+   */
+  static tokenize(text) {
+    const tokens = [];
+    let i = 0;
+
+    const push = (type, end) => {
+      tokens.push({ type, text: text.slice(i, end), start: i, end });
+      i = end;
+    };
+
+    while (i < text.length) {
+      const ch = text[i];
+      const next = text[i + 1];
+
+      if (/\s/.test(ch)) {
+        let j = i + 1;
+        while (j < text.length && /\s/.test(text[j])) j++;
+        push('whitespace', j);
+      } else if ((ch === '-' && next === '-') || (ch === '/' && next === '/')) {
+        const end = text.indexOf('\n', i);
+        push('comment', end === -1 ? text.length : end);
+      } else if (ch === '/' && next === '*') {
+        const end = text.indexOf('*/', i + 2);
+        push('comment', end === -1 ? text.length : end + 2);
+      } else if (ch === '"' || ch === "'" || ch === '`') {
+        let j = i + 1;
+        while (j < text.length && text[j] !== ch) {
+          j += text[j] === '\\' ? 2 : 1;
+        }
+        push(ch === '`' ? 'identifier' : 'string', Math.min(j + 1, text.length));
+      } else if (ch === '$') {
+        let j = i + 1;
+        while (j < text.length && /[\w]/.test(text[j])) j++;
+        push('parameter', j);
+      } else if (ch === '?') {
+        push('parameter', i + 1);
+      } else if (/[A-Za-z_]/.test(ch)) {
+        let j = i + 1;
+        while (j < text.length && /[\w]/.test(text[j])) j++;
+        push('word', j);
+      } else if (/\d/.test(ch) || (ch === '.' && /\d/.test(next || ''))) {
+        let j = i + 1;
+        while (j < text.length && /[\d.eE]/.test(text[j])) {
+          // Exponent signs belong to the number.
+          j += /[eE]/.test(text[j]) && /[+-]/.test(text[j + 1] || '') ? 2 : 1;
+        }
+        push('number', j);
+      } else {
+        push('symbol', i + 1);
+      }
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Splits a script into statements at top-level semicolons.
+   * Trailing comments are dropped, as are statements containing only whitespace and comments.
+   *
+   * @param {string} text - The SQL++ script
+   * @returns {Array<string>} - The statements, trimmed and without their terminating semicolon
+   */
+  static splitStatements(text) {
+    const statements = [];
+    let current = [];
+
+    const flush = () => {
+      // Drop trailing comments, so that a terminator appended later is not commented out.
+      while (current.length > 0 && ['whitespace', 'comment'].includes(current[current.length - 1].type)) {
+        current.pop();
+      }
+      if (current.length > 0) {
+        statements.push(current.map(token => token.text).join('').trim());
+      }
+      current = [];
+    };
+
+    for (const token of SqlppTokenizer.tokenize(text)) {
+      if (token.type === 'symbol' && token.text === ';') {
+        flush();
+      } else {
+        current.push(token);
+      }
+    }
+    flush();
+
+    return statements;
+  }
+
+  /**
+   * Returns the tokens that carry meaning (no whitespace or comments).
+   *
+   * @param {string} text - The SQL++ text
+   * @returns {Array<Object>}
+   */
+  static significantTokens(text) {
+    return SqlppTokenizer.tokenize(text).filter(token => token.type !== 'whitespace' && token.type !== 'comment');
+  }
+
+  /**
+   * Returns the first keyword of a statement, upper-cased, skipping comments.
+   *
+   * @param {string} text - The statement
+   * @returns {string|null}
+   */
+  static leadingKeyword(text) {
+    const first = SqlppTokenizer.significantTokens(text)[0];
+    return first && first.type === 'word' ? first.text.toUpperCase() : null;
+  }
+}
+
+module.exports = SqlppTokenizer;
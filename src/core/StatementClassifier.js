@@ -0,0 +1,236 @@
+const SqlppTokenizer = require('./SqlppTokenizer');
+
+// Statement kinds by leading keyword. Everything else is UNKNOWN and treated as a write.
+const KINDS = {
+  SELECT: 'QUERY',
+  WITH: 'QUERY',
+  FROM: 'QUERY',
+  LET: 'QUERY',
+  EXPLAIN: 'EXPLAIN',
+  USE: 'USE',
+  SET: 'SET',
+  INSERT: 'INSERT',
+  UPSERT: 'UPSERT',
+  DELETE: 'DELETE',
+  UPDATE: 'UPDATE',
+  LOAD: 'LOAD',
+  COPY: 'COPY',
+  CREATE: 'CREATE',
+  DROP: 'DROP',
+  ALTER: 'ALTER',
+  ANALYZE: 'ANALYZE',
+  CONNECT: 'CONNECT',
+  DISCONNECT: 'DISCONNECT',
+  START: 'START',
+  STOP: 'STOP',
+  DECLARE: 'DECLARE',
+};
+
+const READ_ONLY_KINDS = ['QUERY', 'EXPLAIN', 'USE', 'SET', 'DECLARE'];
+
+const MODIFIERS = ['OR', 'REPLACE', 'PRIMARY', 'TEMPORARY', 'EXTERNAL', 'IF', 'NOT', 'EXISTS'];
+
+// The dataset a statement targets follows one of these keyword sequences.
+const TARGET_PATTERNS = {
+  INSERT: [['INTO']],
+  UPSERT: [['INTO']],
+  DELETE: [['FROM']],
+  UPDATE: [[]],
+  LOAD: [['DATASET'], ['COLLECTION']],
+  COPY: [['INTO'], []],
+  CREATE: [['INDEX', 'ON'], ['INDEX', '*', 'ON'], ['DATASET'], ['COLLECTION'], ['VIEW'], ['FEED'], ['TYPE'], ['FUNCTION'], ['SYNONYM']],
+  DROP: [['DATASET'], ['COLLECTION'], ['VIEW'], ['FEED'], ['TYPE'], ['FUNCTION'], ['SYNONYM']],
+  ANALYZE: [['DATASET'], ['COLLECTION']],
+  CONNECT: [['FEED', '*', 'TO', 'DATASET']],
+  DISCONNECT: [['FEED', '*', 'FROM', 'DATASET']],
+};
+
+/**
+ * Classifies SQL++ statements using the tokenizer, so that keywords inside strings,
+ * quoted identifiers and comments are never mistaken for statements.
+ *
+ * ```
+ * StatementClassifier.classify('USE TinySocial; UPSERT INTO ChirpUsers ({...});');
+ * // {
+ * //   readOnly: false,
+ * //   kind: 'UPSERT',
+ * //   dataverse: 'TinySocial',
+ * //   dataset: 'ChirpUsers',
+ * //   statements: [{ kind: 'USE', ... }, { kind: 'UPSERT', ... }]
+ * // }
+ * ```
+ *
+ * Kinds: QUERY, EXPLAIN, USE, SET, DECLARE, INSERT, UPSERT, DELETE, UPDATE, LOAD, COPY, CREATE,
+ * DROP, ALTER, ANALYZE, CONNECT, DISCONNECT, START, STOP and UNKNOWN. Only QUERY, EXPLAIN
+ * and the prologue statements (USE, SET, DECLARE) are read-only.
+ */
+class StatementClassifier {
+  /**
+   * Classifies every statement of a request.
+   *
+   * @param {string} text - One or more SQL++ statements
+   * @returns {Object} - `statements` (each with `kind`, `readOnly`, `dataverse`, `dataset`, `text`),
+   *   plus `kind`, `dataverse` and `dataset` of the main (first non-prologue) statement and
+   *   `readOnly`, which is true only if every statement is read-only
+   */
+  static classify(text) {
+    const statements = [];
+    let dataverse = null;
+
+    for (const statementText of SqlppTokenizer.splitStatements(String(text || ''))) {
+      const statement = StatementClassifier.classifyStatement(statementText, dataverse);
+      if (statement.kind === 'USE') {
+        dataverse = statement.dataverse;
+      }
+      statements.push(statement);
+    }
+
+    const main = statements.find(statement => !['USE', 'SET', 'DECLARE'].includes(statement.kind)) ||
+      { kind: 'UNKNOWN', dataverse, dataset: null };
+    return {
+      statements,
+      kind: main.kind,
+      dataverse: main.dataverse,
+      dataset: main.dataset,
+      readOnly: statements.length > 0 && statements.every(statement => statement.readOnly),
+    };
+  }
+
+  /**
+   * Classifies a single statement.
+   *
+   * @param {string} text - The statement, without its terminating semicolon
+   * @param {string} [currentDataverse] - Dataverse set by a preceding USE statement
+   * @returns {{kind: string, readOnly: boolean, dataverse: (string|null), dataset: (string|null), text: string}}
+   */
+  static classifyStatement(text, currentDataverse = null) {
+    const tokens = SqlppTokenizer.significantTokens(text);
+    const first = tokens[0];
+
+    let kind = 'UNKNOWN';
+    if (first && first.type === 'word') {
+      kind = KINDS[first.text.toUpperCase()] || 'UNKNOWN';
+    } else if (first && first.type === 'symbol' && first.text === '(') {
+      kind = 'QUERY';
+    }
+
+    let name = null;
+    if (kind === 'USE') {
+      name = StatementClassifier._readName(tokens, 1);
+      return { kind, readOnly: true, dataverse: name ? name.join('.') : null, dataset: null, text };
+    }
+    if (kind === 'CREATE' || kind === 'DROP') {
+      name = StatementClassifier._findTarget(tokens, [['DATAVERSE'], ['DATABASE'], ['SCOPE']]);
+      if (name) {
+        return { kind, readOnly: false, dataverse: name.join('.'), dataset: null, text };
+      }
+    }
+    if (kind === 'QUERY' || kind === 'EXPLAIN') {
+      name = StatementClassifier._findFromTarget(tokens);
+    } else if (TARGET_PATTERNS[kind]) {
+      name = StatementClassifier._findTarget(tokens, TARGET_PATTERNS[kind]);
+    }
+
+    return {
+      kind,
+      readOnly: READ_ONLY_KINDS.includes(kind),
+      dataverse: name && name.length > 1 ? name.slice(0, -1).join('.') : currentDataverse,
+      dataset: name ? name[name.length - 1] : null,
+      text,
+    };
+  }
+
+  /**
+   * Whether every statement in the text is read-only.
+   *
+   * @param {string} text - One or more SQL++ statements
+   * @returns {boolean}
+   */
+  static isReadOnly(text) {
+    return StatementClassifier.classify(text).readOnly;
+  }
+
+  /**
+   * Finds the name after one of the keyword sequences that follow the leading keyword.
+   * `*` in a sequence matches any single token (e.g. an index name).
+   *
+   * @private
+   * @param {Array<Object>} tokens - Significant tokens of the statement
+   * @param {Array<Array<string>>} patterns - Keyword sequences
+   * @returns {Array<string>|null} - The name's parts
+   */
+  static _findTarget(tokens, patterns) {
+    for (const pattern of patterns) {
+      let position = 1;
+      // Skip modifiers such as OR REPLACE, PRIMARY and IF [NOT] EXISTS.
+      const skipModifiers = () => {
+        while (tokens[position] && tokens[position].type === 'word' &&
+          MODIFIERS.includes(tokens[position].text.toUpperCase())) {
+          position++;
+        }
+      };
+      const matches = pattern.every(keyword => {
+        skipModifiers();
+        const token = tokens[position++];
+        return token && (keyword === '*' || (token.type === 'word' && token.text.toUpperCase() === keyword));
+      });
+      if (matches) {
+        skipModifiers();
+        const name = StatementClassifier._readName(tokens, position);
+        if (name) {
+          return name;
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Finds the first dataset named in a top-level FROM clause of a query.
+   *
+   * @private
+   * @param {Array<Object>} tokens - Significant tokens of the statement
+   * @returns {Array<string>|null} - The name's parts
+   */
+  static _findFromTarget(tokens) {
+    let depth = 0;
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i];
+      if (token.type === 'symbol' && (token.text === '(' || token.text === '[' || token.text === '{')) {
+        depth++;
+      } else if (token.type === 'symbol' && (token.text === ')' || token.text === ']' || token.text === '}')) {
+        depth--;
+      } else if (depth === 0 && token.type === 'word' && token.text.toUpperCase() === 'FROM') {
+        return StatementClassifier._readName(tokens, i + 1);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Reads a possibly qualified name (`a.b.c`, with optional backticks) starting at a token.
+   *
+   * @private
+   * @param {Array<Object>} tokens - Significant tokens
+   * @param {number} start - Index of the first token of the name
+   * @returns {Array<string>|null} - The name's parts, unquoted
+   */
+  static _readName(tokens, start) {
+    const parts = [];
+    let i = start;
+    while (tokens[i] && (tokens[i].type === 'word' || tokens[i].type === 'identifier')) {
+      const token = tokens[i];
+      parts.push(token.type === 'identifier' ? token.text.slice(1, -1) : token.text);
+      if (!(tokens[i + 1] && tokens[i + 1].type === 'symbol' && tokens[i + 1].text === '.')) {
+        break;
+      }
+      i += 2;
+    }
+    return parts.length > 0 ? parts : null;
+  }
+}
+
+StatementClassifier.KINDS = KINDS;
+StatementClassifier.READ_ONLY_KINDS = READ_ONLY_KINDS;
+
+module.exports = StatementClassifier;
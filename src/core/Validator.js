@@ -1,8 +1,15 @@
 const Connector = require('./Connector');
+const AsterixError = require('./AsterixError');
 
 class Validator {
-  constructor() {
-    this.connector = new Connector();
+  /**
+   * @param {Connector|OfflineEnabledConnector|ConnectionConfig|string|Object} [connection] - A connector
+   *   to run metadata queries through, or connection options used to create one.
+   */
+  constructor(connection = {}) {
+    this.connector = connection && typeof connection.executeQuery === 'function'
+      ? connection
+      : new Connector(connection);
   }
 
   async validateFromClause(dataverseName, fromClause) {
@@ -114,6 +121,9 @@ class Validator {
       const result = await this.connector.executeQuery(query);
       return result.results && result.results.length > 0;
     } catch (error) {
+      if (error instanceof AsterixError) {
+        throw error;
+      }
       console.error('Error validating dataset:', error);
       throw new Error(`Failed to validate dataset ${datasetName} in dataverse ${dataverseName}`);
     }
@@ -216,7 +226,7 @@ class Validator {
       case 'tinyint':
       case 'smallint':
       case 'bigint':
-        return Number.isInteger(value);
+        return Number.isInteger(value) || typeof value === 'bigint';
       case 'float':
       case 'double':
         return typeof value === 'number';
@@ -1,24 +1,104 @@
 const Connector = require('./core/Connector');
+const ConnectionConfig = require('./core/ConnectionConfig');
+const RetryPolicy = require('./core/RetryPolicy');
+const EndpointPool = require('./core/EndpointPool');
+const ConcurrencyLimiter = require('./core/ConcurrencyLimiter');
+const ResultStream = require('./core/ResultStream');
+const ResultFormat = require('./core/ResultFormat');
+const AdmDecoder = require('./core/AdmDecoder');
+const AdmCodec = require('./core/AdmCodec');
+const AdmTypes = require('./core/AdmTypes');
+const Int64Json = require('./core/Int64Json');
+const QueryPlan = require('./core/QueryPlan');
+const AsyncQueryHandle = require('./core/AsyncQueryHandle');
+const AsterixError = require('./core/AsterixError');
 const QueryBuilder = require('./core/QueryBuilder');
+const SqlppTokenizer = require('./core/SqlppTokenizer');
+const StatementClassifier = require('./core/StatementClassifier');
+const QueryMetrics = require('./core/QueryMetrics');
 const OfflineEnabledConnector = require('./offline/OfflineEnabledConnector');
 const LocalStorageAdapter = require('./offline/LocalStorageAdapter');
 const SyncManager = require('./offline/SyncManager');
 const AsterixCollection = require('./mongo/AsterixCollection');
 const AsterixDatabase = require('./mongo/AsterixDatabase');
+const FindCursor = require('./mongo/FindCursor');
+const AdminClient = require('./core/AdminClient');
+const FeedStatements = require('./core/FeedStatements');
+const FeedSocket = require('./core/FeedSocket');
+const BulkStatements = require('./core/BulkStatements');
+const ReplayTransport = require('./core/ReplayTransport');
+const MockAsterixServer = require('./mock/MockAsterixServer');
+const MemoryEngine = require('./mock/MemoryEngine');
+const SqlppParser = require('./mock/SqlppParser');
 const AsterixClient = require('./core/AsterixClient');
 
 // Export all components
 module.exports = {
   // Core components
   Connector,
+  ConnectionConfig,
+  RetryPolicy,
+  EndpointPool,
+  ConcurrencyLimiter,
+  ResultStream,
+  ResultFormat,
+  AdmDecoder,
+  AdmCodec,
+  Int64Json,
+  QueryPlan,
+  AsyncQueryHandle,
   QueryBuilder,
+  SqlppTokenizer,
+  StatementClassifier,
+  QueryMetrics,
+  AdminClient,
+  FeedStatements,
+  FeedSocket,
+  BulkStatements,
+  ReplayTransport,
   OfflineEnabledConnector,
   LocalStorageAdapter,
   SyncManager,
+
+  // ADM values
+  AdmValue: AdmTypes.AdmValue,
+  AdmDate: AdmTypes.AdmDate,
+  AdmTime: AdmTypes.AdmTime,
+  AdmDatetime: AdmTypes.AdmDatetime,
+  AdmDuration: AdmTypes.AdmDuration,
+  AdmYearMonthDuration: AdmTypes.AdmYearMonthDuration,
+  AdmDayTimeDuration: AdmTypes.AdmDayTimeDuration,
+  AdmInterval: AdmTypes.AdmInterval,
+  AdmPoint: AdmTypes.AdmPoint,
+  AdmLine: AdmTypes.AdmLine,
+  AdmRectangle: AdmTypes.AdmRectangle,
+  AdmCircle: AdmTypes.AdmCircle,
+  AdmPolygon: AdmTypes.AdmPolygon,
+  AdmUuid: AdmTypes.AdmUuid,
+  AdmBinary: AdmTypes.AdmBinary,
+
+  // Testing
+  MockAsterixServer,
+  MemoryEngine,
+  SqlppParser,
+  
+  // Errors
+  AsterixError,
+  AsterixSyntaxError: AsterixError.AsterixSyntaxError,
+  UnknownDatasetError: AsterixError.UnknownDatasetError,
+  UnknownFieldError: AsterixError.UnknownFieldError,
+  DuplicateKeyError: AsterixError.DuplicateKeyError,
+  QueryTimeoutError: AsterixError.QueryTimeoutError,
+  NetworkError: AsterixError.NetworkError,
+  OfflineError: AsterixError.OfflineError,
+  QueryCancelledError: AsterixError.QueryCancelledError,
+  BackpressureError: AsterixError.BackpressureError,
+  ReplayMismatchError: AsterixError.ReplayMismatchError,
   
   // MongoDB-like interface
   AsterixCollection,
   AsterixDatabase,
+  FindCursor,
   AsterixClient,
   
   // Main client constructor for MongoDB-like usage
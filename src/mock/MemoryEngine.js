@@ -0,0 +1,1882 @@
+const crypto = require('crypto');
+const SqlppParser = require('./SqlppParser');
+const Int64Json = require('../core/Int64Json');
+
+const AGGREGATES = ['count', 'sum', 'avg', 'min', 'max', 'array_agg'];
+
+const INTEGER_TYPES = ['int', 'int8', 'int16', 'int32', 'int64', 'tinyint', 'smallint', 'integer', 'bigint'];
+const FLOAT_TYPES = ['double', 'float'];
+// Types stored as strings (ISO dates, UUIDs, ...), which the engine does not check further.
+const LENIENT_TYPES = ['any', 'datetime', 'date', 'time', 'duration', 'day_time_duration', 'year_month_duration',
+  'uuid', 'binary', 'point', 'line', 'rectangle', 'circle', 'polygon', 'interval'];
+
+const METADATA = 'Metadata';
+const METADATA_DATASETS = ['Dataverse', 'Dataset', 'Datatype', 'Index', 'Feed', 'FeedConnection', 'Function'];
+
+/**
+ * Creates a query error in the form the query service reports it.
+ *
+ * @param {string} code - The error code, e.g. 'ASX1077'
+ * @param {string} message - The message
+ * @param {number} [httpStatus] - HTTP status of the response (400 for compilation errors, 500 otherwise)
+ * @returns {Error}
+ */
+function queryError(code, message, httpStatus) {
+  const error = new Error(`${code}: ${message}`);
+  error.code = code;
+  error.httpStatus = httpStatus || (code.startsWith('ASX1') ? 400 : 500);
+  return error;
+}
+
+/**
+ * Copies a value the way it would come back from the server (MISSING fields dropped).
+ *
+ * @param {*} value - The value
+ * @returns {*}
+ */
+function clone(value) {
+  return value === undefined ? undefined : Int64Json.parse(Int64Json.stringify(value), 'bigint');
+}
+
+/**
+ * Whether a value is a number. Integers beyond 2^53 are kept as BigInts, so that they are
+ * stored, compared and returned exactly, as the server does with int64 values.
+ *
+ * @param {*} value - The value
+ * @returns {boolean}
+ */
+function isNumeric(value) {
+  return typeof value === 'number' || typeof value === 'bigint';
+}
+
+/**
+ * Returns an integer result as a number when it fits in a double, and as a BigInt otherwise.
+ *
+ * @param {bigint} value - The result
+ * @returns {number|bigint}
+ */
+function exact(value) {
+  return Number.isSafeInteger(Number(value)) ? Number(value) : value;
+}
+
+/**
+ * In-memory storage and SQL++ evaluation behind MockAsterixServer.
+ *
+ * Keeps dataverses, record types, datasets and indexes in memory and runs the statements
+ * SqlppParser understands against them. `Metadata.Dataverse`, `Dataset`, `Datatype` and
+ * `Index` are generated from the catalog, so schema lookups (e.g. by Validator) work as
+ * they do against a real server.
+ *
+ * ```
+ * const engine = new MemoryEngine();
+ * engine.execute('CREATE DATAVERSE Shop; USE Shop; CREATE DATASET Orders PRIMARY KEY id: int;');
+ * engine.execute('USE Shop; INSERT INTO Orders ([{ "id": 1, "total": 10 }, { "id": 2, "total": 25 }]);');
+ * engine.execute('USE Shop; SELECT VALUE o.id FROM Orders o WHERE o.total > $1;', { args: [20] }).results; // [2]
+ * ```
+ *
+ * Records are type-checked against declared fields, closed types reject undeclared
+ * fields and primary keys are unique. Date and time values are kept as ISO strings, integers
+ * beyond 2^53 as BigInts, and spatial values in the JSON form the query service returns.
+ * Indexes are recorded in the metadata but not used. `~=` follows the `simfunction` and
+ * `simthreshold` settings of the statement, as on the server.
+ */
+class MemoryEngine {
+  constructor() {
+    this.reset();
+  }
+
+  /**
+   * Drops all data, leaving only the empty `Default` dataverse.
+   */
+  reset() {
+    this.dataverses = new Map();
+    this._nextDatasetId = 101;
+    this._createDataverse('Default');
+  }
+
+  /**
+   * Runs one or more statements.
+   *
+   * @param {string} text - The SQL++ text
+   * @param {Object} [options]
+   * @param {Array} [options.args] - Positional parameter values (`$1`, `$2`, ... or `?`)
+   * @param {Object} [options.params] - Named parameter values, keyed by `$name`
+   * @param {string} [options.dataverse='Default'] - Dataverse in effect before any USE
+   * @param {boolean} [options.readOnly=false] - Reject anything but queries
+   * @returns {{results: Array, metrics: Object}} - Results of the last query, and `resultCount`,
+   *   `processedObjects` and `mutationCount`
+   * @throws {Error} With `code` (e.g. 'ASX1077') and `httpStatus` if a statement fails
+   */
+  execute(text, options = {}) {
+    const statements = SqlppParser.parse(text);
+    if (options.readOnly) {
+      const write = statements.find(statement => !['use', 'set', 'query'].includes(statement.type));
+      if (write) {
+        throw queryError('ASX0044', `${write.type.toUpperCase()} statement is not supported in read-only mode`, 400);
+      }
+    }
+
+    const ctx = {
+      dataverse: options.dataverse || 'Default',
+      args: options.args || [],
+      params: options.params || {},
+      settings: {},
+      processedObjects: 0,
+      mutationCount: 0,
+    };
+    let results = [];
+    for (const statement of statements) {
+      const output = this._run(statement, ctx);
+      if (output) {
+        results = output;
+      }
+    }
+    return {
+      results: clone(results),
+      metrics: { resultCount: results.length, processedObjects: ctx.processedObjects, mutationCount: ctx.mutationCount },
+    };
+  }
+
+  /**
+   * Returns a copy of the records stored in a dataset, in primary key order.
+   *
+   * @param {string} dataverse - The dataverse
+   * @param {string} dataset - The dataset
+   * @returns {Array<Object>}
+   */
+  records(dataverse, dataset) {
+    return clone(this._sortedRecords(this._dataset(dataverse, dataset)));
+  }
+
+  /**
+   * Runs one parsed statement.
+   *
+   * @private
+   * @param {Object} statement - The statement
+   * @param {Object} ctx - Execution state
+   * @returns {Array|null} - Query results, or null for other statements
+   */
+  _run(statement, ctx) {
+    switch (statement.type) {
+      case 'use':
+        this._dataverse(statement.dataverse);
+        ctx.dataverse = statement.dataverse;
+        return null;
+      case 'set':
+        ctx.settings[statement.name.toLowerCase()] = statement.value.replace(/^["']|["']$/g, '');
+        return null;
+      case 'createDataverse':
+        if (this.dataverses.has(statement.name)) {
+          if (statement.ifNotExists) return null;
+          throw queryError('ASX1040', `A dataverse with this name ${statement.name} already exists.`);
+        }
+        this._createDataverse(statement.name);
+        return null;
+      case 'dropDataverse':
+        if (!this.dataverses.has(statement.name)) {
+          if (statement.ifExists) return null;
+          throw queryError('ASX1063', `Cannot find dataverse with name ${statement.name}`);
+        }
+        if (statement.name === 'Default' || statement.name === METADATA) {
+          throw queryError('ASX1079', `Compilation error: Cannot drop dataverse ${statement.name}`);
+        }
+        this.dataverses.delete(statement.name);
+        if (ctx.dataverse === statement.name) {
+          ctx.dataverse = 'Default';
+        }
+        return null;
+      case 'createType':
+        return this._createType(statement, ctx);
+      case 'dropType': {
+        const dataverse = this._dataverse(statement.dataverse || ctx.dataverse);
+        if (!dataverse.types.has(statement.name)) {
+          if (statement.ifExists) return null;
+          throw queryError('ASX1079', `Compilation error: Cannot find type with name ${statement.name}`);
+        }
+        dataverse.types.delete(statement.name);
+        return null;
+      }
+      case 'createDataset':
+        return this._createDataset(statement, ctx);
+      case 'dropDataset': {
+        const dataverse = this._dataverse(statement.dataverse || ctx.dataverse);
+        if (!dataverse.datasets.has(statement.name)) {
+          if (statement.ifExists) return null;
+          throw queryError('ASX1077', `Cannot find dataset with name ${statement.name} in dataverse ${dataverse.name}`);
+        }
+        dataverse.datasets.delete(statement.name);
+        return null;
+      }
+      case 'createIndex':
+        return this._createIndex(statement, ctx);
+      case 'dropIndex': {
+        const dataset = this._dataset(statement.dataverse || ctx.dataverse, statement.dataset);
+        if (!dataset.indexes.has(statement.name)) {
+          if (statement.ifExists) return null;
+          throw queryError('ASX1079', `Compilation error: Cannot find index with name ${statement.name}`);
+        }
+        dataset.indexes.delete(statement.name);
+        return null;
+      }
+      case 'insert':
+        this._insert(statement, ctx);
+        return null;
+      case 'delete':
+        this._delete(statement, ctx);
+        return null;
+      case 'update':
+        this._update(statement, ctx);
+        return null;
+      case 'query':
+        return this._query(statement.query, MemoryEngine._scope(null), ctx);
+      default:
+        throw queryError('ASX1079', `Compilation error: Unsupported statement ${statement.type}`);
+    }
+  }
+
+  // ---- Catalog ----
+
+  /**
+   * Adds an empty dataverse.
+   *
+   * @private
+   * @param {string} name - The dataverse name
+   */
+  _createDataverse(name) {
+    this.dataverses.set(name, { name, types: new Map(), datasets: new Map(), created: new Date() });
+  }
+
+  /**
+   * Returns a dataverse.
+   *
+   * @private
+   * @param {string} name - The dataverse name
+   * @returns {Object}
+   * @throws {Error} ASX1063 if it does not exist
+   */
+  _dataverse(name) {
+    if (name === METADATA) {
+      return { name: METADATA, types: new Map(), datasets: new Map(), created: new Date(0) };
+    }
+    const dataverse = this.dataverses.get(name);
+    if (!dataverse) {
+      throw queryError('ASX1063', `Cannot find dataverse with name ${name}`);
+    }
+    return dataverse;
+  }
+
+  /**
+   * Returns a stored dataset.
+   *
+   * @private
+   * @param {string} dataverseName - The dataverse
+   * @param {string} name - The dataset
+   * @returns {Object}
+   * @throws {Error} ASX1077 if it does not exist
+   */
+  _dataset(dataverseName, name) {
+    if (dataverseName === METADATA) {
+      throw queryError('ASX1079', 'Compilation error: Metadata datasets cannot be modified');
+    }
+    const dataverse = this._dataverse(dataverseName);
+    const dataset = dataverse.datasets.get(name);
+    if (!dataset) {
+      throw queryError('ASX1077', `Cannot find dataset with name ${name} in dataverse ${dataverseName}`);
+    }
+    return dataset;
+  }
+
+  /**
+   * Creates a named record type.
+   *
+   * @private
+   * @param {Object} statement - The CREATE TYPE statement
+   * @param {Object} ctx - Execution state
+   * @returns {null}
+   */
+  _createType(statement, ctx) {
+    const dataverse = this._dataverse(statement.dataverse || ctx.dataverse);
+    if (dataverse.types.has(statement.name)) {
+      if (statement.ifNotExists) return null;
+      throw queryError('ASX1040', `A datatype with name ${statement.name} already exists.`);
+    }
+    this._checkTypeReferences(statement.definition, dataverse);
+    dataverse.types.set(statement.name, {
+      name: statement.name,
+      definition: statement.definition,
+      anonymous: false,
+      created: new Date(),
+    });
+    return null;
+  }
+
+  /**
+   * Creates a dataset, with an anonymous type when none is named.
+   *
+   * @private
+   * @param {Object} statement - The CREATE DATASET statement
+   * @param {Object} ctx - Execution state
+   * @returns {null}
+   */
+  _createDataset(statement, ctx) {
+    const dataverse = this._dataverse(statement.dataverse || ctx.dataverse);
+    if (dataverse.datasets.has(statement.name)) {
+      if (statement.ifNotExists) return null;
+      throw queryError('ASX1040', `A dataset with name ${statement.name} already exists in dataverse ${dataverse.name}`);
+    }
+
+    let typeDataverse = dataverse.name;
+    let typeName;
+    if (statement.typeName) {
+      typeDataverse = statement.typeName[0] || dataverse.name;
+      typeName = statement.typeName[1];
+      if (!this._dataverse(typeDataverse).types.has(typeName)) {
+        throw queryError('ASX1079', `Compilation error: Cannot find type with name ${typeName}`);
+      }
+    } else {
+      // Type-less datasets get an open type declaring only the key fields.
+      const definition = statement.inlineType || {
+        kind: 'record',
+        open: true,
+        fields: statement.primaryKey
+          .filter(key => key.path.length === 1)
+          .map(key => ({ name: key.path[0], type: { kind: 'named', name: key.type || 'string' }, optional: false })),
+      };
+      this._checkTypeReferences(definition, dataverse);
+      typeName = `${statement.name}Type`;
+      dataverse.types.set(typeName, { name: typeName, definition, anonymous: true, created: new Date() });
+    }
+
+    if (statement.autogenerated && (statement.primaryKey.length !== 1 || statement.primaryKey[0].path.length !== 1)) {
+      throw queryError('ASX1079', 'Compilation error: Only a single, top-level primary key field can be autogenerated');
+    }
+
+    dataverse.datasets.set(statement.name, {
+      id: this._nextDatasetId++,
+      name: statement.name,
+      dataverse: dataverse.name,
+      typeDataverse,
+      typeName,
+      primaryKey: statement.primaryKey.map(key => key.path),
+      autogenerated: statement.autogenerated,
+      records: new Map(),
+      indexes: new Map(),
+      created: new Date(),
+    });
+    return null;
+  }
+
+  /**
+   * Records a secondary index.
+   *
+   * @private
+   * @param {Object} statement - The CREATE INDEX statement
+   * @param {Object} ctx - Execution state
+   * @returns {null}
+   */
+  _createIndex(statement, ctx) {
+    const dataset = this._dataset(statement.dataverse || ctx.dataverse, statement.dataset);
+    if (dataset.indexes.has(statement.name) || statement.name === dataset.name) {
+      if (statement.ifNotExists) return null;
+      throw queryError('ASX1040', `An index with this name ${statement.name} already exists.`);
+    }
+    dataset.indexes.set(statement.name, {
+      name: statement.name,
+      fields: statement.fields.map(field => field.path),
+      structure: statement.indexType,
+      gramLength: statement.gramLength,
+      created: new Date(),
+    });
+    return null;
+  }
+
+  /**
+   * Checks that the named types used in a type definition exist.
+   *
+   * @private
+   * @param {Object} type - The type expression
+   * @param {Object} dataverse - The dataverse the definition belongs to
+   */
+  _checkTypeReferences(type, dataverse) {
+    if (type.kind === 'record') {
+      type.fields.forEach(field => this._checkTypeReferences(field.type, dataverse));
+    } else if (type.kind === 'array' || type.kind === 'multiset') {
+      this._checkTypeReferences(type.item, dataverse);
+    } else if (!MemoryEngine._isBuiltinType(type.name) && !dataverse.types.has(type.name)) {
+      throw queryError('ASX1079', `Compilation error: Cannot find type with name ${type.name}`);
+    }
+  }
+
+  // ---- Writes ----
+
+  /**
+   * Runs INSERT or UPSERT. All records are checked before any is stored.
+   *
+   * @private
+   * @param {Object} statement - The statement
+   * @param {Object} ctx - Execution state
+   */
+  _insert(statement, ctx) {
+    const dataset = this._dataset(statement.dataverse || ctx.dataverse, statement.dataset);
+    const value = this._eval(statement.source, MemoryEngine._scope(null), ctx);
+    const records = Array.isArray(value) ? value : [value];
+
+    const prepared = new Map();
+    for (const source of records) {
+      const record = clone(source);
+      if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        throw queryError('ASX0002', `Type mismatch: expected a record to insert into ${dataset.name}, got ${MemoryEngine._typeOf(source)}`);
+      }
+      if (dataset.autogenerated && record[dataset.primaryKey[0][0]] === undefined) {
+        record[dataset.primaryKey[0][0]] = crypto.randomUUID();
+      }
+      const key = this._checkRecord(dataset, record);
+      if (!statement.upsert && (dataset.records.has(key) || prepared.has(key))) {
+        throw queryError('HYR0033', 'Inserting duplicate keys into the primary storage');
+      }
+      prepared.set(key, record);
+    }
+
+    for (const [key, record] of prepared) {
+      dataset.records.set(key, record);
+    }
+    ctx.mutationCount += prepared.size;
+  }
+
+  /**
+   * Runs DELETE.
+   *
+   * @private
+   * @param {Object} statement - The statement
+   * @param {Object} ctx - Execution state
+   */
+  _delete(statement, ctx) {
+    const dataset = this._dataset(statement.dataverse || ctx.dataverse, statement.dataset);
+    const alias = statement.alias || dataset.name;
+    for (const [key, record] of [...dataset.records]) {
+      ctx.processedObjects++;
+      const row = MemoryEngine._bind(MemoryEngine._scope(null), alias, record);
+      if (!statement.where || this._eval(statement.where, row, ctx) === true) {
+        dataset.records.delete(key);
+        ctx.mutationCount++;
+      }
+    }
+  }
+
+  /**
+   * Runs UPDATE ... SET. Matching records are rewritten and checked again;
+   * their primary key cannot change.
+   *
+   * @private
+   * @param {Object} statement - The statement
+   * @param {Object} ctx - Execution state
+   */
+  _update(statement, ctx) {
+    const dataset = this._dataset(statement.dataverse || ctx.dataverse, statement.dataset);
+    const alias = statement.alias || dataset.name;
+    const updated = new Map();
+
+    for (const [key, record] of dataset.records) {
+      ctx.processedObjects++;
+      const row = MemoryEngine._bind(MemoryEngine._scope(null), alias, record);
+      if (statement.where && this._eval(statement.where, row, ctx) !== true) {
+        continue;
+      }
+      const copy = clone(record);
+      for (const { target, value } of statement.assignments) {
+        MemoryEngine._assign(copy, MemoryEngine._targetPath(target, alias), this._eval(value, row, ctx));
+      }
+      if (this._checkRecord(dataset, copy) !== key) {
+        throw queryError('ASX1079', `Compilation error: Cannot update the primary key of ${dataset.name}`);
+      }
+      updated.set(key, copy);
+    }
+
+    for (const [key, record] of updated) {
+      dataset.records.set(key, record);
+    }
+    ctx.mutationCount += updated.size;
+  }
+
+  /**
+   * Checks a record against the dataset's type and returns its primary key.
+   *
+   * @private
+   * @param {Object} dataset - The dataset
+   * @param {Object} record - The record
+   * @returns {string} - The primary key, serialized
+   */
+  _checkRecord(dataset, record) {
+    const type = this._dataverse(dataset.typeDataverse).types.get(dataset.typeName);
+    this._checkValue(record, type.definition, this._dataverse(dataset.typeDataverse), '');
+
+    const key = dataset.primaryKey.map(path => {
+      const value = path.reduce((target, name) => (target && typeof target === 'object' ? target[name] : undefined), record);
+      if (value === undefined || value === null) {
+        throw queryError('ASX0002', `Type mismatch: primary key field "${path.join('.')}" is missing or null`);
+      }
+      return value;
+    });
+    return Int64Json.stringify(key);
+  }
+
+  /**
+   * Checks a value against a type expression.
+   *
+   * @private
+   * @param {*} value - The value
+   * @param {Object} type - The type expression
+   * @param {Object} dataverse - Dataverse for resolving type names
+   * @param {string} path - Field path, for error messages
+   */
+  _checkValue(value, type, dataverse, path) {
+    const mismatch = expected => queryError('ASX0002',
+      `Type mismatch: expected value of type ${expected} for field "${path || '(record)'}", got ${MemoryEngine._typeOf(value)}`);
+
+    if (type.kind === 'named') {
+      const name = type.name.toLowerCase();
+      if (MemoryEngine._isBuiltinType(name)) {
+        if ((name === 'string' && typeof value !== 'string') ||
+            (INTEGER_TYPES.includes(name) && !Number.isInteger(value) && typeof value !== 'bigint') ||
+            (FLOAT_TYPES.includes(name) && !isNumeric(value)) ||
+            (name === 'boolean' && typeof value !== 'boolean')) {
+          throw mismatch(name);
+        }
+        return;
+      }
+      const named = dataverse.types.get(type.name);
+      this._checkValue(value, named.definition, dataverse, path);
+      return;
+    }
+
+    if (type.kind === 'array' || type.kind === 'multiset') {
+      if (!Array.isArray(value)) {
+        throw mismatch(type.kind === 'array' ? 'array' : 'multiset');
+      }
+      value.forEach((item, index) => this._checkValue(item, type.item, dataverse, `${path}[${index}]`));
+      return;
+    }
+
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      throw mismatch('object');
+    }
+    const declared = new Set();
+    for (const field of type.fields) {
+      declared.add(field.name);
+      const fieldPath = path ? `${path}.${field.name}` : field.name;
+      const fieldValue = value[field.name];
+      if (fieldValue === undefined || fieldValue === null) {
+        if (!field.optional) {
+          throw queryError('ASX0002', `Type mismatch: field "${fieldPath}" is not optional`);
+        }
+        continue;
+      }
+      this._checkValue(fieldValue, field.type, dataverse, fieldPath);
+    }
+    if (!type.open) {
+      const extra = Object.keys(value).find(name => !declared.has(name));
+      if (extra) {
+        throw queryError('ASX0002', `Type mismatch: field "${path ? `${path}.` : ''}${extra}" is not declared by the closed type`);
+      }
+    }
+  }
+
+  // ---- Queries ----
+
+  /**
+   * Evaluates a query.
+   *
+   * @private
+   * @param {Object} query - A SELECT block or UNION ALL
+   * @param {Object} scope - The enclosing scope
+   * @param {Object} ctx - Execution state
+   * @returns {Array}
+   */
+  _query(query, scope, ctx) {
+    if (query.type === 'union') {
+      return [...this._query(query.left, scope, ctx), ...this._query(query.right, scope, ctx)];
+    }
+
+    let rows = [MemoryEngine._scope(scope)];
+    for (const term of query.from) {
+      rows = rows.flatMap(row => this._fromTerm(term, row, ctx));
+    }
+    for (const { name, expr } of query.lets) {
+      rows.forEach(row => row.vars.set(name, this._eval(expr, row, ctx)));
+    }
+    if (query.where) {
+      rows = rows.filter(row => this._eval(query.where, row, ctx) === true);
+    }
+
+    const expressions = [
+      query.value,
+      ...query.projections.map(projection => projection.expr || projection.spread),
+      query.having,
+      ...query.orderBy.map(order => order.expr),
+    ];
+    if (query.groupBy.length > 0 || expressions.some(expr => MemoryEngine._hasAggregate(expr))) {
+      rows = this._group(query, rows, scope, ctx);
+    }
+
+    let output = rows.map(row => ({ row, value: this._project(query, row, ctx) }));
+
+    if (query.orderBy.length > 0) {
+      const keyed = output.map(entry => {
+        // ORDER BY can also refer to the aliases of the SELECT list.
+        const orderScope = MemoryEngine._scope(entry.row);
+        if (query.value === null && entry.value && typeof entry.value === 'object') {
+          Object.entries(entry.value).forEach(([name, value]) => orderScope.vars.set(name, value));
+        }
+        return { ...entry, keys: query.orderBy.map(order => this._eval(order.expr, orderScope, ctx)) };
+      });
+      keyed.sort((a, b) => {
+        for (let i = 0; i < query.orderBy.length; i++) {
+          const order = MemoryEngine._compare(a.keys[i], b.keys[i]);
+          if (order !== 0) {
+            return query.orderBy[i].desc ? -order : order;
+          }
+        }
+        return 0;
+      });
+      output = keyed;
+    }
+
+    let values = output.map(entry => entry.value);
+    if (query.distinct) {
+      const seen = new Set();
+      values = values.filter(value => {
+        const key = MemoryEngine._canonical(value);
+        return seen.has(key) ? false : seen.add(key);
+      });
+    }
+    const offset = query.offset ? Number(this._eval(query.offset, scope || MemoryEngine._scope(null), ctx)) : 0;
+    const limit = query.limit ? Number(this._eval(query.limit, scope || MemoryEngine._scope(null), ctx)) : Infinity;
+    return values.slice(offset, offset + limit).filter(value => value !== undefined || query.value === null);
+  }
+
+  /**
+   * Expands a FROM term (with its joins and unnests) for one input row.
+   *
+   * @private
+   * @param {Object} term - The FROM term
+   * @param {Object} row - The input row
+   * @param {Object} ctx - Execution state
+   * @returns {Array<Object>} - The output rows
+   */
+  _fromTerm(term, row, ctx) {
+    let rows = this._source(term.expr, row, ctx).map(item => MemoryEngine._bind(row, term.alias, item));
+
+    for (const join of term.joins) {
+      rows = rows.flatMap(left => {
+        const items = join.unnest
+          ? MemoryEngine._collection(this._eval(join.expr, left, ctx))
+          : this._source(join.expr, left, ctx);
+        const matches = items
+          .map(item => MemoryEngine._bind(left, join.alias, item))
+          .filter(candidate => join.unnest || this._eval(join.on, candidate, ctx) === true);
+        if (matches.length === 0 && join.kind === 'LEFT') {
+          return [MemoryEngine._bind(left, join.alias, undefined)];
+        }
+        return matches;
+      });
+    }
+    return rows;
+  }
+
+  /**
+   * Evaluates the source of a FROM term or join: names that are not variables refer to datasets.
+   *
+   * @private
+   * @param {Object} expr - The source expression
+   * @param {Object} scope - The current scope
+   * @param {Object} ctx - Execution state
+   * @returns {Array}
+   */
+  _source(expr, scope, ctx) {
+    if (expr.type === 'ident' && !MemoryEngine._isBound(scope, expr.name)) {
+      return this._scan(ctx.dataverse, expr.name, ctx);
+    }
+    if (expr.type === 'field' && expr.target.type === 'ident' && !MemoryEngine._isBound(scope, expr.target.name)) {
+      return this._scan(expr.target.name, expr.name, ctx);
+    }
+    return MemoryEngine._collection(this._eval(expr, scope, ctx));
+  }
+
+  /**
+   * Returns the records of a dataset or metadata dataset.
+   *
+   * @private
+   * @param {string} dataverseName - The dataverse
+   * @param {string} name - The dataset
+   * @param {Object} ctx - Execution state
+   * @returns {Array<Object>}
+   */
+  _scan(dataverseName, name, ctx) {
+    const records = dataverseName === METADATA
+      ? this._metadata(name)
+      : this._sortedRecords(this._dataset(dataverseName, name));
+    ctx.processedObjects += records.length;
+    return records;
+  }
+
+  /**
+   * Returns the records of a dataset, in primary key order.
+   *
+   * @private
+   * @param {Object} dataset - The dataset
+   * @returns {Array<Object>}
+   */
+  _sortedRecords(dataset) {
+    return [...dataset.records.entries()]
+      .sort((a, b) => MemoryEngine._compare(Int64Json.parse(a[0], 'bigint'), Int64Json.parse(b[0], 'bigint')))
+      .map(entry => entry[1]);
+  }
+
+  /**
+   * Groups rows for GROUP BY or aggregates. Without GROUP BY all rows form one group.
+   *
+   * @private
+   * @param {Object} query - The SELECT block
+   * @param {Array<Object>} rows - The input rows
+   * @param {Object} scope - The enclosing scope
+   * @param {Object} ctx - Execution state
+   * @returns {Array<Object>} - One scope per group
+   */
+  _group(query, rows, scope, ctx) {
+    const groups = new Map();
+    if (query.groupBy.length === 0) {
+      groups.set('', { keys: [], rows });
+    }
+    for (const row of query.groupBy.length > 0 ? rows : []) {
+      const keys = query.groupBy.map(group => this._eval(group.expr, row, ctx));
+      const id = MemoryEngine._canonical(keys);
+      if (!groups.has(id)) {
+        groups.set(id, { keys, rows: [] });
+      }
+      groups.get(id).rows.push(row);
+    }
+
+    const result = [];
+    for (const group of groups.values()) {
+      // Grouping expressions have the same value in every row, so they resolve against the first one.
+      const groupScope = MemoryEngine._scope(group.rows[0] || MemoryEngine._scope(scope));
+      groupScope.group = group.rows;
+      query.groupBy.forEach((entry, index) => {
+        if (entry.alias) {
+          groupScope.vars.set(entry.alias, group.keys[index]);
+        }
+      });
+      if (!query.having || this._eval(query.having, groupScope, ctx) === true) {
+        result.push(groupScope);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Builds the output of one row.
+   *
+   * @private
+   * @param {Object} query - The SELECT block
+   * @param {Object} row - The row scope
+   * @param {Object} ctx - Execution state
+   * @returns {*}
+   */
+  _project(query, row, ctx) {
+    if (query.value) {
+      return this._eval(query.value, row, ctx);
+    }
+
+    const output = {};
+    if (query.star) {
+      for (let scope = row; scope; scope = scope.parent) {
+        if (scope.fromVars.length > 0) {
+          scope.fromVars.forEach(name => {
+            if (scope.vars.get(name) !== undefined) output[name] = scope.vars.get(name);
+          });
+          break;
+        }
+      }
+      return output;
+    }
+
+    query.projections.forEach((projection, index) => {
+      if (projection.spread) {
+        const value = this._eval(projection.spread, row, ctx);
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+          Object.assign(output, value);
+        }
+        return;
+      }
+      const value = this._eval(projection.expr, row, ctx);
+      if (value !== undefined) {
+        output[projection.alias || `$${index + 1}`] = value;
+      }
+    });
+    return output;
+  }
+
+  // ---- Expressions ----
+
+  /**
+   * Evaluates an expression. MISSING is represented by `undefined`.
+   *
+   * @private
+   * @param {Object} expr - The expression
+   * @param {Object} scope - The current scope
+   * @param {Object} ctx - Execution state
+   * @returns {*}
+   */
+  _eval(expr, scope, ctx) {
+    switch (expr.type) {
+      case 'literal':
+        return expr.value;
+      case 'param':
+        return this._parameter(expr.name, ctx);
+      case 'ident':
+        return this._resolve(expr.name, scope);
+      case 'field': {
+        const target = this._eval(expr.target, scope, ctx);
+        if (target === null) return null;
+        return target && typeof target === 'object' && !Array.isArray(target) &&
+          Object.prototype.hasOwnProperty.call(target, expr.name) ? target[expr.name] : undefined;
+      }
+      case 'index': {
+        const target = this._eval(expr.target, scope, ctx);
+        const index = this._eval(expr.index, scope, ctx);
+        if (target === null || index === null) return null;
+        return Array.isArray(target) && Number.isInteger(index) ? target[index] : undefined;
+      }
+      case 'object': {
+        const output = {};
+        for (const field of expr.fields) {
+          const key = this._eval(field.key, scope, ctx);
+          if (typeof key !== 'string') {
+            throw queryError('ASX0002', `Type mismatch: field names must be strings, got ${MemoryEngine._typeOf(key)}`);
+          }
+          const value = this._eval(field.value, scope, ctx);
+          if (value !== undefined) output[key] = value;
+        }
+        return output;
+      }
+      case 'array':
+        return expr.items.map(item => {
+          const value = this._eval(item, scope, ctx);
+          return value === undefined ? null : value;
+        });
+      case 'subquery':
+        return this._query(expr.query, scope, ctx);
+      case 'unary':
+        return this._unary(expr, scope, ctx);
+      case 'binary':
+        return this._binary(expr, scope, ctx);
+      case 'between': {
+        const value = this._eval(expr.operand, scope, ctx);
+        const low = MemoryEngine._compareValues('>=', value, this._eval(expr.low, scope, ctx));
+        const high = MemoryEngine._compareValues('<=', value, this._eval(expr.high, scope, ctx));
+        const result = MemoryEngine._and(low, high);
+        return expr.not ? MemoryEngine._not(result) : result;
+      }
+      case 'is': {
+        const value = this._eval(expr.operand, scope, ctx);
+        const result = {
+          NULL: value === null,
+          MISSING: value === undefined,
+          UNKNOWN: value === null || value === undefined,
+          VALUED: value !== null && value !== undefined,
+          KNOWN: value !== null && value !== undefined,
+        }[expr.what];
+        return expr.not ? !result : result;
+      }
+      case 'case': {
+        const operand = expr.operand ? this._eval(expr.operand, scope, ctx) : undefined;
+        for (const { when, then } of expr.whens) {
+          const matched = expr.operand
+            ? MemoryEngine._equals(operand, this._eval(when, scope, ctx)) === true
+            : this._eval(when, scope, ctx) === true;
+          if (matched) {
+            return this._eval(then, scope, ctx);
+          }
+        }
+        return expr.otherwise ? this._eval(expr.otherwise, scope, ctx) : null;
+      }
+      case 'quantified':
+        return this._quantified(expr, scope, ctx);
+      case 'call':
+        return this._call(expr, scope, ctx);
+      default:
+        throw queryError('ASX1079', `Compilation error: Unsupported expression ${expr.type}`);
+    }
+  }
+
+  /**
+   * Returns the value of a statement parameter.
+   *
+   * @private
+   * @param {string} name - `$1` or `$name`
+   * @param {Object} ctx - Execution state
+   * @returns {*}
+   */
+  _parameter(name, ctx) {
+    if (/^\$\d+$/.test(name)) {
+      const index = Number(name.slice(1)) - 1;
+      if (index < ctx.args.length) return ctx.args[index];
+    } else if (Object.prototype.hasOwnProperty.call(ctx.params, name)) {
+      return ctx.params[name];
+    } else if (Object.prototype.hasOwnProperty.call(ctx.params, name.slice(1))) {
+      return ctx.params[name.slice(1)];
+    }
+    throw queryError('ASX1086', `No value for parameter: ${name}`);
+  }
+
+  /**
+   * Resolves a name: a variable, or else a field of the only FROM variable in scope.
+   *
+   * @private
+   * @param {string} name - The name
+   * @param {Object} scope - The current scope
+   * @returns {*}
+   */
+  _resolve(name, scope) {
+    for (let current = scope; current; current = current.parent) {
+      if (current.vars.has(name)) {
+        return current.vars.get(name);
+      }
+    }
+    for (let current = scope; current; current = current.parent) {
+      if (current.fromVars.length === 1) {
+        const record = current.vars.get(current.fromVars[0]);
+        return record && typeof record === 'object' && !Array.isArray(record) ? record[name] : undefined;
+      }
+      if (current.fromVars.length > 1) {
+        break;
+      }
+    }
+    throw queryError('ASX1073', `Cannot resolve alias reference for undefined identifier ${name}`);
+  }
+
+  /** @private */
+  _unary(expr, scope, ctx) {
+    const value = this._eval(expr.operand, scope, ctx);
+    switch (expr.op) {
+      case 'NOT':
+        return MemoryEngine._not(MemoryEngine._logical(value));
+      case '-':
+        if (value === undefined || value === null) return value;
+        if (typeof value === 'bigint') return exact(-value);
+        return typeof value === 'number' ? -value : null;
+      case 'EXISTS':
+        return Array.isArray(value) ? value.length > 0 : false;
+      default:
+        throw queryError('ASX1079', `Compilation error: Unsupported operator ${expr.op}`);
+    }
+  }
+
+  /** @private */
+  _binary(expr, scope, ctx) {
+    if (expr.op === 'AND' || expr.op === 'OR') {
+      const left = MemoryEngine._logical(this._eval(expr.left, scope, ctx));
+      // Short-circuit as the query service does.
+      if ((expr.op === 'AND' && left === false) || (expr.op === 'OR' && left === true)) {
+        return left;
+      }
+      const right = MemoryEngine._logical(this._eval(expr.right, scope, ctx));
+      return expr.op === 'AND' ? MemoryEngine._and(left, right) : MemoryEngine._or(left, right);
+    }
+
+    const left = this._eval(expr.left, scope, ctx);
+    const right = this._eval(expr.right, scope, ctx);
+    switch (expr.op) {
+      case '=':
+        return MemoryEngine._equals(left, right);
+      case '!=':
+        return MemoryEngine._not(MemoryEngine._equals(left, right));
+      case '<':
+      case '<=':
+      case '>':
+      case '>=':
+        return MemoryEngine._compareValues(expr.op, left, right);
+      case 'IN':
+      case 'NOT IN': {
+        if (left === undefined || right === undefined) return undefined;
+        if (left === null || right === null) return null;
+        if (!Array.isArray(right)) return null;
+        const found = right.some(item => MemoryEngine._equals(left, item) === true);
+        return expr.op === 'IN' ? found : !found;
+      }
+      case 'LIKE':
+      case 'NOT LIKE': {
+        if (left === undefined || right === undefined) return undefined;
+        if (typeof left !== 'string' || typeof right !== 'string') return null;
+        const matched = MemoryEngine._likePattern(right).test(left);
+        return expr.op === 'LIKE' ? matched : !matched;
+      }
+      case '~=':
+        return MemoryEngine._similar(left, right, ctx.settings);
+      case '||':
+        if (left === undefined || right === undefined) return undefined;
+        return typeof left === 'string' && typeof right === 'string' ? left + right : null;
+      default:
+        if (left === undefined || right === undefined) return undefined;
+        return MemoryEngine._arithmetic(expr.op, left, right);
+    }
+  }
+
+  /**
+   * Applies an arithmetic operator. Integer operations involving int64 values beyond 2^53
+   * are exact; `/` and double operands give doubles.
+   *
+   * @private
+   * @param {string} op - '+', '-', '*', '/', 'DIV' or '%'
+   * @param {*} left - The left operand
+   * @param {*} right - The right operand
+   * @returns {number|bigint|null}
+   */
+  static _arithmetic(op, left, right) {
+    if (!isNumeric(left) || !isNumeric(right)) return null;
+    if ((typeof left === 'bigint' || typeof right === 'bigint') && op !== '/' &&
+      Number.isInteger(Number(left)) && Number.isInteger(Number(right))) {
+      const [a, b] = [BigInt(left), BigInt(right)];
+      switch (op) {
+        case '+': return exact(a + b);
+        case '-': return exact(a - b);
+        case '*': return exact(a * b);
+        case 'DIV': return b === 0n ? null : exact(a / b);
+        case '%': return b === 0n ? null : exact(a % b);
+        default:
+          throw queryError('ASX1079', `Compilation error: Unsupported operator ${op}`);
+      }
+    }
+    const [a, b] = [Number(left), Number(right)];
+    switch (op) {
+      case '+': return a + b;
+      case '-': return a - b;
+      case '*': return a * b;
+      case '/': return b === 0 ? null : a / b;
+      case 'DIV': return b === 0 ? null : Math.trunc(a / b);
+      case '%': return b === 0 ? null : a % b;
+      default:
+        throw queryError('ASX1079', `Compilation error: Unsupported operator ${op}`);
+    }
+  }
+
+
+  /**
+   * Evaluates `left ~= right` with the similarity function and threshold set by the statement:
+   * `edit-distance` matches within that many edits, `jaccard` (the default, threshold 0.8)
+   * matches lists whose Jaccard similarity reaches the threshold.
+   *
+   * @private
+   * @param {*} left - Left operand
+   * @param {*} right - Right operand
+   * @param {Object} settings - The statement's SET values
+   * @returns {boolean|null|undefined}
+   */
+  static _similar(left, right, settings) {
+    if (left === undefined || right === undefined) return undefined;
+    if (left === null || right === null) return null;
+    const func = (settings.simfunction || 'jaccard').toLowerCase();
+    const threshold = Number(settings.simthreshold === undefined ? 0.8 : settings.simthreshold);
+    if (func === 'edit-distance') {
+      if (!Number.isInteger(threshold) || threshold < 0) {
+        throw queryError('ASX1079', `Compilation error: invalid edit-distance simthreshold "${settings.simthreshold}"`);
+      }
+      const distance = editDistance(left, right);
+      return distance === null ? null : distance <= threshold;
+    }
+    if (func === 'jaccard') {
+      if (Number.isNaN(threshold)) {
+        throw queryError('ASX1079', `Compilation error: invalid jaccard simthreshold "${settings.simthreshold}"`);
+      }
+      const similarity = jaccard(left, right);
+      return similarity === null ? null : similarity >= threshold;
+    }
+    throw queryError('ASX1079', `Compilation error: unknown simfunction "${func}"`);
+  }
+  /**
+   * Evaluates SOME ... SATISFIES or EVERY ... SATISFIES.
+   *
+   * @private
+   * @param {Object} expr - The expression
+   * @param {Object} scope - The current scope
+   * @param {Object} ctx - Execution state
+   * @returns {boolean}
+   */
+  _quantified(expr, scope, ctx) {
+    const every = expr.quantifier === 'EVERY';
+    const visit = (index, current) => {
+      if (index === expr.bindings.length) {
+        return this._eval(expr.satisfies, current, ctx) === true;
+      }
+      const { name, expr: source } = expr.bindings[index];
+      const items = MemoryEngine._collection(this._eval(source, current, ctx));
+      const check = item => {
+        const next = MemoryEngine._scope(current);
+        next.vars.set(name, item);
+        return visit(index + 1, next);
+      };
+      return every ? items.every(check) : items.some(check);
+    };
+    return visit(0, scope);
+  }
+
+  /**
+   * Evaluates a function call; aggregates run over the rows of the enclosing group.
+   *
+   * @private
+   * @param {Object} expr - The call
+   * @param {Object} scope - The current scope
+   * @param {Object} ctx - Execution state
+   * @returns {*}
+   */
+  _call(expr, scope, ctx) {
+    if (AGGREGATES.includes(expr.name)) {
+      let groupScope = scope;
+      while (groupScope && !groupScope.group) {
+        groupScope = groupScope.parent;
+      }
+      if (groupScope) {
+        let values = expr.star
+          ? groupScope.group.map(() => true)
+          : groupScope.group.map(row => this._eval(expr.args[0], row, ctx));
+        if (expr.distinct) {
+          const seen = new Set();
+          values = values.filter(value => {
+            const key = MemoryEngine._canonical(value);
+            return seen.has(key) ? false : seen.add(key);
+          });
+        }
+        return MemoryEngine._aggregate(expr.name, values);
+      }
+      // Outside a query block the aggregate applies to a collection argument, like array_count().
+      const collection = this._eval(expr.args[0], scope, ctx);
+      return Array.isArray(collection) ? MemoryEngine._aggregate(expr.name, collection) : null;
+    }
+
+    const fn = FUNCTIONS[expr.name];
+    if (!fn) {
+      throw queryError('ASX1081', `Cannot find function with name ${expr.name}`);
+    }
+    return fn(...expr.args.map(arg => this._eval(arg, scope, ctx)));
+  }
+
+  // ---- Helpers ----
+
+  /**
+   * Creates a scope.
+   *
+   * @private
+   * @param {Object|null} parent - The enclosing scope
+   * @returns {Object} - `{ vars, fromVars, parent, group }`
+   */
+  static _scope(parent) {
+    return { vars: new Map(), fromVars: [], parent, group: null };
+  }
+
+  /**
+   * Returns a copy of a row scope with one more FROM variable bound.
+   *
+   * @private
+   * @param {Object} row - The row scope
+   * @param {string} name - The variable name
+   * @param {*} value - Its value
+   * @returns {Object}
+   */
+  static _bind(row, name, value) {
+    const next = { vars: new Map(row.vars), fromVars: [...row.fromVars, name], parent: row.parent, group: null };
+    next.vars.set(name, value);
+    return next;
+  }
+
+  /** @private */
+  static _isBound(scope, name) {
+    for (let current = scope; current; current = current.parent) {
+      if (current.vars.has(name)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Turns the value a FROM or UNNEST term ranges over into a list.
+   *
+   * @private
+   * @param {*} value - The value
+   * @returns {Array}
+   */
+  static _collection(value) {
+    if (Array.isArray(value)) return value;
+    if (value === undefined || value === null) return [];
+    throw queryError('ASX0002', `Type mismatch: expected a collection, got ${MemoryEngine._typeOf(value)}`);
+  }
+
+  /**
+   * Returns the path of fields an UPDATE assignment writes to.
+   *
+   * @private
+   * @param {Object} target - An identifier or field access
+   * @param {string} alias - The dataset alias
+   * @returns {Array<string>}
+   */
+  static _targetPath(target, alias) {
+    const path = [];
+    let current = target;
+    while (current.type === 'field') {
+      path.unshift(current.name);
+      current = current.target;
+    }
+    if (current.type !== 'ident') {
+      throw queryError('ASX1079', 'Compilation error: UPDATE can only SET fields');
+    }
+    if (current.name !== alias || path.length === 0) {
+      path.unshift(current.name);
+    }
+    return path;
+  }
+
+  /**
+   * Sets (or with MISSING, removes) a nested field.
+   *
+   * @private
+   * @param {Object} record - The record to change
+   * @param {Array<string>} path - The field path
+   * @param {*} value - The new value
+   */
+  static _assign(record, path, value) {
+    let target = record;
+    for (const name of path.slice(0, -1)) {
+      if (!target[name] || typeof target[name] !== 'object' || Array.isArray(target[name])) {
+        target[name] = {};
+      }
+      target = target[name];
+    }
+    const last = path[path.length - 1];
+    if (value === undefined) {
+      delete target[last];
+    } else {
+      target[last] = clone(value);
+    }
+  }
+
+  /** @private */
+  static _hasAggregate(expr) {
+    if (!expr || typeof expr !== 'object') return false;
+    if (expr.type === 'subquery') return false;
+    if (expr.type === 'call' && AGGREGATES.includes(expr.name)) return true;
+    return Object.values(expr).some(value => (Array.isArray(value)
+      ? value.some(item => MemoryEngine._hasAggregate(item))
+      : MemoryEngine._hasAggregate(value)));
+  }
+
+  /** @private */
+  static _aggregate(name, values) {
+    if (name === 'array_agg') {
+      return values.map(value => (value === undefined ? null : value));
+    }
+    const known = values.filter(value => value !== undefined && value !== null);
+    switch (name) {
+      case 'count':
+        return known.length;
+      case 'sum':
+        return known.length ? known.reduce((total, value) => MemoryEngine._arithmetic('+', total, value), 0) : null;
+      case 'avg':
+        return known.length ? Number(MemoryEngine._aggregate('sum', known)) / known.length : null;
+      case 'min':
+        return known.length ? known.reduce((a, b) => (MemoryEngine._compare(a, b) <= 0 ? a : b)) : null;
+      case 'max':
+        return known.length ? known.reduce((a, b) => (MemoryEngine._compare(a, b) >= 0 ? a : b)) : null;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Converts a condition result to a logical value: true, false, null or MISSING.
+   *
+   * @private
+   */
+  static _logical(value) {
+    if (value === undefined || value === null || typeof value === 'boolean') return value;
+    return null;
+  }
+
+  /** @private */
+  static _not(value) {
+    return typeof value === 'boolean' ? !value : value;
+  }
+
+  /** @private */
+  static _and(left, right) {
+    if (left === false || right === false) return false;
+    if (left === undefined || right === undefined) return undefined;
+    if (left === null || right === null) return null;
+    return true;
+  }
+
+  /** @private */
+  static _or(left, right) {
+    if (left === true || right === true) return true;
+    if (left === undefined || right === undefined) return undefined;
+    if (left === null || right === null) return null;
+    return false;
+  }
+
+  /**
+   * Compares two values with SQL++ semantics: MISSING and NULL propagate,
+   * values of different types are incomparable (NULL).
+   *
+   * @private
+   */
+  static _equals(left, right) {
+    if (left === undefined || right === undefined) return undefined;
+    if (left === null || right === null) return null;
+    if (MemoryEngine._rank(left) !== MemoryEngine._rank(right)) return null;
+    return MemoryEngine._compare(left, right) === 0;
+  }
+
+  /** @private */
+  static _compareValues(op, left, right) {
+    const equal = MemoryEngine._equals(left, right);
+    if (equal !== true && equal !== false) return equal;
+    const order = MemoryEngine._compare(left, right);
+    return { '<': order < 0, '<=': order <= 0, '>': order > 0, '>=': order >= 0 }[op];
+  }
+
+  /**
+   * Total order used by ORDER BY: MISSING < NULL < booleans < numbers < strings < arrays < objects.
+   *
+   * @private
+   */
+  static _compare(a, b) {
+    const rankA = MemoryEngine._rank(a);
+    const rankB = MemoryEngine._rank(b);
+    if (rankA !== rankB) return rankA - rankB;
+    if (rankA <= 1) return 0;
+    if (rankA === 5) {
+      for (let i = 0; i < Math.min(a.length, b.length); i++) {
+        const order = MemoryEngine._compare(a[i], b[i]);
+        if (order !== 0) return order;
+      }
+      return a.length - b.length;
+    }
+    if (rankA === 6) {
+      const keysA = MemoryEngine._canonical(a);
+      const keysB = MemoryEngine._canonical(b);
+      return keysA < keysB ? -1 : (keysA > keysB ? 1 : 0);
+    }
+    return a < b ? -1 : (a > b ? 1 : 0);
+  }
+
+  /** @private */
+  static _rank(value) {
+    if (value === undefined) return 0;
+    if (value === null) return 1;
+    if (typeof value === 'boolean') return 2;
+    if (isNumeric(value)) return 3;
+    if (typeof value === 'string') return 4;
+    if (Array.isArray(value)) return 5;
+    return 6;
+  }
+
+  /**
+   * Serializes a value with sorted keys, so equal records give equal strings.
+   *
+   * @private
+   */
+  static _canonical(value) {
+    if (value === undefined) return 'missing';
+    if (typeof value === 'bigint') return String(value);
+    if (value === null || typeof value !== 'object') return JSON.stringify(value);
+    if (Array.isArray(value)) return `[${value.map(item => MemoryEngine._canonical(item)).join(',')}]`;
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${MemoryEngine._canonical(value[key])}`).join(',')}}`;
+  }
+
+  /** @private */
+  static _likePattern(pattern) {
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+      const ch = pattern[i];
+      if (ch === '\\' && i + 1 < pattern.length) {
+        source += pattern[++i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      } else if (ch === '%') {
+        source += '[\\s\\S]*';
+      } else if (ch === '_') {
+        source += '[\\s\\S]';
+      } else {
+        source += ch.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      }
+    }
+    return new RegExp(`^${source}$`);
+  }
+
+  /** @private */
+  static _typeOf(value) {
+    if (value === undefined) return 'missing';
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'bigint') return 'bigint';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'bigint' : 'double';
+    return typeof value === 'object' ? 'object' : typeof value;
+  }
+
+  /** @private */
+  static _isBuiltinType(name) {
+    const lower = String(name).toLowerCase();
+    return lower === 'string' || lower === 'boolean' || INTEGER_TYPES.includes(lower) ||
+      FLOAT_TYPES.includes(lower) || LENIENT_TYPES.includes(lower);
+  }
+
+  // ---- Metadata ----
+
+  /**
+   * Generates the records of a metadata dataset from the catalog.
+   *
+   * @private
+   * @param {string} name - 'Dataverse', 'Dataset', 'Datatype', 'Index', ...
+   * @returns {Array<Object>}
+   */
+  _metadata(name) {
+    if (!METADATA_DATASETS.includes(name)) {
+      throw queryError('ASX1077', `Cannot find dataset with name ${name} in dataverse ${METADATA}`);
+    }
+    const dataverses = [...this.dataverses.values()];
+    const timestamp = date => date.toUTCString();
+
+    switch (name) {
+      case 'Dataverse':
+        return dataverses.map(dataverse => ({
+          DataverseName: dataverse.name,
+          DataFormat: 'org.apache.asterix.runtime.formats.NonTaggedDataFormat',
+          Timestamp: timestamp(dataverse.created),
+          PendingOp: 0,
+        }));
+      case 'Dataset':
+        return dataverses.flatMap(dataverse => [...dataverse.datasets.values()].map(dataset => ({
+          DataverseName: dataverse.name,
+          DatasetName: dataset.name,
+          DatatypeDataverseName: dataset.typeDataverse,
+          DatatypeName: dataset.typeName,
+          DatasetType: 'INTERNAL',
+          GroupName: `${dataverse.name}.${dataset.name}`,
+          CompactionPolicy: 'concurrent',
+          CompactionPolicyProperties: [],
+          InternalDetails: {
+            FileStructure: 'BTREE',
+            PartitioningStrategy: 'HASH',
+            PartitioningKey: dataset.primaryKey,
+            PrimaryKey: dataset.primaryKey,
+            Autogenerated: dataset.autogenerated,
+          },
+          Hints: [],
+          Timestamp: timestamp(dataset.created),
+          DatasetId: dataset.id,
+          PendingOp: 0,
+        })));
+      case 'Datatype':
+        return dataverses.flatMap(dataverse => [...dataverse.types.values()].flatMap(type =>
+          MemoryEngine._datatypeRows(dataverse.name, type.name, type.definition, type.anonymous, timestamp(type.created))));
+      case 'Index':
+        return dataverses.flatMap(dataverse => [...dataverse.datasets.values()].flatMap(dataset => [
+          {
+            DataverseName: dataverse.name,
+            DatasetName: dataset.name,
+            IndexName: dataset.name,
+            IndexStructure: 'BTREE',
+            SearchKey: dataset.primaryKey,
+            IsPrimary: true,
+            Timestamp: timestamp(dataset.created),
+            PendingOp: 0,
+          },
+          ...[...dataset.indexes.values()].map(index => ({
+            DataverseName: dataverse.name,
+            DatasetName: dataset.name,
+            IndexName: index.name,
+            IndexStructure: index.structure,
+            SearchKey: index.fields,
+            IsPrimary: false,
+            Timestamp: timestamp(index.created),
+            PendingOp: 0,
+          })),
+        ]));
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Builds the `Metadata.Datatype` records of a type; nested types get anonymous records of their own.
+   *
+   * @private
+   * @param {string} dataverse - The dataverse
+   * @param {string} name - The type name
+   * @param {Object} definition - The type expression
+   * @param {boolean} anonymous - Whether the type was generated
+   * @param {string} timestamp - Creation time
+   * @returns {Array<Object>}
+   */
+  static _datatypeRows(dataverse, name, definition, anonymous, timestamp) {
+    const rows = [];
+    const fieldType = (type, nestedName) => {
+      if (type.kind === 'named') {
+        return type.name;
+      }
+      rows.push(...MemoryEngine._datatypeRows(dataverse, nestedName, type, true, timestamp));
+      return nestedName;
+    };
+
+    let derived;
+    if (definition.kind === 'record') {
+      derived = {
+        Tag: 'RECORD',
+        IsAnonymous: anonymous,
+        Record: {
+          IsOpen: definition.open,
+          Fields: definition.fields.map(field => ({
+            FieldName: field.name,
+            FieldType: fieldType(field.type, `${name}_${field.name}`),
+            IsNullable: field.optional,
+            IsMissable: field.optional,
+          })),
+        },
+      };
+    } else {
+      const key = definition.kind === 'array' ? 'OrderedList' : 'UnorderedList';
+      derived = {
+        Tag: definition.kind === 'array' ? 'ORDEREDLIST' : 'UNORDEREDLIST',
+        IsAnonymous: anonymous,
+        [key]: fieldType(definition.item, `${name}_Item`),
+      };
+    }
+    rows.unshift({ DataverseName: dataverse, DatatypeName: name, Derived: derived, Timestamp: timestamp });
+    return rows;
+  }
+}
+
+/**
+ * Wraps a function so that a MISSING argument gives MISSING and a NULL argument gives NULL.
+ *
+ * @param {Function} fn - The function
+ * @returns {Function}
+ */
+function strict(fn) {
+  return (...args) => {
+    if (args.some(arg => arg === undefined)) return undefined;
+    if (args.some(arg => arg === null)) return null;
+    return fn(...args);
+  };
+}
+
+const string = fn => strict((value, ...rest) => (typeof value === 'string' ? fn(value, ...rest) : null));
+const number = fn => strict((...args) => (args.every(arg => typeof arg === 'number') ? fn(...args) : null));
+const array = fn => strict((value, ...rest) => (Array.isArray(value) ? fn(value, ...rest) : null));
+const temporal = strict(value => (typeof value === 'string' && !Number.isNaN(Date.parse(value)) ? value : null));
+
+/**
+ * `word_tokens(text)`: the lower-cased words of a text.
+ *
+ * @param {string} text - The text
+ * @returns {Array<string>}
+ */
+function wordTokens(text) {
+  return text.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+/**
+ * `edit_distance(a, b)`: the number of insertions, deletions and replacements that turn one
+ * string (by character) or array (by item) into the other.
+ *
+ * @param {*} a - A string or array
+ * @param {*} b - A string or array
+ * @returns {number|null} - Null unless both are strings or both are arrays
+ */
+function editDistance(a, b) {
+  const text = typeof a === 'string' && typeof b === 'string';
+  if (!text && !(Array.isArray(a) && Array.isArray(b))) {
+    return null;
+  }
+  const [x, y] = text ? [[...a], [...b]] : [a, b];
+  let row = Array.from({ length: y.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= x.length; i++) {
+    const next = [i];
+    for (let j = 1; j <= y.length; j++) {
+      const same = text ? x[i - 1] === y[j - 1] : MemoryEngine._equals(x[i - 1], y[j - 1]) === true;
+      next[j] = Math.min(row[j] + 1, next[j - 1] + 1, row[j - 1] + (same ? 0 : 1));
+    }
+    row = next;
+  }
+  return row[y.length];
+}
+
+/**
+ * `similarity_jaccard(a, b)`: the size of the intersection of two arrays, taken as sets,
+ * over the size of their union.
+ *
+ * @param {*} a - An array
+ * @param {*} b - An array
+ * @returns {number|null} - Null unless both are arrays
+ */
+function jaccard(a, b) {
+  if (!Array.isArray(a) || !Array.isArray(b)) {
+    return null;
+  }
+  const [x, y] = [a, b].map(list => new Set(list.map(item => MemoryEngine._canonical(item))));
+  const common = [...x].filter(item => y.has(item)).length;
+  const union = x.size + y.size - common;
+  return union === 0 ? 0 : common / union;
+}
+
+/**
+ * `ftcontains(text, terms, { mode })`: whether a text contains any (the default) or all of the
+ * search terms, compared as case-insensitive words.
+ *
+ * @param {*} text - The text searched
+ * @param {string|Array<string>} terms - A search string or a list of terms
+ * @param {Object} [options] - `{ mode: 'any' | 'all' }`
+ * @returns {boolean|null}
+ */
+function ftcontains(text, terms, options = {}) {
+  if (typeof text !== 'string') {
+    return null;
+  }
+  const words = new Set(wordTokens(text));
+  const wanted = [].concat(terms).flatMap(term => wordTokens(String(term)));
+  const mode = String((options && options.mode) || 'any').toLowerCase();
+  if (!['any', 'all'].includes(mode)) {
+    throw queryError('ASX1079', `Compilation error: unknown ftcontains mode "${mode}"`);
+  }
+  return mode === 'all' ? wanted.every(term => words.has(term)) : wanted.some(term => words.has(term));
+}
+
+// Number of points each spatial type is given by (a polygon needs at least three).
+const SPATIAL_POINTS = { point: 1, line: 2, rectangle: 2, circle: 1, polygon: 3 };
+
+/**
+ * Builds a spatial value from the string given to its constructor (`point("1,2")`, `circle("0,0 5")`, ...).
+ * Values are kept in the form the query service returns them in: `{ "point": [1, 2] }`,
+ * `{ "line": [{ "point": [...] }, { "point": [...] }] }`, `{ "circle": [{ "point": [...] }, 5] }`, ...
+ *
+ * @param {string} kind - 'point', 'line', 'rectangle', 'circle' or 'polygon'
+ * @param {string} text - The constructor's argument
+ * @returns {Object}
+ */
+function spatial(kind, text) {
+  const parts = text.trim().split(/\s+/);
+  const radius = kind === 'circle' ? Number(parts.pop()) : null;
+  const points = parts.map(part => part.split(',').map(Number));
+  const count = SPATIAL_POINTS[kind];
+  if ((kind === 'polygon' ? points.length < count : points.length !== count) ||
+      points.some(point => point.length !== 2 || !point.every(Number.isFinite)) ||
+      (kind === 'circle' && !Number.isFinite(radius))) {
+    throw queryError('ASX0002', `Type mismatch: invalid ${kind} "${text}"`);
+  }
+  if (kind === 'point') {
+    return { point: points[0] };
+  }
+  const wrapped = points.map(point => ({ point }));
+  return { [kind]: kind === 'circle' ? [wrapped[0], radius] : wrapped };
+}
+
+/**
+ * Reads a spatial value built by spatial().
+ *
+ * @param {*} value - The value
+ * @returns {{kind: string, points: Array<{x: number, y: number}>, radius: (number|null)}|null} - null if
+ *   the value is not a spatial value
+ */
+function readShape(value) {
+  const kind = value && typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 1
+    ? Object.keys(value)[0]
+    : null;
+  if (!SPATIAL_POINTS[kind] || !Array.isArray(value[kind])) {
+    return null;
+  }
+  const toXY = item => (item && Array.isArray(item.point) ? { x: item.point[0], y: item.point[1] } : null);
+  const items = value[kind];
+  const points = kind === 'point' ? [toXY(value)] : (kind === 'circle' ? [items[0]] : items).map(toXY);
+  if (points.includes(null)) {
+    return null;
+  }
+  return { kind, points, radius: kind === 'circle' ? items[1] : null };
+}
+
+/**
+ * Whether a point lies in or on a shape (or equals another point).
+ *
+ * @param {{x: number, y: number}} p - The point
+ * @param {Object} shape - A shape from readShape()
+ * @returns {boolean}
+ */
+function pointIntersects(p, shape) {
+  const [a, b] = shape.points;
+  switch (shape.kind) {
+    case 'point':
+      return p.x === a.x && p.y === a.y;
+    case 'rectangle':
+      return p.x >= Math.min(a.x, b.x) && p.x <= Math.max(a.x, b.x) && p.y >= Math.min(a.y, b.y) && p.y <= Math.max(a.y, b.y);
+    case 'circle':
+      return Math.hypot(p.x - a.x, p.y - a.y) <= shape.radius;
+    case 'line': {
+      const cross = (b.x - a.x) * (p.y - a.y) - (b.y - a.y) * (p.x - a.x);
+      return Math.abs(cross) < 1e-9 && p.x >= Math.min(a.x, b.x) && p.x <= Math.max(a.x, b.x) &&
+        p.y >= Math.min(a.y, b.y) && p.y <= Math.max(a.y, b.y);
+    }
+    default: {
+      // Ray casting; points on an edge count as inside.
+      let inside = false;
+      const ring = shape.points;
+      for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [u, v] = [ring[i], ring[j]];
+        if (pointIntersects(p, { kind: 'line', points: [u, v] })) return true;
+        if ((u.y > p.y) !== (v.y > p.y) && p.x < ((v.x - u.x) * (p.y - u.y)) / (v.y - u.y) + u.x) {
+          inside = !inside;
+        }
+      }
+      return inside;
+    }
+  }
+}
+
+/**
+ * `spatial_intersect` for a point and another value. Two shapes are not supported by the mock.
+ *
+ * @param {*} left - A point or shape
+ * @param {*} right - A point or shape
+ * @returns {boolean|null}
+ */
+function spatialIntersect(left, right) {
+  const [a, b] = [left, right].map(readShape);
+  if (a === null || b === null) {
+    return null;
+  }
+  if (a.kind !== 'point' && b.kind !== 'point') {
+    throw queryError('ASX1079', 'Compilation error: the mock engine only intersects points with shapes');
+  }
+  return a.kind === 'point' ? pointIntersects(a.points[0], b) : pointIntersects(b.points[0], a);
+}
+
+// Built-in functions, by lower-case name.
+const FUNCTIONS = {
+  lower: string(value => value.toLowerCase()),
+  lowercase: string(value => value.toLowerCase()),
+  upper: string(value => value.toUpperCase()),
+  uppercase: string(value => value.toUpperCase()),
+  length: string(value => [...value].length),
+  contains: string((value, part) => value.includes(part)),
+  starts_with: string((value, prefix) => value.startsWith(prefix)),
+  ends_with: string((value, suffix) => value.endsWith(suffix)),
+  substr: string((value, start, length) => (length === undefined ? value.substr(start) : value.substr(start, length))),
+  trim: string(value => value.trim()),
+  ltrim: string(value => value.trimStart()),
+  rtrim: string(value => value.trimEnd()),
+  replace: string((value, search, replacement) => value.split(search).join(replacement)),
+  split: string((value, separator) => value.split(separator)),
+  regexp_contains: string((value, pattern) => new RegExp(pattern).test(value)),
+  concat: strict((...values) => (values.every(value => typeof value === 'string') ? values.join('') : null)),
+  to_string: strict(value => (typeof value === 'object' ? Int64Json.stringify(value) : String(value))),
+  to_number: strict(value => {
+    const result = typeof value === 'boolean' ? Number(value) : Number(value);
+    return Number.isNaN(result) ? null : result;
+  }),
+  to_bigint: strict(value => {
+    if (typeof value === 'bigint') return value;
+    if (typeof value === 'string' && /^-?\d+$/.test(value.trim())) return exact(BigInt(value.trim()));
+    const result = Math.trunc(Number(value));
+    return Number.isNaN(result) ? null : result;
+  }),
+  to_double: strict(value => {
+    const result = Number(value);
+    return Number.isNaN(result) ? null : result;
+  }),
+  to_boolean: strict(value => Boolean(value)),
+  abs: number(Math.abs),
+  ceil: number(Math.ceil),
+  floor: number(Math.floor),
+  sqrt: number(Math.sqrt),
+  power: number(Math.pow),
+  round: number((value, digits = 0) => Math.round(value * Math.pow(10, digits)) / Math.pow(10, digits)),
+  len: array(value => value.length),
+  array_count: array(value => value.filter(item => item !== undefined && item !== null).length),
+  array_sum: array(value => MemoryEngine._aggregate('sum', value)),
+  array_avg: array(value => MemoryEngine._aggregate('avg', value)),
+  array_min: array(value => MemoryEngine._aggregate('min', value)),
+  array_max: array(value => MemoryEngine._aggregate('max', value)),
+  array_contains: array((value, item) => value.some(entry => MemoryEngine._equals(entry, item) === true)),
+  array_position: array((value, item) => value.findIndex(entry => MemoryEngine._equals(entry, item) === true)),
+  array_distinct: array(value => {
+    const seen = new Set();
+    return value.filter(item => {
+      const key = MemoryEngine._canonical(item);
+      return seen.has(key) ? false : seen.add(key);
+    });
+  }),
+  array_reverse: array(value => [...value].reverse()),
+  array_sort: array(value => [...value].sort(MemoryEngine._compare)),
+  array_append: array((value, ...items) => [...value, ...items]),
+  array_concat: strict((...values) => (values.every(Array.isArray) ? [].concat(...values) : null)),
+  is_null: value => value === null,
+  is_missing: value => value === undefined,
+  is_unknown: value => value === null || value === undefined,
+  is_string: strict(value => typeof value === 'string'),
+  is_number: strict(value => isNumeric(value)),
+  is_boolean: strict(value => typeof value === 'boolean'),
+  is_array: strict(value => Array.isArray(value)),
+  is_object: strict(value => typeof value === 'object' && !Array.isArray(value)),
+  coalesce: (...values) => values.find(value => value !== undefined && value !== null) ?? null,
+  if_missing: (...values) => values.find(value => value !== undefined) ?? null,
+  if_null: (...values) => values.find(value => value !== null) ?? null,
+  if_missing_or_null: (...values) => values.find(value => value !== undefined && value !== null) ?? null,
+  object_names: strict(value => (typeof value === 'object' && !Array.isArray(value) ? Object.keys(value) : null)),
+  object_values: strict(value => (typeof value === 'object' && !Array.isArray(value) ? Object.values(value) : null)),
+  object_remove: strict((value, name) => {
+    if (typeof value !== 'object' || Array.isArray(value)) return null;
+    const { [name]: removed, ...rest } = value;
+    return rest;
+  }),
+  object_put: strict((value, name, fieldValue) => (typeof value === 'object' && !Array.isArray(value)
+    ? { ...value, [name]: fieldValue }
+    : null)),
+  datetime: temporal,
+  date: temporal,
+  time: strict(value => (typeof value === 'string' ? value : null)),
+  current_datetime: () => new Date().toISOString(),
+  current_date: () => new Date().toISOString().slice(0, 10),
+  uuid: (...args) => (args.length > 0 ? string(value => value.toLowerCase())(...args) : crypto.randomUUID()),
+  // Other ADM constructors keep the string form they were given.
+  duration: string(value => value),
+  year_month_duration: string(value => value),
+  day_time_duration: string(value => value),
+  interval: strict((start, end) => ({ start, end })),
+  point: string(value => spatial('point', value)),
+  line: string(value => spatial('line', value)),
+  rectangle: string(value => spatial('rectangle', value)),
+  circle: string(value => spatial('circle', value)),
+  polygon: string(value => spatial('polygon', value)),
+  hex: string(value => value.toUpperCase()),
+  ftcontains: strict(ftcontains),
+  word_tokens: string(wordTokens),
+  edit_distance: strict(editDistance),
+  edit_distance_check: strict((a, b, threshold) => {
+    const distance = editDistance(a, b);
+    if (distance === null || typeof threshold !== 'number') return null;
+    return distance <= threshold ? [true, distance] : [false, 0];
+  }),
+  similarity_jaccard: strict(jaccard),
+  similarity_jaccard_check: strict((a, b, threshold) => {
+    const similarity = jaccard(a, b);
+    if (similarity === null || typeof threshold !== 'number') return null;
+    return similarity >= threshold ? [true, similarity] : [false, 0];
+  }),
+  spatial_intersect: strict(spatialIntersect),
+  spatial_distance: strict((left, right) => {
+    const [a, b] = [left, right].map(readShape);
+    if (!a || !b || a.kind !== 'point' || b.kind !== 'point') return null;
+    return Math.hypot(a.points[0].x - b.points[0].x, a.points[0].y - b.points[0].y);
+  }),
+};
+FUNCTIONS.substring = FUNCTIONS.substr;
+FUNCTIONS.array_length = FUNCTIONS.len;
+FUNCTIONS.ifmissing = FUNCTIONS.if_missing;
+FUNCTIONS.ifnull = FUNCTIONS.if_null;
+FUNCTIONS.ifmissingornull = FUNCTIONS.if_missing_or_null;
+FUNCTIONS.ceiling = FUNCTIONS.ceil;
+
+module.exports = MemoryEngine;
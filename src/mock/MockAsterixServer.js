@@ -0,0 +1,491 @@
+const { URL, URLSearchParams } = require('url');
+const MemoryEngine = require('./MemoryEngine');
+const Int64Json = require('../core/Int64Json');
+
+const NODE_ID = 'asterix_nc1';
+
+/**
+ * In-process stand-in for an AsterixDB query service, for tests that should run without
+ * a cluster, a network or Java.
+ *
+ * Serves `/query/service` (GET and POST, in immediate, async and deferred modes), the status
+ * and result handles of async statements, `/admin/cluster`, `/admin/version` and
+ * `/admin/requests/running` (including cancellation). Statements run on a MemoryEngine,
+ * whose SQL++ subset covers what QueryBuilder and AsterixCollection generate as well as the
+ * Metadata queries Validator sends.
+ *
+ * ```
+ * const server = new MockAsterixServer();
+ * const url = await server.start();
+ * server.execute('CREATE DATAVERSE Test; USE Test; CREATE DATASET Users PRIMARY KEY id: int;');
+ *
+ * const client = connect({ astxUrl: url });
+ * await client.db('Test').collection('Users').insertOne({ id: 1, name: 'Ada' });
+ * await client.close();
+ * await server.stop();
+ * ```
+ *
+ * Results are always returned as JSON, whatever format the request asks for.
+ */
+class MockAsterixServer {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.port=0] - Port to listen on (0 picks a free one)
+   * @param {string} [options.host='127.0.0.1'] - Interface to listen on
+   * @param {number} [options.latency=0] - Delay (ms) before answering each query request
+   * @param {number} [options.asyncDelay=0] - How long (ms) async statements stay 'running'
+   * @param {string} [options.version='0.9.9-mock'] - Version reported by `/admin/version`
+   * @param {MemoryEngine} [options.engine] - Engine to run statements on (a new one by default)
+   */
+  constructor(options = {}) {
+    this.options = {
+      port: 0,
+      host: '127.0.0.1',
+      latency: 0,
+      asyncDelay: 0,
+      version: '0.9.9-mock',
+      ...options,
+    };
+    this.engine = options.engine || new MemoryEngine();
+    this.requests = [];
+    this._server = null;
+    this._sockets = null;
+    this._url = null;
+    this._jobs = new Map();
+    this._timers = new Set();
+    this._failures = [];
+    this._nextId = 1;
+  }
+
+  /**
+   * The server's base URL, once started.
+   *
+   * @returns {string|null}
+   */
+  get url() {
+    return this._url;
+  }
+
+  /**
+   * Starts listening.
+   *
+   * @returns {Promise<string>} - The base URL, e.g. 'http://127.0.0.1:41723'
+   */
+  async start() {
+    if (this._server) {
+      return this._url;
+    }
+    // Loaded here so that requiring the package does not pull in the HTTP server.
+    const http = require('http');
+    const server = http.createServer((req, res) => {
+      this._handle(req, res).catch(error => {
+        MockAsterixServer._send(res, 500, { status: 'fatal', errors: [{ code: 1, msg: error.message }] });
+      });
+    });
+    // Kept so that stop() can close idle keep-alive connections on Node.js before 18.2.
+    const sockets = new Set();
+    server.on('connection', socket => {
+      sockets.add(socket);
+      socket.once('close', () => sockets.delete(socket));
+    });
+    this._sockets = sockets;
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(this.options.port, this.options.host, () => {
+        server.removeListener('error', reject);
+        resolve();
+      });
+    });
+    this._server = server;
+    this._url = `http://${this.options.host}:${server.address().port}`;
+    return this._url;
+  }
+
+  /**
+   * Stops the server, closing open connections and dropping pending async statements.
+   *
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this._timers.forEach(timer => clearTimeout(timer));
+    this._timers.clear();
+    this._jobs.clear();
+    if (!this._server) {
+      return;
+    }
+    const server = this._server;
+    this._server = null;
+    this._url = null;
+    const sockets = this._sockets;
+    this._sockets = null;
+    await new Promise(resolve => {
+      server.close(() => resolve());
+      if (typeof server.closeAllConnections === 'function') {
+        server.closeAllConnections();
+      } else {
+        sockets.forEach(socket => socket.destroy());
+      }
+    });
+  }
+
+  /**
+   * Runs statements directly on the engine, e.g. to create and fill datasets before a test.
+   *
+   * @param {string} statement - The SQL++ text
+   * @param {Object} [options] - `args` and `params`, as for MemoryEngine.execute()
+   * @returns {Array} - Results of the last query
+   */
+  execute(statement, options = {}) {
+    return this.engine.execute(statement, options).results;
+  }
+
+  /**
+   * Makes the next query request fail, e.g. to exercise retries. Calls queue up.
+   *
+   * @param {Object} [failure]
+   * @param {number} [failure.status=503] - HTTP status
+   * @param {string} [failure.code='ASX0000'] - Error code
+   * @param {string} [failure.message='Service unavailable'] - Error message
+   * @returns {MockAsterixServer} - This server, for chaining
+   */
+  failNext(failure = {}) {
+    this._failures.push({ status: 503, code: 'ASX0000', message: 'Service unavailable', ...failure });
+    return this;
+  }
+
+  /**
+   * Drops all data, pending async statements, queued failures and the request log.
+   */
+  reset() {
+    this.engine.reset();
+    this._timers.forEach(timer => clearTimeout(timer));
+    this._timers.clear();
+    this._jobs.clear();
+    this._failures = [];
+    this.requests = [];
+  }
+
+  /**
+   * Routes a request.
+   *
+   * @private
+   * @param {http.IncomingMessage} req - The request
+   * @param {http.ServerResponse} res - The response
+   */
+  async _handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const params = { ...MockAsterixServer._decode(url.searchParams) };
+    if (req.method === 'POST') {
+      Object.assign(params, MockAsterixServer._parseBody(await MockAsterixServer._readBody(req), req.headers['content-type']));
+    }
+    this.requests.push({ method: req.method, path: url.pathname, params, headers: req.headers, time: Date.now() });
+
+    const path = url.pathname.replace(/\/+$/, '');
+    if (path === '/query/service' && (req.method === 'GET' || req.method === 'POST')) {
+      await this._sleep(this.options.latency);
+      return this._query(params, req.method === 'GET', res);
+    }
+
+    const handle = path.match(/^\/query\/service\/(status|result)\/(\d+)$/);
+    if (handle && req.method === 'GET') {
+      return handle[1] === 'status' ? this._status(handle[2], res) : this._result(handle[2], res);
+    }
+
+    switch (`${req.method} ${path}`) {
+      case 'GET /admin/cluster':
+        return MockAsterixServer._send(res, 200, this._cluster());
+      case 'GET /admin/version':
+        return MockAsterixServer._send(res, 200, { 'git.build.version': this.options.version });
+      case 'GET /admin/requests/running':
+        return MockAsterixServer._send(res, 200, [...this._jobs.values()]
+          .filter(job => job.state === 'running')
+          .map(job => ({
+            requestId: job.requestID,
+            clientContextID: job.clientContextID,
+            statement: job.statement,
+            state: 'running',
+            requestTime: new Date(job.submitted).toISOString(),
+          })));
+      case 'GET /admin/requests/completed':
+        return MockAsterixServer._send(res, 200, []);
+      case 'DELETE /admin/requests/running':
+        return this._cancel(params.client_context_id, res);
+      default:
+        return MockAsterixServer._send(res, 404, { status: 'fatal', errors: [{ code: 1, msg: `Not found: ${req.method} ${path}` }] });
+    }
+  }
+
+  /**
+   * Answers a `/query/service` request.
+   *
+   * @private
+   * @param {Object} params - The request parameters
+   * @param {boolean} readOnly - Whether the request came as GET
+   * @param {http.ServerResponse} res - The response
+   */
+  _query(params, readOnly, res) {
+    const id = String(this._nextId++);
+    const requestID = `mock-${id}`;
+    const clientContextID = params.client_context_id;
+    const base = clientContextID ? { requestID, clientContextID } : { requestID };
+
+    if (this._failures.length > 0) {
+      const failure = this._failures.shift();
+      return MockAsterixServer._send(res, failure.status, { ...base, ...MockAsterixServer._errorBody(failure.code, failure.message) });
+    }
+    if (typeof params.statement !== 'string' || params.statement.trim() === '') {
+      return MockAsterixServer._send(res, 400, { ...base, ...MockAsterixServer._errorBody('ASX1001', 'Syntax error: No statement provided') });
+    }
+
+    const options = {
+      args: params.args,
+      params: Object.fromEntries(Object.entries(params).filter(([name]) => name.startsWith('$'))),
+      readOnly: readOnly || params.readonly === true || params.readonly === 'true',
+    };
+    const mode = params.mode || 'immediate';
+
+    if (mode === 'async') {
+      const job = { id, requestID, clientContextID, statement: params.statement, state: 'running', submitted: Date.now() };
+      this._jobs.set(id, job);
+      const timer = setTimeout(() => {
+        this._timers.delete(timer);
+        if (job.state === 'running') {
+          Object.assign(job, this._run(params.statement, options));
+        }
+      }, this.options.asyncDelay);
+      this._timers.add(timer);
+      return MockAsterixServer._send(res, 202, { ...base, handle: `/query/service/status/${id}`, status: 'running' });
+    }
+
+    const outcome = this._run(params.statement, options);
+    if (outcome.state === 'failed') {
+      return MockAsterixServer._send(res, outcome.httpStatus, { ...base, ...outcome.body, metrics: outcome.metrics });
+    }
+    if (mode === 'deferred') {
+      this._jobs.set(id, { id, requestID, clientContextID, statement: params.statement, submitted: Date.now(), ...outcome });
+      return MockAsterixServer._send(res, 200, {
+        ...base, handle: `/query/service/result/${id}`, status: 'success', metrics: outcome.metrics,
+      });
+    }
+    return MockAsterixServer._send(res, 200, {
+      ...base,
+      signature: { '*': '*' },
+      results: outcome.results,
+      plans: {},
+      status: 'success',
+      metrics: outcome.metrics,
+    });
+  }
+
+  /**
+   * Runs a statement on the engine.
+   *
+   * @private
+   * @param {string} statement - The SQL++ text
+   * @param {Object} options - Engine options
+   * @returns {Object} - `state` ('success' or 'failed'), with `results` and `metrics`,
+   *   or `httpStatus` and the error `body`
+   */
+  _run(statement, options) {
+    const started = process.hrtime.bigint();
+    const elapsed = () => `${Number(process.hrtime.bigint() - started) / 1e6}ms`;
+    try {
+      const { results, metrics } = this.engine.execute(statement, options);
+      const time = elapsed();
+      return {
+        state: 'success',
+        results,
+        metrics: {
+          elapsedTime: time,
+          executionTime: time,
+          resultCount: metrics.resultCount,
+          resultSize: Buffer.byteLength(Int64Json.stringify(results)),
+          processedObjects: metrics.processedObjects,
+          ...(metrics.mutationCount > 0 ? { mutationCount: metrics.mutationCount } : {}),
+        },
+      };
+    } catch (error) {
+      const time = elapsed();
+      return {
+        state: 'failed',
+        httpStatus: error.httpStatus || 500,
+        body: MockAsterixServer._errorBody(error.code || 'ASX0000', error.code ? error.message.slice(error.code.length + 2) : error.message),
+        metrics: { elapsedTime: time, executionTime: time, resultCount: 0, resultSize: 0, processedObjects: 0, errorCount: 1 },
+      };
+    }
+  }
+
+  /**
+   * Answers a status handle.
+   *
+   * @private
+   * @param {string} id - The statement id
+   * @param {http.ServerResponse} res - The response
+   */
+  _status(id, res) {
+    const job = this._jobs.get(id);
+    if (!job) {
+      return MockAsterixServer._send(res, 404, MockAsterixServer._errorBody('ASX0000', `No statement with handle ${id}`));
+    }
+    const base = { requestID: job.requestID };
+    if (job.state === 'running') {
+      return MockAsterixServer._send(res, 200, { ...base, status: 'running' });
+    }
+    if (job.state === 'failed') {
+      return MockAsterixServer._send(res, 200, { ...base, ...job.body, metrics: job.metrics });
+    }
+    return MockAsterixServer._send(res, 200, {
+      ...base, status: 'success', handle: `/query/service/result/${id}`, metrics: job.metrics,
+    });
+  }
+
+  /**
+   * Answers a result handle. Results can be read once.
+   *
+   * @private
+   * @param {string} id - The statement id
+   * @param {http.ServerResponse} res - The response
+   */
+  _result(id, res) {
+    const job = this._jobs.get(id);
+    if (!job || job.state !== 'success') {
+      return MockAsterixServer._send(res, 404, MockAsterixServer._errorBody('ASX0000', `No results for handle ${id}`));
+    }
+    this._jobs.delete(id);
+    return MockAsterixServer._send(res, 200, job.results);
+  }
+
+  /**
+   * Cancels a running async statement by its client_context_id.
+   *
+   * @private
+   * @param {string} clientContextId - The client_context_id
+   * @param {http.ServerResponse} res - The response
+   */
+  _cancel(clientContextId, res) {
+    const job = [...this._jobs.values()].find(entry => entry.clientContextID === clientContextId && entry.state === 'running');
+    if (!job) {
+      return MockAsterixServer._send(res, 404, MockAsterixServer._errorBody('ASX0000', `No running request with client_context_id ${clientContextId}`));
+    }
+    Object.assign(job, {
+      state: 'failed',
+      body: MockAsterixServer._errorBody('ASX0041', `Request ${job.requestID} has been cancelled`),
+      metrics: { elapsedTime: `${Date.now() - job.submitted}ms`, resultCount: 0, errorCount: 1 },
+    });
+    return MockAsterixServer._send(res, 200, {});
+  }
+
+  /**
+   * Builds the `/admin/cluster` response: one active node.
+   *
+   * @private
+   * @returns {Object}
+   */
+  _cluster() {
+    const nodeUri = `${this._url}/admin/cluster/node/${NODE_ID}`;
+    return {
+      state: 'ACTIVE',
+      metadata_node: NODE_ID,
+      ncs: [{
+        node_id: NODE_ID,
+        state: 'ACTIVE',
+        partitions: [{ partition_id: 'partition_0', active: true }],
+        configUri: `${nodeUri}/config`,
+        statsUri: `${nodeUri}/stats`,
+        threadDumpUri: `${nodeUri}/threaddump`,
+      }],
+    };
+  }
+
+  /**
+   * Waits, keeping track of the timer so stop() can clear it.
+   *
+   * @private
+   * @param {number} ms - Milliseconds to wait
+   * @returns {Promise<void>}
+   */
+  _sleep(ms) {
+    if (!ms) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => {
+      const timer = setTimeout(() => {
+        this._timers.delete(timer);
+        resolve();
+      }, ms);
+      this._timers.add(timer);
+    });
+  }
+
+  /**
+   * Builds an error response body.
+   *
+   * @private
+   * @param {string} code - Error code, e.g. 'ASX1077'
+   * @param {string} message - Error message, without the code
+   * @returns {Object}
+   */
+  static _errorBody(code, message) {
+    return { errors: [{ code: Number(code.replace(/^\D+/, '')) || 1, msg: `${code}: ${message}` }], status: 'fatal' };
+  }
+
+  /**
+   * Decodes query string or form parameters; `args` and `$name` values are JSON-encoded.
+   *
+   * @private
+   * @param {URLSearchParams} searchParams - The parameters
+   * @returns {Object}
+   */
+  static _decode(searchParams) {
+    const params = {};
+    for (const [name, value] of searchParams) {
+      if (name === 'args' || name.startsWith('$')) {
+        try {
+          params[name] = Int64Json.parse(value, 'bigint');
+        } catch (error) {
+          params[name] = value;
+        }
+      } else {
+        params[name] = value;
+      }
+    }
+    return params;
+  }
+
+  /**
+   * Parses a JSON or form-encoded request body.
+   *
+   * @private
+   * @param {string} body - The body
+   * @param {string} [contentType] - The Content-Type header
+   * @returns {Object}
+   */
+  static _parseBody(body, contentType = '') {
+    if (!body) {
+      return {};
+    }
+    if (contentType.includes('application/x-www-form-urlencoded')) {
+      return MockAsterixServer._decode(new URLSearchParams(body));
+    }
+    return Int64Json.parse(body, 'bigint');
+  }
+
+  /** @private */
+  static _readBody(req) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+      req.on('error', reject);
+    });
+  }
+
+  /** @private */
+  static _send(res, status, body) {
+    const payload = Int64Json.stringify(body);
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Content-Length': Buffer.byteLength(payload) });
+    res.end(payload);
+  }
+}
+
+module.exports = MockAsterixServer;
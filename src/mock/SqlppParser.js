@@ -0,0 +1,1118 @@
+const SqlppTokenizer = require('../core/SqlppTokenizer');
+
+// Symbols that form one operator when written without a space between them.
+const COMPOUND_SYMBOLS = ['!=', '<>', '<=', '>=', '==', '~=', '||', '{{'];
+
+// Words that end an expression, so they cannot be used as an alias without AS.
+const RESERVED = new Set([
+  'ALL', 'AND', 'AS', 'ASC', 'BETWEEN', 'BY', 'CASE', 'DESC', 'DISTINCT', 'ELSE', 'END', 'EVERY',
+  'EXISTS', 'FALSE', 'FROM', 'GROUP', 'HAVING', 'IN', 'INNER', 'IS', 'JOIN', 'LEFT', 'LET', 'LIKE',
+  'LIMIT', 'MISSING', 'NOT', 'NULL', 'OFFSET', 'ON', 'OR', 'ORDER', 'OUTER', 'SATISFIES', 'SELECT',
+  'SET', 'SOME', 'THEN', 'TRUE', 'UNION', 'UNNEST', 'VALUE', 'WHEN', 'WHERE',
+]);
+
+const ESCAPES = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', '/': '/' };
+
+/**
+ * Creates a syntax error in the form the query service reports it.
+ *
+ * @param {string} message - What went wrong
+ * @returns {Error}
+ */
+function syntaxError(message) {
+  const error = new Error(`ASX1001: Syntax error: ${message}`);
+  error.code = 'ASX1001';
+  error.httpStatus = 400;
+  return error;
+}
+
+/**
+ * Parser for the subset of SQL++ understood by the mock server (see MockAsterixServer):
+ * USE and SET, CREATE/DROP of dataverses, types, datasets and indexes, INSERT, UPSERT,
+ * DELETE and UPDATE, and SELECT queries with joins, UNNEST, LET, GROUP BY, HAVING,
+ * ORDER BY, LIMIT/OFFSET and subqueries.
+ *
+ * ```
+ * const statements = SqlppParser.parse('USE TinySocial; SELECT VALUE u FROM ChirpUsers u WHERE u.lang = $1;');
+ * // [{ type: 'use', dataverse: 'TinySocial' }, { type: 'query', query: { type: 'select', ... } }]
+ * ```
+ *
+ * Statements and expressions are parsed into plain objects with a `type` property,
+ * which MemoryEngine evaluates.
+ */
+class SqlppParser {
+  /**
+   * @param {string} text - The SQL++ text
+   */
+  constructor(text) {
+    this.text = text;
+    this.tokens = SqlppParser._combine(SqlppTokenizer.significantTokens(text));
+    this.position = 0;
+    this.positionalParameters = 0;
+  }
+
+  /**
+   * Parses SQL++ text into statements.
+   *
+   * @param {string} text - One or more statements separated by semicolons
+   * @returns {Array<Object>} - The statements
+   * @throws {Error} With code ASX1001 if the text cannot be parsed
+   */
+  static parse(text) {
+    return new SqlppParser(text).parseStatements();
+  }
+
+  /**
+   * Parses all statements.
+   *
+   * @returns {Array<Object>}
+   */
+  parseStatements() {
+    const statements = [];
+    while (!this._atEnd()) {
+      if (this._acceptSymbol(';')) {
+        continue;
+      }
+      statements.push(this._statement());
+      if (!this._atEnd()) {
+        this._expectSymbol(';');
+      }
+    }
+    return statements;
+  }
+
+  /**
+   * Parses one statement.
+   *
+   * @private
+   * @returns {Object}
+   */
+  _statement() {
+    if (this._acceptWord('USE')) {
+      return { type: 'use', dataverse: this._qualifiedName().join('.') };
+    }
+    if (this._acceptWord('SET')) {
+      const parameter = this._next();
+      const value = this._next();
+      return { type: 'set', name: parameter.text.replace(/^[`"']|[`"']$/g, ''), value: value.text };
+    }
+    if (this._acceptWord('CREATE')) {
+      return this._create();
+    }
+    if (this._acceptWord('DROP')) {
+      return this._drop();
+    }
+    if (this._peekWord('INSERT') || this._peekWord('UPSERT')) {
+      return this._insert();
+    }
+    if (this._acceptWord('DELETE')) {
+      return this._delete();
+    }
+    if (this._acceptWord('UPDATE')) {
+      return this._update();
+    }
+    if (this._peekWord('SELECT') || this._peekWord('FROM') || this._peekSymbol('(')) {
+      return { type: 'query', query: this._query() };
+    }
+    throw this._unexpected();
+  }
+
+  /**
+   * Parses CREATE DATAVERSE, TYPE, DATASET and INDEX.
+   *
+   * @private
+   * @returns {Object}
+   */
+  _create() {
+    if (this._acceptWord('DATAVERSE') || this._acceptWord('DATABASE')) {
+      const name = this._qualifiedName().join('.');
+      return { type: 'createDataverse', name, ifNotExists: this._ifNotExists() };
+    }
+
+    if (this._acceptWord('TYPE')) {
+      const [dataverse, name] = this._splitName(this._qualifiedName());
+      let ifNotExists = this._ifNotExists();
+      this._expectWord('AS');
+      const definition = this._typeExpression();
+      if (definition.kind !== 'record') {
+        throw syntaxError(`type ${name} must be a record type`);
+      }
+      ifNotExists = this._ifNotExists() || ifNotExists;
+      return { type: 'createType', dataverse, name, definition, ifNotExists };
+    }
+
+    if (this._acceptWord('DATASET') || this._acceptWord('COLLECTION')) {
+      const [dataverse, name] = this._splitName(this._qualifiedName());
+      let ifNotExists = this._ifNotExists();
+      let typeName = null;
+      let inlineType = null;
+      if (this._acceptSymbol('(')) {
+        if (this._peekSymbol('{')) {
+          inlineType = this._typeExpression();
+        } else {
+          typeName = this._splitName(this._qualifiedName());
+        }
+        this._expectSymbol(')');
+      }
+      ifNotExists = this._ifNotExists() || ifNotExists;
+      this._expectWord('PRIMARY');
+      this._expectWord('KEY');
+      const parenthesized = this._acceptSymbol('(');
+      const primaryKey = [this._keyField()];
+      while (this._acceptSymbol(',')) {
+        primaryKey.push(this._keyField());
+      }
+      if (parenthesized) {
+        this._expectSymbol(')');
+      }
+      const autogenerated = this._acceptWord('AUTOGENERATED');
+      ifNotExists = this._ifNotExists() || ifNotExists;
+      return { type: 'createDataset', dataverse, name, typeName, inlineType, primaryKey, autogenerated, ifNotExists };
+    }
+
+    this._acceptWord('PRIMARY');
+    if (this._acceptWord('INDEX')) {
+      const name = this._name();
+      let ifNotExists = this._ifNotExists();
+      this._expectWord('ON');
+      const [dataverse, dataset] = this._splitName(this._qualifiedName());
+      this._expectSymbol('(');
+      const fields = [this._keyField()];
+      while (this._acceptSymbol(',')) {
+        fields.push(this._keyField());
+      }
+      this._expectSymbol(')');
+      let indexType = 'BTREE';
+      let gramLength = null;
+      if (this._acceptWord('TYPE')) {
+        indexType = this._name().toUpperCase();
+        if (indexType === 'NGRAM') {
+          this._expectSymbol('(');
+          gramLength = Number(this._next().text);
+          this._expectSymbol(')');
+        }
+      }
+      ifNotExists = this._ifNotExists() || ifNotExists;
+      return { type: 'createIndex', name, dataverse, dataset, fields, indexType, gramLength, ifNotExists };
+    }
+
+    throw this._unexpected();
+  }
+
+  /**
+   * Parses DROP DATAVERSE, TYPE, DATASET and INDEX.
+   *
+   * @private
+   * @returns {Object}
+   */
+  _drop() {
+    if (this._acceptWord('DATAVERSE') || this._acceptWord('DATABASE')) {
+      const name = this._qualifiedName().join('.');
+      return { type: 'dropDataverse', name, ifExists: this._ifExists() };
+    }
+    if (this._acceptWord('TYPE')) {
+      const [dataverse, name] = this._splitName(this._qualifiedName());
+      return { type: 'dropType', dataverse, name, ifExists: this._ifExists() };
+    }
+    if (this._acceptWord('DATASET') || this._acceptWord('COLLECTION')) {
+      const [dataverse, name] = this._splitName(this._qualifiedName());
+      return { type: 'dropDataset', dataverse, name, ifExists: this._ifExists() };
+    }
+    if (this._acceptWord('INDEX')) {
+      const parts = this._qualifiedName();
+      if (parts.length < 2) {
+        throw syntaxError('DROP INDEX expects dataset.index');
+      }
+      const name = parts.pop();
+      const [dataverse, dataset] = this._splitName(parts);
+      return { type: 'dropIndex', dataverse, dataset, name, ifExists: this._ifExists() };
+    }
+    throw this._unexpected();
+  }
+
+  /**
+   * Parses INSERT INTO and UPSERT INTO.
+   *
+   * @private
+   * @returns {Object}
+   */
+  _insert() {
+    const upsert = this._next().text.toUpperCase() === 'UPSERT';
+    this._expectWord('INTO');
+    const [dataverse, dataset] = this._splitName(this._qualifiedName());
+    let alias = null;
+    if (this._acceptWord('AS')) {
+      alias = this._name();
+    }
+    const source = this._peekWord('SELECT') ? { type: 'subquery', query: this._query() } : this._expression();
+    return { type: 'insert', upsert, dataverse, dataset, alias, source };
+  }
+
+  /**
+   * Parses DELETE FROM.
+   *
+   * @private
+   * @returns {Object}
+   */
+  _delete() {
+    this._expectWord('FROM');
+    const [dataverse, dataset] = this._splitName(this._qualifiedName());
+    const alias = this._optionalAlias();
+    const where = this._acceptWord('WHERE') ? this._expression() : null;
+    return { type: 'delete', dataverse, dataset, alias, where };
+  }
+
+  /**
+   * Parses UPDATE ... SET.
+   *
+   * @private
+   * @returns {Object}
+   */
+  _update() {
+    const [dataverse, dataset] = this._splitName(this._qualifiedName());
+    const alias = this._optionalAlias();
+    this._expectWord('SET');
+    const assignments = [];
+    do {
+      const target = this._postfix();
+      if (!['ident', 'field'].includes(target.type)) {
+        throw syntaxError('UPDATE can only SET fields');
+      }
+      this._expectSymbol('=');
+      assignments.push({ target, value: this._expression() });
+    } while (this._acceptSymbol(','));
+    const where = this._acceptWord('WHERE') ? this._expression() : null;
+    return { type: 'update', dataverse, dataset, alias, assignments, where };
+  }
+
+  /**
+   * Parses a query: a SELECT block, optionally combined with UNION ALL.
+   *
+   * @private
+   * @returns {Object}
+   */
+  _query() {
+    let query = this._selectBlock();
+    while (this._peekWord('UNION')) {
+      this._next();
+      this._expectWord('ALL');
+      query = { type: 'union', left: query, right: this._selectBlock() };
+    }
+    return query;
+  }
+
+  /**
+   * Parses a SELECT block with its clauses.
+   *
+   * @private
+   * @returns {Object}
+   */
+  _selectBlock() {
+    if (this._acceptSymbol('(')) {
+      const inner = this._query();
+      this._expectSymbol(')');
+      return inner;
+    }
+
+    const block = {
+      type: 'select',
+      distinct: false,
+      value: null,
+      star: false,
+      projections: [],
+      from: [],
+      lets: [],
+      where: null,
+      groupBy: [],
+      having: null,
+      orderBy: [],
+      limit: null,
+      offset: null,
+    };
+
+    this._expectWord('SELECT');
+    if (this._acceptWord('DISTINCT')) {
+      block.distinct = true;
+    } else {
+      this._acceptWord('ALL');
+    }
+
+    if (this._acceptWord('VALUE') || this._acceptWord('ELEMENT') || this._acceptWord('RAW')) {
+      block.value = this._expression();
+    } else if (this._acceptSymbol('*')) {
+      block.star = true;
+    } else {
+      do {
+        block.projections.push(this._projection());
+      } while (this._acceptSymbol(','));
+    }
+
+    if (this._acceptWord('FROM')) {
+      do {
+        block.from.push(this._fromTerm());
+      } while (this._acceptSymbol(','));
+    }
+    while (this._acceptWord('LET')) {
+      do {
+        const name = this._name();
+        this._expectSymbol('=');
+        block.lets.push({ name, expr: this._expression() });
+      } while (this._acceptSymbol(','));
+    }
+    if (this._acceptWord('WHERE')) {
+      block.where = this._expression();
+    }
+    if (this._acceptWord('GROUP')) {
+      this._expectWord('BY');
+      do {
+        const expr = this._expression();
+        block.groupBy.push({ expr, alias: this._acceptWord('AS') ? this._name() : SqlppParser._implicitName(expr) });
+      } while (this._acceptSymbol(','));
+    }
+    if (this._acceptWord('HAVING')) {
+      block.having = this._expression();
+    }
+    if (this._acceptWord('ORDER')) {
+      this._expectWord('BY');
+      do {
+        const expr = this._expression();
+        let desc = false;
+        if (this._acceptWord('DESC')) {
+          desc = true;
+        } else {
+          this._acceptWord('ASC');
+        }
+        block.orderBy.push({ expr, desc });
+      } while (this._acceptSymbol(','));
+    }
+    if (this._acceptWord('LIMIT')) {
+      block.limit = this._expression();
+    }
+    if (this._acceptWord('OFFSET')) {
+      block.offset = this._expression();
+    }
+    return block;
+  }
+
+  /**
+   * Parses one item of a SELECT list.
+   *
+   * @private
+   * @returns {Object} - `{ expr, alias }`, or `{ spread: expr }` for `alias.*`
+   */
+  _projection() {
+    const expr = this._expression();
+    if (this._peekSymbol('.') && this._peekSymbol('*', 1)) {
+      this._next();
+      this._next();
+      return { spread: expr };
+    }
+    if (this._acceptWord('AS')) {
+      return { expr, alias: this._name() };
+    }
+    const alias = this._optionalAlias();
+    return { expr, alias: alias || SqlppParser._implicitName(expr) };
+  }
+
+  /**
+   * Parses one FROM term with its joins and unnests.
+   *
+   * @private
+   * @returns {Object}
+   */
+  _fromTerm() {
+    const expr = this._fromExpression();
+    const term = { expr, alias: this._optionalAlias() || SqlppParser._implicitName(expr), joins: [] };
+
+    for (;;) {
+      let kind = 'INNER';
+      if (this._acceptWord('LEFT')) {
+        this._acceptWord('OUTER');
+        kind = 'LEFT';
+      } else {
+        this._acceptWord('INNER');
+      }
+
+      if (this._acceptWord('JOIN')) {
+        const joinExpr = this._fromExpression();
+        const alias = this._optionalAlias() || SqlppParser._implicitName(joinExpr);
+        this._expectWord('ON');
+        term.joins.push({ kind, unnest: false, expr: joinExpr, alias, on: this._expression() });
+      } else if (this._acceptWord('UNNEST')) {
+        const unnestExpr = this._expression();
+        const alias = this._optionalAlias() || SqlppParser._implicitName(unnestExpr);
+        term.joins.push({ kind, unnest: true, expr: unnestExpr, alias });
+      } else if (kind === 'LEFT') {
+        throw this._unexpected();
+      } else {
+        return term;
+      }
+    }
+  }
+
+  /**
+   * Parses the source of a FROM term: a dataset name, a path or a subquery.
+   *
+   * @private
+   * @returns {Object}
+   */
+  _fromExpression() {
+    if (this._peekSymbol('(') && (this._peekWord('SELECT', 1) || this._peekSymbol('(', 1))) {
+      this._next();
+      const query = this._query();
+      this._expectSymbol(')');
+      return { type: 'subquery', query };
+    }
+    return this._postfix();
+  }
+
+  /**
+   * Parses a record type, array type, multiset type or type name.
+   *
+   * @private
+   * @returns {Object} - `{ kind: 'named'|'array'|'multiset'|'record', ... }`
+   */
+  _typeExpression() {
+    let open = true;
+    if (this._acceptWord('CLOSED')) {
+      open = false;
+    } else {
+      this._acceptWord('OPEN');
+    }
+
+    if (this._acceptSymbol('{')) {
+      const fields = [];
+      if (!this._acceptSymbol('}')) {
+        do {
+          const name = this._fieldName();
+          this._expectSymbol(':');
+          const type = this._typeExpression();
+          // The tokenizer reads `?` as a positional parameter.
+          const mark = this._peek();
+          const optional = Boolean(mark && mark.type === 'parameter' && mark.text === '?');
+          if (optional) {
+            this._next();
+          }
+          fields.push({ name, type, optional });
+        } while (this._acceptSymbol(','));
+        this._expectSymbol('}');
+      }
+      return { kind: 'record', open, fields };
+    }
+    if (this._acceptSymbol('[')) {
+      const item = this._typeExpression();
+      this._expectSymbol(']');
+      return { kind: 'array', item };
+    }
+    if (this._acceptSymbol('{{')) {
+      const item = this._typeExpression();
+      this._expectSymbol('}');
+      this._expectSymbol('}');
+      return { kind: 'multiset', item };
+    }
+    return { kind: 'named', name: this._qualifiedName().join('.') };
+  }
+
+  /**
+   * Parses a key field, `a.b` with an optional `: type`.
+   *
+   * @private
+   * @returns {{path: Array<string>, type: string|null}}
+   */
+  _keyField() {
+    const path = [this._fieldName()];
+    while (this._acceptSymbol('.')) {
+      path.push(this._fieldName());
+    }
+    const type = this._acceptSymbol(':') ? this._name().toLowerCase() : null;
+    // An open field's type may be marked optional (`field: string?`).
+    const mark = this._peek();
+    if (type && mark && mark.type === 'parameter' && mark.text === '?') {
+      this._next();
+    }
+    return { path, type };
+  }
+
+  /**
+   * Parses an expression.
+   *
+   * @private
+   * @returns {Object}
+   */
+  _expression() {
+    return this._or();
+  }
+
+  /** @private */
+  _or() {
+    let left = this._and();
+    while (this._acceptWord('OR')) {
+      left = { type: 'binary', op: 'OR', left, right: this._and() };
+    }
+    return left;
+  }
+
+  /** @private */
+  _and() {
+    let left = this._not();
+    while (this._acceptWord('AND')) {
+      left = { type: 'binary', op: 'AND', left, right: this._not() };
+    }
+    return left;
+  }
+
+  /** @private */
+  _not() {
+    if (this._acceptWord('NOT')) {
+      return { type: 'unary', op: 'NOT', operand: this._not() };
+    }
+    return this._comparison();
+  }
+
+  /** @private */
+  _comparison() {
+    const left = this._concat();
+
+    if (this._acceptWord('IS')) {
+      const not = this._acceptWord('NOT');
+      const what = this._next().text.toUpperCase();
+      if (!['NULL', 'MISSING', 'UNKNOWN', 'VALUED', 'KNOWN'].includes(what)) {
+        throw syntaxError(`Encountered "${what}" after IS`);
+      }
+      return { type: 'is', operand: left, what, not };
+    }
+
+    const not = this._peekWord('NOT') && ['IN', 'LIKE', 'BETWEEN'].includes(this._peekText(1));
+    if (not) {
+      this._next();
+    }
+    if (this._acceptWord('IN')) {
+      return { type: 'binary', op: not ? 'NOT IN' : 'IN', left, right: this._concat() };
+    }
+    if (this._acceptWord('LIKE')) {
+      return { type: 'binary', op: not ? 'NOT LIKE' : 'LIKE', left, right: this._concat() };
+    }
+    if (this._acceptWord('BETWEEN')) {
+      const low = this._concat();
+      this._expectWord('AND');
+      return { type: 'between', operand: left, low, high: this._concat(), not };
+    }
+
+    const op = this._peekOperator(['=', '==', '!=', '<>', '<', '<=', '>', '>=', '~=']);
+    if (op) {
+      this._next();
+      const normalized = { '==': '=', '<>': '!=' }[op] || op;
+      return { type: 'binary', op: normalized, left, right: this._concat() };
+    }
+    return left;
+  }
+
+  /** @private */
+  _concat() {
+    let left = this._additive();
+    while (this._peekOperator(['||'])) {
+      this._next();
+      left = { type: 'binary', op: '||', left, right: this._additive() };
+    }
+    return left;
+  }
+
+  /** @private */
+  _additive() {
+    let left = this._multiplicative();
+    for (let op = this._peekOperator(['+', '-']); op; op = this._peekOperator(['+', '-'])) {
+      this._next();
+      left = { type: 'binary', op, left, right: this._multiplicative() };
+    }
+    return left;
+  }
+
+  /** @private */
+  _multiplicative() {
+    let left = this._unary();
+    for (;;) {
+      let op = this._peekOperator(['*', '/', '%']);
+      if (!op && (this._peekWord('DIV') || this._peekWord('MOD'))) {
+        op = this._peekText().toUpperCase() === 'DIV' ? 'DIV' : '%';
+      }
+      if (!op) {
+        return left;
+      }
+      this._next();
+      left = { type: 'binary', op, left, right: this._unary() };
+    }
+  }
+
+  /** @private */
+  _unary() {
+    if (this._acceptSymbol('-')) {
+      return { type: 'unary', op: '-', operand: this._unary() };
+    }
+    if (this._acceptSymbol('+')) {
+      return this._unary();
+    }
+    if (this._acceptWord('EXISTS')) {
+      return { type: 'unary', op: 'EXISTS', operand: this._unary() };
+    }
+    return this._postfix();
+  }
+
+  /**
+   * Parses a primary expression followed by field accesses and indexes.
+   *
+   * @private
+   * @returns {Object}
+   */
+  _postfix() {
+    let expr = this._primary();
+    for (;;) {
+      if (this._peekSymbol('.') && !this._peekSymbol('*', 1)) {
+        this._next();
+        expr = { type: 'field', target: expr, name: this._fieldName() };
+      } else if (this._acceptSymbol('[')) {
+        const index = this._expression();
+        this._expectSymbol(']');
+        expr = { type: 'index', target: expr, index };
+      } else {
+        return expr;
+      }
+    }
+  }
+
+  /**
+   * Parses a literal, parameter, identifier, function call, constructor or subquery.
+   *
+   * @private
+   * @returns {Object}
+   */
+  _primary() {
+    const token = this._peek();
+    if (!token) {
+      throw syntaxError('Unexpected end of statement');
+    }
+
+    if (token.type === 'number') {
+      this._next();
+      // Integers beyond 2^53 stay exact, as int64 literals do on the server.
+      const unsafe = /^\d+$/.test(token.text) && !Number.isSafeInteger(Number(token.text));
+      return { type: 'literal', value: unsafe ? BigInt(token.text) : Number(token.text) };
+    }
+    if (token.type === 'string') {
+      this._next();
+      return { type: 'literal', value: SqlppParser._unquote(token.text) };
+    }
+    if (token.type === 'parameter') {
+      this._next();
+      if (token.text === '?') {
+        return { type: 'param', name: `$${++this.positionalParameters}` };
+      }
+      return { type: 'param', name: token.text };
+    }
+    if (token.type === 'identifier') {
+      this._next();
+      return this._afterName(token.text.slice(1, -1));
+    }
+
+    if (token.type === 'word') {
+      const upper = token.text.toUpperCase();
+      if (upper === 'TRUE' || upper === 'FALSE') {
+        this._next();
+        return { type: 'literal', value: upper === 'TRUE' };
+      }
+      if (upper === 'NULL') {
+        this._next();
+        return { type: 'literal', value: null };
+      }
+      if (upper === 'MISSING') {
+        this._next();
+        return { type: 'literal', value: undefined };
+      }
+      if (upper === 'CASE') {
+        this._next();
+        return this._case();
+      }
+      if (upper === 'SOME' || upper === 'EVERY') {
+        this._next();
+        return this._quantified(upper === 'EVERY' ? 'EVERY' : 'SOME');
+      }
+      if (RESERVED.has(upper)) {
+        throw this._unexpected();
+      }
+      this._next();
+      return this._afterName(token.text);
+    }
+
+    if (this._acceptSymbol('(')) {
+      if (this._peekWord('SELECT')) {
+        const query = this._query();
+        this._expectSymbol(')');
+        return { type: 'subquery', query };
+      }
+      const expr = this._expression();
+      this._expectSymbol(')');
+      return expr;
+    }
+    if (this._acceptSymbol('[')) {
+      const items = this._peekSymbol(']') ? [] : this._expressionList();
+      this._expectSymbol(']');
+      return { type: 'array', items };
+    }
+    if (this._acceptSymbol('{{')) {
+      const items = this._peekSymbol('}') ? [] : this._expressionList();
+      this._expectSymbol('}');
+      this._expectSymbol('}');
+      return { type: 'array', items };
+    }
+    if (this._acceptSymbol('{')) {
+      const fields = [];
+      if (!this._acceptSymbol('}')) {
+        do {
+          const key = this._expression();
+          this._expectSymbol(':');
+          fields.push({ key, value: this._expression() });
+        } while (this._acceptSymbol(','));
+        this._expectSymbol('}');
+      }
+      return { type: 'object', fields };
+    }
+    throw this._unexpected();
+  }
+
+  /**
+   * Parses what follows a name: a function call, or nothing (a variable reference).
+   *
+   * @private
+   * @param {string} name - The name
+   * @returns {Object}
+   */
+  _afterName(name) {
+    if (!this._acceptSymbol('(')) {
+      return { type: 'ident', name };
+    }
+    const call = { type: 'call', name: name.toLowerCase(), args: [], star: false, distinct: false };
+    if (this._acceptSymbol('*')) {
+      call.star = true;
+    } else if (!this._peekSymbol(')')) {
+      call.distinct = this._acceptWord('DISTINCT');
+      call.args = this._expressionList();
+    }
+    this._expectSymbol(')');
+    return call;
+  }
+
+  /**
+   * Parses a CASE expression (the CASE keyword has been read).
+   *
+   * @private
+   * @returns {Object}
+   */
+  _case() {
+    const operand = this._peekWord('WHEN') ? null : this._expression();
+    const whens = [];
+    while (this._acceptWord('WHEN')) {
+      const when = this._expression();
+      this._expectWord('THEN');
+      whens.push({ when, then: this._expression() });
+    }
+    if (whens.length === 0) {
+      throw this._unexpected();
+    }
+    const otherwise = this._acceptWord('ELSE') ? this._expression() : null;
+    this._expectWord('END');
+    return { type: 'case', operand, whens, otherwise };
+  }
+
+  /**
+   * Parses a SOME/EVERY expression (the quantifier has been read).
+   *
+   * @private
+   * @param {string} quantifier - 'SOME' or 'EVERY'
+   * @returns {Object}
+   */
+  _quantified(quantifier) {
+    const bindings = [];
+    do {
+      const name = this._name();
+      this._expectWord('IN');
+      bindings.push({ name, expr: this._concat() });
+    } while (this._acceptSymbol(','));
+    this._expectWord('SATISFIES');
+    const satisfies = this._expression();
+    this._acceptWord('END');
+    return { type: 'quantified', quantifier, bindings, satisfies };
+  }
+
+  /**
+   * Parses a comma-separated list of expressions.
+   *
+   * @private
+   * @returns {Array<Object>}
+   */
+  _expressionList() {
+    const items = [this._expression()];
+    while (this._acceptSymbol(',')) {
+      items.push(this._expression());
+    }
+    return items;
+  }
+
+  /**
+   * Reads an alias given with or without AS, if there is one.
+   *
+   * @private
+   * @returns {string|null}
+   */
+  _optionalAlias() {
+    if (this._acceptWord('AS')) {
+      return this._name();
+    }
+    const token = this._peek();
+    if (token && (token.type === 'identifier' || (token.type === 'word' && !RESERVED.has(token.text.toUpperCase())))) {
+      return this._name();
+    }
+    return null;
+  }
+
+  /**
+   * Reads `IF NOT EXISTS` if present.
+   *
+   * @private
+   * @returns {boolean}
+   */
+  _ifNotExists() {
+    if (this._peekWord('IF') && this._peekWord('NOT', 1)) {
+      this._next();
+      this._next();
+      this._expectWord('EXISTS');
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Reads `IF EXISTS` if present.
+   *
+   * @private
+   * @returns {boolean}
+   */
+  _ifExists() {
+    if (this._acceptWord('IF')) {
+      this._expectWord('EXISTS');
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Reads a dotted name such as `Metadata.Dataset`.
+   *
+   * @private
+   * @returns {Array<string>}
+   */
+  _qualifiedName() {
+    const parts = [this._name()];
+    while (this._peekSymbol('.') && !this._peekSymbol('*', 1)) {
+      this._next();
+      parts.push(this._name());
+    }
+    return parts;
+  }
+
+  /**
+   * Splits a qualified name into its dataverse (or null) and name.
+   *
+   * @private
+   * @param {Array<string>} parts - The name parts
+   * @returns {Array<string|null>}
+   */
+  _splitName(parts) {
+    const name = parts[parts.length - 1];
+    return [parts.length > 1 ? parts.slice(0, -1).join('.') : null, name];
+  }
+
+  /**
+   * Reads a name: a word or a backquoted identifier.
+   *
+   * @private
+   * @returns {string}
+   */
+  _name() {
+    const token = this._peek();
+    if (token && token.type === 'word') {
+      this._next();
+      return token.text;
+    }
+    if (token && token.type === 'identifier') {
+      this._next();
+      return token.text.slice(1, -1);
+    }
+    throw this._unexpected();
+  }
+
+  /**
+   * Reads a field name, which may also be written as a string.
+   *
+   * @private
+   * @returns {string}
+   */
+  _fieldName() {
+    const token = this._peek();
+    if (token && token.type === 'string') {
+      this._next();
+      return SqlppParser._unquote(token.text);
+    }
+    return this._name();
+  }
+
+  /** @private */
+  _peek(offset = 0) {
+    return this.tokens[this.position + offset];
+  }
+
+  /** @private */
+  _peekText(offset = 0) {
+    const token = this._peek(offset);
+    return token ? token.text.toUpperCase() : null;
+  }
+
+  /** @private */
+  _next() {
+    const token = this.tokens[this.position];
+    if (!token) {
+      throw syntaxError('Unexpected end of statement');
+    }
+    this.position++;
+    return token;
+  }
+
+  /** @private */
+  _atEnd() {
+    return this.position >= this.tokens.length;
+  }
+
+  /** @private */
+  _peekWord(word, offset = 0) {
+    const token = this._peek(offset);
+    return Boolean(token && token.type === 'word' && token.text.toUpperCase() === word);
+  }
+
+  /** @private */
+  _acceptWord(word) {
+    if (this._peekWord(word)) {
+      this.position++;
+      return true;
+    }
+    return false;
+  }
+
+  /** @private */
+  _expectWord(word) {
+    if (!this._acceptWord(word)) {
+      throw this._unexpected(word);
+    }
+  }
+
+  /** @private */
+  _peekSymbol(symbol, offset = 0) {
+    const token = this._peek(offset);
+    return Boolean(token && token.type === 'symbol' && token.text === symbol);
+  }
+
+  /** @private */
+  _acceptSymbol(symbol) {
+    if (this._peekSymbol(symbol)) {
+      this.position++;
+      return true;
+    }
+    return false;
+  }
+
+  /** @private */
+  _expectSymbol(symbol) {
+    if (!this._acceptSymbol(symbol)) {
+      throw this._unexpected(symbol);
+    }
+  }
+
+  /** @private */
+  _peekOperator(operators) {
+    const token = this._peek();
+    return token && token.type === 'symbol' && operators.includes(token.text) ? token.text : null;
+  }
+
+  /**
+   * Builds the error for the token at the current position.
+   *
+   * @private
+   * @param {string} [expected] - What was expected instead
+   * @returns {Error}
+   */
+  _unexpected(expected) {
+    const token = this._peek();
+    if (!token) {
+      return syntaxError(`Unexpected end of statement${expected ? `, expected "${expected}"` : ''}`);
+    }
+    const before = this.text.slice(0, token.start);
+    const line = before.split('\n').length;
+    const column = token.start - before.lastIndexOf('\n');
+    return syntaxError(`In line ${line} >>${this.text.split('\n')[line - 1]}<< Encountered "${token.text}" at column ${column}.` +
+      (expected ? ` Expected "${expected}".` : ''));
+  }
+
+  /**
+   * Joins adjacent symbol tokens that form one operator.
+   *
+   * @private
+   * @param {Array<Object>} tokens - Significant tokens
+   * @returns {Array<Object>}
+   */
+  static _combine(tokens) {
+    const result = [];
+    for (const token of tokens) {
+      const previous = result[result.length - 1];
+      if (token.type === 'symbol' && previous && previous.type === 'symbol' && previous.end === token.start &&
+          COMPOUND_SYMBOLS.includes(previous.text + token.text)) {
+        result[result.length - 1] = { ...previous, text: previous.text + token.text, end: token.end };
+      } else {
+        result.push(token);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Returns the value of a string literal.
+   *
+   * @private
+   * @param {string} text - The literal, with its quotes
+   * @returns {string}
+   */
+  static _unquote(text) {
+    const body = text.slice(1, -1);
+    return body.replace(/\\(u[0-9a-fA-F]{4}|.)/g, (match, escape) => {
+      if (escape[0] === 'u' && escape.length === 5) {
+        return String.fromCharCode(parseInt(escape.slice(1), 16));
+      }
+      return ESCAPES[escape] !== undefined ? ESCAPES[escape] : escape;
+    });
+  }
+
+  /**
+   * Returns the name SQL++ gives an unaliased expression: the variable or last field name.
+   *
+   * @private
+   * @param {Object} expr - The expression
+   * @returns {string|null}
+   */
+  static _implicitName(expr) {
+    if (expr.type === 'ident') {
+      return expr.name;
+    }
+    if (expr.type === 'field') {
+      return expr.name;
+    }
+    return null;
+  }
+}
+
+module.exports = SqlppParser;
@@ -1,5 +1,20 @@
 const QueryBuilder = require('../core/QueryBuilder');
 const QueryTranslator = require('../core/QueryTranslator');
+const QueryParameters = require('../core/QueryParameters');
+const FindCursor = require('./FindCursor');
+const AsterixError = require('../core/AsterixError');
+const AdmCodec = require('../core/AdmCodec');
+const BulkStatements = require('../core/BulkStatements');
+
+// AsterixDB index type for each MongoDB-style index key value.
+const INDEX_TYPES = {
+  '1': 'BTREE',
+  '-1': 'BTREE',
+  text: 'FULLTEXT',
+  '2d': 'RTREE',
+  keyword: 'KEYWORD',
+  ngram: 'NGRAM',
+};
 
 /**
  * AsterixCollection provides a MongoDB-like interface for interacting with AsterixDB datasets.
@@ -22,39 +37,73 @@ class AsterixCollection {
   /**
    * Finds documents in the collection.
    * 
+   * Returns a cursor that can be awaited to get all matching documents, or iterated
+   * with `for await` to stream them from the server for large scans.
+   * 
    * @param {Object} query - The query filter
    * @param {Object} options - Query options
    * @param {Object} options.projection - Fields to include/exclude
-   * @param {Object} options.sort - Sort specification
+   * @param {Object} options.sort - Sort specification; `{ field: { $near: point } }` sorts by distance and
+   *   `{ field: { $similar: value, func } }` by similarity, closest first
    * @param {number} options.limit - Maximum number of documents to return
    * @param {number} options.skip - Number of documents to skip
+   * @param {Object} [options.geoNear] - Returns documents nearest a point first:
+   *   `{ near, key, maxDistance, minDistance, distanceField }`. `near` is a point (`[x, y]`, GeoJSON or
+   *   AdmPoint), `key` the point field, and `distanceField` the field to add with each document's distance
+   * @param {Object} [options.similarity] - Returns documents most similar to a value first:
+   *   `{ key, value, func, threshold, scoreField }`. `func` is 'edit-distance' or 'jaccard' (default),
+   *   `threshold` (optional) drops documents past it as `$similar` does, and `scoreField` is the field
+   *   to add with each document's edit distance or Jaccard similarity
+   * @returns {FindCursor} - Cursor over the matching documents (awaitable as Promise<Array>)
+   */
+  find(query = {}, options = {}) {
+    return new FindCursor(this, query, options);
+  }
+  
+  /**
+   * Runs a find query and returns all matching documents.
+   * 
+   * @private
+   * @param {Object} query - The query filter
+   * @param {Object} options - Query options
    * @returns {Promise<Array>} - Array of matching documents
    */
-  async find(query = {}, options = {}) {
+  async _findAll(query, options) {
     try {
       // Build the SQL++ query using QueryBuilder and our query translator
-      const sqlppQuery = await this._buildFindQuery(query, options);
+      const builder = this._buildFindQuery(query, options);
+      const sqlppQuery = await builder.build();
       
-      // Execute the query
-      const response = await this._connector.executeQuery(sqlppQuery);
+      // Execute the query with the filter values bound as parameters
+      const response = await this._connector.executeQuery(sqlppQuery, { ...builder.getBindings(), operation: options.operation || 'find' });
       
       // Extract and return the results
       if (response && response.results) {
-        // Check if results are nested (e.g., [{ "CollectionName": {...} }])
-        // This happens when SELECT * is used and no alias is given to the dataset in FROM.
-        return response.results.map(item => {
-          const keys = Object.keys(item);
-          if (keys.length === 1 && keys[0] === this.name) {
-            return item[this.name];
-          }
-          return item;
-        });
+        return response.results.map(item => this._unwrapResult(item));
       }
       
       return [];
     } catch (error) {
-      throw new Error(`Find operation failed: ${error.message}`);
+      throw AsterixError.wrap('Find operation failed', error);
+    }
+  }
+  
+  /**
+   * Unwraps a result row nested under the collection name (e.g. `{ "CollectionName": {...} }`).
+   * This happens when SELECT * is used and no alias is given to the dataset in FROM.
+   * 
+   * @private
+   * @param {Object} item - A result row
+   * @returns {Object} - The document
+   */
+  _unwrapResult(item) {
+    if (item && typeof item === 'object') {
+      const keys = Object.keys(item);
+      if (keys.length === 1 && keys[0] === this.name) {
+        return item[this.name];
+      }
     }
+    return item;
   }
   
   /**
@@ -69,12 +118,12 @@ class AsterixCollection {
   async findOne(query = {}, options = {}) {
     try {
       // Set limit to 1 and reuse find implementation
-      const limitedOptions = { ...options, limit: 1 };
+      const limitedOptions = { ...options, limit: 1, operation: 'findOne' };
       const results = await this.find(query, limitedOptions);
       
       return results.length > 0 ? results[0] : null;
     } catch (error) {
-      throw new Error(`FindOne operation failed: ${error.message}`);
+      throw AsterixError.wrap('FindOne operation failed', error);
     }
   }
   
@@ -87,23 +136,21 @@ class AsterixCollection {
    */
   async countDocuments(query = {}, options = {}) {
     try {
-      // Translate the MongoDB-style query to SQL++ WHERE clause
-      const whereClause = this._queryTranslator.toSQLPP(query);
-      
       // Build a count query
-      const builder = new QueryBuilder()
+      const builder = this._createQueryBuilder()
         .use(this.database.name)
         .select(['COUNT(*) as count'])
         .from(this.name);
       
-      if (whereClause && whereClause !== '{}') {
-        builder.where(whereClause);
+      // Translate the MongoDB-style query to a SQL++ WHERE clause with bound values
+      if (query && Object.keys(query).length > 0) {
+        builder.where(query);
       }
       
       const sqlppQuery = await builder.build();
       
       // Execute the query
-      const result = await this._connector.executeQuery(sqlppQuery);
+      const result = await this._connector.executeQuery(sqlppQuery, { ...builder.getBindings(), operation: 'countDocuments' });
       
       // Extract and return the count
       if (result && result.results && result.results.length > 0) {
@@ -112,12 +159,13 @@ class AsterixCollection {
       
       return 0;
     } catch (error) {
-      throw new Error(`CountDocuments operation failed: ${error.message}`);
+      throw AsterixError.wrap('CountDocuments operation failed', error);
     }
   }
   
   /**
-   * Inserts a single document into the collection.
+   * Inserts a single document into the collection. GeoJSON geometries in it are stored
+   * as ADM points, lines and polygons (see AdmCodec.geoJSONToAdm()).
    * 
    * @param {Object} doc - The document to insert
    * @returns {Promise<Object>} - The inserted document with _id
@@ -125,7 +173,7 @@ class AsterixCollection {
   async insertOne(doc) {
     try {
       // Ensure the document has an _id field
-      const docToInsert = { ...doc };
+      const docToInsert = AdmCodec.geoJSONToAdm({ ...doc });
       if (!docToInsert._id) {
         docToInsert._id = this._generateId();
         // console.log(`[AsterixCollection.insertOne] Generated _id '${docToInsert._id}' for doc with screenName: '${docToInsert.screenName || 'N/A'}'`);
@@ -133,7 +181,7 @@ class AsterixCollection {
       
       // Build the SQL++ INSERT query
       // console.log(`[AsterixCollection.insertOne] About to build INSERT query for doc with screenName: '${docToInsert.screenName || 'N/A'}'`);
-      const builder = new QueryBuilder()
+      const builder = this._createQueryBuilder()
         .use(this.database.name)
         .insertInto(this.name)
         .values([docToInsert]);
@@ -142,7 +190,7 @@ class AsterixCollection {
       const sqlppQuery = await builder.build();
       
       // console.log(`[AsterixCollection.insertOne] About to execute INSERT query for doc with screenName: '${docToInsert.screenName || 'N/A'}'`);
-      await this._connector.executeQuery(sqlppQuery);
+      await this._connector.executeQuery(sqlppQuery, { operation: 'insertOne' });
       
       // console.log(`[AsterixCollection.insertOne] Successfully executed INSERT for doc with screenName: '${docToInsert.screenName || 'N/A'}'`);
       return docToInsert;
@@ -152,7 +200,7 @@ class AsterixCollection {
       // if (error.response && error.response.data) {
       //   console.error(`[AsterixCollection.insertOne] Axios Error Response Data: ${JSON.stringify(error.response.data, null, 2)}`);
       // }
-      throw new Error(`InsertOne operation failed for ${doc.screenName || 'document'}: ${error.message}`);
+      throw AsterixError.wrap(`InsertOne operation failed for ${doc.screenName || 'document'}`, error);
     }
   }
   
@@ -166,7 +214,7 @@ class AsterixCollection {
     try {
       // Ensure each document has an _id field
       const docsToInsert = docs.map(doc => {
-        const docToInsert = { ...doc };
+        const docToInsert = AdmCodec.geoJSONToAdm({ ...doc });
         if (!docToInsert._id) {
           docToInsert._id = this._generateId();
         }
@@ -174,7 +222,7 @@ class AsterixCollection {
       });
       
       // Build the SQL++ INSERT query
-      const builder = new QueryBuilder()
+      const builder = this._createQueryBuilder()
         .use(this.database.name)
         .insertInto(this.name)
         .values(docsToInsert);
@@ -182,7 +230,7 @@ class AsterixCollection {
       const sqlppQuery = await builder.build();
       
       // Execute the query
-      await this._connector.executeQuery(sqlppQuery);
+      await this._connector.executeQuery(sqlppQuery, { operation: 'insertMany' });
       
       // Construct the result
       const insertedIds = {};
@@ -196,7 +244,7 @@ class AsterixCollection {
         insertedIds
       };
     } catch (error) {
-      throw new Error(`InsertMany operation failed: ${error.message}`);
+      throw AsterixError.wrap('InsertMany operation failed', error);
     }
   }
   
@@ -292,14 +340,15 @@ class AsterixCollection {
         Object.assign(deleteFilter, filter); 
       }
 
-      const deleteWhereClause = this._queryTranslator.toSQLPP(deleteFilter);
+      const deleteParams = new QueryParameters();
+      const deleteWhereClause = this._queryTranslator.toSQLPP(deleteFilter, deleteParams);
       if (!deleteWhereClause || deleteWhereClause === '{}') {
         throw new Error('Cannot perform delete step of update: Invalid or empty filter for delete.');
       }
 
-      const deleteQuery = `USE ${this.database.name}; DELETE FROM ${this.name} WHERE ${deleteWhereClause};`;
+      const deleteQuery = `USE ${this.database.name}; ${this._similarityPrologue(deleteFilter)}DELETE FROM ${this.name} WHERE ${deleteWhereClause};`;
       // We expect this to delete one document. SQL++ DELETE doesn't return count easily without subqueries.
-      await this._connector.executeQuery(deleteQuery);
+      await this._connector.executeQuery(deleteQuery, { ...deleteParams.toOptions(), operation: 'updateOne' });
 
       // 2. Insert the modified document
       // The `insertOne` method handles _id generation if not present, but for updates,
@@ -338,7 +387,7 @@ class AsterixCollection {
     } catch (error) {
       // Log the full error for better diagnostics
       console.error(`UpdateOne operation failed for filter: ${JSON.stringify(filter)}, update: ${JSON.stringify(update)}`, error);
-      throw new Error(`UpdateOne operation failed: ${error.message}`);
+      throw AsterixError.wrap('UpdateOne operation failed', error);
     }
   }
   
@@ -380,18 +429,19 @@ class AsterixCollection {
       
       // Documents exist, perform an update
       // Translate the MongoDB-style update to SQL++ SET clause
-      const setClause = this._queryTranslator.updateToSQLPP(update);
-      const whereClause = this._queryTranslator.toSQLPP(filter);
+      const params = new QueryParameters();
+      const setClause = this._queryTranslator.updateToSQLPP(AdmCodec.geoJSONToAdm(update), params);
+      const whereClause = this._queryTranslator.toSQLPP(filter, params);
       
       // Build and execute the SQL++ UPDATE query
       const sqlppQuery = `
         USE ${this.database.name};
-        UPDATE ${this.name}
+        ${this._similarityPrologue(filter)}UPDATE ${this.name}
         SET ${setClause}
         WHERE ${whereClause};
       `;
       
-      await this._connector.executeQuery(sqlppQuery);
+      await this._connector.executeQuery(sqlppQuery, { ...params.toOptions(), operation: 'updateMany' });
       
       return {
         acknowledged: true,
@@ -400,7 +450,7 @@ class AsterixCollection {
         upsertedCount: 0
       };
     } catch (error) {
-      throw new Error(`UpdateMany operation failed: ${error.message}`);
+      throw AsterixError.wrap('UpdateMany operation failed', error);
     }
   }
   
@@ -412,18 +462,19 @@ class AsterixCollection {
    */
   async deleteOne(filter) {
     try {
-      // Translate the MongoDB-style filter to SQL++ WHERE clause
-      const whereClause = this._queryTranslator.toSQLPP(filter);
+      // Translate the MongoDB-style filter to SQL++ WHERE clause with bound values
+      const params = new QueryParameters();
+      const whereClause = this._queryTranslator.toSQLPP(filter, params);
       
       const sqlppQuery = `
         USE ${this.database.name};
-        DELETE FROM ${this.name}
+        ${this._similarityPrologue(filter)}DELETE FROM ${this.name}
         WHERE ${whereClause};
       `;
       
       console.log(`[AsterixCollection.deleteOne] Generated SQL++ for delete: ${sqlppQuery.replace(/\n\s*/g, ' ').trim()}`); // Log the query
 
-      const result = await this._connector.executeQuery(sqlppQuery);
+      const result = await this._connector.executeQuery(sqlppQuery, { ...params.toOptions(), operation: 'deleteOne' });
       console.log(`[AsterixCollection.deleteOne] Raw result from AsterixDB:`, JSON.stringify(result, null, 2)); // Log the raw result
       
       // Extract the delete count from the result
@@ -437,7 +488,7 @@ class AsterixCollection {
         deletedCount
       };
     } catch (error) {
-      throw new Error(`DeleteOne operation failed: ${error.message}`);
+      throw AsterixError.wrap('DeleteOne operation failed', error);
     }
   }
   
@@ -449,17 +500,18 @@ class AsterixCollection {
    */
   async deleteMany(filter) {
     try {
-      // Translate the MongoDB-style filter to SQL++ WHERE clause
-      const whereClause = this._queryTranslator.toSQLPP(filter);
+      // Translate the MongoDB-style filter to SQL++ WHERE clause with bound values
+      const params = new QueryParameters();
+      const whereClause = this._queryTranslator.toSQLPP(filter, params);
       
       // Build and execute the SQL++ DELETE query
       const sqlppQuery = `
         USE ${this.database.name};
-        DELETE FROM ${this.name}
+        ${this._similarityPrologue(filter)}DELETE FROM ${this.name}
         WHERE ${whereClause};
       `;
       
-      const result = await this._connector.executeQuery(sqlppQuery);
+      const result = await this._connector.executeQuery(sqlppQuery, { ...params.toOptions(), operation: 'deleteMany' });
       
       // Extract the delete count from the result
       let deletedCount = 0;
@@ -472,7 +524,7 @@ class AsterixCollection {
         deletedCount
       };
     } catch (error) {
-      throw new Error(`DeleteMany operation failed: ${error.message}`);
+      throw AsterixError.wrap('DeleteMany operation failed', error);
     }
   }
   
@@ -485,23 +537,21 @@ class AsterixCollection {
    */
   async distinct(field, filter = {}) {
     try {
-      // Translate the MongoDB-style filter to SQL++ WHERE clause
-      const whereClause = this._queryTranslator.toSQLPP(filter);
-      
       // Build the SQL++ query to get distinct values
-      const builder = new QueryBuilder()
+      const builder = this._createQueryBuilder()
         .use(this.database.name)
         .select([`DISTINCT ${field} as value`])
         .from(this.name);
       
-      if (whereClause && whereClause !== '{}') {
-        builder.where(whereClause);
+      // Translate the MongoDB-style filter to a SQL++ WHERE clause with bound values
+      if (filter && Object.keys(filter).length > 0) {
+        builder.where(filter);
       }
       
       const sqlppQuery = await builder.build();
       
       // Execute the query
-      const result = await this._connector.executeQuery(sqlppQuery);
+      const result = await this._connector.executeQuery(sqlppQuery, { ...builder.getBindings(), operation: 'distinct' });
       
       // Extract and return the distinct values
       if (result && result.results) {
@@ -510,7 +560,196 @@ class AsterixCollection {
       
       return [];
     } catch (error) {
-      throw new Error(`Distinct operation failed: ${error.message}`);
+      throw AsterixError.wrap('Distinct operation failed', error);
+    }
+  }
+  
+  /**
+   * Bulk-loads files from a node controller into the collection with LOAD DATASET.
+   * Much faster than insertMany() for large files, but the collection must be empty;
+   * use `db.copyInto()` to add to existing data.
+   * 
+   * ```
+   * const summary = await collection.load({
+   *   path: '/data/events.json',
+   *   format: 'json',
+   *   nodeName: 'asterix_nc1',
+   *   onProgress: event => console.log(event.phase, `${event.elapsed} ms`)
+   * });
+   * ```
+   * 
+   * @param {Object} options - Load options
+   * @param {string|Array<string>} options.path - Absolute path(s) on the node, loaded in one statement
+   * @param {string} options.format - 'json', 'adm', 'csv' or 'tsv'
+   * @param {string} [options.nodeName='localhost'] - Node the files are on
+   * @param {string} [options.delimiter] - CSV field delimiter (default ',')
+   * @param {boolean} [options.header=false] - Whether CSV/TSV files start with a header line
+   * @param {Function} [options.onProgress] - Progress callback (see AsterixDatabase#_runBulk)
+   * @param {number} [options.progressInterval=10000] - Milliseconds between 'running' events
+   * @param {number} [options.timeout=0] - Client timeout in ms (0 for none)
+   * @param {string} [options.priority] - Queue priority, e.g. 'batch'
+   * @param {AbortSignal} [options.signal] - Aborts the load
+   * @returns {Promise<Object>} - The bulk summary: `processedObjects`, `elapsed`, `elapsedTime`, `statements`
+   */
+  async load(options = {}) {
+    try {
+      const statement = BulkStatements.load(this.name, options);
+      const path = BulkStatements.paths(options).join(',');
+      return await this.database._runBulk('load', [{ path, statement }], options);
+    } catch (error) {
+      throw AsterixError.wrap('Load operation failed', error);
+    }
+  }
+  
+  /**
+   * Writes the collection, or the results of a query over it, to files on a node controller
+   * with COPY ... TO.
+   * 
+   * @param {Object} options - Copy options
+   * @param {string} options.path - Absolute output directory on the node
+   * @param {string} [options.format='json'] - 'json', 'csv' or 'parquet'
+   * @param {string} [options.nodeName='localhost'] - Node to write the files on
+   * @param {string} [options.query] - SQL++ query to export instead of the whole collection
+   * @param {boolean} [options.header] - Whether CSV files start with a header line
+   * @param {Object} [options.config] - Further writer settings (e.g. `compression`)
+   * @param {Function} [options.onProgress] - Progress callback (see AsterixDatabase#_runBulk)
+   * @param {number} [options.progressInterval=10000] - Milliseconds between 'running' events
+   * @param {number} [options.timeout=0] - Client timeout in ms (0 for none)
+   * @param {string} [options.priority] - Queue priority, e.g. 'batch'
+   * @param {AbortSignal} [options.signal] - Aborts the copy
+   * @returns {Promise<Object>} - The bulk summary
+   */
+  async copyTo(options = {}) {
+    try {
+      const statement = BulkStatements.copyTo(this.name, options);
+      const [path] = BulkStatements.paths(options);
+      return await this.database._runBulk('copyTo', [{ path, statement }], options);
+    } catch (error) {
+      throw AsterixError.wrap('CopyTo operation failed', error);
+    }
+  }
+  
+  /**
+   * Creates a secondary index on the collection.
+   * 
+   * The value of each key picks the index type, as in MongoDB index specifications:
+   * 
+   * | Key value   | AsterixDB index                                          |
+   * |-------------|----------------------------------------------------------|
+   * | `1` or `-1` | BTREE; may span several fields                           |
+   * | `'text'`    | FULLTEXT, used by `$text` and `ftcontains`               |
+   * | `'2d'`      | RTREE, used by the geospatial operators                  |
+   * | `'keyword'` | KEYWORD, for similarity over word tokens                 |
+   * | `'ngram'`   | NGRAM(`gramLength`), for similarity over n-grams         |
+   * 
+   * ```
+   * await chirps.createIndex({ messageText: 'text' });               // 'messageText_fulltext'
+   * await chirps.createIndex({ 'user.lang': 1 }, { name: 'langIdx' });
+   * ```
+   * 
+   * @param {string|Object} keys - A field name (BTREE), or `{ field: 1 | -1 | 'text' | '2d' | 'keyword' | 'ngram' }`
+   * @param {Object} [options] - Index options
+   * @param {string} [options.name] - Index name (default: the fields and the type, e.g. `messageText_fulltext`)
+   * @param {Object<string, string>} [options.types] - ADM types of indexed fields the collection's type does not
+   *   declare, e.g. `{ sendTime: 'datetime?' }`
+   * @param {number} [options.gramLength=3] - Gram length of an NGRAM index
+   * @param {boolean} [options.ifNotExists=true] - Succeed without changes if an index with the name exists
+   * @returns {Promise<string>} - The index name
+   */
+  async createIndex(keys, options = {}) {
+    try {
+      const { name, statement } = this._buildIndexStatement(keys, options);
+      await this._connector.executeQuery(`USE ${this.database.name}; ${statement}`, { operation: 'createIndex' });
+      return name;
+    } catch (error) {
+      throw AsterixError.wrap('CreateIndex operation failed', error);
+    }
+  }
+  
+  /**
+   * Drops a secondary index of the collection.
+   * 
+   * @param {string} name - The index name
+   * @param {Object} [options] - Drop options
+   * @param {boolean} [options.ifExists=false] - Succeed if there is no index with the name
+   * @returns {Promise<boolean>} - True if the statement succeeded
+   */
+  async dropIndex(name, options = {}) {
+    try {
+      AsterixCollection._checkIdentifier(name, 'index name');
+      const ifExists = options.ifExists === true ? ' IF EXISTS' : '';
+      await this._connector.executeQuery(`USE ${this.database.name}; DROP INDEX ${this.name}.${name}${ifExists};`,
+        { operation: 'dropIndex' });
+      return true;
+    } catch (error) {
+      throw AsterixError.wrap('DropIndex operation failed', error);
+    }
+  }
+  
+  /**
+   * Builds the CREATE INDEX statement for createIndex().
+   * 
+   * @private
+   * @param {string|Object} keys - Index keys
+   * @param {Object} options - Index options
+   * @returns {{name: string, statement: string}}
+   */
+  _buildIndexStatement(keys, options) {
+    const entries = Object.entries(typeof keys === 'string' ? { [keys]: 1 } : (keys || {}));
+    if (entries.length === 0) {
+      throw new Error('createIndex requires at least one key');
+    }
+    
+    const types = new Set(entries.map(([field, kind]) => {
+      AsterixCollection._checkIdentifier(field, 'index field', true);
+      const type = INDEX_TYPES[String(kind)];
+      if (!type) {
+        throw new Error(`Unsupported index key value ${JSON.stringify(kind)} for "${field}". Use one of: ${Object.keys(INDEX_TYPES).join(', ')}`);
+      }
+      return type;
+    }));
+    if (types.size > 1) {
+      throw new Error(`All keys of an index must have the same type, got ${[...types].join(' and ')}`);
+    }
+    const [type] = types;
+    if (type !== 'BTREE' && entries.length > 1) {
+      throw new Error(`A ${type} index covers a single field`);
+    }
+    
+    const fields = entries.map(([field]) => field);
+    const name = options.name || `${fields.map(field => field.replace(/\./g, '_')).join('_')}_${type.toLowerCase()}`;
+    AsterixCollection._checkIdentifier(name, 'index name');
+    
+    let typeClause = `TYPE ${type}`;
+    if (type === 'NGRAM') {
+      const gramLength = options.gramLength === undefined ? 3 : options.gramLength;
+      if (!Number.isInteger(gramLength) || gramLength < 1) {
+        throw new Error('NGRAM index gramLength must be a positive integer');
+      }
+      typeClause = `TYPE NGRAM(${gramLength})`;
+    }
+    
+    const fieldTypes = options.types || {};
+    const keyList = fields.map(field => (fieldTypes[field] ? `${field}: ${fieldTypes[field]}` : field)).join(', ');
+    const ifNotExists = options.ifNotExists === false ? '' : ' IF NOT EXISTS';
+    return {
+      name,
+      statement: `CREATE INDEX ${name}${ifNotExists} ON ${this.name}(${keyList}) ${typeClause};`,
+    };
+  }
+  
+  /**
+   * Checks that a name can be written into DDL as a plain identifier.
+   * 
+   * @private
+   * @param {string} name - The name
+   * @param {string} what - What the name is, for the error message
+   * @param {boolean} [path=false] - Whether a dotted field path is allowed
+   */
+  static _checkIdentifier(name, what, path = false) {
+    const pattern = path ? /^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z_][A-Za-z0-9_]*)*$/ : /^[A-Za-z_][A-Za-z0-9_]*$/;
+    if (typeof name !== 'string' || !pattern.test(name)) {
+      throw new Error(`Invalid ${what} "${name}"`);
     }
   }
   
@@ -520,47 +759,77 @@ class AsterixCollection {
    * @private
    * @param {Object} query - The MongoDB-style query filter
    * @param {Object} options - Query options
-   * @returns {Promise<string>} - The SQL++ query
+   * @returns {QueryBuilder} - The configured builder; call build() for the SQL++ and getBindings() for its values
    */
-  async _buildFindQuery(query, options) {
-    // Create a new QueryBuilder
-    const builder = new QueryBuilder()
+  _buildFindQuery(query, options) {
+    // Create a new QueryBuilder; values outside the filter are bound to its parameters too
+    const params = new QueryParameters();
+    const builder = this._createQueryBuilder(params)
       .use(this.database.name);
     
-    // Handle projection
-    if (options.projection) {
-      const fields = this._buildProjection(options.projection);
-      builder.select(fields);
+    // $geoNear becomes a $near condition, which sorts by distance below
+    const geoNear = options.geoNear ? this._buildGeoNear(options.geoNear, params) : null;
+    if (geoNear) {
+      query = query && Object.keys(query).length > 0 ? { $and: [query, geoNear.filter] } : geoNear.filter;
+    }
+    
+    // similarity ranks by a score, filtering with $similar when it has a threshold
+    const similarity = options.similarity ? this._buildSimilarity(options.similarity, params) : null;
+    if (similarity && similarity.filter) {
+      query = query && Object.keys(query).length > 0 ? { $and: [query, similarity.filter] } : similarity.filter;
+    }
+    
+    // Handle projection, with the computed distance or score fields
+    const fields = options.projection ? this._buildProjection(options.projection) : ['*'];
+    const computed = [geoNear && [geoNear.distanceField, geoNear.distance], similarity && [similarity.scoreField, similarity.score]]
+      .filter(entry => entry && entry[0]);
+    if (computed.length > 0 && fields.includes('*')) {
+      const record = computed.reduce((expr, [field, value]) => `object_put(${expr}, "${field}", ${value})`, this.name);
+      builder.select([`VALUE ${record}`]);
     } else {
-      builder.select(['*']);
+      builder.select([...fields, ...computed.map(([field, value]) => `${value} AS ${field}`)]);
     }
     
     // Add FROM clause
     builder.from(this.name);
     
-    // Handle query filter
+    // Handle query filter (values are bound as parameters)
     if (query && Object.keys(query).length > 0) {
-      const whereClause = this._queryTranslator.toSQLPP(query);
-      if (whereClause && whereClause !== '{}') {
-        builder.where(whereClause);
-      }
+      builder.where(query);
     }
     
-    // Handle sort
+    // Handle sort; $near matches come nearest first, as in MongoDB, then the most similar
+    const sortParts = this._queryTranslator.nearOrder(query, params).map(distance => `${distance} ASC`);
+    if (similarity) {
+      sortParts.push(similarity.sort);
+    }
     if (options.sort) {
-      const sortClause = this._buildSortClause(options.sort);
+      const sortClause = this._buildSortClause(options.sort, params);
       if (sortClause) {
-        builder.orderBy(sortClause);
+        sortParts.push(sortClause);
       }
     }
+    if (sortParts.length > 0) {
+      builder.orderBy(sortParts.join(', '));
+    }
     
     // Handle limit
     if (options.limit) {
       builder.limit(options.limit);
     }
     
-    // Build the final query
-    return builder.build();
+    return builder;
+  }
+  
+  /**
+   * Creates a QueryBuilder that validates against this collection's connector.
+   * 
+   * @private
+   * @param {QueryParameters} [parameters] - Collector for the builder's bound values
+   * @returns {QueryBuilder} - A new QueryBuilder instance
+   */
+  _createQueryBuilder(parameters) {
+    return new QueryBuilder({ connector: this._connector, parameters });
   }
   
   /**
@@ -609,12 +878,23 @@ class AsterixCollection {
    * 
    * @private
    * @param {Object} sort - MongoDB-style sort specification
+   * @param {QueryParameters} [params] - Collector for the points and values sorted by
    * @returns {string} - ORDER BY clause
    */
-  _buildSortClause(sort) {
+  _buildSortClause(sort, params = null) {
     const sortParts = [];
     
     for (const [field, direction] of Object.entries(sort)) {
+      if (direction && typeof direction === 'object' && direction.$near !== undefined) {
+        // Sort by distance from a point, nearest first
+        sortParts.push(`${this._queryTranslator.distanceExpression(field, direction.$near, params)} ASC`);
+        continue;
+      }
+      if (direction && typeof direction === 'object' && direction.$similar !== undefined) {
+        // Sort by similarity to a value, closest first
+        sortParts.push(this._queryTranslator.similaritySort(field, direction.$similar, direction.func, params));
+        continue;
+      }
       const dir = direction === 1 ? 'ASC' : 'DESC';
       sortParts.push(`${field} ${dir}`);
     }
@@ -622,6 +902,78 @@ class AsterixCollection {
     return sortParts.join(', ');
   }
   
+  /**
+   * Reads a `geoNear` find option.
+   * 
+   * @private
+   * @param {Object} geoNear - `{ near, key, maxDistance, minDistance, distanceField }`
+   * @param {QueryParameters} [params] - Collector for the point of the distance expression
+   * @returns {{filter: Object, distance: string, distanceField: (string|undefined)}} - The `$near` filter,
+   *   the SQL++ distance expression and the output field for it
+   */
+  _buildGeoNear(geoNear, params = null) {
+    const { near, key, maxDistance, minDistance, distanceField } = geoNear;
+    if (typeof key !== 'string' || !key) {
+      throw new Error('geoNear requires "key", the field holding the points');
+    }
+    if (near === undefined || near === null) {
+      throw new Error('geoNear requires "near", the point to measure distances from');
+    }
+    if (distanceField !== undefined && !/^[A-Za-z_][A-Za-z0-9_]*$/.test(distanceField)) {
+      throw new Error(`Invalid geoNear distanceField "${distanceField}"`);
+    }
+    
+    const condition = { $near: near };
+    if (maxDistance !== undefined) condition.$maxDistance = maxDistance;
+    if (minDistance !== undefined) condition.$minDistance = minDistance;
+    return {
+      filter: { [key]: condition },
+      distance: this._queryTranslator.distanceExpression(key, near, params),
+      distanceField,
+    };
+  }
+  
+  /**
+   * Reads a `similarity` find option.
+   * 
+   * @private
+   * @param {Object} similarity - `{ key, value, func, threshold, scoreField }`
+   * @param {QueryParameters} [params] - Collector for the value of the score expression
+   * @returns {{filter: (Object|null), score: string, sort: string, scoreField: (string|undefined)}} - The
+   *   `$similar` filter (when a threshold is given), the SQL++ score expression, its ORDER BY term
+   *   and the output field for it
+   */
+  _buildSimilarity(similarity, params = null) {
+    const { key, value, func = 'jaccard', threshold, scoreField } = similarity;
+    if (typeof key !== 'string' || !key) {
+      throw new Error('similarity requires "key", the field to compare');
+    }
+    if (scoreField !== undefined && !/^[A-Za-z_][A-Za-z0-9_]*$/.test(scoreField)) {
+      throw new Error(`Invalid similarity scoreField "${scoreField}"`);
+    }
+    
+    return {
+      filter: threshold !== undefined ? { [key]: { $similar: { value, func, threshold } } } : null,
+      score: this._queryTranslator.similarityExpression(key, value, func, params),
+      sort: this._queryTranslator.similaritySort(key, value, func, params),
+      scoreField,
+    };
+  }
+  
+  /**
+   * Returns the SET statements the `$similar` conditions of a filter need, for statements
+   * written without QueryBuilder (see QueryTranslator.similaritySettings()).
+   * 
+   * @private
+   * @param {Object} filter - MongoDB-style filter
+   * @returns {string} - e.g. `SET simfunction "jaccard"; SET simthreshold "0.8"; `, or ''
+   */
+  _similarityPrologue(filter) {
+    return Object.entries(this._queryTranslator.similaritySettings(filter))
+      .map(([name, value]) => `SET ${name} "${value}"; `)
+      .join('');
+  }
+  
   /**
    * Merges a filter and update document for upsert operations.
    * 
@@ -690,7 +1042,10 @@ class AsterixCollection {
           for (const [field, value] of Object.entries(fields)) {
             if (typeof modifiedDoc[field] === 'number' && typeof value === 'number') {
               modifiedDoc[field] += value;
-            } else if (typeof value === 'number') { // Field might not exist, initialize it
+            } else if (typeof value === 'bigint' && ['bigint', 'number', 'string'].includes(typeof modifiedDoc[field])) {
+              // int64 fields read in 'bigint' or 'string' mode
+              modifiedDoc[field] = BigInt(modifiedDoc[field]) + value;
+            } else if (typeof value === 'number' || typeof value === 'bigint') { // Field might not exist, initialize it
               modifiedDoc[field] = value;
             }
             // Consider logging a warning if types are incompatible
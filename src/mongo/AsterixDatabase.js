@@ -1,4 +1,8 @@
 const AsterixCollection = require('./AsterixCollection');
+const AsterixError = require('../core/AsterixError');
+const FeedStatements = require('../core/FeedStatements');
+const BulkStatements = require('../core/BulkStatements');
+const QueryMetrics = require('../core/QueryMetrics');
 
 /**
  * AsterixDatabase provides a MongoDB-like interface for interacting with an AsterixDB dataverse.
@@ -43,7 +47,7 @@ class AsterixDatabase {
         WHERE d.DataverseName = '${this.name}'
       `;
       
-      const result = await this._connector.executeQuery(query);
+      const result = await this._connector.executeQuery(query, { operation: 'listCollections' });
       
       if (result && result.results) {
         return result.results.map(dataset => dataset.name);
@@ -75,7 +79,7 @@ class AsterixDatabase {
       createStatement += ';';
       
       // Execute the CREATE statement
-      await this._connector.executeQuery(`USE ${this.name}; ${createStatement}`);
+      await this._connector.executeQuery(`USE ${this.name}; ${createStatement}`, { operation: 'createCollection' });
       
       // Return the collection instance
       return this.collection(name);
@@ -92,7 +96,7 @@ class AsterixDatabase {
    */
   async dropCollection(name) {
     try {
-      await this._connector.executeQuery(`USE ${this.name}; DROP DATASET ${name};`);
+      await this._connector.executeQuery(`USE ${this.name}; DROP DATASET ${name};`, { operation: 'dropCollection' });
       
       // Remove the collection from the cache
       if (this._collections[name]) {
@@ -105,6 +109,307 @@ class AsterixDatabase {
     }
   }
   
+  /**
+   * Creates a data feed.
+   * 
+   * ```
+   * await db.createFeed('ChirpFeed', {
+   *   adapter: 'socket_adapter',
+   *   format: 'adm',
+   *   type: 'ChirpMessageType',
+   *   config: { sockets: '127.0.0.1:10001' }
+   * });
+   * ```
+   * 
+   * @param {string} name - The name of the feed
+   * @param {Object} options - Feed options
+   * @param {string} options.adapter - The adapter name (socket_adapter, localfs, http_adapter, ...)
+   * @param {string} [options.format] - Record format: 'adm', 'json' or 'delimited-text'
+   * @param {string} [options.type] - Name of the record type
+   * @param {Object} [options.config] - Further adapter settings, validated for known adapters
+   * @returns {Promise<boolean>} - True if the feed was created
+   */
+  async createFeed(name, options = {}) {
+    try {
+      const statement = FeedStatements.createFeed(name, options);
+      await this._connector.executeQuery(`USE ${this.name}; ${statement}`, { operation: 'createFeed' });
+      return true;
+    } catch (error) {
+      throw AsterixError.wrap(`Failed to create feed '${name}'`, error);
+    }
+  }
+  
+  /**
+   * Connects a feed to a collection, so that its records are stored there once the feed starts.
+   * 
+   * @param {string} feed - The name of the feed
+   * @param {string|AsterixCollection} collection - The target collection
+   * @param {Object} [options] - Connection options
+   * @param {string} [options.applyFunction] - Function applied to each record before it is stored
+   * @param {string} [options.policy] - Ingestion policy name
+   * @returns {Promise<boolean>} - True if the feed was connected
+   */
+  async connectFeed(feed, collection, options = {}) {
+    const dataset = this._collectionName(collection);
+    try {
+      const statement = FeedStatements.connectFeed(feed, dataset, options);
+      await this._connector.executeQuery(`USE ${this.name}; ${statement}`, { operation: 'connectFeed' });
+      return true;
+    } catch (error) {
+      throw AsterixError.wrap(`Failed to connect feed '${feed}' to '${dataset}'`, error);
+    }
+  }
+  
+  /**
+   * Starts a connected feed.
+   * 
+   * @param {string} feed - The name of the feed
+   * @returns {Promise<boolean>} - True if the feed was started
+   */
+  async startFeed(feed) {
+    try {
+      await this._connector.executeQuery(`USE ${this.name}; ${FeedStatements.startFeed(feed)}`, { operation: 'startFeed' });
+      return true;
+    } catch (error) {
+      throw AsterixError.wrap(`Failed to start feed '${feed}'`, error);
+    }
+  }
+  
+  /**
+   * Stops a running feed.
+   * 
+   * @param {string} feed - The name of the feed
+   * @returns {Promise<boolean>} - True if the feed was stopped
+   */
+  async stopFeed(feed) {
+    try {
+      await this._connector.executeQuery(`USE ${this.name}; ${FeedStatements.stopFeed(feed)}`, { operation: 'stopFeed' });
+      return true;
+    } catch (error) {
+      throw AsterixError.wrap(`Failed to stop feed '${feed}'`, error);
+    }
+  }
+  
+  /**
+   * Disconnects a feed from a collection. The feed must be stopped first.
+   * 
+   * @param {string} feed - The name of the feed
+   * @param {string|AsterixCollection} collection - The connected collection
+   * @returns {Promise<boolean>} - True if the feed was disconnected
+   */
+  async disconnectFeed(feed, collection) {
+    const dataset = this._collectionName(collection);
+    try {
+      const statement = FeedStatements.disconnectFeed(feed, dataset);
+      await this._connector.executeQuery(`USE ${this.name}; ${statement}`, { operation: 'disconnectFeed' });
+      return true;
+    } catch (error) {
+      throw AsterixError.wrap(`Failed to disconnect feed '${feed}' from '${dataset}'`, error);
+    }
+  }
+  
+  /**
+   * Drops a feed. The feed must be stopped and disconnected first.
+   * 
+   * @param {string} feed - The name of the feed
+   * @param {Object} [options] - Drop options
+   * @param {boolean} [options.ifExists=false] - Do not fail if the feed does not exist
+   * @returns {Promise<boolean>} - True if the feed was dropped
+   */
+  async dropFeed(feed, options = {}) {
+    try {
+      await this._connector.executeQuery(`USE ${this.name}; ${FeedStatements.dropFeed(feed, options)}`, { operation: 'dropFeed' });
+      return true;
+    } catch (error) {
+      throw AsterixError.wrap(`Failed to drop feed '${feed}'`, error);
+    }
+  }
+  
+  /**
+   * Lists the feeds of this database with their adapter settings and connections,
+   * read from `Metadata.Feed` and `Metadata.FeedConnection`.
+   * 
+   * @returns {Promise<Array<Object>>} - Feeds as `{ name, adapter, format, type, config, connections, timestamp }`,
+   *   where each connection is `{ collection, functions, policy, outputType }`
+   */
+  async listFeeds() {
+    const options = { operation: 'listFeeds', params: { $dataverse: this.name } };
+    try {
+      const [feeds, connections] = await Promise.all([
+        this._connector.executeQuery(
+          'SELECT VALUE f FROM Metadata.`Feed` f WHERE f.DataverseName = $dataverse ORDER BY f.FeedName;',
+          options
+        ),
+        this._connector.executeQuery(
+          'SELECT VALUE c FROM Metadata.`FeedConnection` c WHERE c.DataverseName = $dataverse;',
+          options
+        ),
+      ]);
+      
+      const connectionRows = (connections && connections.results) || [];
+      return ((feeds && feeds.results) || []).map(feed => {
+        const config = {};
+        for (const entry of feed.AdapterConfiguration || []) {
+          config[entry.Name] = entry.Value;
+        }
+        return {
+          name: feed.FeedName,
+          adapter: config['adapter-name'] || feed.AdapterName || null,
+          format: config.format || null,
+          type: config['type-name'] || null,
+          config,
+          connections: connectionRows
+            .filter(connection => connection.FeedName === feed.FeedName)
+            .map(connection => ({
+              collection: connection.DatasetName,
+              functions: (connection.AppliedFunctions || []).map(fn => (typeof fn === 'string'
+                ? fn
+                : [fn.DataverseName, fn.FunctionName || fn.Name].filter(Boolean).join('.'))),
+              policy: connection.PolicyName || null,
+              outputType: connection.OutputType || null,
+            })),
+          timestamp: feed.Timestamp || null,
+        };
+      });
+    } catch (error) {
+      throw AsterixError.wrap(`Failed to list feeds in database '${this.name}'`, error);
+    }
+  }
+  
+  /**
+   * Adds the records of files on a node controller to a collection with COPY INTO.
+   * Unlike `collection.load()`, the collection does not have to be empty. Several paths
+   * are copied one statement at a time, so progress is reported per file.
+   * 
+   * ```
+   * await db.copyInto('Events', {
+   *   path: ['/data/events-1.json', '/data/events-2.json'],
+   *   format: 'json',
+   *   nodeName: 'asterix_nc1',
+   *   onProgress: event => console.log(event.phase, event.path, event.processedObjects)
+   * });
+   * ```
+   * 
+   * @param {string|AsterixCollection} collection - The target collection
+   * @param {Object} options - Copy options
+   * @param {string|Array<string>} options.path - Absolute path(s) on the node
+   * @param {string} [options.format='json'] - 'json', 'csv', 'tsv' or 'parquet'
+   * @param {string} [options.nodeName='localhost'] - Node the files are on
+   * @param {boolean} [options.header] - Whether CSV/TSV files start with a header line
+   * @param {Object} [options.config] - Further reader settings
+   * @param {Function} [options.onProgress] - Progress callback (see _runBulk)
+   * @param {number} [options.progressInterval=10000] - Milliseconds between 'running' events
+   * @param {number} [options.timeout=0] - Client timeout per statement in ms (0 for none)
+   * @param {string} [options.priority] - Queue priority, e.g. 'batch'
+   * @param {AbortSignal} [options.signal] - Aborts the copy
+   * @returns {Promise<Object>} - The bulk summary (see _runBulk)
+   */
+  async copyInto(collection, options = {}) {
+    const dataset = this._collectionName(collection);
+    try {
+      const statements = BulkStatements.paths(options).map(path => ({
+        path,
+        statement: BulkStatements.copyInto(dataset, { ...options, path, nodeName: undefined }),
+      }));
+      return await this._runBulk('copyInto', statements, options);
+    } catch (error) {
+      throw AsterixError.wrap(`Failed to copy into '${dataset}'`, error);
+    }
+  }
+  
+  /**
+   * Runs bulk statements (LOAD, COPY) one after another and reports their progress.
+   * 
+   * `onProgress` receives events with `phase`:
+   * - `start`: before the first statement;
+   * - `running`: every `progressInterval` ms while a statement runs, as a heartbeat;
+   * - `statement`: after each statement, with its server `metrics`;
+   * - `done`: after the last statement.
+   * Every event also has `operation`, `index` and `total` (statements), `path`, `elapsed`
+   * (ms since start) and `processedObjects`, the total of the statements finished so far.
+   * The server reports no counts while a statement runs, so a single LOAD or COPY only
+   * advances `processedObjects` once it has finished.
+   * 
+   * @private
+   * @param {string} operation - Operation label ('load', 'copyTo', 'copyInto')
+   * @param {Array<{path: string, statement: string}>} statements - The statements to run
+   * @param {Object} options - `onProgress`, `progressInterval`, `timeout`, `priority`, `signal`, `headers`
+   * @returns {Promise<Object>} - `acknowledged`, `operation`, `processedObjects`, `elapsed` (ms, client side),
+   *   `elapsedTime` (ms, sum of the server's elapsed times) and `statements`, one `{ path, statement,
+   *   processedObjects, elapsedTime, metrics, warnings }` entry per statement
+   */
+  async _runBulk(operation, statements, options = {}) {
+    const { onProgress, progressInterval = 10000, timeout = 0, priority, signal, headers } = options;
+    const started = Date.now();
+    const summary = {
+      acknowledged: true,
+      operation,
+      processedObjects: 0,
+      elapsed: 0,
+      elapsedTime: 0,
+      statements: [],
+    };
+    const report = (phase, index, extra = {}) => {
+      if (!onProgress) {
+        return;
+      }
+      onProgress({
+        phase,
+        operation,
+        index,
+        total: statements.length,
+        path: statements[index] ? statements[index].path : null,
+        elapsed: Date.now() - started,
+        processedObjects: summary.processedObjects,
+        ...extra,
+      });
+    };
+    
+    report('start', 0);
+    for (let index = 0; index < statements.length; index++) {
+      const { path, statement } = statements[index];
+      const timer = onProgress && progressInterval > 0
+        ? setInterval(() => report('running', index), progressInterval)
+        : null;
+      let response;
+      try {
+        response = await this._connector.executeQuery(`USE ${this.name}; ${statement}`, {
+          operation, timeout, priority, signal, headers
+        });
+      } finally {
+        clearInterval(timer);
+      }
+      
+      const metrics = (response && response.metrics) || {};
+      const entry = {
+        path,
+        statement,
+        processedObjects: Number(metrics.processedObjects) || 0,
+        elapsedTime: QueryMetrics.parseDuration(metrics.elapsedTime) || 0,
+        metrics,
+        warnings: (response && response.warnings) || [],
+      };
+      summary.statements.push(entry);
+      summary.processedObjects += entry.processedObjects;
+      summary.elapsedTime += entry.elapsedTime;
+      report('statement', index, { metrics });
+    }
+    summary.elapsed = Date.now() - started;
+    report('done', statements.length - 1);
+    return summary;
+  }
+  
+  /**
+   * Returns the dataset name of a collection given by name or instance.
+   * 
+   * @private
+   * @param {string|AsterixCollection} collection - The collection
+   * @returns {string} - The dataset name
+   */
+  _collectionName(collection) {
+    return collection instanceof AsterixCollection ? collection.name : collection;
+  }
+  
   /**
    * Helper method to build an AsterixDB type declaration from a schema object.
    * 
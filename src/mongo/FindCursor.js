@@ -0,0 +1,181 @@
+const AsterixError = require('../core/AsterixError');
+
+/**
+ * FindCursor is returned by `AsterixCollection.find()`.
+ *
+ * It can be awaited like a promise to get all matching documents, or iterated with
+ * `for await` to stream documents from the server one at a time, which keeps memory
+ * use flat for large scans:
+ * ```
+ * const docs = await users.find({ lang: 'en' });
+ *
+ * for await (const user of users.find({ lang: 'en' })) {
+ *   // ...
+ * }
+ * ```
+ *
+ * The query is not built or sent until the cursor is awaited or iterated, so sort,
+ * limit and projection can still be changed with the chainable methods.
+ */
+class FindCursor {
+  /**
+   * Creates a new FindCursor.
+   *
+   * @param {AsterixCollection} collection - The collection being queried
+   * @param {Object} query - The MongoDB-style query filter
+   * @param {Object} options - Find options (projection, sort, limit, geoNear, similarity)
+   */
+  constructor(collection, query = {}, options = {}) {
+    this.collection = collection;
+    this.query = query;
+    this.options = { ...options };
+    this._resultPromise = null;
+  }
+
+  /**
+   * Sets the sort specification.
+   *
+   * @param {Object} sort - MongoDB-style sort specification
+   * @returns {FindCursor} - This cursor for chaining
+   */
+  sort(sort) {
+    this.options.sort = sort;
+    return this;
+  }
+
+  /**
+   * Returns documents nearest a point first, like MongoDB's `$geoNear` stage.
+   *
+   * ```
+   * const nearby = await chirps.find({ lang: 'en' })
+   *   .geoNear({ key: 'location', near: [47.4, 80.6], maxDistance: 2, distanceField: 'distance' })
+   *   .limit(10);
+   * ```
+   *
+   * @param {Object} geoNear - `near` (point), `key` (point field), and optional `maxDistance`,
+   *   `minDistance` and `distanceField` (see AsterixCollection.find())
+   * @returns {FindCursor} - This cursor for chaining
+   */
+  geoNear(geoNear) {
+    this.options.geoNear = geoNear;
+    return this;
+  }
+
+  /**
+   * Returns documents most similar to a value first, e.g. for fuzzy name lookup.
+   *
+   * ```
+   * const matches = await users.find({ lang: 'en' })
+   *   .similarity({ key: 'name', value: 'Nathan Gibbs', func: 'edit-distance', threshold: 3, scoreField: 'edits' })
+   *   .limit(5);
+   * ```
+   *
+   * @param {Object} similarity - `key` (field), `value`, and optional `func` ('edit-distance' or
+   *   'jaccard'), `threshold` and `scoreField` (see AsterixCollection.find())
+   * @returns {FindCursor} - This cursor for chaining
+   */
+  similarity(similarity) {
+    this.options.similarity = similarity;
+    return this;
+  }
+
+  /**
+   * Sets the maximum number of documents to return.
+   *
+   * @param {number} limit - Maximum number of documents
+   * @returns {FindCursor} - This cursor for chaining
+   */
+  limit(limit) {
+    this.options.limit = limit;
+    return this;
+  }
+
+  /**
+   * Sets the projection.
+   *
+   * @param {Object} projection - MongoDB-style projection
+   * @returns {FindCursor} - This cursor for chaining
+   */
+  project(projection) {
+    this.options.projection = projection;
+    return this;
+  }
+
+  /**
+   * Returns the plans of the find query without running it (see Connector.explain()).
+   *
+   * @param {Object} [options] - Plan options (`logical`, `optimized`, `jobSpec`, `format`)
+   * @returns {Promise<QueryPlan>}
+   */
+  async explain(options = {}) {
+    try {
+      const builder = this.collection._buildFindQuery(this.query, this.options);
+      const sqlppQuery = await builder.build();
+      return await this.collection._connector.explain(sqlppQuery, { ...options, ...builder.getBindings() });
+    } catch (error) {
+      throw AsterixError.wrap('Explain operation failed', error);
+    }
+  }
+
+  /**
+   * Runs the query and returns all matching documents.
+   *
+   * @returns {Promise<Array>} - Array of matching documents
+   */
+  toArray() {
+    if (!this._resultPromise) {
+      this._resultPromise = this.collection._findAll(this.query, this.options);
+    }
+    return this._resultPromise;
+  }
+
+  /**
+   * Streams the matching documents from the server.
+   * Falls back to fetching all documents when the connector cannot stream.
+   *
+   * @returns {AsyncIterator<Object>}
+   */
+  async *[Symbol.asyncIterator]() {
+    if (typeof this.collection._connector.stream !== 'function') {
+      yield* await this.toArray();
+      return;
+    }
+
+    let stream;
+    try {
+      const builder = this.collection._buildFindQuery(this.query, this.options);
+      const sqlppQuery = await builder.build();
+      stream = this.collection._connector.stream(sqlppQuery, builder.getBindings());
+    } catch (error) {
+      throw AsterixError.wrap('Find operation failed', error);
+    }
+
+    this.stream = stream;
+    for await (const item of stream) {
+      yield this.collection._unwrapResult(item);
+    }
+  }
+
+  /**
+   * Makes the cursor awaitable; resolves to all matching documents.
+   *
+   * @param {Function} onFulfilled - Called with the documents
+   * @param {Function} onRejected - Called with the error
+   * @returns {Promise}
+   */
+  then(onFulfilled, onRejected) {
+    return this.toArray().then(onFulfilled, onRejected);
+  }
+
+  /**
+   * Handles a failed query when the cursor is used as a promise.
+   *
+   * @param {Function} onRejected - Called with the error
+   * @returns {Promise}
+   */
+  catch(onRejected) {
+    return this.toArray().catch(onRejected);
+  }
+}
+
+module.exports = FindCursor;
@@ -1,6 +1,7 @@
 // src/core/LocalStorageAdapter.js
 const localforage = require('localforage');
 const crypto = require('crypto');
+const Int64Json = require('../core/Int64Json');
 
 let localforageDriverPromise = null;
 let nodeJsMemoryDriverName = null; // To store the registered driver name
@@ -30,6 +31,28 @@ if (typeof window === 'undefined') {
   localforageDriverPromise = Promise.resolve();
 }
 
+/**
+ * Prepares a cache or queue entry for storage. localforage serializes entries as JSON
+ * when it cannot store them as they are, and JSON has no BigInts, so entries holding
+ * BigInts (int64 results, bound parameters) are stored as Int64Json text instead.
+ *
+ * @param {Object} entry - The entry
+ * @returns {Object} - The entry, or `{ int64Json }` with its text
+ */
+function pack(entry) {
+  return Int64Json.hasBigInt(entry) ? { int64Json: Int64Json.stringify(entry) } : entry;
+}
+
+/**
+ * Reads back an entry stored by pack(). Integers beyond 2^53 come back as BigInts.
+ *
+ * @param {Object|null} stored - The stored entry
+ * @returns {Object|null}
+ */
+function unpack(stored) {
+  return stored && typeof stored.int64Json === 'string' ? Int64Json.parse(stored.int64Json, 'bigint') : stored;
+}
+
 /**
  * Handles local storage operations for offline mode using localforage.
  * Provides caching and operation queueing capabilities.
@@ -140,7 +163,7 @@ class LocalStorageAdapter {
       },
     };
     try {
-      await this.store.setItem(key, entry);
+      await this.store.setItem(key, pack(entry));
       await this._addToCacheRegistry(key, entry.metadata.expiresAt);
       this._log('debug', `Cached data for key: ${key}`);
     } catch (error) {
@@ -163,7 +186,7 @@ class LocalStorageAdapter {
     }
 
     try {
-      const entry = await this.store.getItem(key);
+      const entry = unpack(await this.store.getItem(key));
       if (!entry) {
         this._log('debug', `No cached data found for key: ${key}`);
         return null;
@@ -178,7 +201,7 @@ class LocalStorageAdapter {
       
       // Update access time for LRU strategy
       entry.metadata.lastAccessed = Date.now();
-      await this.store.setItem(key, entry);
+      await this.store.setItem(key, pack(entry));
       
       return entry;
     } catch (error) {
@@ -221,7 +244,7 @@ class LocalStorageAdapter {
     await this._readyPromise;
     if (!this.store) throw new Error("Adapter not ready (store)");
     try {
-      const entry = await this.store.getItem(key);
+      const entry = unpack(await this.store.getItem(key));
       if (!entry) {
         throw new Error(`Cache entry ${key} not found`);
       }
@@ -229,7 +252,7 @@ class LocalStorageAdapter {
       const newExpiresAt = Date.now() + newTTL;
       entry.metadata.expiresAt = newExpiresAt;
       
-      await this.store.setItem(key, entry);
+      await this.store.setItem(key, pack(entry));
       await this._updateCacheRegistryExpiry(key, newExpiresAt);
       
       this._log('debug', `Updated TTL for cache key: ${key}`);
@@ -272,7 +295,7 @@ class LocalStorageAdapter {
     };
 
     try {
-      await this.queueStore.setItem(operationId, entry);
+      await this.queueStore.setItem(operationId, pack(entry));
       this._log('debug', `Queued operation: ${operationId}`);
     } catch (error) {
       this._log('error', `Operation queue error for ID ${operationId}:`, error);
@@ -295,7 +318,8 @@ class LocalStorageAdapter {
     const operations = [];
     
     try {
-      await this.queueStore.iterate((value, key) => {
+      await this.queueStore.iterate((stored, key) => {
+        const value = unpack(stored);
         // Filter by status if specified
         if (status && value.metadata.status !== status) {
           return;
@@ -334,13 +358,13 @@ class LocalStorageAdapter {
     await this._readyPromise;
     if (!this.queueStore) throw new Error("Adapter not ready");
     try {
-      const entry = await this.queueStore.getItem(operationId);
+      const entry = unpack(await this.queueStore.getItem(operationId));
       if (!entry) {
         throw new Error(`Operation ${operationId} not found in queue`);
       }
 
       entry.metadata = { ...entry.metadata, ...newMetadata };
-      await this.queueStore.setItem(operationId, entry);
+      await this.queueStore.setItem(operationId, pack(entry));
       this._log('debug', `Updated metadata for operation: ${operationId}`);
     } catch (error) {
       this._log('error', `Error updating operation metadata for ${operationId}:`, error);
@@ -1,6 +1,9 @@
 // src/core/OfflineEnabledConnector.js
 const Connector = require('../core/Connector');
 const SyncManager = require('./SyncManager');
+const StatementClassifier = require('../core/StatementClassifier');
+const Int64Json = require('../core/Int64Json');
+const { OfflineError } = require('../core/AsterixError');
 const crypto = require('crypto');
 
 /**
@@ -8,9 +11,14 @@ const crypto = require('crypto');
  * Provides transparent caching of query results and queuing of operations when offline.
  */
 class OfflineEnabledConnector {
+  /**
+   * @param {Object} [options] - Offline options (`cacheEnabled`, `cacheTTL`, `debug`, `enableOfflineQueue`)
+   * @param {ConnectionConfig|string|Object} [options.connection] - Connection options for the underlying
+   *   Connector. When omitted, connection settings such as `astxUrl` are read from `options` itself.
+   */
   constructor(options = {}) {
-    this.connector = new Connector();
-    this.syncManager = new SyncManager();
+    this.connector = new Connector(options.connection || options);
+    this.syncManager = new SyncManager({ connector: this.connector });
     
     // Configure caching behavior
     this.options = {
@@ -18,6 +26,7 @@ class OfflineEnabledConnector {
       cacheTTL: 3600000, // 1 hour in milliseconds
       ...options
     };
+    delete this.options.connection;
     
     // Set up event proxying
     this.setupEventProxying();
@@ -41,6 +50,13 @@ class OfflineEnabledConnector {
         this.emit(eventName, ...args);
       });
     });
+    
+    // Retry and cluster node events come from the underlying connector
+    ['retry', 'giveUp', 'failover', 'nodeDown', 'nodeUp', 'cancel', 'backpressure'].forEach(eventName => {
+      this.connector.on(eventName, (...args) => {
+        this.emit(eventName, ...args);
+      });
+    });
   }
   
   /**
@@ -80,13 +96,13 @@ class OfflineEnabledConnector {
   }
   
   /**
-   * Generates a cache key for a query.
+   * Generates a cache key for a query. BigInt parameters are keyed by their exact value.
    * @param {string} query - The SQL++ query to execute.
    * @param {Object} params - Query parameters.
    * @returns {string} A unique cache key.
    */
   generateCacheKey(query, params = {}) {
-    const input = JSON.stringify({ query, params });
+    const input = Int64Json.stringify({ query, params });
     return crypto.createHash('md5').update(input).digest('hex');
   }
 
@@ -137,7 +153,7 @@ class OfflineEnabledConnector {
           }
           
           // No valid cache, throw offline error
-          throw new Error('Cannot execute query: offline and no valid cache exists');
+          throw new OfflineError('Cannot execute query: offline and no valid cache exists');
         }
       } catch (error) {
         if (this.syncManager.isOnline) {
@@ -188,7 +204,7 @@ class OfflineEnabledConnector {
     } 
     // Non-cacheable read-only query while offline
     else if (isReadOnly && !combinedOptions.cacheEnabled && !this.syncManager.isOnline) {
-      throw new Error('Cannot execute non-cacheable query while offline');
+      throw new OfflineError('Cannot execute non-cacheable query while offline');
     } 
     // Default fallback - direct execution
     else {
@@ -196,6 +212,109 @@ class OfflineEnabledConnector {
     }
   }
   
+  /**
+   * Cancels an in-flight request on the underlying connector.
+   * @param {string} clientContextId - The client_context_id of the request.
+   * @returns {Promise<boolean>} True if the server acknowledged the cancellation.
+   */
+  cancel(clientContextId) {
+    return this.connector.cancel(clientContextId);
+  }
+  
+  /**
+   * Adds an interceptor to the underlying connector (see Connector.use()).
+   * Interceptors run for requests sent to the server, including replayed offline
+   * operations; results served from the cache do not pass through them.
+   * @param {Function} interceptor - `async (ctx, next) => void`
+   * @returns {OfflineEnabledConnector} This connector, for chaining.
+   */
+  use(interceptor) {
+    this.connector.use(interceptor);
+    return this;
+  }
+  
+  /**
+   * Performs a GET request on the underlying connector, such as an admin API call.
+   * Not cached; fails while offline.
+   * @param {string} endpoint - The API endpoint.
+   * @param {Object} options - Request options.
+   * @returns {Promise<any>} The response data.
+   */
+  async get(endpoint, options = {}) {
+    return this.connector.get(endpoint, options);
+  }
+  
+  /**
+   * The concurrency limiter of the underlying connector.
+   * @returns {ConcurrencyLimiter}
+   */
+  get limiter() {
+    return this.connector.limiter;
+  }
+  
+  /**
+   * Runs a SQL++ script statement by statement. Scripts bypass the cache and the offline
+   * queue, so they are only available while online.
+   * @param {string} script - The SQL++ script.
+   * @param {Object} options - Script options (`stopOnError`, `dataverse`) and query options.
+   * @returns {Promise<{ok: boolean, statements: Array<Object>}>} The outcome of each statement.
+   */
+  async executeScript(script, options = {}) {
+    if (!this.syncManager.isOnline) {
+      throw new OfflineError('Cannot execute scripts while offline');
+    }
+    return this.connector.executeScript(script, options);
+  }
+  
+  /**
+   * Submits a SQL++ statement in async or deferred mode. Needs the server, so it is only available while online.
+   * @param {string} query - The SQL++ query to submit.
+   * @param {Object} options - Query options, including `mode`.
+   * @returns {Promise<AsyncQueryHandle>} The handle to the statement.
+   */
+  async submit(query, options = {}) {
+    if (!this.syncManager.isOnline) {
+      throw new OfflineError('Cannot submit queries while offline');
+    }
+    return this.connector.submit(query, options);
+  }
+  
+  /**
+   * Restores a serialized query handle, bound to the underlying connector.
+   * @param {string|Object} serialized - The serialized handle.
+   * @returns {AsyncQueryHandle} The handle.
+   */
+  resumeQuery(serialized) {
+    return this.connector.resumeQuery(serialized);
+  }
+  
+  /**
+   * Returns the query plans of a SQL++ statement. Needs the server, so it is only available while online.
+   * @param {string} query - The SQL++ query to explain.
+   * @param {Object} options - Plan and query options.
+   * @returns {Promise<QueryPlan>} The requested plans.
+   */
+  async explain(query, options = {}) {
+    if (!this.syncManager.isOnline) {
+      throw new OfflineError('Cannot explain queries while offline');
+    }
+    return this.connector.explain(query, options);
+  }
+  
+  /**
+   * Streams the result rows of a SQL++ query. Streaming bypasses the offline cache,
+   * so it is only available while online.
+   * @param {string} query - The SQL++ query to execute.
+   * @param {Object} options - Query options.
+   * @returns {ResultStream} An async iterable of result rows.
+   */
+  stream(query, options = {}) {
+    if (!this.syncManager.isOnline) {
+      throw new OfflineError('Cannot stream query results while offline');
+    }
+    return this.connector.stream(query, options);
+  }
+  
   /**
    * Determines if a query is read-only based on its SQL++ content.
    * @param {string} query - The SQL++ query.
@@ -205,39 +324,19 @@ class OfflineEnabledConnector {
     if (!query || typeof query !== 'string') {
       return false;
     }
-    
-    const normalized = query.trim().toUpperCase();
-    
-    // Check if the query starts with any write operation keywords
-    const writeOperations = [
-      'INSERT', 'UPSERT', 'DELETE', 'UPDATE', 'CREATE', 
-      'DROP', 'LOAD', 'SET '
-    ];
-    
-    return !writeOperations.some(op => normalized.startsWith(op));
+    return StatementClassifier.isReadOnly(query);
   }
   
   /**
    * Determines the operation type from the query.
    * @param {string} query - The SQL++ query.
-   * @returns {string} The operation type (INSERT, UPDATE, DELETE, etc.).
+   * @returns {string} The kind of the main statement (INSERT, UPSERT, DELETE, CREATE, QUERY, ...; see StatementClassifier).
    */
   getOperationType(query) {
     if (!query || typeof query !== 'string') {
       return 'UNKNOWN';
     }
-    
-    const normalized = query.trim().toUpperCase();
-    
-    if (normalized.startsWith('INSERT')) return 'INSERT';
-    if (normalized.startsWith('UPSERT')) return 'UPSERT';
-    if (normalized.startsWith('DELETE')) return 'DELETE';
-    if (normalized.startsWith('UPDATE')) return 'UPDATE';
-    if (normalized.startsWith('CREATE')) return 'CREATE';
-    if (normalized.startsWith('DROP')) return 'DROP';
-    if (normalized.startsWith('LOAD')) return 'LOAD';
-    
-    return 'UNKNOWN';
+    return StatementClassifier.classify(query).kind;
   }
   
   /**
@@ -282,10 +381,13 @@ class OfflineEnabledConnector {
   
   /**
    * Cleans up resources when the connector is no longer needed.
+   * In-flight requests are cancelled.
+   * @returns {Promise<void>} Resolves once in-flight requests have been cancelled.
    */
   destroy() {
     this.syncManager.destroy();
     this._eventListeners = {};
+    return this.connector.close();
   }
 }
 
@@ -8,10 +8,15 @@ const Connector = require('../core/Connector');
  * It processes queued operations when connectivity is restored and emits events.
  */
 class SyncManager extends EventEmitter {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {Connector} [options.connector] - Connector used to replay queued operations
+   * @param {ConnectionConfig|string|Object} [options.connection] - Connection options, used when no connector is given
+   */
+  constructor(options = {}) {
     super();
     this.localStorage = new LocalStorageAdapter();
-    this.connector = new Connector();
+    this.connector = options.connector || new Connector(options.connection);
     this.isOnline = typeof navigator !== 'undefined' ? navigator.onLine : true;
     this.syncInterval = null;
     this.isSyncing = false;
@@ -128,7 +133,8 @@ class SyncManager extends EventEmitter {
 
           let result;
           if (operation.type === 'INSERT' || operation.type === 'UPDATE' || operation.type === 'DELETE') {
-            result = await this.connector.executeQuery(operation.query);
+            // Replay with the original options so bound parameter values are preserved
+            result = await this.connector.executeQuery(operation.query, operation.options || {});
           } else {
             throw new Error(`Unsupported operation type: ${operation.type}`);
           }
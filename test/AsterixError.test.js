@@ -0,0 +1,35 @@
+const { expect } = require('chai');
+const { AsterixError, UnknownDatasetError } = require('../src');
+
+describe('AsterixError', () => {
+  it('parses the code, message and position from a response', () => {
+    const error = AsterixError.fromResponse({
+      errors: [{ code: 1, msg: 'ASX1077: Cannot find dataset Nope in dataverse Default nor an alias with name Nope (in line 1, at column 15)' }],
+      status: 'fatal',
+    }, { status: 404, statement: 'SELECT * FROM Nope;' });
+
+    expect(error).to.be.instanceOf(UnknownDatasetError);
+    expect(error.code).to.equal('ASX1077');
+    expect(error.line).to.equal(1);
+    expect(error.column).to.equal(15);
+    expect(error.status).to.equal(404);
+    expect(error.statement).to.equal('SELECT * FROM Nope;');
+  });
+
+  describe('wrap', () => {
+    it('returns AsterixErrors unchanged', () => {
+      const error = new UnknownDatasetError('ASX1077: Cannot find dataset Nope');
+      expect(AsterixError.wrap('Find operation failed', error)).to.equal(error);
+    });
+
+    it('keeps any other error as the cause', () => {
+      const cause = new TypeError('Cannot read properties of undefined');
+      const error = AsterixError.wrap('Find operation failed', cause);
+
+      expect(error).to.be.instanceOf(AsterixError);
+      expect(error.message).to.equal('Find operation failed: Cannot read properties of undefined');
+      expect(error.msg).to.equal('Cannot read properties of undefined');
+      expect(error.cause).to.equal(cause);
+    });
+  });
+});
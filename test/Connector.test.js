@@ -0,0 +1,69 @@
+const { expect } = require('chai');
+const { Connector, MockAsterixServer } = require('../src');
+
+describe('Connector', () => {
+  let server;
+  let connector;
+
+  beforeEach(async () => {
+    server = new MockAsterixServer();
+    connector = new Connector({ astxUrl: await server.start() });
+  });
+
+  afterEach(async () => {
+    await connector.close();
+    await server.stop();
+  });
+
+  describe('executeScript', () => {
+    it('carries quoted USE and SET statements forward to every later statement', async () => {
+      const { ok, statements } = await connector.executeScript(`
+        CREATE DATAVERSE \`my-dv\`;
+        USE \`my-dv\`;
+        SET \`compiler.parallelism\` "2";
+        CREATE DATASET Users PRIMARY KEY id: int;
+        INSERT INTO Users ([{ "id": 1 }, { "id": 2 }]);
+        SELECT VALUE COUNT(*) FROM Users;
+      `);
+
+      expect(ok).to.equal(true);
+      expect(statements.map(statement => statement.status)).to.deep.equal(Array(6).fill('success'));
+      expect(statements[5].results).to.deep.equal([2]);
+      const sent = server.requests.map(request => request.params.statement);
+      expect(sent).to.have.length(4);
+      expect(sent[3]).to.equal('USE `my-dv`; SET `compiler.parallelism` "2"; SELECT VALUE COUNT(*) FROM Users;');
+    });
+
+    it('replaces a prologue statement that sets the same thing', async () => {
+      server.execute('CREATE DATAVERSE A; CREATE DATAVERSE B; USE B; CREATE DATASET T PRIMARY KEY id: int;');
+      await connector.executeScript(`
+        USE A; SET \`compiler.parallelism\` "2";
+        USE B; SET \`compiler.parallelism\` "4";
+        SELECT VALUE t FROM T t;
+      `);
+
+      expect(server.requests.map(request => request.params.statement))
+        .to.deep.equal(['USE B; SET `compiler.parallelism` "4"; SELECT VALUE t FROM T t;']);
+    });
+
+    it('quotes the starting dataverse', async () => {
+      server.execute('CREATE DATAVERSE `my-dv`; USE `my-dv`; CREATE DATASET T PRIMARY KEY id: int;');
+      const { ok } = await connector.executeScript('SELECT VALUE t FROM T t;', { dataverse: 'my-dv' });
+
+      expect(ok).to.equal(true);
+      expect(server.requests[0].params.statement).to.equal('USE `my-dv`; SELECT VALUE t FROM T t;');
+    });
+
+    it('skips the statements after a failure unless stopOnError is false', async () => {
+      const script = 'SELECT VALUE x FROM Nope x; SELECT VALUE 1;';
+
+      const stopped = await connector.executeScript(script);
+      expect(stopped.ok).to.equal(false);
+      expect(stopped.statements.map(statement => statement.status)).to.deep.equal(['failed', 'skipped']);
+
+      const continued = await connector.executeScript(script, { stopOnError: false });
+      expect(continued.statements.map(statement => statement.status)).to.deep.equal(['failed', 'success']);
+      expect(continued.statements[1].results).to.deep.equal([1]);
+    });
+  });
+});
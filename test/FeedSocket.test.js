@@ -0,0 +1,52 @@
+const net = require('net');
+const { expect } = require('chai');
+const { FeedSocket, AdmPoint } = require('../src');
+
+describe('FeedSocket', () => {
+  let server;
+  let received;
+  let address;
+
+  beforeEach(done => {
+    received = '';
+    server = net.createServer(socket => {
+      socket.on('data', chunk => {
+        received += chunk;
+      });
+    });
+    server.listen(0, '127.0.0.1', () => {
+      address = `127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterEach(done => {
+    server.close(done);
+  });
+
+  it('rejects an invalid address instead of throwing', async () => {
+    const connecting = FeedSocket.connect('nonsense');
+    expect(connecting).to.be.instanceOf(Promise);
+    let error = null;
+    await connecting.catch(e => {
+      error = e;
+    });
+    expect(error.message).to.include('Invalid feed socket address');
+  });
+
+  it('writes records as ADM, one per line', async () => {
+    const socket = await FeedSocket.connect(address);
+    await socket.write([
+      { id: 1, loc: new AdmPoint(1, 2), at: new Date(0), tags: ['a'], note: null, skipped: undefined },
+      '{ "id": 2 }',
+    ]);
+    await socket.end();
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    expect(socket.written).to.equal(2);
+    expect(received).to.equal(
+      '{ "id": 1, "loc": point("1.0,2.0"), "at": datetime("1970-01-01T00:00:00.000Z"), "tags": ["a"], "note": null }\n' +
+      '{ "id": 2 }\n'
+    );
+  });
+});
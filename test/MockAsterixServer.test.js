@@ -0,0 +1,86 @@
+const { expect } = require('chai');
+const { connect, Connector, MockAsterixServer, AdmPoint } = require('../src');
+
+describe('MockAsterixServer', () => {
+  let server;
+  let url;
+
+  beforeEach(async () => {
+    server = new MockAsterixServer({ asyncDelay: 50 });
+    url = await server.start();
+    server.execute('CREATE DATAVERSE Shop; USE Shop; CREATE DATASET Orders PRIMARY KEY id: int64;');
+  });
+
+  afterEach(async () => {
+    await server.stop();
+  });
+
+  it('runs collection operations over HTTP', async () => {
+    const client = connect({ astxUrl: url });
+    try {
+      const orders = client.db('Shop').collection('Orders');
+      await orders.insertOne({ id: 1, total: 10, status: 'open' });
+      await orders.insertOne({ id: 2, total: 25, status: 'open' });
+      await orders.insertOne({ id: 3, total: 40, status: 'closed' });
+
+      const open = await orders.find({ status: 'open', total: { $gt: 5 } }).sort({ total: -1 });
+      expect(open.map(order => order.id)).to.deep.equal([2, 1]);
+      expect(await orders.countDocuments({ status: 'closed' })).to.equal(1);
+    } finally {
+      await client.close();
+    }
+
+    const find = server.requests.find(request => /^USE Shop; SELECT \* FROM Orders WHERE/.test(request.params.statement || ''));
+    expect(find.method).to.equal('GET');
+    expect(find.params.statement).to.include('total > $2');
+    expect(find.params.args).to.deep.equal(['open', 5]);
+  });
+
+  it('returns int64 values beyond 2^53 exactly', async () => {
+    const connector = new Connector({ astxUrl: url, int64: 'bigint' });
+    try {
+      await connector.executeQuery('USE Shop; INSERT INTO Orders ([{ "id": 1234567890123456789, "total": 1 }]);');
+      const response = await connector.executeQuery('USE Shop; SELECT VALUE o.id FROM Orders o WHERE o.id = $1;', {
+        args: [1234567890123456789n],
+      });
+      expect(response.results).to.deep.equal([1234567890123456789n]);
+    } finally {
+      await connector.close();
+    }
+  });
+
+  it('returns spatial values the way the query service does', async () => {
+    const connector = new Connector({ astxUrl: url });
+    try {
+      await connector.executeQuery('USE Shop; INSERT INTO Orders ([{ "id": 1, "shippedFrom": point("1.5,2.0") }]);');
+      const response = await connector.executeQuery('USE Shop; SELECT VALUE o.shippedFrom FROM Orders o;');
+      expect(response.results).to.deep.equal([{ point: [1.5, 2] }]);
+
+      const decoded = await connector.executeQuery('USE Shop; SELECT o.shippedFrom FROM Orders o;', {
+        signature: { shippedFrom: 'point' },
+      });
+      expect(decoded.results[0].shippedFrom).to.be.instanceOf(AdmPoint);
+      expect(decoded.results[0].shippedFrom.toAdm()).to.equal('point("1.5,2.0")');
+    } finally {
+      await connector.close();
+    }
+  });
+
+  it('serves async statements through their status and result handles', async () => {
+    server.execute('USE Shop; INSERT INTO Orders ([{ "id": 1, "total": 10 }, { "id": 2, "total": 25 }]);');
+    const connector = new Connector({ astxUrl: url });
+    try {
+      const rows = await connector.executeQueryAsync('USE Shop; SELECT VALUE o.id FROM Orders o ORDER BY o.id;', {
+        pollInterval: 10,
+        maxAttempts: 50,
+      });
+      expect(rows).to.deep.equal([1, 2]);
+    } finally {
+      await connector.close();
+    }
+
+    const paths = server.requests.map(request => request.path);
+    expect(paths.filter(path => path.startsWith('/query/service/status/'))).to.not.be.empty;
+    expect(paths.filter(path => path.startsWith('/query/service/result/'))).to.have.length(1);
+  });
+});
@@ -0,0 +1,50 @@
+const { expect } = require('chai');
+const { OfflineEnabledConnector, MockAsterixServer } = require('../src');
+
+const ID = 9007199254740993n;
+const SELECT = 'USE Shop; SELECT VALUE o.id FROM Orders o WHERE o.id = $1;';
+
+describe('OfflineEnabledConnector', () => {
+  let server;
+  let connector;
+
+  beforeEach(async () => {
+    server = new MockAsterixServer();
+    const url = await server.start();
+    server.execute('CREATE DATAVERSE Shop; USE Shop; CREATE DATASET Orders PRIMARY KEY id: int64;');
+    server.execute(`USE Shop; INSERT INTO Orders ([{ "id": ${ID} }]);`);
+    connector = new OfflineEnabledConnector({ astxUrl: url, int64: 'bigint' });
+  });
+
+  afterEach(async () => {
+    await connector.clearQueryCache();
+    await connector.destroy();
+    await server.stop();
+  });
+
+  it('keys the cache by the exact value of BigInt parameters', () => {
+    const key = connector.generateCacheKey('SELECT 1', { args: [ID] });
+    expect(key).to.be.a('string');
+    expect(connector.generateCacheKey('SELECT 1', { args: [ID + 1n] })).to.not.equal(key);
+  });
+
+  it('caches results of queries bound to BigInts and serves them offline', async () => {
+    const online = await connector.executeQuery(SELECT, { args: [ID] });
+    expect(online.results).to.deep.equal([ID]);
+
+    connector.syncManager.isOnline = false;
+    const offline = await connector.executeQuery(SELECT, { args: [ID] });
+    expect(offline.results).to.deep.equal([ID]);
+  });
+
+  it('queues writes bound to BigInts and replays them exactly', async () => {
+    connector.syncManager.isOnline = false;
+    const queued = await connector.executeQuery('USE Shop; INSERT INTO Orders ([{ "id": $1 }]);', { args: [ID + 2n] });
+    expect(queued.status).to.equal('queued');
+
+    connector.syncManager.isOnline = true;
+    await connector.forceSynchronization();
+    expect(await connector.getPendingOperationCount()).to.equal(0);
+    expect(server.execute('USE Shop; SELECT VALUE o.id FROM Orders o ORDER BY o.id;')).to.deep.equal([ID, ID + 2n]);
+  });
+});
@@ -0,0 +1,85 @@
+const { expect } = require('chai');
+const { QueryMetrics } = require('../src');
+
+describe('QueryMetrics', () => {
+  describe('parseDuration', () => {
+    it('reads the duration strings of server metrics as milliseconds', () => {
+      expect(QueryMetrics.parseDuration('12.5ms')).to.equal(12.5);
+      expect(QueryMetrics.parseDuration('1.002s')).to.equal(1002);
+      expect(QueryMetrics.parseDuration('1m2.5s')).to.equal(62500);
+      expect(QueryMetrics.parseDuration('1h')).to.equal(3600000);
+      expect(QueryMetrics.parseDuration('250us')).to.equal(0.25);
+      expect(QueryMetrics.parseDuration('250µs')).to.equal(0.25);
+      expect(QueryMetrics.parseDuration('1.5e3ns')).to.be.closeTo(0.0015, 1e-12);
+      expect(QueryMetrics.parseDuration(7)).to.equal(7);
+    });
+
+    it('returns null for anything else', () => {
+      for (const value of ['', 'ms', '12', '12 parsecs', '1s junk', 'x1s', null, undefined, NaN, {}]) {
+        expect(QueryMetrics.parseDuration(value), String(value)).to.equal(null);
+      }
+    });
+  });
+
+  it('groups statements that differ only in literals', () => {
+    expect(QueryMetrics.normalize("SELECT * FROM T WHERE id IN [1, 2, 3] AND name = 'x'; -- note"))
+      .to.equal('SELECT * FROM T WHERE id IN [ ? ] AND name = ?;');
+    expect(QueryMetrics.fingerprint('SELECT VALUE 1 FROM T')).to.equal(QueryMetrics.fingerprint('SELECT  VALUE 2 FROM T'));
+    expect(QueryMetrics.fingerprint('SELECT VALUE 1 FROM T')).to.not.equal(QueryMetrics.fingerprint('SELECT VALUE 1 FROM U'));
+  });
+
+  describe('toPrometheus', () => {
+    it('renders histograms and counters per series', () => {
+      const metrics = new QueryMetrics({ buckets: [10, 100] });
+      metrics.record({
+        statement: 'USE Shop; SELECT VALUE o FROM Orders o WHERE o.id = 1;',
+        operation: 'find',
+        metrics: { elapsedTime: '5ms', executionTime: '4ms', resultCount: 1, resultSize: 20 },
+        status: 'success',
+      });
+      metrics.record({
+        statement: 'USE Shop; SELECT VALUE o FROM Orders o WHERE o.id = 2;',
+        operation: 'find',
+        metrics: { elapsedTime: '1.5s', executionTime: '1.4s', resultCount: 0 },
+        status: 'fatal',
+      });
+
+      const fingerprint = QueryMetrics.fingerprint('USE Shop; SELECT VALUE o FROM Orders o WHERE o.id = 1;');
+      const labels = `fingerprint="${fingerprint}",dataset="Shop.Orders",operation="find"`;
+      const lines = metrics.toPrometheus().split('\n');
+
+      expect(lines).to.include.members([
+        '# TYPE asterixdb_query_duration_seconds histogram',
+        `asterixdb_query_duration_seconds_bucket{${labels},le="0.01"} 1`,
+        `asterixdb_query_duration_seconds_bucket{${labels},le="0.1"} 1`,
+        `asterixdb_query_duration_seconds_bucket{${labels},le="+Inf"} 2`,
+        `asterixdb_query_duration_seconds_sum{${labels}} 1.505`,
+        `asterixdb_query_duration_seconds_count{${labels}} 2`,
+        '# TYPE asterixdb_queries_total counter',
+        `asterixdb_queries_total{${labels}} 2`,
+        `asterixdb_query_errors_total{${labels}} 1`,
+        `asterixdb_query_execution_seconds_total{${labels}} 1.404`,
+        `asterixdb_query_result_rows_total{${labels}} 1`,
+        `asterixdb_query_result_bytes_total{${labels}} 20`,
+      ]);
+      expect(lines[lines.length - 1]).to.equal('');
+    });
+
+    it('escapes label values and uses the configured prefix', () => {
+      const metrics = new QueryMetrics({ prefix: 'app_db' });
+      metrics.record({ statement: 'SELECT 1;', dataset: 'a"b\\c\nd', operation: 'x', duration: 3 });
+      expect(metrics.toPrometheus()).to.include('app_db_queries_total{fingerprint="')
+        .and.to.include('dataset="a\\"b\\\\c\\nd",operation="x"} 1');
+    });
+
+    it('includes the watched limiter per priority', () => {
+      const limiter = {
+        stats: () => ({ active: 2, priorities: { high: { queued: 1, queueTime: 1500, waited: 3, rejected: 0 } } }),
+      };
+      const text = new QueryMetrics().watch(limiter).toPrometheus();
+      expect(text).to.include('asterixdb_requests_in_flight 2\n');
+      expect(text).to.include('asterixdb_requests_queued{priority="high"} 1\n');
+      expect(text).to.include('asterixdb_queue_wait_seconds_total{priority="high"} 1.5\n');
+    });
+  });
+});
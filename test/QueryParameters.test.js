@@ -0,0 +1,56 @@
+const { expect } = require('chai');
+const { AdmPoint, AdmInterval, AdmDate } = require('../src');
+const QueryParameters = require('../src/core/QueryParameters');
+
+describe('QueryParameters', () => {
+  it('numbers positional values in the order they are bound', () => {
+    const params = new QueryParameters();
+    expect(params.bind('open')).to.equal('$1');
+    expect(params.bind(5)).to.equal('$2');
+    expect(params.toOptions()).to.deep.equal({ args: ['open', 5] });
+  });
+
+  it('sends typed values in their string form and wraps the placeholder in their constructor', () => {
+    const params = new QueryParameters();
+    expect(params.bind(new Date(0))).to.equal('datetime($1)');
+    expect(params.bind(new AdmPoint(1, 2))).to.equal('point($2)');
+    expect(params.bind(Buffer.from('hi'))).to.equal('hex($3)');
+    expect(params.toOptions().args).to.deep.equal(['1970-01-01T00:00:00.000Z', '1.0,2.0', '6869']);
+  });
+
+  it('inlines values that have no string form', () => {
+    const params = new QueryParameters();
+    const interval = new AdmInterval(new AdmDate('2024-01-01'), new AdmDate('2024-02-01'));
+    expect(params.bind(interval)).to.equal(interval.toAdm());
+    expect(params.isEmpty()).to.equal(true);
+  });
+
+  it('rewrites ? placeholders outside strings, identifiers and comments', () => {
+    const params = new QueryParameters();
+    const fragment = params.bindPositional("a = ? AND b = '?' AND `c?` = ? -- ?", [1, 'x']);
+    expect(fragment).to.equal("a = $1 AND b = '?' AND `c?` = $2 -- ?");
+    expect(params.toOptions()).to.deep.equal({ args: [1, 'x'] });
+  });
+
+  it('requires one value per ? placeholder', () => {
+    expect(() => new QueryParameters().bindPositional('a = ? AND b = ?', [1])).to.throw('Not enough values');
+    expect(() => new QueryParameters().bindPositional('a = ?', [1, 2])).to.throw('Too many values');
+  });
+
+  it('binds named values with or without the leading $', () => {
+    const params = new QueryParameters();
+    expect(params.bindNamed('name', 'ann')).to.equal('$name');
+    expect(params.bindNamed('$since', new Date(0))).to.equal('datetime($since)');
+    expect(params.toOptions()).to.deep.equal({ params: { $name: 'ann', $since: '1970-01-01T00:00:00.000Z' } });
+    expect(() => params.bindNamed('bad name', 1)).to.throw('Invalid query parameter name');
+  });
+
+  it('wraps named typed placeholders in a fragment unless they already are', () => {
+    const params = new QueryParameters();
+    const fragment = params.bindNamedIn('t > $since AND t < datetime($since) AND u = $user', {
+      since: new Date(0),
+      user: 'ann',
+    });
+    expect(fragment).to.equal('t > datetime($since) AND t < datetime($since) AND u = $user');
+  });
+});
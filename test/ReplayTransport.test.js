@@ -0,0 +1,82 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const { Connector, MockAsterixServer, ReplayTransport } = require('../src');
+
+const ASYNC_FIXTURE = path.join(__dirname, 'fixtures', 'async-query.json');
+const ASYNC_QUERY = 'USE Shop; SELECT VALUE o.id FROM Orders o WHERE o.total > $1 ORDER BY o.id;';
+
+/**
+ * Starts a mock server with a small Shop.Orders dataset whose async statements
+ * stay running long enough to be polled a few times.
+ */
+async function startShop() {
+  const server = new MockAsterixServer({ asyncDelay: 60 });
+  const url = await server.start();
+  server.execute('CREATE DATAVERSE Shop; USE Shop; CREATE DATASET Orders PRIMARY KEY id: int;');
+  server.execute('USE Shop; INSERT INTO Orders ([{ "id": 1, "total": 10 }, { "id": 2, "total": 25 }, { "id": 3, "total": 3 }]);');
+  return { server, url };
+}
+
+describe('ReplayTransport', () => {
+  // Run with RECORD=1 to record the fixture again, against the mock server.
+  it('replays an async statement, status polls included, from a fixture', async () => {
+    const recording = Boolean(process.env.RECORD);
+    const shop = recording ? await startShop() : null;
+    const transport = new ReplayTransport({ mode: recording ? 'record' : 'replay', fixture: ASYNC_FIXTURE });
+    const connector = new Connector({ astxUrl: shop ? shop.url : 'http://127.0.0.1:19002', transport });
+    try {
+      const rows = await connector.executeQueryAsync(ASYNC_QUERY, { args: [5], pollInterval: 20, maxAttempts: 50 });
+      expect(rows).to.deep.equal([1, 2]);
+    } finally {
+      await connector.close();
+      if (shop) {
+        await shop.server.stop();
+      }
+    }
+
+    if (!recording) {
+      expect(transport.misses).to.be.empty;
+      expect(transport.pending()).to.be.empty;
+    }
+    const polls = transport.entries.filter(entry => entry.path.startsWith('/query/service/status/'));
+    expect(polls.length).to.be.greaterThan(1);
+    expect(polls[0].response.body.status).to.equal('running');
+  });
+
+  it('replays what it recorded against a server', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'asterix-replay-'));
+    const fixture = path.join(dir, 'orders.json');
+    try {
+      const shop = await startShop();
+      let recorded;
+      let recordedAsync;
+      try {
+        const recorder = new Connector({ astxUrl: shop.url, transport: { mode: 'record', fixture } });
+        try {
+          recorded = await recorder.executeQuery(ASYNC_QUERY, { args: [5] });
+          recordedAsync = await recorder.executeQueryAsync(ASYNC_QUERY, { args: [5], pollInterval: 20, maxAttempts: 50 });
+        } finally {
+          await recorder.close();
+        }
+      } finally {
+        await shop.server.stop();
+      }
+
+      // The server is gone, so everything below comes from the fixture.
+      const replayer = new Connector({ astxUrl: shop.url, transport: { mode: 'replay', fixture } });
+      try {
+        const replayed = await replayer.executeQuery(ASYNC_QUERY, { args: [5] });
+        expect(replayed.results).to.deep.equal(recorded.results);
+        expect(await replayer.executeQueryAsync(ASYNC_QUERY, { args: [5], pollInterval: 20, maxAttempts: 50 }))
+          .to.deep.equal(recordedAsync);
+        expect(replayer.config.transport.pending()).to.be.empty;
+      } finally {
+        await replayer.close();
+      }
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,95 @@
+const { expect } = require('chai');
+const { Connector, MockAsterixServer } = require('../src');
+const { ResultStreamParser } = require('../src/core/ResultStream');
+
+const RESPONSE = JSON.stringify({
+  requestID: 'r-1',
+  signature: { '*': '*' },
+  results: [{ id: 1, text: 'a, "quoted" ] }' }, [1, [2]], 'plain', null],
+  plans: {},
+  status: 'success',
+  metrics: { elapsedTime: '1.5ms', resultCount: 4 },
+});
+
+/**
+ * Feeds text to a parser in chunks of the given size.
+ */
+function parseInChunks(text, size, options) {
+  const parser = new ResultStreamParser(options);
+  const rows = [];
+  for (let i = 0; i < text.length; i += size) {
+    rows.push(...parser.write(text.slice(i, i + size)));
+  }
+  return { rows, rest: parser.end() };
+}
+
+describe('ResultStreamParser', () => {
+  it('returns each result row and keeps the other response fields', () => {
+    const { rows, rest } = parseInChunks(RESPONSE, RESPONSE.length);
+    expect(rows).to.deep.equal([{ id: 1, text: 'a, "quoted" ] }' }, [1, [2]], 'plain', null]);
+    expect(rest).to.deep.equal({
+      requestID: 'r-1',
+      signature: { '*': '*' },
+      results: [],
+      plans: {},
+      status: 'success',
+      metrics: { elapsedTime: '1.5ms', resultCount: 4 },
+    });
+  });
+
+  it('gives the same rows whatever the chunk boundaries', () => {
+    const whole = parseInChunks(RESPONSE, RESPONSE.length);
+    for (const size of [1, 2, 7, 64]) {
+      expect(parseInChunks(RESPONSE, size)).to.deep.equal(whole);
+    }
+  });
+
+  it('emits rows as soon as they are complete', () => {
+    const parser = new ResultStreamParser();
+    expect(parser.write('{"results": [{"id": 1}, {"i')).to.deep.equal([{ id: 1 }]);
+    expect(parser.write('d": 2}]')).to.deep.equal([{ id: 2 }]);
+    expect(parser.write(', "status": "success"}')).to.deep.equal([]);
+    expect(parser.end()).to.deep.equal({ results: [], status: 'success' });
+  });
+
+  it('ignores a "results" key nested in another field', () => {
+    const text = '{"plans": {"results": [1]}, "results": [2], "status": "success"}';
+    const { rows, rest } = parseInChunks(text, 3);
+    expect(rows).to.deep.equal([2]);
+    expect(rest.plans).to.deep.equal({ results: [1] });
+  });
+
+  it('keeps integers beyond 2^53 exact in bigint mode', () => {
+    const { rows } = parseInChunks('{"results": [9007199254740993, {"n": 9007199254740995}]}', 5, { int64: 'bigint' });
+    expect(rows).to.deep.equal([9007199254740993n, { n: 9007199254740995n }]);
+  });
+
+  it('fails on a truncated response', () => {
+    const parser = new ResultStreamParser();
+    parser.write('{"results": [1, 2');
+    expect(() => parser.end()).to.throw('Unexpected end of query response');
+  });
+});
+
+describe('ResultStream', () => {
+  it('iterates the rows of a streamed query', async () => {
+    const server = new MockAsterixServer();
+    const connector = new Connector({ astxUrl: await server.start() });
+    try {
+      server.execute('CREATE DATAVERSE Shop; USE Shop; CREATE DATASET Orders PRIMARY KEY id: int;');
+      server.execute('USE Shop; INSERT INTO Orders ([{ "id": 1 }, { "id": 2 }, { "id": 3 }]);');
+
+      const stream = connector.stream('USE Shop; SELECT VALUE o.id FROM Orders o ORDER BY o.id;');
+      const ids = [];
+      for await (const id of stream) {
+        ids.push(id);
+      }
+      expect(ids).to.deep.equal([1, 2, 3]);
+      expect(stream.status).to.equal('success');
+      expect(stream.metrics.resultCount).to.equal(3);
+    } finally {
+      await connector.close();
+      await server.stop();
+    }
+  });
+});
@@ -0,0 +1,49 @@
+const { expect } = require('chai');
+const { SqlppTokenizer } = require('../src');
+
+describe('SqlppTokenizer', () => {
+  describe('splitStatements', () => {
+    it('splits a script at top-level semicolons', () => {
+      expect(SqlppTokenizer.splitStatements('USE Test;\nSELECT 1;  SELECT 2'))
+        .to.deep.equal(['USE Test', 'SELECT 1', 'SELECT 2']);
+    });
+
+    it('ignores semicolons in strings, backtick identifiers and comments', () => {
+      const script = [
+        `INSERT INTO T ([{ "a": "x;y", "b": 'it\\'s;' }]);`,
+        'SELECT VALUE `odd;name` FROM T; -- trailing; comment',
+        '/* a; block */ SELECT 2;',
+      ].join('\n');
+      expect(SqlppTokenizer.splitStatements(script)).to.deep.equal([
+        `INSERT INTO T ([{ "a": "x;y", "b": 'it\\'s;' }])`,
+        'SELECT VALUE `odd;name` FROM T',
+        '-- trailing; comment\n/* a; block */ SELECT 2',
+      ]);
+    });
+
+    it('keeps leading comments but drops trailing ones and empty statements', () => {
+      expect(SqlppTokenizer.splitStatements(';; SELECT 1 -- done\n;\n// only a comment\n')).to.deep.equal(['SELECT 1']);
+      expect(SqlppTokenizer.splitStatements('  ')).to.deep.equal([]);
+    });
+
+    it('keeps the rest of an unterminated string in the last statement', () => {
+      expect(SqlppTokenizer.splitStatements('SELECT 1; SELECT "a;b')).to.deep.equal(['SELECT 1', 'SELECT "a;b']);
+    });
+  });
+
+  describe('tokenize', () => {
+    it('reads parameters, numbers and identifiers as single tokens', () => {
+      const tokens = SqlppTokenizer.significantTokens('SELECT $1, $name, ?, 1.5e-3, `a b` FROM t');
+      expect(tokens.map(token => [token.type, token.text])).to.deep.equal([
+        ['word', 'SELECT'], ['parameter', '$1'], ['symbol', ','], ['parameter', '$name'], ['symbol', ','],
+        ['parameter', '?'], ['symbol', ','], ['number', '1.5e-3'], ['symbol', ','], ['identifier', '`a b`'],
+        ['word', 'FROM'], ['word', 't'],
+      ]);
+    });
+
+    it('finds the leading keyword after comments', () => {
+      expect(SqlppTokenizer.leadingKeyword('-- setup\n/* x */ insert INTO T ([])')).to.equal('INSERT');
+      expect(SqlppTokenizer.leadingKeyword('(SELECT 1)')).to.equal(null);
+    });
+  });
+});
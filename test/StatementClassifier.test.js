@@ -0,0 +1,53 @@
+const { expect } = require('chai');
+const { StatementClassifier } = require('../src');
+
+describe('StatementClassifier', () => {
+  it('classifies the main statement after a USE prologue', () => {
+    const result = StatementClassifier.classify('USE TinySocial; UPSERT INTO ChirpUsers ({ "id": 1 });');
+    expect(result).to.include({ kind: 'UPSERT', dataverse: 'TinySocial', dataset: 'ChirpUsers', readOnly: false });
+    expect(result.statements.map(statement => statement.kind)).to.deep.equal(['USE', 'UPSERT']);
+  });
+
+  it('treats queries and prologue statements as read-only', () => {
+    expect(StatementClassifier.isReadOnly('USE Test; SET `compiler.parallelism` "2"; SELECT VALUE 1;')).to.equal(true);
+    expect(StatementClassifier.isReadOnly('(SELECT 1) UNION ALL (SELECT 2);')).to.equal(true);
+    expect(StatementClassifier.isReadOnly('EXPLAIN SELECT VALUE u FROM Users u;')).to.equal(true);
+    expect(StatementClassifier.isReadOnly('SELECT VALUE 1; DELETE FROM Users;')).to.equal(false);
+    expect(StatementClassifier.isReadOnly('')).to.equal(false);
+  });
+
+  it('is not fooled by keywords in strings, identifiers and comments', () => {
+    const result = StatementClassifier.classify("-- DELETE FROM Users;\nSELECT VALUE 'DROP DATASET x;' FROM `INSERT`;");
+    expect(result).to.include({ kind: 'QUERY', dataset: 'INSERT', readOnly: true });
+  });
+
+  it('finds the target dataset of writes and DDL', () => {
+    const cases = [
+      ['INSERT INTO Shop.Orders ([])', 'INSERT', 'Shop', 'Orders'],
+      ['DELETE FROM Orders o WHERE o.id = 1', 'DELETE', null, 'Orders'],
+      ['CREATE INDEX idx IF NOT EXISTS ON Orders (total)', 'CREATE', null, 'Orders'],
+      ['CREATE DATASET IF NOT EXISTS `my-ds`(T) PRIMARY KEY id', 'CREATE', null, 'my-ds'],
+      ['DROP DATASET Shop.Orders IF EXISTS', 'DROP', 'Shop', 'Orders'],
+      ['LOAD DATASET Orders USING localfs (("path"="x"))', 'LOAD', null, 'Orders'],
+      ['CONNECT FEED ChirpFeed TO DATASET Chirps', 'CONNECT', null, 'Chirps'],
+      ['START FEED ChirpFeed', 'START', null, null],
+    ];
+    for (const [text, kind, dataverse, dataset] of cases) {
+      expect(StatementClassifier.classifyStatement(text), text).to.include({ kind, dataverse, dataset, readOnly: false });
+    }
+  });
+
+  it('reports the dataverse of dataverse DDL and unquotes USE names', () => {
+    expect(StatementClassifier.classifyStatement('CREATE DATAVERSE Shop IF NOT EXISTS')).to.include({ kind: 'CREATE', dataverse: 'Shop', dataset: null });
+    expect(StatementClassifier.classifyStatement('USE `my-dv`')).to.include({ kind: 'USE', dataverse: 'my-dv', text: 'USE `my-dv`' });
+  });
+
+  it('reads the FROM target of a query only at the top level', () => {
+    const statement = StatementClassifier.classifyStatement('SELECT (SELECT VALUE 1 FROM Inner i) AS x FROM Outer o', 'Shop');
+    expect(statement).to.include({ kind: 'QUERY', dataverse: 'Shop', dataset: 'Outer' });
+  });
+
+  it('reports unrecognized statements as UNKNOWN writes', () => {
+    expect(StatementClassifier.classifyStatement('FROBNICATE Orders')).to.include({ kind: 'UNKNOWN', readOnly: false });
+  });
+});